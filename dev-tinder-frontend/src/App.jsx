@@ -8,12 +8,24 @@ import Body from "./Body";
 import Home from "./pages/Home";
 import Login from "./components/auth/Login";
 import Signup from "./components/auth/Signup";
+import ForgotPassword from "./components/auth/ForgotPassword";
+import ResetPassword from "./components/auth/ResetPassword";
+import VerifyEmail from "./components/auth/VerifyEmail";
+import Unsubscribe from "./components/auth/Unsubscribe";
 import Feed from "./components/feed/Feed";
 import ProfileView from "./components/profile/ProfileView";
 import ProfileEdit from "./components/profile/ProfileEdit";
 import UpdatePassword from "./components/profile/UpdatePassword";
+import Sessions from "./components/profile/Sessions";
+import TwoFactorSettings from "./components/profile/TwoFactorSettings";
+import BlockedUsers from "./components/profile/BlockedUsers";
+import EmailPreferences from "./components/profile/EmailPreferences";
+import DiscoveryPreferences from "./components/profile/DiscoveryPreferences";
 import RequestsList from "./components/requests/RequestsList";
 import ConnectionsList from "./components/connections/ConnectionsList";
+import Chat from "./components/chat/Chat";
+import ReviewsList from "./components/reviews/ReviewsList";
+import ReviewDetail from "./components/reviews/ReviewDetail";
 // importing ProtectedRoute to guard routes that need authentication
 import ProtectedRoute from "./components/common/ProtectedRoute";
 
@@ -31,6 +43,10 @@ function App() {
             <Route index element={<Home />} />
             <Route path="/login" element={<Login />} />
             <Route path="/signup" element={<Signup />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route path="/unsubscribe" element={<Unsubscribe />} />
 
             {/* protected routes - only logged in users can access these */}
             {/* ProtectedRoute checks if user is logged in, if not redirects to login */}
@@ -66,6 +82,46 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/profile/sessions"
+              element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/profile/two-factor"
+              element={
+                <ProtectedRoute>
+                  <TwoFactorSettings />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/profile/notifications"
+              element={
+                <ProtectedRoute>
+                  <EmailPreferences />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/profile/discovery"
+              element={
+                <ProtectedRoute>
+                  <DiscoveryPreferences />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/profile/blocked"
+              element={
+                <ProtectedRoute>
+                  <BlockedUsers />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/requests"
               element={
@@ -82,6 +138,30 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/chat/:userId"
+              element={
+                <ProtectedRoute>
+                  <Chat />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/reviews"
+              element={
+                <ProtectedRoute>
+                  <ReviewsList />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/reviews/:id"
+              element={
+                <ProtectedRoute>
+                  <ReviewDetail />
+                </ProtectedRoute>
+              }
+            />
           </Route>
         </Routes>
       </BrowserRouter>
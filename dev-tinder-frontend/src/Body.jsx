@@ -1,28 +1,78 @@
 // importing React
-import React from "react";
+import React, { useState } from "react";
 // importing NavBar component for navigation
 import NavBar from "./NavBar";
 // importing Outlet from react-router-dom - this renders child routes
 import { Outlet } from "react-router-dom";
 // importing Footer component
 import Footer from "./Footer";
+// importing useAuth hook to know if the logged in user has verified their email
+import { useAuth } from "./context/AuthContext";
+// importing API function to send a new verification email
+import { resendVerification } from "./utils/api";
 
 // Body component - this is the layout wrapper for all pages
 // it contains NavBar at top, Outlet in middle (where page content goes), Footer at bottom
 const Body = () => {
+  // getting logged in user - null if not logged in
+  const { user } = useAuth();
+
+  // state for the resend button in the verification banner
+  const [resendStatus, setResendStatus] = useState(""); // "" | sending | sent | error
+  const [resendMessage, setResendMessage] = useState("");
+
+  // function to ask backend for a new verification email
+  const handleResend = async () => {
+    setResendStatus("sending");
+    try {
+      const response = await resendVerification();
+      setResendStatus("sent");
+      setResendMessage(response.message || "Verification email sent!");
+    } catch (err) {
+      setResendStatus("error");
+      setResendMessage(
+        err.response?.data?.message ||
+          "Failed to send verification email. Please try again."
+      );
+    }
+  };
+
   return (
     // flex flex-col makes it a vertical flexbox (stacked vertically)
     // min-h-screen makes it at least full screen height
     <div className="flex flex-col min-h-screen">
       {/* navigation bar at the top */}
       <NavBar />
-      
+
+      {/* verification banner - shown until the logged in user verifies their email */}
+      {user && user.emailVerified === false && (
+        <div className="alert alert-warning rounded-none justify-center flex-wrap">
+          <span>
+            {resendMessage ||
+              `Please verify your email (${user.emailID}) to discover developers and send requests.`}
+          </span>
+          {resendStatus !== "sent" && (
+            <button
+              className="btn btn-sm"
+              onClick={handleResend}
+              disabled={resendStatus === "sending"}
+            >
+              {resendStatus === "sending" ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                "Resend email"
+              )}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* main content area - Outlet renders whatever child route is active */}
       {/* flex-1 makes it take up remaining space between NavBar and Footer */}
       <main className="flex-1">
         <Outlet />
       </main>
-      
+
       {/* footer at the bottom */}
       <Footer />
     </div>
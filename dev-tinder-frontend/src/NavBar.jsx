@@ -4,6 +4,8 @@ import React from "react";
 import { Link, useNavigate } from "react-router-dom";
 // importing useAuth hook to access user data and logout function
 import { useAuth } from "./context/AuthContext";
+// importing NotificationBell to show new requests and accepted connections
+import NotificationBell from "./components/common/NotificationBell";
 
 // NavBar component - shows navigation links at the top of every page
 // shows different links based on whether user is logged in or not
@@ -46,6 +48,12 @@ const NavBar = () => {
             <Link to="/connections" className="btn btn-ghost">
               Connections
             </Link>
+            <Link to="/reviews" className="btn btn-ghost">
+              Reviews
+            </Link>
+
+            {/* Notifications */}
+            <NotificationBell />
             
             {/* User Dropdown Menu */}
             <div className="dropdown dropdown-end">
@@ -0,0 +1,113 @@
+// Importing required modules
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { forgotPassword } from "../../utils/api";
+
+/**
+ * ForgotPassword component to request a password reset email
+ * Sends the email address to the backend, which emails a reset link
+ */
+export default function ForgotPassword() {
+  // Form state management
+  const [emailID, setEmailID] = useState("");
+
+  // UI state management
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Handle form submission
+   * Calls forgot password API
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault(); // Prevent form submission and page refresh
+    setMessage("");
+    setError("");
+    setLoading(true);
+
+    try {
+      const response = await forgotPassword(emailID);
+      setMessage(
+        response.message ||
+          "If an account with that email exists, a password reset link has been sent."
+      );
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to send reset link. Please try again."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-base-100 px-4">
+      <div className="w-full max-w-md bg-base-200 rounded-box p-6 shadow-lg">
+        <h2 className="text-2xl font-semibold text-center mb-2">
+          Forgot Password
+        </h2>
+        <p className="text-center text-sm text-base-content/70 mb-6">
+          Enter your email and we'll send you a link to reset your password.
+        </p>
+
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          {/* Email Input */}
+          <div>
+            <label className="label">
+              <span className="label-text">Email</span>
+            </label>
+            <input
+              type="email"
+              value={emailID}
+              placeholder="you@example.com"
+              className="input input-bordered w-full"
+              onChange={(e) => setEmailID(e.target.value)}
+              required
+            />
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            className="btn btn-primary w-full mt-2"
+            disabled={loading}
+          >
+            {loading ? (
+              <>
+                <span className="loading loading-spinner loading-sm"></span>
+                Sending...
+              </>
+            ) : (
+              "Send Reset Link"
+            )}
+          </button>
+        </form>
+
+        {/* Success Message */}
+        {message && (
+          <div className="alert alert-success mt-4">
+            <span>{message}</span>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mt-4">
+            <span>{error}</span>
+          </div>
+        )}
+
+        {/* Login Link */}
+        <p className="text-center text-sm mt-6">
+          Remembered it?{" "}
+          <Link to="/login" className="link link-primary">
+            Back to login
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 // Importing required modules
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate, Link } from "react-router-dom";
-import { login as loginAPI } from "../../utils/api";
+import { login as loginAPI, verifyTwoFactorLogin } from "../../utils/api";
 import { useAuth } from "../../context/AuthContext";
 
 /**
@@ -24,6 +24,65 @@ export default function Login() {
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
 
+  // Seconds left before another login attempt is allowed (after a 429 response)
+  const [retryAfter, setRetryAfter] = useState(0);
+
+  // Two-factor step state - challengeToken is set when password was correct but a code is needed
+  const [challengeToken, setChallengeToken] = useState("");
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  /**
+   * Count down the wait time once per second until login is allowed again
+   */
+  useEffect(() => {
+    if (retryAfter <= 0) {
+      return;
+    }
+    const timer = setTimeout(() => setRetryAfter((prev) => prev - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryAfter]);
+
+  /**
+   * Finish login - store user in auth context and go to the feed
+   * @param {Object} response - Login response from backend
+   */
+  const completeLogin = (response) => {
+    // Set success message
+    setMessage(response.message || "Login successful!");
+
+    // Update auth context with user data
+    if (response.user) {
+      login(response.user);
+      // Redirect to feed page after 1 second
+      setTimeout(() => {
+        navigate("/feed");
+      }, 1000);
+    }
+  };
+
+  /**
+   * Show an error from the login or two-factor step
+   * @param {Error} err - Error thrown by axios
+   */
+  const handleLoginError = (err) => {
+    // Too many attempts - backend tells us how long to wait in the Retry-After header
+    if (err.response?.status === 429) {
+      const seconds =
+        parseInt(err.response.headers?.["retry-after"]) ||
+        err.response.data?.retryAfter ||
+        60;
+      setRetryAfter(seconds);
+    }
+
+    // Handle errors
+    const errorMessage =
+      err.response?.data?.message ||
+      err.message ||
+      "Login failed. Please check your credentials and try again.";
+    setError(errorMessage);
+  };
+
   /**
    * Handle form submission
    * Validates form data and calls login API
@@ -38,82 +97,193 @@ export default function Login() {
     try {
       // Call login API
       const response = await loginAPI(emailID, password);
-      
-      // Set success message
-      setMessage(response.message || "Login successful!");
-      
-      // Update auth context with user data
-      if (response.user) {
-        login(response.user);
-        // Redirect to feed page after 1 second
-        setTimeout(() => {
-          navigate("/feed");
-        }, 1000);
+
+      // Password was correct but two-factor is enabled - ask for the code next
+      if (response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+        return;
       }
+
+      completeLogin(response);
     } catch (err) {
-      // Handle errors
-      const errorMessage =
-        err.response?.data?.message ||
-        err.message ||
-        "Login failed. Please check your credentials and try again.";
-      setError(errorMessage);
+      handleLoginError(err);
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Handle two-factor code submission
+   * Sends the authenticator or recovery code together with the challenge token
+   * @param {Event} e - Form submit event
+   */
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    setLoading(true);
+
+    try {
+      const response = await verifyTwoFactorLogin(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+      );
+      if (response.recoveryCodesRemaining !== undefined) {
+        alert(
+          `Recovery code used. You have ${response.recoveryCodesRemaining} recovery codes left.`
+        );
+      }
+      completeLogin(response);
+    } catch (err) {
+      // Challenge expired - go back to the password step
+      if (err.response?.status === 401 && /challenge/i.test(err.response.data?.message)) {
+        setChallengeToken("");
+        setTwoFactorCode("");
+      }
+      handleLoginError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Go back from the two-factor step to the password step
+   */
+  const handleCancelTwoFactor = () => {
+    setChallengeToken("");
+    setTwoFactorCode("");
+    setUseRecoveryCode(false);
+    setError("");
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-base-100 px-4">
       <div className="w-full max-w-md bg-base-200 rounded-box p-6 shadow-lg">
         <h2 className="text-2xl font-semibold text-center mb-6">Login</h2>
 
-        <form className="space-y-4" onSubmit={handleLogin}>
-          {/* Email Input */}
-          <div>
-            <label className="label">
-              <span className="label-text">Email</span>
-            </label>
-            <input
-              type="email"
-              value={emailID}
-              placeholder="you@example.com"
-              className="input input-bordered w-full"
-              onChange={(e) => setEmailID(e.target.value)}
-              required
-            />
-          </div>
+        {challengeToken ? (
+          <form className="space-y-4" onSubmit={handleVerifyCode}>
+            {/* Two-Factor Code Input */}
+            <p className="text-sm text-base-content/70 text-center">
+              {useRecoveryCode
+                ? "Enter one of your recovery codes."
+                : "Enter the 6 digit code from your authenticator app."}
+            </p>
+            <div>
+              <label className="label">
+                <span className="label-text">
+                  {useRecoveryCode ? "Recovery code" : "Authentication code"}
+                </span>
+              </label>
+              <input
+                type="text"
+                value={twoFactorCode}
+                placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                className="input input-bordered w-full tracking-widest"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                autoFocus
+                required
+              />
+              <label className="label">
+                <button
+                  type="button"
+                  className="label-text-alt link link-hover"
+                  onClick={() => {
+                    setUseRecoveryCode((prev) => !prev);
+                    setTwoFactorCode("");
+                  }}
+                >
+                  {useRecoveryCode
+                    ? "Use authenticator app instead"
+                    : "Use a recovery code instead"}
+                </button>
+              </label>
+            </div>
 
-          {/* Password Input */}
-          <div>
-            <label className="label">
-              <span className="label-text">Password</span>
-            </label>
-            <input
-              type="password"
-              value={password}
-              placeholder="••••••••"
-              className="input input-bordered w-full"
-              onChange={(e) => setPassword(e.target.value)}
-              required
-            />
-          </div>
+            {/* Verify Button */}
+            <button
+              type="submit"
+              className="btn btn-primary w-full mt-2"
+              disabled={loading || retryAfter > 0}
+            >
+              {loading ? (
+                <>
+                  <span className="loading loading-spinner loading-sm"></span>
+                  Verifying...
+                </>
+              ) : retryAfter > 0 ? (
+                `Try again in ${retryAfter}s`
+              ) : (
+                "Verify"
+              )}
+            </button>
+            <button
+              type="button"
+              className="btn btn-ghost w-full"
+              onClick={handleCancelTwoFactor}
+              disabled={loading}
+            >
+              Back to login
+            </button>
+          </form>
+        ) : (
+          <form className="space-y-4" onSubmit={handleLogin}>
+            {/* Email Input */}
+            <div>
+              <label className="label">
+                <span className="label-text">Email</span>
+              </label>
+              <input
+                type="email"
+                value={emailID}
+                placeholder="you@example.com"
+                className="input input-bordered w-full"
+                onChange={(e) => setEmailID(e.target.value)}
+                required
+              />
+            </div>
+
+            {/* Password Input */}
+            <div>
+              <label className="label">
+                <span className="label-text">Password</span>
+              </label>
+              <input
+                type="password"
+                value={password}
+                placeholder="••••••••"
+                className="input input-bordered w-full"
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+              <label className="label">
+                <Link to="/forgot-password" className="label-text-alt link link-hover">
+                  Forgot password?
+                </Link>
+              </label>
+            </div>
 
-          {/* Submit Button */}
-          <button
-            type="submit"
-            className="btn btn-primary w-full mt-2"
-            disabled={loading}
-          >
-            {loading ? (
-              <>
-                <span className="loading loading-spinner loading-sm"></span>
-                Logging in...
-              </>
-            ) : (
-              "Login"
-            )}
-          </button>
-        </form>
+            {/* Submit Button */}
+            <button
+              type="submit"
+              className="btn btn-primary w-full mt-2"
+              disabled={loading || retryAfter > 0}
+            >
+              {loading ? (
+                <>
+                  <span className="loading loading-spinner loading-sm"></span>
+                  Logging in...
+                </>
+              ) : retryAfter > 0 ? (
+                `Try again in ${retryAfter}s`
+              ) : (
+                "Login"
+              )}
+            </button>
+          </form>
+        )}
 
         {/* Success Message */}
         {message && (
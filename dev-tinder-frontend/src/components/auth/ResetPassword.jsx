@@ -0,0 +1,174 @@
+// Importing required modules
+import React, { useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import { resetPassword } from "../../utils/api";
+
+/**
+ * ResetPassword component to choose a new password
+ * Reads the reset token from the link in the email (?token=...)
+ */
+export default function ResetPassword() {
+  // Navigation hook for programmatic routing
+  const navigate = useNavigate();
+
+  // Reading the token from the URL query string
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  // Form state management
+  const [formData, setFormData] = useState({
+    newPassword: "",
+    confirmPassword: "",
+  });
+
+  // UI state management
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Handle input field changes
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    // Clear error message when user starts typing
+    setError("");
+  };
+
+  /**
+   * Handle form submission
+   * Validates passwords match and calls reset password API
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+
+    // Validate that new password and confirm password match
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError("New password and confirm password do not match.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await resetPassword(token, formData.newPassword);
+      setMessage(response.message || "Password has been reset successfully!");
+
+      // Redirect to login page after 2 seconds
+      setTimeout(() => {
+        navigate("/login");
+      }, 2000);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to reset password. Please try again."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Link without a token can't be used
+  if (!token) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <div className="alert alert-error max-w-md">
+          <span>
+            This password reset link is invalid.{" "}
+            <Link to="/forgot-password" className="link">
+              Request a new one
+            </Link>
+          </span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-base-100 px-4">
+      <div className="w-full max-w-md bg-base-200 rounded-box p-6 shadow-lg">
+        <h2 className="text-2xl font-semibold text-center mb-6">
+          Choose a New Password
+        </h2>
+
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          {/* New Password */}
+          <div>
+            <label className="label">
+              <span className="label-text">New Password</span>
+            </label>
+            <input
+              type="password"
+              name="newPassword"
+              value={formData.newPassword}
+              placeholder="Enter new password"
+              className="input input-bordered w-full"
+              onChange={handleChange}
+              required
+              minLength={8}
+            />
+            <label className="label">
+              <span className="label-text-alt">
+                Must be strong (min 8 chars, uppercase, lowercase, number, symbol)
+              </span>
+            </label>
+          </div>
+
+          {/* Confirm Password */}
+          <div>
+            <label className="label">
+              <span className="label-text">Confirm New Password</span>
+            </label>
+            <input
+              type="password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              placeholder="Confirm new password"
+              className="input input-bordered w-full"
+              onChange={handleChange}
+              required
+              minLength={8}
+            />
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            className="btn btn-primary w-full mt-2"
+            disabled={loading || Boolean(message)}
+          >
+            {loading ? (
+              <>
+                <span className="loading loading-spinner loading-sm"></span>
+                Resetting...
+              </>
+            ) : (
+              "Reset Password"
+            )}
+          </button>
+        </form>
+
+        {/* Success Message */}
+        {message && (
+          <div className="alert alert-success mt-4">
+            <span>{message}</span>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mt-4">
+            <span>{error}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
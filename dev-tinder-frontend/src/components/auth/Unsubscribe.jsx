@@ -0,0 +1,89 @@
+// Importing required modules
+import React, { useState, useEffect, useRef } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { unsubscribeEmail } from "../../utils/api";
+import { useAuth } from "../../context/AuthContext";
+
+/**
+ * Unsubscribe component opened from the unsubscribe link in notification emails
+ * Sends the token to the backend and shows the result - works without logging in
+ */
+export default function Unsubscribe() {
+  // Reading the token from the URL (/unsubscribe?token=...)
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  // Auth context to link logged in users to their email settings
+  const { user } = useAuth();
+
+  // UI state management
+  const [status, setStatus] = useState(token ? "working" : "error"); // working | success | error
+  const [message, setMessage] = useState(
+    token ? "" : "This unsubscribe link is invalid."
+  );
+
+  // Make sure StrictMode's double effect doesn't send the token twice
+  const requestedTokenRef = useRef(null);
+
+  /**
+   * Unsubscribe once when the page opens
+   */
+  useEffect(() => {
+    if (!token || requestedTokenRef.current === token) {
+      return;
+    }
+    requestedTokenRef.current = token;
+
+    const unsubscribe = async () => {
+      try {
+        const response = await unsubscribeEmail(token);
+        setStatus("success");
+        setMessage(response.message || "You have been unsubscribed.");
+      } catch (err) {
+        setStatus("error");
+        setMessage(
+          err.response?.data?.message ||
+            "Failed to unsubscribe. Please try again."
+        );
+      }
+    };
+
+    unsubscribe();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-base-100 px-4">
+      <div className="w-full max-w-md bg-base-200 rounded-box p-6 shadow-lg text-center">
+        <h2 className="text-2xl font-semibold mb-6">Unsubscribe</h2>
+
+        {/* Working State */}
+        {status === "working" && (
+          <span className="loading loading-spinner loading-lg"></span>
+        )}
+
+        {/* Success Message */}
+        {status === "success" && (
+          <div className="alert alert-success">
+            <span>{message}</span>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {status === "error" && (
+          <div className="alert alert-error">
+            <span>{message}</span>
+          </div>
+        )}
+
+        {status !== "working" && (
+          <Link
+            to={user ? "/profile/notifications" : "/login"}
+            className="btn btn-primary mt-6"
+          >
+            {user ? "Email Settings" : "Go to Login"}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
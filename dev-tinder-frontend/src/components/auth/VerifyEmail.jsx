@@ -0,0 +1,92 @@
+// Importing required modules
+import React, { useState, useEffect, useRef } from "react";
+import { useParams, Link } from "react-router-dom";
+import { verifyEmail } from "../../utils/api";
+import { useAuth } from "../../context/AuthContext";
+
+/**
+ * VerifyEmail component opened from the link in the verification email
+ * Sends the token to the backend and shows the result
+ */
+export default function VerifyEmail() {
+  // Reading the token from the URL (/verify-email/:token)
+  const { token } = useParams();
+
+  // Auth context to reload the user after verification
+  const { user, checkAuth } = useAuth();
+
+  // UI state management
+  const [status, setStatus] = useState("verifying"); // verifying | success | error
+  const [message, setMessage] = useState("");
+
+  // Tokens are single-use, so make sure StrictMode's double effect doesn't send it twice
+  const requestedTokenRef = useRef(null);
+
+  /**
+   * Verify the token once when the page opens
+   */
+  useEffect(() => {
+    if (requestedTokenRef.current === token) {
+      return;
+    }
+    requestedTokenRef.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await verifyEmail(token);
+        setStatus("success");
+        setMessage(response.message || "Email verified successfully!");
+      } catch (err) {
+        setStatus("error");
+        setMessage(
+          err.response?.data?.message ||
+            "Failed to verify email. Please try again."
+        );
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  /**
+   * Reload the logged in user so the "verify your email" banner disappears
+   */
+  useEffect(() => {
+    if (status === "success" && user && !user.emailVerified) {
+      checkAuth();
+    }
+  }, [status, user, checkAuth]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-base-100 px-4">
+      <div className="w-full max-w-md bg-base-200 rounded-box p-6 shadow-lg text-center">
+        <h2 className="text-2xl font-semibold mb-6">Email Verification</h2>
+
+        {/* Verifying State */}
+        {status === "verifying" && (
+          <span className="loading loading-spinner loading-lg"></span>
+        )}
+
+        {/* Success Message */}
+        {status === "success" && (
+          <div className="alert alert-success">
+            <span>{message}</span>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {status === "error" && (
+          <div className="alert alert-error">
+            <span>{message}</span>
+          </div>
+        )}
+
+        {status !== "verifying" && (
+          <Link to={user ? "/feed" : "/login"} className="btn btn-primary mt-6">
+            {user ? "Go to Feed" : "Go to Login"}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,319 @@
+// Importing required modules
+import React, { useState, useEffect, useRef } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext";
+import { getChatMessages } from "../../utils/api";
+import { getSocket } from "../../utils/socket";
+import { formatTimeAgo } from "../../utils/time";
+
+// how long the "typing..." hint stays visible after the last typing event
+const TYPING_HINT_MS = 3000;
+// send at most one typing event in this time
+const TYPING_EMIT_INTERVAL_MS = 2000;
+
+/**
+ * Chat component - real-time one-to-one chat with a connection
+ * Loads the history over HTTP and receives new messages over the socket
+ */
+export default function Chat() {
+  // Reading the other user's ID from the URL (/chat/:userId)
+  const { userId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  // State management for the conversation
+  const [withUser, setWithUser] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null); // cursor for older messages
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [error, setError] = useState("");
+  const [text, setText] = useState("");
+  const [sending, setSending] = useState(false);
+  const [isTyping, setIsTyping] = useState(false); // other user is typing
+
+  // Refs that don't need re-renders
+  const bottomRef = useRef(null);
+  const typingTimeoutRef = useRef(null);
+  const lastTypingEmitRef = useRef(0);
+
+  /**
+   * Fetch the newest messages when the chat opens
+   */
+  useEffect(() => {
+    const fetchMessages = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await getChatMessages(userId);
+        setWithUser(response.withUser);
+        setMessages(response.messages || []);
+        setHasMore(response.hasMore);
+        setNextBefore(response.nextBefore);
+      } catch (err) {
+        setError(
+          err.response?.data?.message ||
+            "Failed to load messages. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMessages();
+  }, [userId]);
+
+  /**
+   * Listen for new messages and typing events from the socket
+   */
+  useEffect(() => {
+    const socket = getSocket();
+
+    const handleMessage = (message) => {
+      // only messages between us and the user of this page
+      const isThisChat =
+        message.senderId === userId || message.recipientId === userId;
+      if (!isThisChat) {
+        return;
+      }
+      // the sender gets its own message twice (ack + event), so skip duplicates
+      setMessages((prev) =>
+        prev.some((entry) => entry._id === message._id)
+          ? prev
+          : [...prev, message]
+      );
+      if (message.senderId === userId) {
+        setIsTyping(false);
+      }
+    };
+
+    const handleTyping = ({ fromUserId }) => {
+      if (fromUserId !== userId) {
+        return;
+      }
+      setIsTyping(true);
+      clearTimeout(typingTimeoutRef.current);
+      typingTimeoutRef.current = setTimeout(
+        () => setIsTyping(false),
+        TYPING_HINT_MS
+      );
+    };
+
+    socket.on("chat:message", handleMessage);
+    socket.on("chat:typing", handleTyping);
+
+    // removing listeners when leaving the page or switching chats
+    return () => {
+      socket.off("chat:message", handleMessage);
+      socket.off("chat:typing", handleTyping);
+      clearTimeout(typingTimeoutRef.current);
+    };
+  }, [userId]);
+
+  /**
+   * Scroll to the newest message when one arrives
+   */
+  const lastMessageId = messages[messages.length - 1]?._id;
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [lastMessageId]);
+
+  /**
+   * Load the page of messages before the oldest one shown
+   */
+  const handleLoadOlder = async () => {
+    setLoadingOlder(true);
+    try {
+      const response = await getChatMessages(userId, nextBefore);
+      setMessages((prev) => [...(response.messages || []), ...prev]);
+      setHasMore(response.hasMore);
+      setNextBefore(response.nextBefore);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to load older messages. Please try again."
+      );
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  /**
+   * Handle typing in the message box - tells the other user we're typing
+   * @param {Event} e - Input change event
+   */
+  const handleTextChange = (e) => {
+    setText(e.target.value);
+    const now = Date.now();
+    if (now - lastTypingEmitRef.current > TYPING_EMIT_INTERVAL_MS) {
+      lastTypingEmitRef.current = now;
+      getSocket().emit("chat:typing", { toUserId: userId });
+    }
+  };
+
+  /**
+   * Handle sending a message over the socket
+   * @param {Event} e - Form submit event
+   */
+  const handleSend = (e) => {
+    e.preventDefault();
+    const messageText = text.trim();
+    if (!messageText) {
+      return;
+    }
+
+    setSending(true);
+    setError("");
+    // the server answers with { ok, message } or { ok: false, error }
+    getSocket()
+      .timeout(10000)
+      .emit("chat:send", { toUserId: userId, text: messageText }, (timeoutError, reply) => {
+        setSending(false);
+        if (timeoutError) {
+          setError("Message could not be sent. Check your connection.");
+          return;
+        }
+        if (!reply.ok) {
+          setError(reply.error);
+          return;
+        }
+        setText("");
+        lastTypingEmitRef.current = 0;
+        setMessages((prev) =>
+          prev.some((entry) => entry._id === reply.message._id)
+            ? prev
+            : [...prev, reply.message]
+        );
+      });
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg"></span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-base-100 py-8 px-4">
+      <div className="max-w-2xl mx-auto flex flex-col h-[calc(100vh-12rem)]">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-4">
+          <div className="flex items-center gap-3">
+            {withUser && (
+              <>
+                <div className="avatar">
+                  <div className="w-12 rounded-full">
+                    <img
+                      src={
+                        withUser.photoUrl ||
+                        "https://www.pngall.com/wp-content/uploads/5/Profile-PNG-File.png"
+                      }
+                      alt={`${withUser.firstName} ${withUser.lastName}`}
+                    />
+                  </div>
+                </div>
+                <div>
+                  <h1 className="text-xl font-bold">
+                    {withUser.firstName} {withUser.lastName}
+                  </h1>
+                  <p className="text-sm text-base-content/70 h-5">
+                    {isTyping ? "typing..." : ""}
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+          <button
+            className="btn btn-ghost"
+            onClick={() => navigate("/connections")}
+          >
+            Back
+          </button>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mb-4">
+            <span>{error}</span>
+          </div>
+        )}
+
+        {/* Messages */}
+        <div className="flex-1 overflow-y-auto bg-base-200 rounded-box p-4">
+          {hasMore && (
+            <div className="text-center mb-4">
+              <button
+                className="btn btn-ghost btn-sm"
+                onClick={handleLoadOlder}
+                disabled={loadingOlder}
+              >
+                {loadingOlder ? (
+                  <span className="loading loading-spinner loading-sm"></span>
+                ) : (
+                  "Load older messages"
+                )}
+              </button>
+            </div>
+          )}
+
+          {messages.length === 0 && withUser && (
+            <p className="text-center text-base-content/70">
+              No messages yet. Say hi to {withUser.firstName}!
+            </p>
+          )}
+
+          {messages.map((message) => {
+            const isMine = message.senderId === user?._id;
+            return (
+              <div
+                key={message._id}
+                className={`chat ${isMine ? "chat-end" : "chat-start"}`}
+              >
+                <div
+                  className={`chat-bubble whitespace-pre-wrap break-words ${
+                    isMine ? "chat-bubble-primary" : ""
+                  }`}
+                >
+                  {message.text}
+                </div>
+                <div className="chat-footer opacity-50 text-xs">
+                  {formatTimeAgo(message.createdAt)}
+                </div>
+              </div>
+            );
+          })}
+          <div ref={bottomRef} />
+        </div>
+
+        {/* Message Form */}
+        {withUser && (
+          <form className="flex gap-2 mt-4" onSubmit={handleSend}>
+            <input
+              type="text"
+              className="input input-bordered flex-1"
+              placeholder={`Message ${withUser.firstName}`}
+              value={text}
+              maxLength={2000}
+              onChange={handleTextChange}
+            />
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={sending || !text.trim()}
+            >
+              {sending ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                "Send"
+              )}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
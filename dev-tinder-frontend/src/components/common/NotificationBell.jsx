@@ -0,0 +1,179 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../../utils/api";
+import { describeNotification } from "../../utils/notifications";
+import { formatTimeAgo } from "../../utils/time";
+import useLiveEvents from "../../hooks/useLiveEvents";
+
+// How many notifications the dropdown shows
+const DROPDOWN_LIMIT = 10;
+
+/**
+ * NotificationBell component - bell icon with unread badge and a dropdown of recent notifications
+ * Clicking a notification marks it read and opens the matching page
+ */
+export default function NotificationBell() {
+  const navigate = useNavigate();
+
+  // State management for notifications
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [error, setError] = useState("");
+  // increased by live events to fetch the list again
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  /**
+   * Fetch the newest notifications on mount and whenever refreshKey changes
+   */
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const response = await getNotifications(1, DROPDOWN_LIMIT);
+        setNotifications(response.notifications || []);
+        setUnreadCount(response.unreadCount || 0);
+        setError("");
+      } catch {
+        setError("Failed to load notifications.");
+      }
+    };
+
+    fetchNotifications();
+  }, [refreshKey]);
+
+  /**
+   * Live updates - fetch again when a notification arrives,
+   * and when the stream (re)connects in case we missed one while offline
+   */
+  useLiveEvents({
+    "notification.created": () => setRefreshKey((key) => key + 1),
+    // a withdrawn request takes its notification with it
+    "request.withdrawn": () => setRefreshKey((key) => key + 1),
+    "request.expired": () => setRefreshKey((key) => key + 1),
+    ready: () => setRefreshKey((key) => key + 1),
+  });
+
+  /**
+   * Handle clicking a notification - mark it read and open its page
+   * @param {Object} notification - Clicked notification
+   */
+  const handleOpen = async (notification) => {
+    const { link } = describeNotification(notification);
+    // closing the dropdown - daisyUI dropdowns stay open while focused
+    document.activeElement?.blur();
+
+    if (!notification.readAt) {
+      try {
+        const response = await markNotificationRead(notification._id);
+        setNotifications((prev) =>
+          prev.map((entry) =>
+            entry._id === notification._id ? { ...entry, readAt: response.notification.readAt } : entry
+          )
+        );
+        setUnreadCount(response.unreadCount);
+      } catch {
+        // still opening the page - the notification stays unread
+      }
+    }
+    navigate(link);
+  };
+
+  /**
+   * Handle "Mark all as read"
+   */
+  const handleReadAll = async () => {
+    try {
+      await markAllNotificationsRead();
+      const now = new Date().toISOString();
+      setNotifications((prev) => prev.map((entry) => ({ ...entry, readAt: entry.readAt || now })));
+      setUnreadCount(0);
+    } catch {
+      setError("Failed to mark notifications as read.");
+    }
+  };
+
+  return (
+    <div className="dropdown dropdown-end">
+      <div
+        tabIndex={0}
+        role="button"
+        className="btn btn-ghost btn-circle"
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        <div className="indicator">
+          <svg
+            xmlns="http://www.w3.org/2000/svg"
+            className="h-5 w-5"
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+            />
+          </svg>
+          {unreadCount > 0 && (
+            <span className="badge badge-xs badge-primary indicator-item">
+              {unreadCount > 99 ? "99+" : unreadCount}
+            </span>
+          )}
+        </div>
+      </div>
+      <div
+        tabIndex={0}
+        className="dropdown-content bg-base-100 rounded-box z-[1] mt-3 w-80 shadow"
+      >
+        {/* Dropdown Header */}
+        <div className="flex justify-between items-center px-4 py-2 border-b border-base-300">
+          <span className="font-semibold">Notifications</span>
+          {unreadCount > 0 && (
+            <button className="btn btn-ghost btn-xs" onClick={handleReadAll}>
+              Mark all as read
+            </button>
+          )}
+        </div>
+
+        {error && <p className="px-4 py-2 text-sm text-error">{error}</p>}
+
+        {notifications.length === 0 ? (
+          <p className="px-4 py-6 text-sm text-center text-base-content/70">
+            No notifications yet.
+          </p>
+        ) : (
+          <ul className="menu menu-sm max-h-96 overflow-y-auto flex-nowrap w-full">
+            {notifications.map((notification) => (
+              <li key={notification._id}>
+                <button
+                  className={`flex items-start gap-3 ${notification.readAt ? "" : "bg-primary/10"}`}
+                  onClick={() => handleOpen(notification)}
+                >
+                  <img
+                    className="w-8 h-8 rounded-full object-cover shrink-0"
+                    src={
+                      notification.actorId?.photoUrl ||
+                      "https://www.pngall.com/wp-content/uploads/5/Profile-PNG-File.png"
+                    }
+                    alt=""
+                  />
+                  <span className="text-left">
+                    <span className="block">{describeNotification(notification).text}</span>
+                    <span className="block text-xs text-base-content/60">
+                      {formatTimeAgo(notification.createdAt)}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+// Importing required modules
+import React from "react";
+import { getPresenceColor, getPresenceLabel } from "../../utils/presence";
+
+/**
+ * PresenceDot component - small colored dot on a user's avatar
+ * Must be placed inside a "relative" wrapper, it sits in the bottom right corner
+ * @param {Object} props - Component props
+ * @param {string} props.presence - "online", "today", "week", "away" or null
+ */
+export default function PresenceDot({ presence }) {
+  const color = getPresenceColor(presence);
+  if (!color) {
+    return null;
+  }
+
+  const label = getPresenceLabel(presence);
+  return (
+    <span
+      className={`absolute bottom-0 right-0 z-10 w-4 h-4 rounded-full ring-2 ring-base-200 ${color}`}
+      title={label}
+      aria-label={label}
+    />
+  );
+}
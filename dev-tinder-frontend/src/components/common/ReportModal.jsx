@@ -0,0 +1,142 @@
+// Importing required modules
+import React, { useState } from "react";
+import { reportUser } from "../../utils/api";
+
+// Report categories - must match REPORT_CATEGORIES in the backend Report model
+const REPORT_CATEGORIES = [
+  { value: "spam", label: "Spam" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "fake_profile", label: "Fake profile" },
+  { value: "inappropriate_content", label: "Inappropriate content" },
+  { value: "scam", label: "Scam or fraud" },
+  { value: "other", label: "Something else" },
+];
+
+/**
+ * ReportModal component to report a user to the moderators
+ * Lets the user pick a category, describe the problem and optionally block the user
+ * @param {Object} props - Component props
+ * @param {Object} props.user - User being reported
+ * @param {Function} props.onClose - Called when the modal is closed without reporting
+ * @param {Function} props.onReported - Called with the API response after a successful report
+ */
+export default function ReportModal({ user, onClose, onReported }) {
+  // Form state
+  const [category, setCategory] = useState("");
+  const [details, setDetails] = useState("");
+  const [block, setBlock] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+    try {
+      const response = await reportUser(user._id, { category, details, block });
+      onReported(response);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to send report. Please try again."
+      );
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <form className="modal-box" onSubmit={handleSubmit}>
+        <h3 className="font-bold text-lg">
+          Report {user?.firstName} {user?.lastName}
+        </h3>
+        <p className="py-2 text-sm text-base-content/70">
+          Reports are reviewed by our moderators. {user?.firstName} won't know
+          who reported them.
+        </p>
+
+        {/* Category Select */}
+        <div>
+          <label className="label">
+            <span className="label-text">What's wrong?</span>
+          </label>
+          <select
+            className="select select-bordered w-full"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            required
+          >
+            <option value="" disabled>
+              Choose a reason
+            </option>
+            {REPORT_CATEGORIES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Details Textarea */}
+        <div className="mt-2">
+          <label className="label">
+            <span className="label-text">Details</span>
+            <span className="label-text-alt">{details.length}/1000</span>
+          </label>
+          <textarea
+            className="textarea textarea-bordered w-full"
+            rows={4}
+            maxLength={1000}
+            value={details}
+            placeholder="Tell us what happened"
+            onChange={(e) => setDetails(e.target.value)}
+            required={category === "other"}
+          />
+        </div>
+
+        {/* Block Checkbox */}
+        <label className="label cursor-pointer justify-start gap-3 mt-2">
+          <input
+            type="checkbox"
+            className="checkbox checkbox-error"
+            checked={block}
+            onChange={(e) => setBlock(e.target.checked)}
+          />
+          <span className="label-text">Also block {user?.firstName}</span>
+        </label>
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mt-2">
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button
+            type="button"
+            className="btn"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-error" disabled={loading}>
+            {loading ? (
+              <>
+                <span className="loading loading-spinner loading-sm"></span>
+                Sending...
+              </>
+            ) : (
+              "Send Report"
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+// Importing required modules
+import React from "react";
+
+/**
+ * UserActionsMenu component - small "more" menu with block and report actions
+ * Used in the top right corner of user and connection cards
+ * @param {Object} props - Component props
+ * @param {Function} props.onBlock - Called when "Block" is clicked
+ * @param {Function} props.onReport - Called when "Report" is clicked
+ * @param {boolean} props.disabled - Disables the menu while another action is running
+ */
+export default function UserActionsMenu({ onBlock, onReport, disabled }) {
+  return (
+    <div className="dropdown dropdown-end">
+      <button
+        type="button"
+        tabIndex={0}
+        className="btn btn-ghost btn-sm btn-circle"
+        aria-label="More actions"
+        disabled={disabled}
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          className="h-5 w-5"
+          fill="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <circle cx="12" cy="5" r="2" />
+          <circle cx="12" cy="12" r="2" />
+          <circle cx="12" cy="19" r="2" />
+        </svg>
+      </button>
+      <ul
+        tabIndex={0}
+        className="dropdown-content menu bg-base-100 rounded-box z-10 w-40 p-2 shadow"
+      >
+        <li>
+          <button type="button" onClick={onBlock}>
+            Block
+          </button>
+        </li>
+        <li>
+          <button type="button" className="text-error" onClick={onReport}>
+            Report
+          </button>
+        </li>
+      </ul>
+    </div>
+  );
+}
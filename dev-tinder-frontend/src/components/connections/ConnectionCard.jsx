@@ -1,5 +1,9 @@
 // Importing required modules
 import React from "react";
+import { Link } from "react-router-dom";
+import UserActionsMenu from "../common/UserActionsMenu";
+import PresenceDot from "../common/PresenceDot";
+import { getPresenceLabel } from "../../utils/presence";
 
 /**
  * ConnectionCard component to display a connected user card
@@ -7,14 +11,26 @@ import React from "react";
  * @param {Object} props - Component props
  * @param {Object} props.user - User object containing user data
  * @param {Function} props.onDelete - Function to call when delete button is clicked
+ * @param {Function} props.onBlock - Function to call when block is chosen in the menu
+ * @param {Function} props.onReport - Function to call when report is chosen in the menu
+ * @param {Function} props.onRequestReview - Function to call when "Request Review" is clicked
  */
-export default function ConnectionCard({ user, onDelete }) {
+export default function ConnectionCard({ user, onDelete, onBlock, onReport, onRequestReview }) {
   return (
     <div className="card bg-base-200 shadow-xl">
-      <div className="card-body p-4 sm:p-6">
+      <div className="card-body p-4 sm:p-6 relative">
+        {/* Block / Report Menu */}
+        <div className="absolute top-2 right-2">
+          <UserActionsMenu
+            onBlock={() => onBlock && onBlock(user)}
+            onReport={() => onReport && onReport(user)}
+          />
+        </div>
+
         {/* User Photo and Basic Info */}
         <div className="flex flex-col sm:flex-row gap-3 sm:gap-4 mb-3 sm:mb-4">
-          <div className="avatar flex-shrink-0 mx-auto sm:mx-0">
+          <div className="avatar relative flex-shrink-0 mx-auto sm:mx-0">
+            <PresenceDot presence={user?.presence} />
             <div className="w-20 h-20 sm:w-24 sm:h-24 rounded-full ring ring-primary ring-offset-base-100 ring-offset-2">
               <img
                 src={
@@ -30,6 +46,11 @@ export default function ConnectionCard({ user, onDelete }) {
             <h2 className="card-title text-lg sm:text-xl justify-center sm:justify-start">
               {user?.firstName} {user?.lastName}
             </h2>
+            {getPresenceLabel(user?.presence) && (
+              <p className="text-sm text-base-content/60">
+                {getPresenceLabel(user.presence)}
+              </p>
+            )}
             <div className="flex flex-col sm:flex-row sm:gap-4 gap-1 mt-1">
               {user?.age && (
                 <p className="text-sm sm:text-base text-base-content/70">
@@ -76,8 +97,20 @@ export default function ConnectionCard({ user, onDelete }) {
           </div>
         )}
 
-        {/* Delete Connection Section */}
+        {/* Message and Delete Connection Section */}
         <div className="card-actions justify-center sm:justify-end mt-3 sm:mt-4">
+          <Link
+            to={`/chat/${user._id}`}
+            className="btn btn-primary btn-sm sm:btn-md w-full sm:w-auto"
+          >
+            <span className="text-xs sm:text-base">Message</span>
+          </Link>
+          <button
+            className="btn btn-outline btn-primary btn-sm sm:btn-md w-full sm:w-auto"
+            onClick={() => onRequestReview && onRequestReview(user)}
+          >
+            <span className="text-xs sm:text-base">Request Review</span>
+          </button>
           <button
             className="btn btn-outline btn-error btn-sm sm:btn-md w-full sm:w-auto"
             onClick={() => onDelete && onDelete(user._id)}
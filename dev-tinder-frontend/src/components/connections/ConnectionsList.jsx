@@ -1,17 +1,24 @@
 // Importing required modules
 import React, { useState, useEffect } from "react";
-import { getConnections, deleteConnection } from "../../utils/api";
+import { getConnections, deleteConnection, blockUser } from "../../utils/api";
 import ConnectionCard from "./ConnectionCard";
+import ReportModal from "../common/ReportModal";
+import RequestReviewModal from "../reviews/RequestReviewModal";
+import useLiveEvents from "../../hooks/useLiveEvents";
 
 /**
  * ConnectionsList component to display all connected users
- * Shows users who have accepted connection requests
+ * Shows users who have accepted connection requests, most recently connected first, a page at a time
  */
 export default function ConnectionsList() {
   // State management for connections data
   const [connections, setConnections] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [reportingUser, setReportingUser] = useState(null); // User shown in the report modal
+  const [reviewUser, setReviewUser] = useState(null); // User asked for a code review in the modal
+  const [nextCursor, setNextCursor] = useState(null); // Cursor of the next page of connections
+  const [loadingMore, setLoadingMore] = useState(false);
 
   /**
    * Fetch connections data
@@ -22,6 +29,7 @@ export default function ConnectionsList() {
     setError("");
     try {
       const response = await getConnections();
+      setNextCursor(response.nextCursor || null);
       if (response.connections && response.connections.length > 0) {
         setConnections(response.connections);
       } else {
@@ -39,6 +47,32 @@ export default function ConnectionsList() {
     }
   };
 
+  /**
+   * Load the next page of connections and add it to the list
+   * Connections that are already shown (e.g. added by a live event) are skipped
+   */
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await getConnections(nextCursor);
+      setConnections((prevConnections) => {
+        const shownIds = new Set(prevConnections.map((user) => user._id));
+        return [
+          ...prevConnections,
+          ...(response.connections || []).filter((user) => !shownIds.has(user._id)),
+        ];
+      });
+      setNextCursor(response.nextCursor || null);
+    } catch (err) {
+      alert(
+        err.response?.data?.message ||
+          "Failed to load more connections. Please try again."
+      );
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   /**
    * Handle deleting a connection
    * @param {string} userId - ID of the user to delete connection with
@@ -63,11 +97,86 @@ export default function ConnectionsList() {
     }
   };
 
+  /**
+   * Handle blocking a connection - this also removes the connection
+   * @param {Object} user - User to block
+   */
+  const handleBlock = async (user) => {
+    if (
+      !window.confirm(
+        `Block ${user.firstName}? This removes your connection and you won't see each other anywhere on DevTinder.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await blockUser(user._id);
+      setConnections((prevConnections) =>
+        prevConnections.filter((u) => u._id !== user._id)
+      );
+    } catch (err) {
+      alert(
+        err.response?.data?.message || "Failed to block user. Please try again."
+      );
+    }
+  };
+
+  /**
+   * Handle a sent report - remove the connection if the user was blocked too
+   * @param {Object} response - Report API response
+   */
+  const handleReported = (response) => {
+    const reportedUserId = reportingUser._id;
+    setReportingUser(null);
+    if (response.blocked) {
+      setConnections((prevConnections) =>
+        prevConnections.filter((u) => u._id !== reportedUserId)
+      );
+    }
+    alert(response.message || "Report sent.");
+  };
+
+  /**
+   * Handle a sent review request
+   * @param {Object} response - Review request API response
+   */
+  const handleReviewSent = (response) => {
+    setReviewUser(null);
+    alert(response.message || "Review request sent.");
+  };
+
   // Fetch connections when component mounts
   useEffect(() => {
     fetchConnections();
   }, []);
 
+  /**
+   * Live updates - connections appear, disappear and change without a refresh
+   */
+  useLiveEvents({
+    // new connection - add it on top (unless it's already in the list)
+    "request.accepted": ({ user }) => {
+      setError("");
+      setConnections((prevConnections) =>
+        prevConnections.some((u) => u._id === user._id)
+          ? prevConnections
+          : [user, ...prevConnections]
+      );
+    },
+    "connection.removed": ({ userId }) => {
+      setConnections((prevConnections) =>
+        prevConnections.filter((u) => u._id !== userId)
+      );
+    },
+    // a connection changed their profile - show the new data
+    "profile.updated": ({ user }) => {
+      setConnections((prevConnections) =>
+        prevConnections.map((u) => (u._id === user._id ? { ...u, ...user } : u))
+      );
+    },
+  });
+
   // Show loading state
   if (loading) {
     return (
@@ -117,8 +226,28 @@ export default function ConnectionsList() {
                 key={user._id}
                 user={user}
                 onDelete={handleDeleteConnection}
+                onBlock={handleBlock}
+                onReport={setReportingUser}
+                onRequestReview={setReviewUser}
               />
             ))}
+
+            {/* Load More Button */}
+            {nextCursor && (
+              <div className="text-center">
+                <button
+                  className="btn btn-outline"
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? (
+                    <span className="loading loading-spinner loading-sm"></span>
+                  ) : (
+                    "Load more"
+                  )}
+                </button>
+              </div>
+            )}
           </div>
         ) : (
           <div className="alert alert-info">
@@ -138,6 +267,24 @@ export default function ConnectionsList() {
             <span>No connections yet. Start connecting with developers!</span>
           </div>
         )}
+
+        {/* Report Modal */}
+        {reportingUser && (
+          <ReportModal
+            user={reportingUser}
+            onClose={() => setReportingUser(null)}
+            onReported={handleReported}
+          />
+        )}
+
+        {/* Request Review Modal */}
+        {reviewUser && (
+          <RequestReviewModal
+            user={reviewUser}
+            onClose={() => setReviewUser(null)}
+            onSent={handleReviewSent}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,106 @@
+// Importing required modules
+import React, { useState } from "react";
+import { sendConnectionRequest } from "../../utils/api";
+
+// Longest note - must match REQUEST_NOTE_MAX_LENGTH in the backend ConnectionRequest model
+const NOTE_MAX_LENGTH = 300;
+
+/**
+ * ConnectNoteModal component to send an "interested" request with a personal note
+ * The note tells the other user why you want to connect
+ * @param {Object} props - Component props
+ * @param {Object} props.user - User the request is sent to
+ * @param {Function} props.onClose - Called when the modal is closed without sending
+ * @param {Function} props.onSent - Called with the API response after the request was sent
+ */
+export default function ConnectNoteModal({ user, onClose, onSent }) {
+  // Form state
+  const [note, setNote] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+    try {
+      const response = await sendConnectionRequest(user._id, "interested", note.trim());
+      onSent(response);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to send connection request. Please try again."
+      );
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <form className="modal-box" onSubmit={handleSubmit}>
+        <h3 className="font-bold text-lg">
+          Connect with {user?.firstName} {user?.lastName}
+        </h3>
+        <p className="py-2 text-sm text-base-content/70">
+          Add a short note - {user?.firstName} sees it with your request.
+        </p>
+
+        {/* Note Textarea */}
+        <div>
+          <label className="label">
+            <span className="label-text">Your note</span>
+            <span className="label-text-alt">
+              {note.length}/{NOTE_MAX_LENGTH}
+            </span>
+          </label>
+          <textarea
+            className="textarea textarea-bordered w-full"
+            rows={4}
+            maxLength={NOTE_MAX_LENGTH}
+            value={note}
+            placeholder="Hi! I saw you work with React too - want to build something together?"
+            onChange={(e) => setNote(e.target.value)}
+            required
+            autoFocus
+          />
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mt-2">
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button
+            type="button"
+            className="btn"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={loading || !note.trim()}
+          >
+            {loading ? (
+              <>
+                <span className="loading loading-spinner loading-sm"></span>
+                Sending...
+              </>
+            ) : (
+              "Send Request"
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
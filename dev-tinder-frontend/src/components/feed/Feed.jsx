@@ -1,150 +1,298 @@
 // Importing required modules
-import React, { useState, useEffect } from "react";
-import { getUserFeed, sendConnectionRequest } from "../../utils/api";
-import UserCard from "./UserCard";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { getUserFeed, sendConnectionRequest, blockUser } from "../../utils/api";
+import {
+  readFeedFilters,
+  toFeedFilterParams,
+  countActiveFilters,
+} from "../../utils/feedFilters";
+import SwipeDeck from "./SwipeDeck";
+import FeedFilters from "./FeedFilters";
+import ReportModal from "../common/ReportModal";
+import ConnectNoteModal from "./ConnectNoteModal";
+
+// When this few cards are left in the deck, the next batch is loaded in the background
+const PREFETCH_THRESHOLD = 3;
 
 /**
- * Feed component to display user feed with pagination
- * Shows potential connections and allows users to send connection requests
+ * Feed component to display the discovery feed as a swipe deck
+ * Shows potential connections one card at a time - swipe right (interested) or left (ignore)
+ * The next batch is loaded before the deck runs out, so swiping never waits for the server
+ * Filters are read from and written to the URL query string (?skills=Rust&ageMin=25...)
+ * Without filters the backend applies the saved discovery preferences (?preferences=off shows everyone)
  */
 export default function Feed() {
-  // State management for feed data
+  // State management for feed data - feedUsers is the deck, the first user is on top
   const [feedUsers, setFeedUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
-  const [actionLoading, setActionLoading] = useState(null); // Track which user action is in progress
+  const [actionError, setActionError] = useState(""); // Shown when a swipe had to be undone
+  const [reportingUser, setReportingUser] = useState(null); // User shown in the report modal
+  const [noteUser, setNoteUser] = useState(null); // User shown in the "connect with a note" modal
 
-  // Pagination state
-  const [page, setPage] = useState(1);
+  // Pagination state - the backend returns a cursor that points right after the last user of a batch
   const [limit] = useState(10);
-  const [totalPages, setTotalPages] = useState(1);
-  const [hasNextPage, setHasNextPage] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // The newest cursor - swipes finish after their exit animation, when the state they saw can be outdated
+  const nextCursorRef = useRef(null);
+
+  // Users that were already in the deck - the backend never repeats users in one feed, this is just a safety net
+  const seenIdsRef = useRef(new Set());
+  // Counts feed reloads, so a batch that arrives after the filters changed is thrown away
+  const feedVersionRef = useRef(0);
+  // True while a batch is loading, so swiping fast doesn't load the same batch twice
+  const prefetchingRef = useRef(false);
+
+  // Filter state lives in the URL - memoized so the filter panel only resets when the URL changes
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readFeedFilters(searchParams), [searchParams]);
+  const filtersActive = countActiveFilters(filters) > 0;
+  const showEveryone = searchParams.get("preferences") === "off";
+  const [usingPreferences, setUsingPreferences] = useState(false); // Feed filtered by saved preferences
+
+  /**
+   * Fetch one batch of the feed
+   * @param {string|null} cursor - nextCursor of the previous batch, null for the first one
+   */
+  const loadFeedPage = (cursor) =>
+    getUserFeed(cursor, limit, {
+      ...filters,
+      preferences: showEveryone ? "off" : "",
+    });
+
+  /**
+   * Remember the cursor of the next batch
+   * @param {string|null} cursor - nextCursor from the API, null when there is nothing more
+   */
+  const updateNextCursor = (cursor) => {
+    nextCursorRef.current = cursor;
+    setNextCursor(cursor);
+  };
+
+  /**
+   * Load the next batch and put it at the bottom of the deck
+   * Users that were already in the deck are skipped. If a whole batch was skipped, the one after it is loaded
+   * @param {string} cursor - nextCursor of the last batch
+   */
+  const loadNextBatch = async (cursor) => {
+    const version = feedVersionRef.current;
+    prefetchingRef.current = true;
+    setLoadingMore(true);
+    try {
+      let batchCursor = cursor;
+      let newUsers = [];
+      while (batchCursor && newUsers.length === 0) {
+        const response = await loadFeedPage(batchCursor);
+        if (version !== feedVersionRef.current) {
+          return; // filters changed meanwhile, this batch belongs to the old feed
+        }
+        newUsers = (response.feed || []).filter(
+          (user) => !seenIdsRef.current.has(user._id)
+        );
+        batchCursor = response.nextCursor || null;
+      }
+      newUsers.forEach((user) => seenIdsRef.current.add(user._id));
+      setFeedUsers((prev) => [...prev, ...newUsers]);
+      updateNextCursor(batchCursor);
+    } catch (err) {
+      if (version === feedVersionRef.current) {
+        setActionError(
+          err.response?.data?.message ||
+            "Failed to load more users. Please try again."
+        );
+      }
+    } finally {
+      if (version === feedVersionRef.current) {
+        prefetchingRef.current = false;
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  /**
+   * Load the next batch in the background when the deck is running low
+   * @param {number} remaining - How many cards are left in the deck
+   */
+  const prefetchIfNeeded = (remaining) => {
+    const cursor = nextCursorRef.current;
+    if (remaining <= PREFETCH_THRESHOLD && cursor && !prefetchingRef.current) {
+      loadNextBatch(cursor);
+    }
+  };
 
   /**
-   * Fetch user feed data
-   * Called when component mounts or page changes
+   * Fetch the first batch of the feed
+   * Called when component mounts or filters change
    */
   const fetchFeed = async () => {
+    feedVersionRef.current += 1;
+    const version = feedVersionRef.current;
+    prefetchingRef.current = false;
+    seenIdsRef.current = new Set();
     setLoading(true);
+    setLoadingMore(false);
     setError("");
+    setActionError("");
     try {
-      const response = await getUserFeed(page, limit);
-      if (response.feed && response.feed.length > 0) {
-        setFeedUsers(response.feed);
-        setTotalPages(response.totalPages || 1);
-        setHasNextPage(response.hasNextPage || false);
-      } else {
-        setFeedUsers([]);
-        setError(response.message || "No users found in feed.");
+      const response = await loadFeedPage(null);
+      if (version !== feedVersionRef.current) {
+        return;
       }
+      const users = response.feed || [];
+      users.forEach((user) => seenIdsRef.current.add(user._id));
+      // An empty deck isn't an error - the empty state below explains it
+      // A small first batch is topped up by the prefetch check below
+      setFeedUsers(users);
+      updateNextCursor(response.nextCursor || null);
+      setUsingPreferences(response.usingPreferences || false);
     } catch (err) {
+      if (version !== feedVersionRef.current) {
+        return;
+      }
       setError(
         err.response?.data?.message ||
           "Failed to load feed. Please try again."
       );
       setFeedUsers([]);
     } finally {
-      setLoading(false);
+      if (version === feedVersionRef.current) {
+        setLoading(false);
+      }
     }
   };
 
-  // Fetch feed when component mounts or page changes
+  // Fetch feed when component mounts or filters change
   useEffect(() => {
     fetchFeed();
-  }, [page]);
+  }, [filters]);
+
+  // Keeping the newest prefetch check in a ref, so the effect below only runs when the deck size changes
+  const prefetchCheckRef = useRef(null);
+  useEffect(() => {
+    prefetchCheckRef.current = prefetchIfNeeded;
+  });
 
   /**
-   * Handle sending connection request (interested)
-   * @param {string} userId - ID of the user to send request to
+   * Load more users when the deck is running low - checked whenever the number of cards changes,
+   * so swipes, blocks and reports that finish late always count the current deck
    */
-  const handleInterested = async (userId) => {
-    setActionLoading({ userId, type: "interested" });
-    try {
-      await sendConnectionRequest(userId, "interested");
-      // Remove user from feed after sending request
-      setFeedUsers((prev) => prev.filter((user) => user._id !== userId));
-    } catch (err) {
-      const errorMessage =
-        err.response?.data?.message ||
-        "Failed to send connection request. Please try again.";
-      alert(errorMessage);
-    } finally {
-      setActionLoading(null);
+  useEffect(() => {
+    if (!loading) {
+      prefetchCheckRef.current(feedUsers.length);
+    }
+  }, [feedUsers.length, loading]);
+
+  /**
+   * Remove a user from the deck - the prefetch check above loads more users if it's running low
+   * @param {string} userId - ID of the user to remove
+   */
+  const removeFromDeck = (userId) => {
+    setFeedUsers((prev) => prev.filter((user) => user._id !== userId));
+  };
+
+  /**
+   * Handle applying filters - saves them in the URL, which loads the feed again from the start
+   * @param {Object} newFilters - Filters from the filter panel
+   */
+  const handleApplyFilters = (newFilters) => {
+    setSearchParams(toFeedFilterParams(newFilters, searchParams));
+  };
+
+  /**
+   * Handle switching the saved discovery preferences off or back on
+   * @param {boolean} off - true to show everyone, false to use the preferences again
+   */
+  const handleTogglePreferences = (off) => {
+    const params = new URLSearchParams(searchParams);
+    if (off) {
+      params.set("preferences", "off");
+    } else {
+      params.delete("preferences");
     }
+    setSearchParams(params);
   };
 
   /**
-   * Handle ignoring a user
-   * @param {string} userId - ID of the user to ignore
+   * Handle a swipe - the deck moves on right away, the request is sent in the background
+   * If the request fails, the user is put back on top of the deck and the error is shown,
+   * unless trying again can't help (a request already exists, the user is gone)
+   * @param {Object} user - User that was swiped
+   * @param {string} direction - "right" (interested) or "left" (ignore)
    */
-  const handleIgnore = async (userId) => {
-    setActionLoading({ userId, type: "ignored" });
+  const handleSwipe = async (user, direction) => {
+    const status = direction === "right" ? "interested" : "ignored";
+    const version = feedVersionRef.current;
+    setActionError("");
+    removeFromDeck(user._id);
     try {
-      await sendConnectionRequest(userId, "ignored");
-      // Remove user from feed after ignoring
-      setFeedUsers((prev) => prev.filter((user) => user._id !== userId));
+      await sendConnectionRequest(user._id, status);
     } catch (err) {
-      const errorMessage =
+      // The filters changed meanwhile - the user belongs to the old feed, there is nothing to put back
+      if (version !== feedVersionRef.current) {
+        return;
+      }
+      // Rolling back - the user comes back on top so the swipe can be tried again
+      const retryable =
+        err.response?.data?.code !== "REQUEST_EXISTS" &&
+        err.response?.status !== 404;
+      if (retryable) {
+        setFeedUsers((prev) => [user, ...prev.filter((u) => u._id !== user._id)]);
+      }
+      setActionError(
         err.response?.data?.message ||
-        "Failed to ignore user. Please try again.";
-      alert(errorMessage);
-    } finally {
-      setActionLoading(null);
+          (status === "interested"
+            ? `Failed to send a connection request to ${user.firstName}. Please try again.`
+            : `Failed to ignore ${user.firstName}. Please try again.`)
+      );
     }
   };
 
   /**
-   * Handle pagination - go to next page
+   * Handle a request sent with a note - remove the user from the deck
    */
-  const handleNextPage = () => {
-    if (hasNextPage) {
-      setPage((prev) => prev + 1);
-      window.scrollTo({ top: 0, behavior: "smooth" });
-    }
+  const handleNoteSent = () => {
+    const sentUserId = noteUser._id;
+    setNoteUser(null);
+    removeFromDeck(sentUserId);
   };
 
   /**
-   * Handle pagination - go to previous page
+   * Handle blocking a user - they disappear from the deck for good
+   * @param {Object} user - User to block
    */
-  const handlePrevPage = () => {
-    if (page > 1) {
-      setPage((prev) => prev - 1);
-      window.scrollTo({ top: 0, behavior: "smooth" });
+  const handleBlock = async (user) => {
+    if (
+      !window.confirm(
+        `Block ${user.firstName}? You won't see each other anywhere on DevTinder.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await blockUser(user._id);
+      removeFromDeck(user._id);
+    } catch (err) {
+      alert(
+        err.response?.data?.message || "Failed to block user. Please try again."
+      );
     }
   };
 
-  // Show loading state
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <span className="loading loading-spinner loading-lg"></span>
-      </div>
-    );
-  }
-
-  // Show error state
-  if (error && feedUsers.length === 0) {
-    return (
-      <div className="min-h-screen flex items-center justify-center px-4">
-        <div className="alert alert-warning max-w-md">
-          <svg
-            xmlns="http://www.w3.org/2000/svg"
-            className="stroke-current shrink-0 h-6 w-6"
-            fill="none"
-            viewBox="0 0 24 24"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth="2"
-              d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"
-            />
-          </svg>
-          <span>{error}</span>
-        </div>
-      </div>
-    );
-  }
+  /**
+   * Handle a sent report - remove the user from the deck if they were blocked too
+   * @param {Object} response - Report API response
+   */
+  const handleReported = (response) => {
+    const reportedUserId = reportingUser._id;
+    setReportingUser(null);
+    if (response.blocked) {
+      removeFromDeck(reportedUserId);
+    }
+    alert(response.message || "Report sent.");
+  };
 
   return (
     <div className="min-h-screen bg-base-100 py-8 px-4">
@@ -152,25 +300,103 @@ export default function Feed() {
         {/* Header */}
         <h1 className="text-3xl font-bold mb-6">Discover Developers</h1>
 
-        {/* Feed Users List */}
-        {feedUsers.length > 0 ? (
-          <div className="space-y-6">
-            {feedUsers.map((user) => (
-              <UserCard
-                key={user._id}
-                user={user}
-                onInterested={() => handleInterested(user._id)}
-                onIgnore={() => handleIgnore(user._id)}
-                interestedLoading={
-                  actionLoading?.userId === user._id &&
-                  actionLoading?.type === "interested"
-                }
-                ignoreLoading={
-                  actionLoading?.userId === user._id &&
-                  actionLoading?.type === "ignored"
-                }
+        {/* Filter Panel - stays visible while loading so filters can be changed */}
+        <FeedFilters
+          filters={filters}
+          onApply={handleApplyFilters}
+          disabled={loading}
+        />
+
+        {/* Discovery Preferences Notice - only when no filters are set */}
+        {!loading && !filtersActive && (usingPreferences || showEveryone) && (
+          <div className="flex flex-wrap items-center gap-2 mb-6 text-sm text-base-content/70">
+            {usingPreferences ? (
+              <>
+                <span>Showing people who match your discovery preferences.</span>
+                <Link to="/profile/discovery" className="link">
+                  Edit preferences
+                </Link>
+                <button
+                  type="button"
+                  className="link"
+                  onClick={() => handleTogglePreferences(true)}
+                >
+                  Show everyone
+                </button>
+              </>
+            ) : (
+              <>
+                <span>Showing everyone.</span>
+                <button
+                  type="button"
+                  className="link"
+                  onClick={() => handleTogglePreferences(false)}
+                >
+                  Use my discovery preferences
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Undone Swipe Error */}
+        {actionError && (
+          <div role="alert" className="alert alert-error mb-6">
+            <span>{actionError}</span>
+            <button
+              type="button"
+              className="btn btn-ghost btn-sm"
+              onClick={() => setActionError("")}
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* Swipe Deck */}
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        ) : error ? (
+          <div className="alert alert-warning">
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="stroke-current shrink-0 h-6 w-6"
+              fill="none"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth="2"
+                d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"
               />
-            ))}
+            </svg>
+            <span>{error}</span>
+          </div>
+        ) : feedUsers.length > 0 ? (
+          <SwipeDeck
+            users={feedUsers}
+            onSwipe={handleSwipe}
+            onConnectWithNote={setNoteUser}
+            onBlock={handleBlock}
+            onReport={setReportingUser}
+            keyboardDisabled={Boolean(noteUser || reportingUser)}
+          />
+        ) : loadingMore ? (
+          <div className="flex justify-center py-16">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        ) : nextCursor ? (
+          // Loading the next batch failed - the error is shown above, this tries again
+          <div className="flex justify-center py-16">
+            <button
+              className="btn btn-outline"
+              onClick={() => loadNextBatch(nextCursor)}
+            >
+              Load more
+            </button>
           </div>
         ) : (
           <div className="alert alert-info">
@@ -187,31 +413,32 @@ export default function Feed() {
                 d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
               ></path>
             </svg>
-            <span>No more users in feed. Check back later!</span>
+            <span>
+              {filtersActive
+                  ? "No users match your filters. Try removing some of them."
+                  : usingPreferences
+                    ? "No users match your discovery preferences right now."
+                    : "No more users in feed. Check back later!"}
+            </span>
           </div>
         )}
 
-        {/* Pagination Controls */}
-        {feedUsers.length > 0 && (
-          <div className="flex justify-center items-center gap-4 mt-8">
-            <button
-              className="btn btn-outline"
-              onClick={handlePrevPage}
-              disabled={page === 1 || loading}
-            >
-              Previous
-            </button>
-            <span className="text-base-content/70">
-              Page {page} of {totalPages}
-            </span>
-            <button
-              className="btn btn-outline"
-              onClick={handleNextPage}
-              disabled={!hasNextPage || loading}
-            >
-              Next
-            </button>
-          </div>
+        {/* Report Modal */}
+        {reportingUser && (
+          <ReportModal
+            user={reportingUser}
+            onClose={() => setReportingUser(null)}
+            onReported={handleReported}
+          />
+        )}
+
+        {/* Connect With a Note Modal */}
+        {noteUser && (
+          <ConnectNoteModal
+            user={noteUser}
+            onClose={() => setNoteUser(null)}
+            onSent={handleNoteSent}
+          />
         )}
       </div>
     </div>
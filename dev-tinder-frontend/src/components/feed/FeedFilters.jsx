@@ -0,0 +1,207 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { countActiveFilters } from "../../utils/feedFilters";
+
+// Genders users can pick - must match the allowed genders in the backend
+const GENDER_OPTIONS = [
+  { value: "male", label: "Male" },
+  { value: "female", label: "Female" },
+  { value: "other", label: "Other" },
+];
+
+/**
+ * FeedFilters component - collapsible panel to filter the discovery feed
+ * Edits a draft copy of the filters, the feed only changes when "Apply" is clicked
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Applied filters ({ skills, anySkills, ageMin, ageMax, gender, q } as strings)
+ * @param {Function} props.onApply - Called with the new filters when they are applied or cleared
+ * @param {boolean} props.disabled - Disables the buttons while the feed is loading
+ */
+export default function FeedFilters({ filters, onApply, disabled }) {
+  // Panel starts open when the URL already has filters, so users see why the feed is filtered
+  const [open, setOpen] = useState(() => countActiveFilters(filters) > 0);
+  const [draft, setDraft] = useState(filters);
+
+  // Keep the draft in sync when the applied filters change (back/forward buttons, clearing)
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  const activeCount = countActiveFilters(filters);
+  const selectedGenders = draft.gender ? draft.gender.split(",") : [];
+
+  /**
+   * Handle input changes in the form
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Handle toggling a gender checkbox - genders are stored comma separated like in the URL
+   * @param {string} gender - Gender that was clicked
+   */
+  const handleGenderToggle = (gender) => {
+    const genders = selectedGenders.includes(gender)
+      ? selectedGenders.filter((g) => g !== gender)
+      : [...selectedGenders, gender];
+    setDraft((prev) => ({ ...prev, gender: genders.join(",") }));
+  };
+
+  /**
+   * Handle form submission - apply the draft filters
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  /**
+   * Handle clearing all filters
+   */
+  const handleClear = () => {
+    const cleared = Object.fromEntries(Object.keys(draft).map((key) => [key, ""]));
+    setDraft(cleared);
+    onApply(cleared);
+  };
+
+  return (
+    <div
+      className={`collapse collapse-arrow bg-base-200 mb-6 ${
+        open ? "collapse-open" : "collapse-close"
+      }`}
+    >
+      <button
+        type="button"
+        className="collapse-title font-semibold text-left flex items-center gap-2"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-expanded={open}
+      >
+        Filters
+        {activeCount > 0 && (
+          <span className="badge badge-primary badge-sm">{activeCount}</span>
+        )}
+      </button>
+
+      <div className="collapse-content">
+        <form onSubmit={handleSubmit} className="grid gap-4 md:grid-cols-2">
+          {/* Skills - must have all */}
+          <div>
+            <label className="label">
+              <span className="label-text">Has all of these skills</span>
+            </label>
+            <input
+              type="text"
+              name="skills"
+              className="input input-bordered w-full"
+              placeholder="e.g. Rust, Go"
+              value={draft.skills}
+              onChange={handleChange}
+            />
+          </div>
+
+          {/* Skills - any of */}
+          <div>
+            <label className="label">
+              <span className="label-text">Has at least one of these skills</span>
+            </label>
+            <input
+              type="text"
+              name="anySkills"
+              className="input input-bordered w-full"
+              placeholder="e.g. React, Vue, Svelte"
+              value={draft.anySkills}
+              onChange={handleChange}
+            />
+          </div>
+
+          {/* Age Range */}
+          <div>
+            <label className="label">
+              <span className="label-text">Age</span>
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                name="ageMin"
+                className="input input-bordered w-full"
+                placeholder="Min"
+                min={18}
+                max={100}
+                value={draft.ageMin}
+                onChange={handleChange}
+              />
+              <span>-</span>
+              <input
+                type="number"
+                name="ageMax"
+                className="input input-bordered w-full"
+                placeholder="Max"
+                min={draft.ageMin || 18}
+                max={100}
+                value={draft.ageMax}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+
+          {/* Gender */}
+          <div>
+            <label className="label">
+              <span className="label-text">Gender</span>
+            </label>
+            <div className="flex flex-wrap gap-4 py-2">
+              {GENDER_OPTIONS.map((option) => (
+                <label
+                  key={option.value}
+                  className="label cursor-pointer gap-2"
+                >
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-sm"
+                    checked={selectedGenders.includes(option.value)}
+                    onChange={() => handleGenderToggle(option.value)}
+                  />
+                  <span className="label-text">{option.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Text Search */}
+          <div className="md:col-span-2">
+            <label className="label">
+              <span className="label-text">About mentions</span>
+            </label>
+            <input
+              type="search"
+              name="q"
+              className="input input-bordered w-full"
+              placeholder="e.g. open source"
+              maxLength={100}
+              value={draft.q}
+              onChange={handleChange}
+            />
+          </div>
+
+          <div className="md:col-span-2 flex justify-end gap-2">
+            <button
+              type="button"
+              className="btn btn-ghost"
+              onClick={handleClear}
+              disabled={disabled || activeCount === 0}
+            >
+              Clear
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={disabled}>
+              Apply Filters
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+// Importing required modules
+import React, { useState, useEffect, useRef } from "react";
+import UserCard from "./UserCard";
+
+// How far (in px) a card has to be dragged before letting go swipes it away
+const SWIPE_THRESHOLD = 120;
+// How long the exit animation runs - the swipe is reported when it's done
+const EXIT_DURATION_MS = 300;
+// How many cards are visible in the stack (the top one plus the ones peeking out behind it)
+const VISIBLE_CARDS = 3;
+
+/**
+ * Check if an event started on something that handles clicks itself (buttons, links, menus, form fields)
+ * Dragging from there would swallow the click
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} true if the card shouldn't start dragging
+ */
+const isInteractive = (target) =>
+  Boolean(target.closest("button, a, input, textarea, select, .dropdown"));
+
+/**
+ * SwipeDeck component - a stack of user cards, only the top one can be swiped
+ * Drag the card (mouse or touch), use the arrow keys or the card buttons:
+ * left = ignore, right = interested. The card flies out before onSwipe is called.
+ * @param {Object} props - Component props
+ * @param {Array} props.users - Users in the deck, the first one is on top
+ * @param {Function} props.onSwipe - Called with (user, "left" | "right") after the exit animation
+ * @param {Function} props.onConnectWithNote - Called with the top user when "Connect with a note" is clicked
+ * @param {Function} props.onBlock - Called with the top user when block is chosen in the menu
+ * @param {Function} props.onReport - Called with the top user when report is chosen in the menu
+ * @param {boolean} props.keyboardDisabled - Turns the arrow keys off (e.g. while a modal is open)
+ */
+export default function SwipeDeck({
+  users,
+  onSwipe,
+  onConnectWithNote,
+  onBlock,
+  onReport,
+  keyboardDisabled,
+}) {
+  // Drag state of the top card - offset from where the drag started
+  const [drag, setDrag] = useState({ x: 0, y: 0, active: false });
+  // Direction the top card is flying out to, null while it's in the stack
+  const [exiting, setExiting] = useState(null);
+
+  // Where the pointer went down, and the running exit timer
+  const dragStartRef = useRef(null);
+  const exitTimerRef = useRef(null);
+
+  const topUser = users[0];
+
+  /**
+   * Swipe the top card away - animates it out, then reports the swipe
+   * @param {string} direction - "left" (ignore) or "right" (interested)
+   */
+  const swipe = (direction) => {
+    if (!topUser || exiting) {
+      return;
+    }
+    const reduceMotion = window.matchMedia(
+      "(prefers-reduced-motion: reduce)"
+    ).matches;
+
+    setExiting(direction);
+    exitTimerRef.current = setTimeout(
+      () => {
+        exitTimerRef.current = null;
+        setExiting(null);
+        setDrag({ x: 0, y: 0, active: false });
+        onSwipe(topUser, direction);
+      },
+      reduceMotion ? 0 : EXIT_DURATION_MS
+    );
+  };
+
+  // Stop a running exit animation when the deck goes away, so onSwipe isn't called afterwards
+  useEffect(() => {
+    return () => clearTimeout(exitTimerRef.current);
+  }, []);
+
+  // Keeping the newest key handler in a ref so the window listener is only added once
+  const keyHandlerRef = useRef(null);
+  useEffect(() => {
+    keyHandlerRef.current = (e) => {
+      if (keyboardDisabled || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) {
+        return;
+      }
+      // Arrow keys keep working normally in the filter inputs
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) {
+        return;
+      }
+      if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+        e.preventDefault();
+        swipe(e.key === "ArrowLeft" ? "left" : "right");
+      }
+    };
+  });
+
+  /**
+   * Listen to the arrow keys while the deck is shown
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => keyHandlerRef.current?.(e);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  /**
+   * Start dragging the top card
+   * @param {PointerEvent} e - Pointer down event
+   */
+  const handlePointerDown = (e) => {
+    if (exiting || (e.pointerType === "mouse" && e.button !== 0) || isInteractive(e.target)) {
+      return;
+    }
+    dragStartRef.current = { x: e.clientX, y: e.clientY };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ x: 0, y: 0, active: true });
+  };
+
+  /**
+   * Move the card with the pointer
+   * @param {PointerEvent} e - Pointer move event
+   */
+  const handlePointerMove = (e) => {
+    if (!dragStartRef.current) {
+      return;
+    }
+    setDrag({
+      x: e.clientX - dragStartRef.current.x,
+      y: e.clientY - dragStartRef.current.y,
+      active: true,
+    });
+  };
+
+  /**
+   * Let go of the card - swipe it away when it was dragged far enough, otherwise it snaps back
+   */
+  const handlePointerUp = () => {
+    if (!dragStartRef.current) {
+      return;
+    }
+    dragStartRef.current = null;
+    if (Math.abs(drag.x) >= SWIPE_THRESHOLD) {
+      setDrag((prev) => ({ ...prev, active: false }));
+      swipe(drag.x > 0 ? "right" : "left");
+    } else {
+      setDrag({ x: 0, y: 0, active: false });
+    }
+  };
+
+  /**
+   * Work out where the top card is drawn - following the pointer, flying out, or resting
+   * @returns {Object} Inline style for the top card
+   */
+  const getTopCardStyle = () => {
+    if (exiting) {
+      const direction = exiting === "right" ? 1 : -1;
+      return {
+        transform: `translate(${direction * 150}%, ${drag.y}px) rotate(${direction * 30}deg)`,
+        opacity: 0,
+        transition: `transform ${EXIT_DURATION_MS}ms ease-in, opacity ${EXIT_DURATION_MS}ms ease-in`,
+      };
+    }
+    return {
+      transform: `translate(${drag.x}px, ${drag.y * 0.2}px) rotate(${drag.x / 20}deg)`,
+      // No transition while dragging, so the card sticks to the pointer
+      transition: drag.active ? "none" : "transform 200ms ease-out",
+    };
+  };
+
+  // How sure the swipe looks - fades in the "Interested"/"Ignore" stamp while dragging
+  const swipeStrength = Math.min(Math.abs(drag.x) / SWIPE_THRESHOLD, 1);
+
+  return (
+    <div>
+      {/* Card Stack - all cards share one grid cell, so the stack is as tall as the tallest card */}
+      <div className="grid">
+        {users
+          .slice(0, VISIBLE_CARDS)
+          .map((user, index) => {
+            const isTop = index === 0;
+            return (
+              <div
+                key={user._id}
+                className={`col-start-1 row-start-1 ${
+                  isTop ? "touch-pan-y cursor-grab select-none" : "pointer-events-none"
+                } ${isTop && drag.active ? "cursor-grabbing" : ""}`}
+                style={
+                  isTop
+                    ? { ...getTopCardStyle(), zIndex: VISIBLE_CARDS }
+                    : {
+                        // Cards behind the top one peek out below it, smaller the further back they are
+                        transform: `translateY(${index * 12}px) scale(${1 - index * 0.04})`,
+                        transition: "transform 200ms ease-out",
+                        zIndex: VISIBLE_CARDS - index,
+                      }
+                }
+                // Cards behind the top one can't be clicked or tabbed to
+                inert={!isTop}
+                onPointerDown={isTop ? handlePointerDown : undefined}
+                onPointerMove={isTop ? handlePointerMove : undefined}
+                onPointerUp={isTop ? handlePointerUp : undefined}
+                onPointerCancel={isTop ? handlePointerUp : undefined}
+              >
+                <div className="relative">
+                  {/* Swipe Stamps */}
+                  {isTop && drag.x !== 0 && (
+                    <div
+                      className={`absolute top-6 z-10 badge badge-lg border-2 font-bold uppercase ${
+                        drag.x > 0
+                          ? "left-6 badge-success -rotate-12"
+                          : "right-6 badge-error rotate-12"
+                      }`}
+                      style={{ opacity: swipeStrength }}
+                    >
+                      {drag.x > 0 ? "Interested" : "Ignore"}
+                    </div>
+                  )}
+                  <UserCard
+                    user={user}
+                    onInterested={() => swipe("right")}
+                    onConnectWithNote={() => onConnectWithNote(user)}
+                    onIgnore={() => swipe("left")}
+                    onBlock={() => onBlock(user)}
+                    onReport={() => onReport(user)}
+                  />
+                </div>
+              </div>
+            );
+          })}
+      </div>
+
+      {/* Keyboard Hint */}
+      <p className="text-center text-sm text-base-content/60 mt-8">
+        Drag the card or use <kbd className="kbd kbd-sm">←</kbd> to ignore and{" "}
+        <kbd className="kbd kbd-sm">→</kbd> for interested
+      </p>
+    </div>
+  );
+}
@@ -1,19 +1,28 @@
 // Importing required modules
 import React from "react";
+import UserActionsMenu from "../common/UserActionsMenu";
+import PresenceDot from "../common/PresenceDot";
+import { getPresenceLabel } from "../../utils/presence";
 
 /**
  * UserCard component to display a user card in the feed
- * Shows user information and action buttons (Interested/Ignore)
+ * Shows user information, how well they match and action buttons (Interested/Ignore)
  * @param {Object} props - Component props
- * @param {Object} props.user - User object containing user data
+ * @param {Object} props.user - User object containing user data and match ({ score, reasons })
  * @param {Function} props.onInterested - Callback function when interested button is clicked
+ * @param {Function} props.onConnectWithNote - Callback function when "Connect with a note" is clicked
  * @param {Function} props.onIgnore - Callback function when ignore button is clicked
+ * @param {Function} props.onBlock - Callback function when block is chosen in the menu
+ * @param {Function} props.onReport - Callback function when report is chosen in the menu
  * @param {boolean} props.loading - Loading state for buttons
  */
 export default function UserCard({
   user,
   onInterested,
+  onConnectWithNote,
   onIgnore,
+  onBlock,
+  onReport,
   interestedLoading,
   ignoreLoading,
 }) {
@@ -22,7 +31,8 @@ export default function UserCard({
       <div className="card-body">
         {/* User Photo and Basic Info */}
         <div className="flex flex-col md:flex-row gap-4 mb-4">
-          <div className="avatar">
+          <div className="avatar relative self-start">
+            <PresenceDot presence={user?.presence} />
             <div className="w-24 rounded-full ring ring-primary ring-offset-base-100 ring-offset-2">
               <img
                 src={
@@ -34,9 +44,34 @@ export default function UserCard({
             </div>
           </div>
           <div className="flex-1">
-            <h2 className="card-title">
-              {user?.firstName} {user?.lastName}
-            </h2>
+            <div className="flex justify-between items-start gap-2">
+              <h2 className="card-title">
+                {user?.firstName} {user?.lastName}
+              </h2>
+              <UserActionsMenu
+                onBlock={onBlock}
+                onReport={onReport}
+                disabled={interestedLoading || ignoreLoading}
+              />
+            </div>
+            {getPresenceLabel(user?.presence) && (
+              <p className="text-sm text-base-content/60">
+                {getPresenceLabel(user.presence)}
+              </p>
+            )}
+            {user?.match && (
+              <div
+                className={`badge mt-1 ${
+                  user.match.score >= 70
+                    ? "badge-success"
+                    : user.match.score >= 40
+                      ? "badge-warning"
+                      : "badge-ghost"
+                }`}
+              >
+                {user.match.score}% match
+              </div>
+            )}
             {user?.age && <p className="text-base-content/70">Age: {user.age}</p>}
             {user?.gender && (
               <p className="text-base-content/70 capitalize">
@@ -46,6 +81,18 @@ export default function UserCard({
           </div>
         </div>
 
+        {/* Why You Matched */}
+        {user?.match?.reasons?.length > 0 && (
+          <div className="mb-4">
+            <h3 className="text-lg font-semibold mb-2">Why you matched</h3>
+            <ul className="list-disc list-inside text-base-content/80">
+              {user.match.reasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* About Section */}
         {user?.about && (
           <div className="mb-4">
@@ -84,6 +131,13 @@ export default function UserCard({
               "Ignore"
             )}
           </button>
+          <button
+            className="btn btn-outline btn-primary"
+            onClick={onConnectWithNote}
+            disabled={interestedLoading || ignoreLoading}
+          >
+            Connect with a note
+          </button>
           <button
             className="btn btn-primary"
             onClick={onInterested}
@@ -0,0 +1,138 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { getBlockedUsers, unblockUser } from "../../utils/api";
+import { formatTimeAgo } from "../../utils/time";
+
+/**
+ * BlockedUsers component to list the users the logged in user blocked
+ * Allows unblocking them again
+ */
+export default function BlockedUsers() {
+  // Navigation hook for programmatic routing
+  const navigate = useNavigate();
+
+  // State management for blocked users data
+  const [blockedUsers, setBlockedUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [actionLoading, setActionLoading] = useState(null); // Track which unblock is in progress
+
+  /**
+   * Fetch blocked users on component mount
+   */
+  useEffect(() => {
+    const fetchBlockedUsers = async () => {
+      try {
+        const response = await getBlockedUsers();
+        setBlockedUsers(response.blockedUsers || []);
+      } catch (err) {
+        setError(
+          err.response?.data?.message ||
+            "Failed to load blocked users. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBlockedUsers();
+  }, []);
+
+  /**
+   * Handle unblocking a user
+   * @param {Object} user - User to unblock
+   */
+  const handleUnblock = async (user) => {
+    setActionLoading(user._id);
+    try {
+      await unblockUser(user._id);
+      // Remove the user from the list
+      setBlockedUsers((prev) => prev.filter((entry) => entry.user._id !== user._id));
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to unblock user. Please try again."
+      );
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg"></span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-base-100 py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Blocked Users</h1>
+          <button className="btn btn-ghost" onClick={() => navigate("/profile")}>
+            Back
+          </button>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mb-4">
+            <span>{error}</span>
+          </div>
+        )}
+
+        {blockedUsers.length === 0 ? (
+          <div className="alert alert-info">
+            <span>You haven't blocked anyone.</span>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {blockedUsers.map(({ user, blockedAt }) => (
+              <div key={user._id} className="card bg-base-200 shadow">
+                <div className="card-body p-4 flex-row items-center justify-between gap-4">
+                  <div className="flex items-center gap-4 min-w-0">
+                    <div className="avatar">
+                      <div className="w-12 rounded-full">
+                        <img
+                          src={
+                            user.photoUrl ||
+                            "https://www.pngall.com/wp-content/uploads/5/Profile-PNG-File.png"
+                          }
+                          alt={`${user.firstName} ${user.lastName}`}
+                        />
+                      </div>
+                    </div>
+                    <div className="min-w-0">
+                      <h2 className="font-semibold">
+                        {user.firstName} {user.lastName}
+                      </h2>
+                      <p className="text-sm text-base-content/70">
+                        Blocked {formatTimeAgo(blockedAt)}
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    className="btn btn-outline btn-sm"
+                    onClick={() => handleUnblock(user)}
+                    disabled={actionLoading !== null}
+                  >
+                    {actionLoading === user._id ? (
+                      <span className="loading loading-spinner loading-sm"></span>
+                    ) : (
+                      "Unblock"
+                    )}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import {
+  getDiscoveryPreferences,
+  updateDiscoveryPreferences,
+} from "../../utils/api";
+
+// Genders users can pick - must match the allowed genders in the backend
+const GENDER_OPTIONS = [
+  { value: "male", label: "Male" },
+  { value: "female", label: "Female" },
+  { value: "other", label: "Other" },
+];
+
+// Experience levels - values must match EXPERIENCE_LEVELS in the backend User model
+const EXPERIENCE_LEVELS = [
+  { value: "junior", label: "Junior" },
+  { value: "mid", label: "Mid-level" },
+  { value: "senior", label: "Senior" },
+  { value: "lead", label: "Lead" },
+];
+
+/**
+ * Turn saved preferences into form values - numbers and lists become text for the inputs
+ * @param {Object} preferences - Preferences from the API
+ * @returns {Object} Form values
+ */
+const toFormData = (preferences) => ({
+  skills: preferences.skills.join(", "),
+  ageMin: preferences.ageMin ?? "",
+  ageMax: preferences.ageMax ?? "",
+  genders: preferences.genders,
+  maxDistanceKm: preferences.maxDistanceKm ?? "",
+  experienceLevel: preferences.experienceLevel ?? "",
+});
+
+/**
+ * Turn form values back into the API format - empty inputs clear the preference (null)
+ * @param {Object} formData - Form values
+ * @returns {Object} Preferences for the API
+ */
+const toPreferences = (formData) => {
+  const toNumber = (value) => (value === "" ? null : Number(value));
+  return {
+    skills: formData.skills
+      .split(",")
+      .map((skill) => skill.trim())
+      .filter(Boolean),
+    ageMin: toNumber(formData.ageMin),
+    ageMax: toNumber(formData.ageMax),
+    genders: formData.genders,
+    maxDistanceKm: toNumber(formData.maxDistanceKm),
+    experienceLevel: formData.experienceLevel || null,
+  };
+};
+
+/**
+ * DiscoveryPreferences component to save what the user is looking for
+ * The feed applies these preferences whenever it's opened without filters
+ */
+export default function DiscoveryPreferences() {
+  // Navigation hook for programmatic routing
+  const navigate = useNavigate();
+
+  // Form state
+  const [formData, setFormData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  /**
+   * Fetch the saved preferences on component mount
+   */
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await getDiscoveryPreferences();
+        setFormData(toFormData(response.preferences));
+      } catch (err) {
+        setError(
+          err.response?.data?.message ||
+            "Failed to load discovery preferences. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreferences();
+  }, []);
+
+  /**
+   * Handle input changes in the form
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setSuccess("");
+  };
+
+  /**
+   * Handle toggling a gender checkbox
+   * @param {string} gender - Gender that was clicked
+   */
+  const handleGenderToggle = (gender) => {
+    setFormData((prev) => ({
+      ...prev,
+      genders: prev.genders.includes(gender)
+        ? prev.genders.filter((g) => g !== gender)
+        : [...prev.genders, gender],
+    }));
+    setSuccess("");
+  };
+
+  /**
+   * Handle form submission - saves every preference at once
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSuccess("");
+    setSaving(true);
+    try {
+      const response = await updateDiscoveryPreferences(toPreferences(formData));
+      setFormData(toFormData(response.preferences));
+      setSuccess("Discovery preferences saved.");
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to save discovery preferences. Please try again."
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg"></span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-base-100 py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Discovery Preferences</h1>
+          <button className="btn btn-ghost" onClick={() => navigate("/profile")}>
+            Back
+          </button>
+        </div>
+
+        <p className="text-base-content/70 mb-6">
+          Your <Link to="/feed" className="link">feed</Link> uses these
+          preferences whenever you don't set filters yourself. Leave a field
+          empty to not filter on it.
+        </p>
+
+        {/* Error and Success Messages */}
+        {error && (
+          <div className="alert alert-error mb-4">
+            <span>{error}</span>
+          </div>
+        )}
+        {success && (
+          <div className="alert alert-success mb-4">
+            <span>{success}</span>
+          </div>
+        )}
+
+        {formData && (
+          <form onSubmit={handleSubmit} className="card bg-base-200 shadow">
+            <div className="card-body space-y-2">
+              {/* Preferred Skills */}
+              <div>
+                <label className="label">
+                  <span className="label-text">Preferred skills</span>
+                </label>
+                <input
+                  type="text"
+                  name="skills"
+                  className="input input-bordered w-full"
+                  placeholder="e.g. Rust, Go, Kubernetes"
+                  value={formData.skills}
+                  onChange={handleChange}
+                />
+                <p className="text-xs text-base-content/60 mt-1">
+                  Comma separated, up to 10. People with at least one of them
+                  are shown.
+                </p>
+              </div>
+
+              {/* Age Range */}
+              <div>
+                <label className="label">
+                  <span className="label-text">Age range</span>
+                </label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    name="ageMin"
+                    className="input input-bordered w-full"
+                    placeholder="Min"
+                    min={18}
+                    max={100}
+                    value={formData.ageMin}
+                    onChange={handleChange}
+                  />
+                  <span>-</span>
+                  <input
+                    type="number"
+                    name="ageMax"
+                    className="input input-bordered w-full"
+                    placeholder="Max"
+                    min={formData.ageMin || 18}
+                    max={100}
+                    value={formData.ageMax}
+                    onChange={handleChange}
+                  />
+                </div>
+              </div>
+
+              {/* Genders */}
+              <div>
+                <label className="label">
+                  <span className="label-text">Genders</span>
+                </label>
+                <div className="flex flex-wrap gap-4 py-2">
+                  {GENDER_OPTIONS.map((option) => (
+                    <label
+                      key={option.value}
+                      className="label cursor-pointer gap-2"
+                    >
+                      <input
+                        type="checkbox"
+                        className="checkbox checkbox-sm"
+                        checked={formData.genders.includes(option.value)}
+                        onChange={() => handleGenderToggle(option.value)}
+                      />
+                      <span className="label-text">{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Experience Level */}
+              <div>
+                <label className="label">
+                  <span className="label-text">Experience level</span>
+                </label>
+                <select
+                  name="experienceLevel"
+                  className="select select-bordered w-full"
+                  value={formData.experienceLevel}
+                  onChange={handleChange}
+                >
+                  <option value="">Any</option>
+                  {EXPERIENCE_LEVELS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Maximum Distance */}
+              <div>
+                <label className="label">
+                  <span className="label-text">Maximum distance (km)</span>
+                </label>
+                <input
+                  type="number"
+                  name="maxDistanceKm"
+                  className="input input-bordered w-full"
+                  placeholder="Any distance"
+                  min={1}
+                  max={20000}
+                  value={formData.maxDistanceKm}
+                  onChange={handleChange}
+                />
+              </div>
+
+              <p className="text-xs text-base-content/60">
+                Experience level and distance are saved for later - profiles
+                don't show them yet, so the feed doesn't filter on them.
+              </p>
+
+              <div className="card-actions justify-end">
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <>
+                      <span className="loading loading-spinner loading-sm"></span>
+                      Saving...
+                    </>
+                  ) : (
+                    "Save Preferences"
+                  )}
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { getEmailPreferences, updateEmailPreferences } from "../../utils/api";
+
+// Events users can get emails about - keys must match EMAIL_PREFERENCE_KEYS in the backend User model
+const EMAIL_EVENTS = [
+  {
+    key: "connectionRequests",
+    label: "Connection requests",
+    description: "Someone is interested in connecting with you",
+  },
+  {
+    key: "newConnections",
+    label: "New connections",
+    description: "Someone accepted your connection request",
+  },
+];
+
+// How often - values must match EMAIL_FREQUENCIES in the backend User model
+const EMAIL_FREQUENCIES = [
+  { value: "instant", label: "Instantly" },
+  { value: "daily", label: "Daily digest" },
+  { value: "weekly", label: "Weekly digest" },
+  { value: "off", label: "Off" },
+];
+
+/**
+ * EmailPreferences component to choose how often the user gets notification emails
+ * Every event can be emailed instantly, summarised in a daily or weekly digest, or switched off
+ */
+export default function EmailPreferences() {
+  // Navigation hook for programmatic routing
+  const navigate = useNavigate();
+
+  // State management for the settings
+  const [preferences, setPreferences] = useState(null);
+  const [emailVerified, setEmailVerified] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null); // Key of the setting being saved
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  /**
+   * Fetch the current settings on component mount
+   */
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await getEmailPreferences();
+        setPreferences(response.emailPreferences);
+        setEmailVerified(response.emailVerified);
+      } catch (err) {
+        setError(
+          err.response?.data?.message ||
+            "Failed to load email settings. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreferences();
+  }, []);
+
+  /**
+   * Save one setting as soon as it changes
+   * @param {string} key - Event key, e.g. "connectionRequests"
+   * @param {string} frequency - instant, daily, weekly or off
+   */
+  const handleChange = async (key, frequency) => {
+    setError("");
+    setSuccess("");
+    setSaving(key);
+    try {
+      const response = await updateEmailPreferences({ [key]: frequency });
+      setPreferences(response.emailPreferences);
+      setSuccess("Email settings saved.");
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to save email settings. Please try again."
+      );
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg"></span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-base-100 py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Email Notifications</h1>
+          <button className="btn btn-ghost" onClick={() => navigate("/profile")}>
+            Back
+          </button>
+        </div>
+
+        {/* Unverified Email Warning */}
+        {!emailVerified && (
+          <div className="alert alert-warning mb-4">
+            <span>
+              We only send notification emails to verified addresses. Verify
+              your email to receive them.
+            </span>
+          </div>
+        )}
+
+        {/* Error and Success Messages */}
+        {error && (
+          <div className="alert alert-error mb-4">
+            <span>{error}</span>
+          </div>
+        )}
+        {success && (
+          <div className="alert alert-success mb-4">
+            <span>{success}</span>
+          </div>
+        )}
+
+        {preferences && (
+          <div className="space-y-4">
+            {EMAIL_EVENTS.map((event) => (
+              <div key={event.key} className="card bg-base-200 shadow">
+                <div className="card-body p-4 sm:flex-row sm:items-center sm:justify-between gap-4">
+                  <div>
+                    <h2 className="font-semibold">{event.label}</h2>
+                    <p className="text-sm text-base-content/70">
+                      {event.description}
+                    </p>
+                  </div>
+                  <select
+                    className="select select-bordered w-full sm:w-44"
+                    value={preferences[event.key]}
+                    onChange={(e) => handleChange(event.key, e.target.value)}
+                    disabled={saving !== null}
+                  >
+                    {EMAIL_FREQUENCIES.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <p className="text-sm text-base-content/70 mt-6">
+          Emails are off until you turn them on. Digests are only sent when
+          something happened. Every email has a link to unsubscribe in one
+          click.
+        </p>
+      </div>
+    </div>
+  );
+}
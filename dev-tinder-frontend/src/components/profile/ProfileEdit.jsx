@@ -20,6 +20,7 @@ export default function ProfileEdit() {
     photoUrl: "",
     about: "",
     skills: "",
+    showPresence: true,
   });
 
   // UI state management
@@ -45,6 +46,7 @@ export default function ProfileEdit() {
             photoUrl: user.photoUrl || "",
             about: user.about || "",
             skills: user.skills ? user.skills.join(", ") : "",
+            showPresence: user.showPresence !== false,
           });
         }
       } catch (err) {
@@ -66,10 +68,11 @@ export default function ProfileEdit() {
    * @param {Event} e - Input change event
    */
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData((prev) => ({
       ...prev,
-      [name]: value,
+      // checkboxes store true/false instead of text
+      [name]: type === "checkbox" ? checked : value,
     }));
     // Clear error message when user starts typing
     setError("");
@@ -101,6 +104,7 @@ export default function ProfileEdit() {
         photoUrl: formData.photoUrl || undefined,
         about: formData.about || undefined,
         skills: skillsArray.length > 0 ? skillsArray : undefined,
+        showPresence: formData.showPresence,
       };
 
       // Call update profile API
@@ -270,6 +274,22 @@ export default function ProfileEdit() {
                 </label>
               </div>
 
+              {/* Privacy - show online / last active */}
+              <div>
+                <label className="label cursor-pointer justify-start gap-3">
+                  <input
+                    type="checkbox"
+                    name="showPresence"
+                    className="toggle toggle-primary"
+                    checked={formData.showPresence}
+                    onChange={handleChange}
+                  />
+                  <span className="label-text">
+                    Show others when I'm online or was last active
+                  </span>
+                </label>
+              </div>
+
               {/* Submit Button */}
               <div className="flex gap-2 mt-6">
                 <button
@@ -159,14 +159,44 @@ export default function ProfileView() {
           </div>
         </div>
 
-        {/* Update Password Link */}
-        <div className="mt-4">
+        {/* Update Password, Sessions, Two-Factor, Blocked Users, Email Notifications and Discovery Preferences Links */}
+        <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2">
           <button
-            className="btn btn-outline btn-primary w-full"
+            className="btn btn-outline btn-primary flex-1"
             onClick={() => navigate("/profile/update-password")}
           >
             Update Password
           </button>
+          <button
+            className="btn btn-outline btn-primary flex-1"
+            onClick={() => navigate("/profile/sessions")}
+          >
+            Active Sessions
+          </button>
+          <button
+            className="btn btn-outline btn-primary flex-1"
+            onClick={() => navigate("/profile/two-factor")}
+          >
+            Two-Factor Authentication
+          </button>
+          <button
+            className="btn btn-outline btn-primary flex-1"
+            onClick={() => navigate("/profile/blocked")}
+          >
+            Blocked Users
+          </button>
+          <button
+            className="btn btn-outline btn-primary flex-1"
+            onClick={() => navigate("/profile/notifications")}
+          >
+            Email Notifications
+          </button>
+          <button
+            className="btn btn-outline btn-primary flex-1"
+            onClick={() => navigate("/profile/discovery")}
+          >
+            Discovery Preferences
+          </button>
         </div>
 
         {/* Delete Confirmation Modal */}
@@ -0,0 +1,192 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { getSessions, revokeSession, logoutAllSessions } from "../../utils/api";
+import { useAuth } from "../../context/AuthContext";
+import { formatTimeAgo } from "../../utils/time";
+
+/**
+ * Sessions component to manage the devices where the user is logged in
+ * Lists active sessions and allows logging out one device or all of them
+ */
+export default function Sessions() {
+  // Navigation hook for programmatic routing
+  const navigate = useNavigate();
+
+  // Auth context to log out locally when the current session is revoked
+  const { logout } = useAuth();
+
+  // State management for sessions data
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [actionLoading, setActionLoading] = useState(null); // Track which session action is in progress
+
+  /**
+   * Fetch active sessions on component mount
+   */
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await getSessions();
+        setSessions(response.sessions || []);
+      } catch (err) {
+        setError(
+          err.response?.data?.message ||
+            "Failed to load sessions. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  /**
+   * Handle revoking a single session
+   * @param {Object} session - Session to revoke
+   */
+  const handleRevoke = async (session) => {
+    if (
+      session.current &&
+      !window.confirm("This will log you out on this device. Continue?")
+    ) {
+      return;
+    }
+
+    setActionLoading(session._id);
+    try {
+      await revokeSession(session._id);
+      if (session.current) {
+        // Current session is gone - clear local auth state and go to login
+        await logout();
+        navigate("/login");
+        return;
+      }
+      // Remove the revoked session from the list
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to revoke session. Please try again."
+      );
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  /**
+   * Handle logging out from every device
+   */
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Log out from all devices, including this one?")) {
+      return;
+    }
+
+    setActionLoading("all");
+    try {
+      await logoutAllSessions();
+      await logout();
+      navigate("/login");
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to log out from all devices. Please try again."
+      );
+      setActionLoading(null);
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg"></span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-base-100 py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Active Sessions</h1>
+          <button className="btn btn-ghost" onClick={() => navigate("/profile")}>
+            Back
+          </button>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mb-4">
+            <span>{error}</span>
+          </div>
+        )}
+
+        {/* Sessions List */}
+        <div className="space-y-4">
+          {sessions.map((session) => (
+            <div key={session._id} className="card bg-base-200 shadow">
+              <div className="card-body p-4 flex-row items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <h2 className="font-semibold">
+                    {session.device}
+                    {session.current && (
+                      <span className="badge badge-success badge-sm ml-2">
+                        This device
+                      </span>
+                    )}
+                  </h2>
+                  <p className="text-sm text-base-content/70">
+                    IP: {session.ipAddress || "unknown"}
+                  </p>
+                  <p className="text-sm text-base-content/70">
+                    Signed in {formatTimeAgo(session.createdAt)} · Last active{" "}
+                    {formatTimeAgo(session.lastUsedAt)}
+                  </p>
+                  <p
+                    className="text-xs text-base-content/50 truncate"
+                    title={session.userAgent}
+                  >
+                    {session.userAgent}
+                  </p>
+                </div>
+                <button
+                  className="btn btn-outline btn-error btn-sm"
+                  onClick={() => handleRevoke(session)}
+                  disabled={actionLoading !== null}
+                >
+                  {actionLoading === session._id ? (
+                    <span className="loading loading-spinner loading-sm"></span>
+                  ) : (
+                    "Log out"
+                  )}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Log Out Everywhere */}
+        <div className="mt-6">
+          <button
+            className="btn btn-error w-full"
+            onClick={handleLogoutAll}
+            disabled={actionLoading !== null}
+          >
+            {actionLoading === "all" ? (
+              <>
+                <span className="loading loading-spinner loading-sm"></span>
+                Logging out...
+              </>
+            ) : (
+              "Log out from all devices"
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
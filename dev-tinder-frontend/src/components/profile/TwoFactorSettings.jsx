@@ -0,0 +1,306 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+} from "../../utils/api";
+
+/**
+ * TwoFactorSettings component to turn authenticator app codes on or off
+ * Setup shows a QR code, the first code confirms it and recovery codes are shown once
+ */
+export default function TwoFactorSettings() {
+  // Navigation hook for programmatic routing
+  const navigate = useNavigate();
+
+  // State management for two-factor status
+  const [enabled, setEnabled] = useState(false);
+  const [recoveryCodesRemaining, setRecoveryCodesRemaining] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  // Setup state - filled after "Set up" is clicked
+  const [setupData, setSetupData] = useState(null);
+  const [code, setCode] = useState("");
+  // Recovery codes are only returned once, right after enabling
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+
+  // Password needed to disable two-factor
+  const [password, setPassword] = useState("");
+
+  /**
+   * Fetch two-factor status on component mount
+   */
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await getTwoFactorStatus();
+        setEnabled(response.enabled);
+        setRecoveryCodesRemaining(response.recoveryCodesRemaining || 0);
+      } catch (err) {
+        setError(
+          err.response?.data?.message ||
+            "Failed to load two-factor status. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  /**
+   * Start setup - get a new secret and QR code from the backend
+   */
+  const handleSetup = async () => {
+    setMessage("");
+    setError("");
+    setActionLoading(true);
+    try {
+      const response = await setupTwoFactor();
+      setSetupData(response);
+      setCode("");
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to start two-factor setup. Please try again."
+      );
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  /**
+   * Confirm the first code from the authenticator app and enable two-factor
+   * @param {Event} e - Form submit event
+   */
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    setActionLoading(true);
+    try {
+      const response = await enableTwoFactor(code);
+      setEnabled(true);
+      setSetupData(null);
+      setCode("");
+      setRecoveryCodes(response.recoveryCodes || []);
+      setRecoveryCodesRemaining(response.recoveryCodes?.length || 0);
+      setMessage(response.message || "Two-factor authentication enabled!");
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to enable two-factor authentication. Please try again."
+      );
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  /**
+   * Disable two-factor after checking the password
+   * @param {Event} e - Form submit event
+   */
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    setActionLoading(true);
+    try {
+      const response = await disableTwoFactor(password);
+      setEnabled(false);
+      setPassword("");
+      setRecoveryCodes([]);
+      setRecoveryCodesRemaining(0);
+      setMessage(response.message || "Two-factor authentication disabled.");
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to disable two-factor authentication. Please try again."
+      );
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg"></span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-base-100 py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-3xl font-bold">Two-Factor Authentication</h1>
+          <button className="btn btn-ghost" onClick={() => navigate("/profile")}>
+            Back
+          </button>
+        </div>
+
+        {/* Success Message */}
+        {message && (
+          <div className="alert alert-success mb-4">
+            <span>{message}</span>
+          </div>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mb-4">
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="card bg-base-200 shadow">
+          <div className="card-body">
+            <h2 className="card-title">
+              Status:
+              {enabled ? (
+                <span className="badge badge-success">On</span>
+              ) : (
+                <span className="badge badge-ghost">Off</span>
+              )}
+            </h2>
+            <p className="text-base-content/70">
+              With two-factor authentication you need a code from an
+              authenticator app (like Google Authenticator or Authy) in
+              addition to your password when logging in.
+            </p>
+
+            {/* Recovery Codes - shown only once after enabling */}
+            {recoveryCodes.length > 0 && (
+              <div className="alert alert-warning flex-col items-start mt-4">
+                <span className="font-semibold">
+                  Save these recovery codes somewhere safe. Each code can be
+                  used once if you lose access to your authenticator app. They
+                  will not be shown again.
+                </span>
+                <div className="grid grid-cols-2 gap-2 font-mono w-full">
+                  {recoveryCodes.map((recoveryCode) => (
+                    <span key={recoveryCode}>{recoveryCode}</span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {enabled ? (
+              <>
+                <p className="text-sm text-base-content/70 mt-2">
+                  Recovery codes left: {recoveryCodesRemaining}
+                </p>
+
+                {/* Disable Form */}
+                <form className="space-y-4 mt-4" onSubmit={handleDisable}>
+                  <div>
+                    <label className="label">
+                      <span className="label-text">
+                        Enter your password to turn off two-factor
+                      </span>
+                    </label>
+                    <input
+                      type="password"
+                      value={password}
+                      placeholder="••••••••"
+                      className="input input-bordered w-full"
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    className="btn btn-error w-full"
+                    disabled={actionLoading}
+                  >
+                    {actionLoading ? (
+                      <span className="loading loading-spinner loading-sm"></span>
+                    ) : (
+                      "Disable Two-Factor"
+                    )}
+                  </button>
+                </form>
+              </>
+            ) : setupData ? (
+              /* Setup Step - scan the QR code and confirm the first code */
+              <form className="space-y-4 mt-4" onSubmit={handleEnable}>
+                <p>1. Scan this QR code with your authenticator app.</p>
+                <div className="flex justify-center">
+                  <img
+                    src={setupData.qrCodeDataUrl}
+                    alt="Two-factor QR code"
+                    className="w-48 h-48 bg-white p-2 rounded"
+                  />
+                </div>
+                <p className="text-sm text-base-content/70">
+                  Can't scan it? Enter this key manually:{" "}
+                  <span className="font-mono break-all">{setupData.secret}</span>
+                </p>
+                <div>
+                  <label className="label">
+                    <span className="label-text">
+                      2. Enter the 6 digit code shown in the app
+                    </span>
+                  </label>
+                  <input
+                    type="text"
+                    value={code}
+                    placeholder="123456"
+                    className="input input-bordered w-full tracking-widest"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    onChange={(e) => setCode(e.target.value)}
+                    required
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    className="btn btn-primary flex-1"
+                    disabled={actionLoading}
+                  >
+                    {actionLoading ? (
+                      <span className="loading loading-spinner loading-sm"></span>
+                    ) : (
+                      "Enable Two-Factor"
+                    )}
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost"
+                    onClick={() => setSetupData(null)}
+                    disabled={actionLoading}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button
+                className="btn btn-primary mt-4"
+                onClick={handleSetup}
+                disabled={actionLoading}
+              >
+                {actionLoading ? (
+                  <span className="loading loading-spinner loading-sm"></span>
+                ) : (
+                  "Set up Two-Factor"
+                )}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -69,8 +69,20 @@ export default function UpdatePassword() {
         formData.newPassword
       );
       
-      // Set success message
-      setMessage(response.message || "Password updated successfully!");
+      // Set success message - backend logs out every other device and deletes access tokens on password change
+      const revokedText =
+        response.revokedSessions > 0
+          ? ` You were logged out on ${response.revokedSessions} other device(s).`
+          : "";
+      const tokensText =
+        response.deletedAccessTokens > 0
+          ? ` ${response.deletedAccessTokens} personal access token(s) were deleted.`
+          : "";
+      setMessage(
+        (response.message || "Password updated successfully!") +
+          revokedText +
+          tokensText
+      );
       
       // Clear form
       setFormData({
@@ -9,8 +9,17 @@ import React from "react";
  * @param {Function} props.onAccept - Callback function when accept button is clicked
  * @param {Function} props.onReject - Callback function when reject button is clicked
  * @param {boolean} props.loading - Loading state for buttons
+ * @param {boolean} props.selected - Whether the request is selected for a bulk action
+ * @param {Function} props.onToggleSelect - Callback function when the select checkbox is clicked
  */
-export default function RequestCard({ request, onAccept, onReject, loading }) {
+export default function RequestCard({
+  request,
+  onAccept,
+  onReject,
+  loading,
+  selected,
+  onToggleSelect,
+}) {
   // Extract user data from request
   const user = request.fromUserId;
 
@@ -19,6 +28,16 @@ export default function RequestCard({ request, onAccept, onReject, loading }) {
       <div className="card-body">
         {/* User Photo and Basic Info */}
         <div className="flex flex-col md:flex-row gap-4 mb-4">
+          {onToggleSelect && (
+            <input
+              type="checkbox"
+              className="checkbox checkbox-primary self-start"
+              checked={Boolean(selected)}
+              onChange={onToggleSelect}
+              disabled={loading}
+              aria-label={`Select request from ${user?.firstName}`}
+            />
+          )}
           <div className="avatar">
             <div className="w-24 rounded-full ring ring-primary ring-offset-base-100 ring-offset-2">
               <img
@@ -43,6 +62,16 @@ export default function RequestCard({ request, onAccept, onReject, loading }) {
           </div>
         </div>
 
+        {/* Personal Note from the Sender */}
+        {request.note && (
+          <div className="mb-4 border-l-4 border-primary bg-base-100 rounded-r-box px-4 py-3">
+            <p className="text-sm text-base-content/60 mb-1">
+              {user?.firstName} wrote:
+            </p>
+            <p className="whitespace-pre-line break-words">{request.note}</p>
+          </div>
+        )}
+
         {/* About Section */}
         {user?.about && (
           <div className="mb-4">
@@ -1,18 +1,66 @@
 // Importing required modules
 import React, { useState, useEffect } from "react";
-import { getConnectionRequests, reviewConnectionRequest } from "../../utils/api";
+import { useSearchParams } from "react-router-dom";
+import {
+  getConnectionRequests,
+  getSentConnectionRequests,
+  bulkReviewConnectionRequests,
+  reviewConnectionRequest,
+  sendConnectionRequest,
+  withdrawConnectionRequest,
+} from "../../utils/api";
 import RequestCard from "./RequestCard";
+import SentRequestCard from "./SentRequestCard";
+import useLiveEvents from "../../hooks/useLiveEvents";
+
+// Tabs of the requests page - received: others are interested in me, sent: I'm interested in others
+const TABS = [
+  { value: "received", label: "Received" },
+  { value: "sent", label: "Sent" },
+];
+
+// Most requests the backend reviews in one bulk call - bigger selections are sent in chunks
+const BULK_REVIEW_MAX_ITEMS = 50;
+
+// Status filter options of the sent tab ("" shows all sent requests)
+const SENT_STATUS_FILTERS = [
+  { value: "interested", label: "Pending" },
+  { value: "accepted", label: "Accepted" },
+  { value: "rejected", label: "Declined" },
+  { value: "expired", label: "Expired" },
+  { value: "", label: "All" },
+];
 
 /**
  * RequestsList component to display and manage connection requests
- * Shows pending connection requests and allows users to accept or reject them
+ * Received tab: pending requests with accept/reject
+ * Sent tab: requests the user sent with their status, pending ones can be withdrawn
+ * and expired ones sent again
  */
 export default function RequestsList() {
+  // Currently selected tab - ?tab=sent opens the sent tab (used by "request expired" notifications)
+  const [searchParams] = useSearchParams();
+  const [tab, setTab] = useState(
+    searchParams.get("tab") === "sent" ? "sent" : "received"
+  );
+
   // State management for requests data
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [actionLoading, setActionLoading] = useState(null); // Track which request action is in progress
+  const [selectedIds, setSelectedIds] = useState([]); // Sender IDs of requests selected for a bulk action
+  const [bulkLoading, setBulkLoading] = useState(null); // "accepted" or "rejected" while a bulk review runs
+  const [nextCursor, setNextCursor] = useState(null); // Cursor of the next page of received requests
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // State management for sent requests - loaded when the tab is opened or the filter changes
+  const [sentStatus, setSentStatus] = useState("interested");
+  const [sentRequests, setSentRequests] = useState([]);
+  const [sentNextCursor, setSentNextCursor] = useState(null); // Cursor of the next page of sent requests
+  const [sentLoading, setSentLoading] = useState(true);
+  const [sentLoadingMore, setSentLoadingMore] = useState(false);
+  const [sentError, setSentError] = useState("");
 
   /**
    * Fetch connection requests data
@@ -23,6 +71,7 @@ export default function RequestsList() {
     setError("");
     try {
       const response = await getConnectionRequests();
+      setNextCursor(response.nextCursor || null);
       if (response.requests && response.requests.length > 0) {
         setRequests(response.requests);
       } else {
@@ -45,6 +94,146 @@ export default function RequestsList() {
     fetchRequests();
   }, []);
 
+  /**
+   * Load the next page of received requests and add it to the list
+   * Requests that are already shown (e.g. added by a live event) are skipped
+   */
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await getConnectionRequests(nextCursor);
+      setRequests((prev) => {
+        const shownIds = new Set(prev.map((request) => request._id));
+        return [
+          ...prev,
+          ...(response.requests || []).filter((request) => !shownIds.has(request._id)),
+        ];
+      });
+      setNextCursor(response.nextCursor || null);
+    } catch (err) {
+      alert(
+        err.response?.data?.message ||
+          "Failed to load more connection requests. Please try again."
+      );
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Fetch the first page of sent requests whenever the sent tab is opened or the filter changes
+   */
+  useEffect(() => {
+    if (tab !== "sent") {
+      return;
+    }
+
+    const fetchSentRequests = async () => {
+      setSentLoading(true);
+      setSentError("");
+      try {
+        const response = await getSentConnectionRequests(sentStatus);
+        setSentRequests(response.requests || []);
+        setSentNextCursor(response.nextCursor || null);
+      } catch (err) {
+        setSentError(
+          err.response?.data?.message ||
+            "Failed to load sent requests. Please try again."
+        );
+      } finally {
+        setSentLoading(false);
+      }
+    };
+
+    fetchSentRequests();
+  }, [tab, sentStatus]);
+
+  /**
+   * Load the next page of sent requests and add it to the list
+   * Requests that are already shown (e.g. sent again in the meantime) are skipped
+   */
+  const handleLoadMoreSent = async () => {
+    setSentLoadingMore(true);
+    try {
+      const response = await getSentConnectionRequests(sentStatus, sentNextCursor);
+      setSentRequests((prev) => {
+        const shownIds = new Set(prev.map((request) => request._id));
+        return [
+          ...prev,
+          ...(response.requests || []).filter((request) => !shownIds.has(request._id)),
+        ];
+      });
+      setSentNextCursor(response.nextCursor || null);
+    } catch (err) {
+      setSentError(
+        err.response?.data?.message ||
+          "Failed to load sent requests. Please try again."
+      );
+    } finally {
+      setSentLoadingMore(false);
+    }
+  };
+
+  /**
+   * Live updates - new requests show up without a refresh
+   */
+  useLiveEvents({
+    // new request - add it on top (unless it's already in the list)
+    "request.received": ({ request }) => {
+      setError("");
+      setRequests((prev) =>
+        prev.some((entry) => entry._id === request._id) ? prev : [request, ...prev]
+      );
+    },
+    // accepted in another tab, or the other user accepted my request - it's not pending anymore
+    "request.accepted": ({ requestId }) => {
+      setRequests((prev) => prev.filter((entry) => entry._id !== requestId));
+      // the pending filter drops it, the others show the new status
+      setSentRequests((prev) =>
+        sentStatus === "interested"
+          ? prev.filter((entry) => entry._id !== requestId)
+          : prev.map((entry) =>
+              entry._id === requestId
+                ? { ...entry, status: "accepted", updatedAt: new Date().toISOString() }
+                : entry
+            )
+      );
+    },
+    // a pending request expired - gone from the received list, sent list shows the new status
+    "request.expired": ({ requestId }) => {
+      setRequests((prev) => prev.filter((entry) => entry._id !== requestId));
+      setSentRequests((prev) =>
+        sentStatus === "interested"
+          ? prev.filter((entry) => entry._id !== requestId)
+          : prev.map((entry) =>
+              entry._id === requestId ? { ...entry, status: "expired" } : entry
+            )
+      );
+    },
+    // the sender took their request back, or I withdrew mine in another tab
+    "request.withdrawn": ({ requestId }) => {
+      setRequests((prev) => prev.filter((entry) => entry._id !== requestId));
+      setSentRequests((prev) => prev.filter((entry) => entry._id !== requestId));
+    },
+    // sender or receiver changed their profile - show the new data
+    "profile.updated": ({ user }) => {
+      setRequests((prev) =>
+        prev.map((entry) =>
+          entry.fromUserId._id === user._id
+            ? { ...entry, fromUserId: { ...entry.fromUserId, ...user } }
+            : entry
+        )
+      );
+      setSentRequests((prev) =>
+        prev.map((entry) =>
+          entry.toUserId._id === user._id
+            ? { ...entry, toUserId: { ...entry.toUserId, ...user } }
+            : entry
+        )
+      );
+    },
+  });
+
   /**
    * Handle accepting a connection request
    * @param {string} fromUserId - ID of the user who sent the request
@@ -89,38 +278,332 @@ export default function RequestsList() {
     }
   };
 
-  // Show loading state
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <span className="loading loading-spinner loading-lg"></span>
-      </div>
+  // Selected requests that are still in the list (live events can remove requests)
+  const selectedRequests = requests.filter((request) =>
+    selectedIds.includes(request.fromUserId._id)
+  );
+  const allSelected =
+    requests.length > 0 && selectedRequests.length === requests.length;
+
+  /**
+   * Select or unselect one request
+   * @param {string} fromUserId - ID of the user who sent the request
+   */
+  const handleToggleSelect = (fromUserId) => {
+    setSelectedIds((prev) =>
+      prev.includes(fromUserId)
+        ? prev.filter((id) => id !== fromUserId)
+        : [...prev, fromUserId]
     );
-  }
+  };
 
-  // Show error state
-  if (error && requests.length === 0) {
-    return (
-      <div className="min-h-screen flex items-center justify-center px-4">
-        <div className="alert alert-info max-w-md">
-          <svg
-            xmlns="http://www.w3.org/2000/svg"
-            fill="none"
-            viewBox="0 0 24 24"
-            className="stroke-current shrink-0 w-6 h-6"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth="2"
-              d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
-            ></path>
-          </svg>
+  /**
+   * Select all requests, or none if all are selected already
+   */
+  const handleToggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : requests.map((request) => request.fromUserId._id));
+  };
+
+  /**
+   * Accept or reject all selected requests
+   * Requests that are done (reviewed now, before, expired or gone) leave the list,
+   * failures are listed in one message at the end
+   * @param {string} status - "accepted" or "rejected"
+   */
+  const handleBulkReview = async (status) => {
+    const reviews = selectedRequests.map((request) => ({
+      fromUserId: request.fromUserId._id,
+      status,
+    }));
+    if (reviews.length === 0) {
+      return;
+    }
+
+    setBulkLoading(status);
+    const results = [];
+    try {
+      // sending big selections in chunks the backend accepts
+      for (let i = 0; i < reviews.length; i += BULK_REVIEW_MAX_ITEMS) {
+        const response = await bulkReviewConnectionRequests(
+          reviews.slice(i, i + BULK_REVIEW_MAX_ITEMS)
+        );
+        results.push(...(response.results || []));
+      }
+    } catch (err) {
+      alert(
+        err.response?.data?.message ||
+          "Failed to review connection requests. Please try again."
+      );
+    }
+
+    // "invalid" items stay so they can be tried again, everything else is not pending anymore
+    const doneIds = results
+      .filter((item) => item.result !== "invalid")
+      .map((item) => item.fromUserId);
+    setRequests((prev) =>
+      prev.filter((request) => !doneIds.includes(request.fromUserId._id))
+    );
+    setSelectedIds((prev) => prev.filter((id) => !doneIds.includes(id)));
+    setBulkLoading(null);
+
+    const failed = results.filter((item) => item.result !== "success");
+    if (failed.length > 0) {
+      const names = Object.fromEntries(
+        selectedRequests.map((request) => [
+          request.fromUserId._id,
+          request.fromUserId.firstName,
+        ])
+      );
+      alert(
+        failed
+          .map((item) => `${names[item.fromUserId] || "Unknown user"}: ${item.message}`)
+          .join("\n")
+      );
+    }
+  };
+
+  /**
+   * Handle withdrawing a sent connection request
+   * @param {string} toUserId - ID of the user the request was sent to
+   */
+  const handleWithdraw = async (toUserId) => {
+    setActionLoading(toUserId);
+    try {
+      await withdrawConnectionRequest(toUserId);
+      // Remove request from list after withdrawing
+      setSentRequests((prev) =>
+        prev.filter((req) => req.toUserId._id !== toUserId)
+      );
+    } catch (err) {
+      const errorMessage =
+        err.response?.data?.message ||
+        "Failed to withdraw connection request. Please try again.";
+      alert(errorMessage);
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  /**
+   * Handle sending an expired request again
+   * @param {string} toUserId - ID of the user the request was sent to
+   */
+  const handleResend = async (toUserId) => {
+    setActionLoading(toUserId);
+    try {
+      const response = await sendConnectionRequest(toUserId, "interested");
+      // The expired request was replaced by a new pending one
+      setSentRequests((prev) =>
+        sentStatus === "expired"
+          ? prev.filter((req) => req.toUserId._id !== toUserId)
+          : prev.map((req) =>
+              req.toUserId._id === toUserId
+                ? { ...response.request, toUserId: req.toUserId }
+                : req
+            )
+      );
+    } catch (err) {
+      const errorMessage =
+        err.response?.data?.message ||
+        "Failed to send connection request. Please try again.";
+      alert(errorMessage);
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Info icon used by the empty and error states
+  const infoIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      className="stroke-current shrink-0 w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth="2"
+        d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+      ></path>
+    </svg>
+  );
+
+  /**
+   * Render the received tab - pending requests with accept/reject
+   */
+  const renderReceived = () => {
+    if (loading) {
+      return (
+        <div className="flex justify-center py-12">
+          <span className="loading loading-spinner loading-lg"></span>
+        </div>
+      );
+    }
+
+    if (error && requests.length === 0) {
+      return (
+        <div className="alert alert-info">
+          {infoIcon}
           <span>{error}</span>
         </div>
+      );
+    }
+
+    return requests.length > 0 ? (
+      <>
+        {/* Bulk Actions */}
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4 bg-base-200 rounded-box px-4 py-3">
+          <label className="label cursor-pointer gap-3">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-primary"
+              checked={allSelected}
+              onChange={handleToggleSelectAll}
+              disabled={bulkLoading !== null}
+            />
+            <span className="label-text">
+              {selectedRequests.length > 0
+                ? `${selectedRequests.length} selected`
+                : "Select all"}
+            </span>
+          </label>
+          <div className="flex gap-2">
+            <button
+              className="btn btn-error btn-sm"
+              onClick={() => handleBulkReview("rejected")}
+              disabled={selectedRequests.length === 0 || bulkLoading !== null}
+            >
+              {bulkLoading === "rejected" ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                "Reject selected"
+              )}
+            </button>
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={() => handleBulkReview("accepted")}
+              disabled={selectedRequests.length === 0 || bulkLoading !== null}
+            >
+              {bulkLoading === "accepted" ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                "Accept selected"
+              )}
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          {requests.map((request) => (
+            <RequestCard
+              key={request._id}
+              request={request}
+              onAccept={() => handleAccept(request.fromUserId._id)}
+              onReject={() => handleReject(request.fromUserId._id)}
+              loading={
+                actionLoading === request.fromUserId._id ||
+                (bulkLoading !== null &&
+                  selectedIds.includes(request.fromUserId._id))
+              }
+              selected={selectedIds.includes(request.fromUserId._id)}
+              onToggleSelect={() => handleToggleSelect(request.fromUserId._id)}
+            />
+          ))}
+        </div>
+
+        {/* Load More Button */}
+        {nextCursor && (
+          <div className="text-center mt-4">
+            <button
+              className="btn btn-outline"
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                "Load more"
+              )}
+            </button>
+          </div>
+        )}
+      </>
+    ) : (
+      <div className="alert alert-info">
+        {infoIcon}
+        <span>No pending connection requests.</span>
       </div>
     );
-  }
+  };
+
+  /**
+   * Render the sent tab - pending requests the user can withdraw
+   */
+  const renderSent = () => {
+    if (sentLoading) {
+      return (
+        <div className="flex justify-center py-12">
+          <span className="loading loading-spinner loading-lg"></span>
+        </div>
+      );
+    }
+
+    if (sentError && sentRequests.length === 0) {
+      return (
+        <div className="alert alert-error">
+          <span>{sentError}</span>
+        </div>
+      );
+    }
+
+    if (sentRequests.length === 0) {
+      return (
+        <div className="alert alert-info">
+          {infoIcon}
+          <span>
+            {sentStatus === "interested"
+              ? "You have no pending sent requests."
+              : "No sent requests found."}
+          </span>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="space-y-4">
+          {sentRequests.map((request) => (
+            <SentRequestCard
+              key={request._id}
+              request={request}
+              onWithdraw={() => handleWithdraw(request.toUserId._id)}
+              onResend={() => handleResend(request.toUserId._id)}
+              loading={actionLoading === request.toUserId._id}
+              disabled={actionLoading !== null}
+            />
+          ))}
+        </div>
+
+        {/* Load More Button */}
+        {sentNextCursor && (
+          <div className="text-center mt-4">
+            <button
+              className="btn btn-outline"
+              onClick={handleLoadMoreSent}
+              disabled={sentLoadingMore}
+            >
+              {sentLoadingMore ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                "Load more"
+              )}
+            </button>
+          </div>
+        )}
+      </>
+    );
+  };
 
   return (
     <div className="min-h-screen bg-base-100 py-8 px-4">
@@ -128,37 +611,37 @@ export default function RequestsList() {
         {/* Header */}
         <h1 className="text-3xl font-bold mb-6">Connection Requests</h1>
 
-        {/* Requests List */}
-        {requests.length > 0 ? (
-          <div className="space-y-6">
-            {requests.map((request) => (
-              <RequestCard
-                key={request._id}
-                request={request}
-                onAccept={() => handleAccept(request.fromUserId._id)}
-                onReject={() => handleReject(request.fromUserId._id)}
-                loading={actionLoading === request.fromUserId._id}
-              />
+        {/* Tabs and Sent Status Filter */}
+        <div className="flex flex-col sm:flex-row justify-between gap-3 mb-6">
+          <div role="tablist" className="tabs tabs-boxed">
+            {TABS.map((option) => (
+              <button
+                key={option.value}
+                role="tab"
+                className={`tab ${tab === option.value ? "tab-active" : ""}`}
+                onClick={() => setTab(option.value)}
+              >
+                {option.label}
+              </button>
             ))}
           </div>
-        ) : (
-          <div className="alert alert-info">
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              fill="none"
-              viewBox="0 0 24 24"
-              className="stroke-current shrink-0 w-6 h-6"
+          {tab === "sent" && (
+            <select
+              className="select select-bordered select-sm"
+              value={sentStatus}
+              onChange={(e) => setSentStatus(e.target.value)}
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth="2"
-                d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
-              ></path>
-            </svg>
-            <span>No pending connection requests.</span>
-          </div>
-        )}
+              {SENT_STATUS_FILTERS.map((option) => (
+                <option key={option.label} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {/* Requests List */}
+        {tab === "received" ? renderReceived() : renderSent()}
       </div>
     </div>
   );
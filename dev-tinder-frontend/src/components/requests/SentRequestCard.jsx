@@ -0,0 +1,104 @@
+// Importing required modules
+import React from "react";
+import PresenceDot from "../common/PresenceDot";
+import { formatTimeAgo } from "../../utils/time";
+
+// Badge and text for every status a sent request can have
+const STATUS_DETAILS = {
+  interested: { label: "Pending", badge: "badge-warning", verb: "Sent" },
+  accepted: { label: "Accepted", badge: "badge-success", verb: "Accepted" },
+  rejected: { label: "Declined", badge: "badge-ghost", verb: "Declined" },
+  expired: { label: "Expired", badge: "badge-neutral", verb: "Expired" },
+};
+
+/**
+ * SentRequestCard component to display a connection request the user sent
+ * Shows who it was sent to, its status and age, and a button to withdraw it while pending
+ * or to send it again once it expired
+ * @param {Object} props - Component props
+ * @param {Object} props.request - Connection request object containing the receiver's data in toUserId
+ * @param {Function} props.onWithdraw - Callback function when withdraw button is clicked
+ * @param {Function} props.onResend - Callback function when send again button is clicked
+ * @param {boolean} props.loading - Loading state for the button
+ * @param {boolean} props.disabled - Disables the button while another action is running
+ */
+export default function SentRequestCard({
+  request,
+  onWithdraw,
+  onResend,
+  loading,
+  disabled,
+}) {
+  // Extract user data from request
+  const user = request.toUserId;
+  const details = STATUS_DETAILS[request.status] || STATUS_DETAILS.interested;
+  // Pending requests are as old as they were sent, reviewed ones show when they were reviewed
+  const isPending = request.status === "interested";
+  // Expired requests show when they expired
+  const reviewedAt = request.status === "expired" ? request.expiresAt : request.updatedAt;
+
+  return (
+    <div className="card bg-base-200 shadow">
+      <div className="card-body p-4 flex-row items-center justify-between gap-4">
+        <div className="flex items-center gap-4 min-w-0">
+          <div className="avatar relative">
+            <PresenceDot presence={user?.presence} />
+            <div className="w-12 rounded-full">
+              <img
+                src={
+                  user?.photoUrl ||
+                  "https://www.pngall.com/wp-content/uploads/5/Profile-PNG-File.png"
+                }
+                alt={`${user?.firstName} ${user?.lastName}`}
+              />
+            </div>
+          </div>
+          <div className="min-w-0">
+            <h2 className="font-semibold flex items-center gap-2">
+              {user?.firstName} {user?.lastName}
+              <span className={`badge badge-sm ${details.badge}`}>
+                {details.label}
+              </span>
+            </h2>
+            <p className="text-sm text-base-content/70">
+              {details.verb}{" "}
+              {formatTimeAgo(isPending ? request.createdAt : reviewedAt)}
+              {!isPending && ` · sent ${formatTimeAgo(request.createdAt)}`}
+            </p>
+            {request.note && (
+              <p className="text-sm italic text-base-content/70 line-clamp-2 break-words">
+                "{request.note}"
+              </p>
+            )}
+          </div>
+        </div>
+        {isPending && (
+          <button
+            className="btn btn-outline btn-sm"
+            onClick={onWithdraw}
+            disabled={loading || disabled}
+          >
+            {loading ? (
+              <span className="loading loading-spinner loading-sm"></span>
+            ) : (
+              "Withdraw"
+            )}
+          </button>
+        )}
+        {request.status === "expired" && (
+          <button
+            className="btn btn-primary btn-sm"
+            onClick={onResend}
+            disabled={loading || disabled}
+          >
+            {loading ? (
+              <span className="loading loading-spinner loading-sm"></span>
+            ) : (
+              "Send again"
+            )}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+// Importing required modules
+import React, { useState } from "react";
+import { Highlight, themes } from "prism-react-renderer";
+import { getPrismLanguage } from "../../utils/reviews";
+import { formatTimeAgo } from "../../utils/time";
+
+/**
+ * Get the background class for a diff line (added, removed or hunk header)
+ * @param {string} text - Line text
+ * @returns {string} Tailwind classes
+ */
+const getDiffLineClass = (text) => {
+  if (text.startsWith("+") && !text.startsWith("+++")) return "bg-success/20";
+  if (text.startsWith("-") && !text.startsWith("---")) return "bg-error/20";
+  if (text.startsWith("@@")) return "bg-info/20";
+  return "";
+};
+
+/**
+ * CodeView component - syntax highlighted code with line numbers and line comments
+ * Comments are shown under the line they point to
+ * @param {Object} props - Component props
+ * @param {string} props.code - Code (or diff) to show
+ * @param {string} props.language - Review language, or "diff" for a unified diff
+ * @param {Array} props.comments - Comments for this code ({ _id, line, text, authorId, createdAt })
+ * @param {boolean} props.canComment - Shows a comment form when a line number is clicked
+ * @param {Function} props.onAddComment - Called with (line, text), must return a promise
+ */
+export default function CodeView({ code, language, comments = [], canComment, onAddComment }) {
+  // Line the comment form is open for (null = closed)
+  const [activeLine, setActiveLine] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const isDiff = language === "diff";
+
+  /**
+   * Open or close the comment form for a line
+   * @param {number} line - Line number (starting at 1)
+   */
+  const handleLineClick = (line) => {
+    if (!canComment) {
+      return;
+    }
+    setActiveLine(activeLine === line ? null : line);
+    setDraft("");
+    setError("");
+  };
+
+  /**
+   * Handle comment form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await onAddComment(activeLine, draft);
+      setActiveLine(null);
+      setDraft("");
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to add comment. Please try again."
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Highlight
+      code={code}
+      language={isDiff ? "plain" : getPrismLanguage(language)}
+      theme={themes.vsDark}
+    >
+      {({ style, tokens, getLineProps, getTokenProps }) => (
+        <div className="rounded-box overflow-x-auto text-sm font-mono" style={style}>
+          {tokens.map((lineTokens, index) => {
+            const lineNumber = index + 1;
+            const lineComments = comments.filter((comment) => comment.line === lineNumber);
+            const lineText = lineTokens.map((token) => token.content).join("");
+            const lineProps = getLineProps({ line: lineTokens });
+
+            return (
+              <div key={lineNumber}>
+                {/* Code Line */}
+                <div
+                  {...lineProps}
+                  className={`${lineProps.className} flex ${isDiff ? getDiffLineClass(lineText) : ""}`}
+                >
+                  <button
+                    type="button"
+                    className={`w-12 shrink-0 pr-3 text-right select-none opacity-50 ${
+                      canComment ? "hover:opacity-100 hover:text-primary cursor-pointer" : "cursor-default"
+                    }`}
+                    onClick={() => handleLineClick(lineNumber)}
+                    title={canComment ? "Comment on this line" : undefined}
+                  >
+                    {lineNumber}
+                  </button>
+                  <pre className="whitespace-pre pr-4">
+                    {lineTokens.map((token, key) => (
+                      <span key={key} {...getTokenProps({ token })} />
+                    ))}
+                  </pre>
+                </div>
+
+                {/* Line Comments */}
+                {lineComments.map((comment) => (
+                  <div
+                    key={comment._id}
+                    className="ml-12 mr-4 my-1 p-3 rounded-box bg-base-200 text-base-content font-sans"
+                  >
+                    <p className="text-xs text-base-content/60 mb-1">
+                      {comment.authorId?.firstName} {comment.authorId?.lastName} ·{" "}
+                      {formatTimeAgo(comment.createdAt)}
+                    </p>
+                    <p className="whitespace-pre-wrap break-words">{comment.text}</p>
+                  </div>
+                ))}
+
+                {/* Comment Form */}
+                {activeLine === lineNumber && (
+                  <form
+                    className="ml-12 mr-4 my-2 p-3 rounded-box bg-base-200 text-base-content font-sans"
+                    onSubmit={handleSubmit}
+                  >
+                    <textarea
+                      className="textarea textarea-bordered w-full"
+                      rows={3}
+                      maxLength={2000}
+                      value={draft}
+                      placeholder={`Comment on line ${lineNumber}`}
+                      onChange={(e) => setDraft(e.target.value)}
+                      autoFocus
+                      required
+                    />
+                    {error && <p className="text-error text-sm mt-1">{error}</p>}
+                    <div className="flex justify-end gap-2 mt-2">
+                      <button
+                        type="button"
+                        className="btn btn-ghost btn-sm"
+                        onClick={() => setActiveLine(null)}
+                        disabled={saving}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        className="btn btn-primary btn-sm"
+                        disabled={saving || !draft.trim()}
+                      >
+                        {saving ? (
+                          <span className="loading loading-spinner loading-sm"></span>
+                        ) : (
+                          "Comment"
+                        )}
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Highlight>
+  );
+}
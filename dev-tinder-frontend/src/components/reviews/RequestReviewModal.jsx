@@ -0,0 +1,159 @@
+// Importing required modules
+import React, { useState } from "react";
+import { sendReviewRequest } from "../../utils/api";
+import { REVIEW_LANGUAGES } from "../../utils/reviews";
+
+/**
+ * RequestReviewModal component to ask a connection for a code review
+ * Lets the user paste a snippet, pick its language, ask a question and add an optional diff
+ * @param {Object} props - Component props
+ * @param {Object} props.user - Connection being asked for the review
+ * @param {Function} props.onClose - Called when the modal is closed without sending
+ * @param {Function} props.onSent - Called with the API response after the request was sent
+ */
+export default function RequestReviewModal({ user, onClose, onSent }) {
+  // Form state
+  const [language, setLanguage] = useState("javascript");
+  const [question, setQuestion] = useState("");
+  const [code, setCode] = useState("");
+  const [diff, setDiff] = useState("");
+  const [showDiff, setShowDiff] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+    try {
+      const review = { language, question, code };
+      if (showDiff && diff.trim()) {
+        review.diff = diff;
+      }
+      const response = await sendReviewRequest(user._id, review);
+      onSent(response);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to send review request. Please try again."
+      );
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <form className="modal-box max-w-3xl" onSubmit={handleSubmit}>
+        <h3 className="font-bold text-lg">
+          Ask {user?.firstName} {user?.lastName} for a code review
+        </h3>
+
+        {/* Question Textarea */}
+        <div className="mt-2">
+          <label className="label">
+            <span className="label-text">What should {user?.firstName} look at?</span>
+          </label>
+          <textarea
+            className="textarea textarea-bordered w-full"
+            rows={2}
+            maxLength={2000}
+            value={question}
+            placeholder="Is there a cleaner way to handle these errors?"
+            onChange={(e) => setQuestion(e.target.value)}
+            required
+          />
+        </div>
+
+        {/* Language Select */}
+        <div className="mt-2">
+          <label className="label">
+            <span className="label-text">Language</span>
+          </label>
+          <select
+            className="select select-bordered w-full"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+          >
+            {REVIEW_LANGUAGES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Code Textarea */}
+        <div className="mt-2">
+          <label className="label">
+            <span className="label-text">Code</span>
+            <span className="label-text-alt">{code.length}/20000</span>
+          </label>
+          <textarea
+            className="textarea textarea-bordered w-full font-mono text-sm"
+            rows={10}
+            maxLength={20000}
+            value={code}
+            placeholder="Paste your code here"
+            onChange={(e) => setCode(e.target.value)}
+            spellCheck={false}
+            required
+          />
+        </div>
+
+        {/* Optional Diff */}
+        <label className="label cursor-pointer justify-start gap-3 mt-2">
+          <input
+            type="checkbox"
+            className="checkbox checkbox-sm"
+            checked={showDiff}
+            onChange={(e) => setShowDiff(e.target.checked)}
+          />
+          <span className="label-text">Add a diff (e.g. output of git diff)</span>
+        </label>
+        {showDiff && (
+          <textarea
+            className="textarea textarea-bordered w-full font-mono text-sm"
+            rows={8}
+            maxLength={20000}
+            value={diff}
+            placeholder="@@ -1,3 +1,4 @@"
+            onChange={(e) => setDiff(e.target.value)}
+            spellCheck={false}
+          />
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mt-2">
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button
+            type="button"
+            className="btn"
+            onClick={onClose}
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            {loading ? (
+              <>
+                <span className="loading loading-spinner loading-sm"></span>
+                Sending...
+              </>
+            ) : (
+              "Send Request"
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext";
+import { getReview, addReviewComment, resolveReview } from "../../utils/api";
+import { getLanguageLabel } from "../../utils/reviews";
+import { formatTimeAgo } from "../../utils/time";
+import CodeView from "./CodeView";
+
+/**
+ * ReviewDetail component - one code review with highlighted code, diff and line comments
+ * The reviewer can comment on lines (click a line number) and resolve the review
+ */
+export default function ReviewDetail() {
+  // Reading the review ID from the URL (/reviews/:id)
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  // State management for the review
+  const [review, setReview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [resolving, setResolving] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Fetch the review on component mount
+   */
+  useEffect(() => {
+    const fetchReview = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await getReview(id);
+        setReview(response.review);
+      } catch (err) {
+        setError(
+          err.response?.data?.message ||
+            "Failed to load review. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReview();
+  }, [id]);
+
+  /**
+   * Add a line comment - CodeView shows API errors itself, so errors are re-thrown
+   * @param {string} target - "code" or "diff"
+   * @param {number} line - Line number
+   * @param {string} text - Comment text
+   */
+  const handleAddComment = async (target, line, text) => {
+    const response = await addReviewComment(id, { target, line, text });
+    setReview((prev) => ({ ...prev, comments: [...prev.comments, response.comment] }));
+  };
+
+  /**
+   * Handle resolving the review
+   */
+  const handleResolve = async () => {
+    setResolving(true);
+    setError("");
+    try {
+      const response = await resolveReview(id);
+      setReview((prev) => ({ ...prev, status: response.status, resolvedAt: response.resolvedAt }));
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to resolve review. Please try again."
+      );
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg"></span>
+      </div>
+    );
+  }
+
+  // Show error state when the review couldn't be loaded
+  if (!review) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4 px-4">
+        <div className="alert alert-error max-w-md">
+          <span>{error}</span>
+        </div>
+        <button className="btn btn-ghost" onClick={() => navigate("/reviews")}>
+          Back to reviews
+        </button>
+      </div>
+    );
+  }
+
+  const isReviewer = review.reviewerId?._id === user?._id;
+  const canComment = isReviewer && review.status === "open";
+  const codeComments = review.comments.filter((comment) => comment.target === "code");
+  const diffComments = review.comments.filter((comment) => comment.target === "diff");
+
+  return (
+    <div className="min-h-screen bg-base-100 py-4 sm:py-8 px-3 sm:px-4">
+      <div className="max-w-5xl mx-auto">
+        {/* Header */}
+        <div className="flex justify-between items-start gap-4 mb-4">
+          <div>
+            <p className="text-sm text-base-content/70">
+              {review.requesterId?.firstName} {review.requesterId?.lastName} asked{" "}
+              {review.reviewerId?.firstName} {review.reviewerId?.lastName} ·{" "}
+              {getLanguageLabel(review.language)} · {formatTimeAgo(review.createdAt)}
+            </p>
+            <h1 className="text-xl sm:text-2xl font-bold whitespace-pre-wrap break-words mt-1">
+              {review.question}
+            </h1>
+          </div>
+          <button className="btn btn-ghost" onClick={() => navigate("/reviews")}>
+            Back
+          </button>
+        </div>
+
+        {/* Status and Resolve Button */}
+        <div className="flex items-center gap-3 mb-4">
+          <span className={`badge ${review.status === "open" ? "badge-primary" : "badge-ghost"}`}>
+            {review.status}
+          </span>
+          {review.resolvedAt && (
+            <span className="text-sm text-base-content/70">
+              Resolved {formatTimeAgo(review.resolvedAt)}
+            </span>
+          )}
+          {canComment && (
+            <button
+              className="btn btn-success btn-sm ml-auto"
+              onClick={handleResolve}
+              disabled={resolving}
+            >
+              {resolving ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                "Mark as resolved"
+              )}
+            </button>
+          )}
+        </div>
+
+        {canComment && (
+          <p className="text-sm text-base-content/70 mb-2">
+            Click a line number to comment on that line.
+          </p>
+        )}
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mb-4">
+            <span>{error}</span>
+          </div>
+        )}
+
+        {/* Code */}
+        <h2 className="text-lg font-semibold mb-2">Code</h2>
+        <CodeView
+          code={review.code}
+          language={review.language}
+          comments={codeComments}
+          canComment={canComment}
+          onAddComment={(line, text) => handleAddComment("code", line, text)}
+        />
+
+        {/* Diff */}
+        {review.diff && (
+          <>
+            <h2 className="text-lg font-semibold mt-6 mb-2">Diff</h2>
+            <CodeView
+              code={review.diff}
+              language="diff"
+              comments={diffComments}
+              canComment={canComment}
+              onAddComment={(line, text) => handleAddComment("diff", line, text)}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+// Importing required modules
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { getReviews } from "../../utils/api";
+import { getLanguageLabel } from "../../utils/reviews";
+import { formatTimeAgo } from "../../utils/time";
+
+// Tabs of the reviews page - incoming: others asked me, outgoing: I asked others
+const TABS = [
+  { value: "incoming", label: "Incoming" },
+  { value: "outgoing", label: "Outgoing" },
+];
+
+// Status filter options ("" shows all reviews)
+const STATUS_FILTERS = [
+  { value: "open", label: "Open" },
+  { value: "resolved", label: "Resolved" },
+  { value: "", label: "All" },
+];
+
+/**
+ * ReviewsList component to list incoming and outgoing code review requests
+ */
+export default function ReviewsList() {
+  // State management for the list
+  const [box, setBox] = useState("incoming");
+  const [status, setStatus] = useState("open");
+  const [reviews, setReviews] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasNextPage, setHasNextPage] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Fetch the first page whenever the tab or the status filter changes
+   */
+  useEffect(() => {
+    const fetchReviews = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await getReviews(box, status, 1);
+        setReviews(response.reviews || []);
+        setPage(1);
+        setHasNextPage(Boolean(response.hasNextPage));
+      } catch (err) {
+        setError(
+          err.response?.data?.message ||
+            "Failed to load reviews. Please try again."
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReviews();
+  }, [box, status]);
+
+  /**
+   * Load the next page and add it to the list
+   */
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await getReviews(box, status, page + 1);
+      setReviews((prev) => [...prev, ...(response.reviews || [])]);
+      setPage(page + 1);
+      setHasNextPage(Boolean(response.hasNextPage));
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+          "Failed to load reviews. Please try again."
+      );
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-base-100 py-4 sm:py-8 px-3 sm:px-4">
+      <div className="max-w-4xl mx-auto">
+        {/* Header */}
+        <h1 className="text-2xl sm:text-3xl font-bold mb-4 sm:mb-6 text-center sm:text-left">
+          Code Reviews
+        </h1>
+
+        {/* Tabs and Status Filter */}
+        <div className="flex flex-col sm:flex-row justify-between gap-3 mb-4">
+          <div role="tablist" className="tabs tabs-boxed">
+            {TABS.map((tab) => (
+              <button
+                key={tab.value}
+                role="tab"
+                className={`tab ${box === tab.value ? "tab-active" : ""}`}
+                onClick={() => setBox(tab.value)}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+          <select
+            className="select select-bordered select-sm"
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+          >
+            {STATUS_FILTERS.map((option) => (
+              <option key={option.label} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="alert alert-error mb-4">
+            <span>{error}</span>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        ) : reviews.length === 0 ? (
+          <div className="alert alert-info">
+            <span>
+              {box === "incoming"
+                ? "Nobody asked you for a review yet."
+                : "You haven't asked for a review yet. Ask a connection from the Connections page."}
+            </span>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {reviews.map((review) => {
+              // showing the other person - the requester for incoming, the reviewer for outgoing
+              const otherUser = box === "incoming" ? review.requesterId : review.reviewerId;
+              return (
+                <Link
+                  key={review._id}
+                  to={`/reviews/${review._id}`}
+                  className="card bg-base-200 shadow hover:bg-base-300 transition-colors"
+                >
+                  <div className="card-body p-4">
+                    <div className="flex justify-between items-start gap-2">
+                      <p className="font-semibold line-clamp-2">{review.question}</p>
+                      <span
+                        className={`badge ${
+                          review.status === "open" ? "badge-primary" : "badge-ghost"
+                        }`}
+                      >
+                        {review.status}
+                      </span>
+                    </div>
+                    <p className="text-sm text-base-content/70">
+                      {box === "incoming" ? "From" : "To"} {otherUser?.firstName}{" "}
+                      {otherUser?.lastName} · {getLanguageLabel(review.language)} ·{" "}
+                      {review.commentCount} comment{review.commentCount === 1 ? "" : "s"} ·{" "}
+                      {formatTimeAgo(review.createdAt)}
+                    </p>
+                  </div>
+                </Link>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Load More Button */}
+        {!loading && hasNextPage && (
+          <div className="text-center mt-4">
+            <button
+              className="btn btn-outline"
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                "Load more"
+              )}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
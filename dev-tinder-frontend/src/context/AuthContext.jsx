@@ -2,6 +2,10 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
 // importing API functions to check if user is logged in and to logout
 import { getProfile, logout as logoutAPI } from "../utils/api";
+// importing disconnectSocket to close the chat connection on logout
+import { disconnectSocket } from "../utils/socket";
+// importing disconnectLiveEvents to close the live events stream on logout
+import { disconnectLiveEvents } from "../utils/liveEvents";
 
 // creating AuthContext - this allows us to share user data across all components
 // context is like a global state that any component can access
@@ -90,6 +94,9 @@ export const AuthProvider = ({ children }) => {
       console.error("Logout error:", error);
     } finally {
       // always clear user data and localStorage flag
+      // and close the chat connection, it belongs to the old session
+      disconnectSocket();
+      disconnectLiveEvents();
       setUser(null);
       localStorage.removeItem('hasLoggedIn');
     }
@@ -0,0 +1,32 @@
+// importing React hooks
+import { useEffect, useRef } from "react";
+// importing the shared live events stream
+import { subscribeToLiveEvents } from "../utils/liveEvents";
+
+/**
+ * useLiveEvents hook - calls a handler when the backend pushes a live event over GET /events
+ * Handlers can change on every render, the stream subscription stays the same
+ * @param {Object} handlers - Map of event type to handler, e.g. { "request.received": (data) => {} }
+ *
+ * Example:
+ *   useLiveEvents({
+ *     "connection.removed": ({ userId }) => removeConnection(userId),
+ *   });
+ */
+export default function useLiveEvents(handlers) {
+  // keeping the newest handlers in a ref so we don't resubscribe on every render
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const unsubscribe = subscribeToLiveEvents((type, data) => {
+      const handler = handlersRef.current[type];
+      if (handler) {
+        handler(data);
+      }
+    });
+    return unsubscribe;
+  }, []);
+}
@@ -5,22 +5,62 @@ import axios from "axios";
 // in development, use localhost
 // in production, this will be your deployed backend URL
 // import.meta.env.VITE_API_URL is a Vite environment variable
-const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+// exported because the chat socket connects to the same backend
+export const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
 
 // configuring axios to send credentials (cookies) with every request
 // this is needed because we store authentication token in cookies
 // without this, cookies won't be sent to backend
 axios.defaults.withCredentials = true;
 
+// auth endpoints that must never trigger a refresh themselves
+// (a 401 from login means wrong password, a 401 from refresh means the session is gone)
+const NO_REFRESH_URLS = [
+  "/auth/login",
+  "/auth/signup",
+  "/auth/refresh",
+  "/auth/logout",
+  "/auth/2fa/verify",
+];
+
+// holds the refresh request while it is running
+// if several requests fail with 401 at the same time, they all wait for the same refresh
+let refreshPromise = null;
+
+// refreshSession function - asks backend for a new access token using the refresh token cookie
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // adding response interceptor to handle errors
 // this runs for every response from backend
 axios.interceptors.response.use(
   (response) => response, // if response is successful, just return it
-  (error) => {
-    // if error is 401 (unauthorized), don't log it to console
-    // 401 errors are expected when user is not logged in, so we don't want console spam
-    if (error.response && error.response.status === 401) {
-      return Promise.reject(error); // return error without logging
+  async (error) => {
+    const originalRequest = error.config;
+    const isRefreshable =
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.some((url) => originalRequest.url?.includes(url));
+
+    // if error is 401 (unauthorized), the access token probably expired
+    // refresh the session once and retry the original request transparently
+    if (error.response && error.response.status === 401 && isRefreshable) {
+      originalRequest._retry = true;
+      try {
+        await refreshSession();
+        return axios(originalRequest);
+      } catch {
+        // refresh failed - user really is logged out, return the original 401
+        return Promise.reject(error);
+      }
     }
     // for other errors, return them normally (they might be logged elsewhere)
     return Promise.reject(error);
@@ -57,6 +97,113 @@ export const logout = async () => {
   return response.data;
 };
 
+// verifyEmail function - confirms the email address with the token from the verification link
+// token is the token from the verification email
+export const verifyEmail = async (token) => {
+  // making GET request to /auth/verify-email/:token endpoint
+  const response = await axios.get(`${API_BASE_URL}/auth/verify-email/${token}`);
+  return response.data;
+};
+
+// resendVerification function - asks backend to send a new verification email
+export const resendVerification = async () => {
+  // making POST request to /auth/resend-verification endpoint
+  const response = await axios.post(`${API_BASE_URL}/auth/resend-verification`);
+  return response.data;
+};
+
+// forgotPassword function - asks backend to email a password reset link
+// emailID is the email address of the account
+export const forgotPassword = async (emailID) => {
+  // making POST request to /auth/forgot-password endpoint
+  const response = await axios.post(`${API_BASE_URL}/auth/forgot-password`, {
+    emailID,
+  });
+  return response.data;
+};
+
+// resetPassword function - sets a new password using the token from the reset email
+// token is the token from the reset link
+// newPassword is the new password to set
+export const resetPassword = async (token, newPassword) => {
+  // making POST request to /auth/reset-password endpoint
+  const response = await axios.post(`${API_BASE_URL}/auth/reset-password`, {
+    token,
+    newPassword,
+  });
+  return response.data;
+};
+
+// ==================== Two-Factor API Functions ==================== //
+
+// verifyTwoFactorLogin function - second login step when two-factor is enabled
+// challengeToken is the token returned by login
+// codes should contain either code (from the authenticator app) or recoveryCode
+export const verifyTwoFactorLogin = async (challengeToken, codes) => {
+  // making POST request to /auth/2fa/verify endpoint
+  const response = await axios.post(`${API_BASE_URL}/auth/2fa/verify`, {
+    challengeToken,
+    ...codes,
+  });
+  return response.data;
+};
+
+// getTwoFactorStatus function - checks if two-factor is enabled for the logged in user
+export const getTwoFactorStatus = async () => {
+  // making GET request to /auth/2fa/status endpoint
+  const response = await axios.get(`${API_BASE_URL}/auth/2fa/status`);
+  return response.data;
+};
+
+// setupTwoFactor function - creates a new secret and returns the QR code to scan
+export const setupTwoFactor = async () => {
+  // making POST request to /auth/2fa/setup endpoint
+  const response = await axios.post(`${API_BASE_URL}/auth/2fa/setup`);
+  return response.data;
+};
+
+// enableTwoFactor function - confirms the first code and turns two-factor on
+// code is the 6 digit code from the authenticator app
+export const enableTwoFactor = async (code) => {
+  // making POST request to /auth/2fa/enable endpoint
+  const response = await axios.post(`${API_BASE_URL}/auth/2fa/enable`, { code });
+  return response.data;
+};
+
+// disableTwoFactor function - turns two-factor off
+// password is the user's current password
+export const disableTwoFactor = async (password) => {
+  // making POST request to /auth/2fa/disable endpoint
+  const response = await axios.post(`${API_BASE_URL}/auth/2fa/disable`, {
+    password,
+  });
+  return response.data;
+};
+
+// ==================== Session API Functions ==================== //
+
+// getSessions function - gets all devices where the user is logged in
+export const getSessions = async () => {
+  // making GET request to /auth/sessions endpoint
+  const response = await axios.get(`${API_BASE_URL}/auth/sessions`);
+  return response.data;
+};
+
+// revokeSession function - logs out one device
+// sessionId is the ID of the session to revoke
+export const revokeSession = async (sessionId) => {
+  // making DELETE request to /auth/sessions/:id endpoint
+  const response = await axios.delete(`${API_BASE_URL}/auth/sessions/${sessionId}`);
+  return response.data;
+};
+
+// logoutAllSessions function - logs the user out on every device
+export const logoutAllSessions = async () => {
+  // making POST request to /auth/logout-all endpoint
+  const response = await axios.post(`${API_BASE_URL}/auth/logout-all`);
+  return response.data;
+};
+
 // ==================== Profile API Functions ==================== //
 
 // getProfile function - gets the logged in user's profile data
@@ -93,15 +240,59 @@ export const deleteAccount = async () => {
   return response.data;
 };
 
+// getEmailPreferences function - how often the user gets emails about each event
+export const getEmailPreferences = async () => {
+  // making GET request to /profile/email-preferences endpoint
+  const response = await axios.get(`${API_BASE_URL}/profile/email-preferences`);
+  return response.data;
+};
+
+// updateEmailPreferences function - changes how often the user gets emails
+// preferences is { connectionRequests?, newConnections? } with "instant", "daily", "weekly" or "off"
+export const updateEmailPreferences = async (preferences) => {
+  // making PUT request to /profile/email-preferences endpoint
+  const response = await axios.put(`${API_BASE_URL}/profile/email-preferences`, preferences);
+  return response.data;
+};
+
+// getDiscoveryPreferences function - what the user is looking for in the feed
+export const getDiscoveryPreferences = async () => {
+  // making GET request to /profile/preferences endpoint
+  const response = await axios.get(`${API_BASE_URL}/profile/preferences`);
+  return response.data;
+};
+
+// updateDiscoveryPreferences function - saves the discovery preferences
+// preferences is { skills?, ageMin?, ageMax?, genders?, maxDistanceKm?, experienceLevel? } - null clears a field
+export const updateDiscoveryPreferences = async (preferences) => {
+  // making PUT request to /profile/preferences endpoint
+  const response = await axios.put(`${API_BASE_URL}/profile/preferences`, preferences);
+  return response.data;
+};
+
+// unsubscribeEmail function - switches off emails with the token from an unsubscribe link
+// works without being logged in, the token says which user it is
+export const unsubscribeEmail = async (token) => {
+  // making POST request to /email/unsubscribe endpoint
+  const response = await axios.post(`${API_BASE_URL}/email/unsubscribe`, { token });
+  return response.data;
+};
+
 // ==================== User Feed API Functions ==================== //
 
-// getUserFeed function - gets list of users for discovery feed
-// page is the page number (default 1)
+// getUserFeed function - gets list of users for discovery feed, best matches first
+// cursor is the nextCursor of the previous page (leave it out for the first page)
 // limit is how many users per page (default 10)
-export const getUserFeed = async (page = 1, limit = 10) => {
-  // making GET request to /user/feed with page and limit as query parameters
+// filters is { skills, anySkills, ageMin, ageMax, gender, q } - empty ones are left out
+// without filters the backend uses the saved discovery preferences, { preferences: "off" } shows everyone
+export const getUserFeed = async (cursor, limit = 10, filters = {}) => {
+  // leaving out empty filters so the URL only has the ones that are set
+  const filterParams = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== "" && value != null)
+  );
+  // making GET request to /user/feed with cursor, limit and filters as query parameters
   const response = await axios.get(`${API_BASE_URL}/user/feed`, {
-    params: { page, limit }, // params adds ?page=1&limit=10 to URL
+    params: { ...(cursor ? { cursor } : {}), limit, ...filterParams }, // params adds ?cursor=...&limit=10&skills=... to URL
   });
   return response.data;
 };
@@ -111,10 +302,12 @@ export const getUserFeed = async (page = 1, limit = 10) => {
 // sendConnectionRequest function - sends a connection request to another user
 // toUserId is the ID of the user to send request to
 // status is either "interested" or "ignored"
-export const sendConnectionRequest = async (toUserId, status) => {
+// note is an optional personal note for interested requests (max 300 characters)
+export const sendConnectionRequest = async (toUserId, status, note) => {
   // making POST request to /request/send/:status/:toUserId endpoint
   const response = await axios.post(
-    `${API_BASE_URL}/request/send/${status}/${toUserId}`
+    `${API_BASE_URL}/request/send/${status}/${toUserId}`,
+    note ? { note } : {}
   );
   return response.data;
 };
@@ -130,19 +323,59 @@ export const reviewConnectionRequest = async (fromUserId, status) => {
   return response.data;
 };
 
+// withdrawConnectionRequest function - takes back a pending request the user sent
+// toUserId is the ID of the user the request was sent to
+export const withdrawConnectionRequest = async (toUserId) => {
+  // making DELETE request to /request/withdraw/:toUserId endpoint
+  const response = await axios.delete(`${API_BASE_URL}/request/withdraw/${toUserId}`);
+  return response.data;
+};
+
+// bulkReviewConnectionRequests function - accepts or rejects many incoming requests at once
+// reviews is a list of { fromUserId, status } (at most 50), every item gets its own result back
+export const bulkReviewConnectionRequests = async (reviews) => {
+  // making POST request to /request/review/bulk endpoint
+  const response = await axios.post(`${API_BASE_URL}/request/review/bulk`, { reviews });
+  return response.data;
+};
+
 // ==================== User API Functions ==================== //
 
-// getConnectionRequests function - gets all pending connection requests received by logged in user
-export const getConnectionRequests = async () => {
+// getConnectionRequests function - gets pending connection requests received by logged in user, newest first
+// cursor is the nextCursor of the previous page (leave it out for the first page)
+export const getConnectionRequests = async (cursor, limit = 20) => {
   // making GET request to /user/requests endpoint
-  const response = await axios.get(`${API_BASE_URL}/user/requests`);
+  const response = await axios.get(`${API_BASE_URL}/user/requests`, {
+    params: cursor ? { cursor, limit } : { limit }, // params adds ?cursor=...&limit=20 to URL
+  });
+  return response.data;
+};
+
+// getSentConnectionRequests function - gets the connection requests the logged in user sent, newest first
+// status is "interested" (pending), "accepted", "rejected", "expired" or empty for all
+// cursor is the nextCursor of the previous page (leave it out for the first page)
+export const getSentConnectionRequests = async (status, cursor, limit = 20) => {
+  // making GET request to /user/requests/sent endpoint
+  const params = { limit };
+  if (status) {
+    params.status = status;
+  }
+  if (cursor) {
+    params.cursor = cursor;
+  }
+  const response = await axios.get(`${API_BASE_URL}/user/requests/sent`, {
+    params, // params adds ?status=...&cursor=...&limit=20 to URL
+  });
   return response.data;
 };
 
-// getConnections function - gets all accepted connections of logged in user
-export const getConnections = async () => {
+// getConnections function - gets accepted connections of logged in user, most recently connected first
+// cursor is the nextCursor of the previous page (leave it out for the first page)
+export const getConnections = async (cursor, limit = 20) => {
   // making GET request to /user/connections endpoint
-  const response = await axios.get(`${API_BASE_URL}/user/connections`);
+  const response = await axios.get(`${API_BASE_URL}/user/connections`, {
+    params: cursor ? { cursor, limit } : { limit }, // params adds ?cursor=...&limit=20 to URL
+  });
   return response.data;
 };
 
@@ -156,6 +389,121 @@ export const deleteConnection = async (userId) => {
   return response.data;
 };
 
+// ==================== Block & Report API Functions ==================== //
+
+// blockUser function - blocks a user, removing any request or connection between you
+// userId is the ID of the user to block
+export const blockUser = async (userId) => {
+  // making POST request to /user/block/:userId endpoint
+  const response = await axios.post(`${API_BASE_URL}/user/block/${userId}`);
+  return response.data;
+};
+
+// unblockUser function - removes a block so you can find each other again
+// userId is the ID of the blocked user
+export const unblockUser = async (userId) => {
+  // making DELETE request to /user/block/:userId endpoint
+  const response = await axios.delete(`${API_BASE_URL}/user/block/${userId}`);
+  return response.data;
+};
+
+// getBlockedUsers function - gets the users the logged in user blocked
+export const getBlockedUsers = async () => {
+  // making GET request to /user/blocks endpoint
+  const response = await axios.get(`${API_BASE_URL}/user/blocks`);
+  return response.data;
+};
+
+// reportUser function - reports a user to the moderators
+// report contains category, details and block (true to also block the user)
+export const reportUser = async (userId, report) => {
+  // making POST request to /user/report/:userId endpoint
+  const response = await axios.post(
+    `${API_BASE_URL}/user/report/${userId}`,
+    report
+  );
+  return response.data;
+};
+
+// ==================== Chat API Functions ==================== //
+
+// getChatMessages function - gets the chat history with one connection
+// before is the nextBefore value from the previous page (leave empty for the newest messages)
+export const getChatMessages = async (userId, before) => {
+  // making GET request to /chat/:userId/messages endpoint
+  const response = await axios.get(`${API_BASE_URL}/chat/${userId}/messages`, {
+    params: before ? { before } : {}, // params adds ?before=... to URL
+  });
+  return response.data;
+};
+
+// ==================== Code Review API Functions ==================== //
+
+// sendReviewRequest function - asks a connection to review a code snippet
+// review is { language, code, question, diff }
+export const sendReviewRequest = async (toUserId, review) => {
+  // making POST request to /reviews/send/:toUserId endpoint
+  const response = await axios.post(`${API_BASE_URL}/reviews/send/${toUserId}`, review);
+  return response.data;
+};
+
+// getReviews function - lists "incoming" (asked to review) or "outgoing" (asked for) reviews
+// status is "open", "resolved" or empty for all
+export const getReviews = async (box, status, page = 1) => {
+  // making GET request to /reviews/incoming or /reviews/outgoing endpoint
+  const response = await axios.get(`${API_BASE_URL}/reviews/${box}`, {
+    params: status ? { status, page } : { page }, // params adds ?status=...&page=... to URL
+  });
+  return response.data;
+};
+
+// getReview function - gets one review with code, diff and comments
+export const getReview = async (reviewId) => {
+  // making GET request to /reviews/:id endpoint
+  const response = await axios.get(`${API_BASE_URL}/reviews/${reviewId}`);
+  return response.data;
+};
+
+// addReviewComment function - comments on one line of the code or diff
+// comment is { line, text, target } - target is "code" or "diff"
+export const addReviewComment = async (reviewId, comment) => {
+  // making POST request to /reviews/:id/comments endpoint
+  const response = await axios.post(`${API_BASE_URL}/reviews/${reviewId}/comments`, comment);
+  return response.data;
+};
+
+// resolveReview function - reviewer marks the review as done
+export const resolveReview = async (reviewId) => {
+  // making POST request to /reviews/:id/resolve endpoint
+  const response = await axios.post(`${API_BASE_URL}/reviews/${reviewId}/resolve`);
+  return response.data;
+};
+
+// ==================== Notification API Functions ==================== //
+
+// getNotifications function - gets the user's notifications (newest first) and the unread count
+export const getNotifications = async (page = 1, limit = 20) => {
+  // making GET request to /notifications endpoint
+  const response = await axios.get(`${API_BASE_URL}/notifications`, {
+    params: { page, limit }, // params adds ?page=1&limit=20 to URL
+  });
+  return response.data;
+};
+
+// markNotificationRead function - marks one notification as read
+export const markNotificationRead = async (notificationId) => {
+  // making POST request to /notifications/:id/read endpoint
+  const response = await axios.post(`${API_BASE_URL}/notifications/${notificationId}/read`);
+  return response.data;
+};
+
+// markAllNotificationsRead function - marks every notification as read
+export const markAllNotificationsRead = async () => {
+  // making POST request to /notifications/read-all endpoint
+  const response = await axios.post(`${API_BASE_URL}/notifications/read-all`);
+  return response.data;
+};
+
 // exporting axios instance in case we need it for custom requests
 export default axios;
 
@@ -0,0 +1,37 @@
+// Feed filters - kept in the URL query string so a filtered feed can be reloaded, shared and bookmarked
+// The keys are the query parameters GET /user/feed understands (see validateFeedFilters in the backend)
+export const FEED_FILTER_KEYS = ["skills", "anySkills", "ageMin", "ageMax", "gender", "q"];
+
+// readFeedFilters function - picks the feed filters out of the URL search params
+// returns an object with every filter key, empty string when the filter isn't set
+export const readFeedFilters = (searchParams) => {
+  const filters = {};
+  for (const key of FEED_FILTER_KEYS) {
+    filters[key] = searchParams.get(key) || "";
+  }
+  return filters;
+};
+
+// toFeedFilterParams function - turns filters into search params, leaving out the empty ones
+// other params already in the URL (not feed filters) are kept
+export const toFeedFilterParams = (filters, currentParams = new URLSearchParams()) => {
+  const params = new URLSearchParams(currentParams);
+  for (const key of FEED_FILTER_KEYS) {
+    const value = String(filters[key] ?? "").trim();
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+  }
+  return params;
+};
+
+// countActiveFilters function - how many filters are set, shown as a badge on the filter panel
+// ageMin and ageMax count as one "age" filter
+export const countActiveFilters = (filters) => {
+  const keys = FEED_FILTER_KEYS.filter((key) => key !== "ageMax");
+  return keys.filter((key) =>
+    key === "ageMin" ? filters.ageMin || filters.ageMax : filters[key]
+  ).length;
+};
@@ -0,0 +1,97 @@
+// importing backend URL and refresh helper from api.js
+import { API_BASE_URL, refreshSession } from "./api";
+
+// event types sent by GET /events - "ready" is sent every time the stream (re)connects
+const LIVE_EVENT_TYPES = [
+  "ready",
+  "request.received",
+  "request.accepted",
+  "request.withdrawn",
+  "request.expired",
+  "connection.removed",
+  "profile.updated",
+  "notification.created",
+  "session.ended",
+];
+
+// one shared stream for the whole app - every page subscribes to the same EventSource
+let eventSource = null;
+// listeners get (type, data) for every event
+const listeners = new Set();
+// true after we tried refreshing the session for a rejected stream, reset when connected
+let refreshTried = false;
+
+// function to send one event to every listener
+const dispatch = (type, data) => {
+  listeners.forEach((listener) => listener(type, data));
+};
+
+// function to open the stream - the browser reconnects by itself when the connection drops
+const openStream = () => {
+  eventSource = new EventSource(`${API_BASE_URL}/events`, { withCredentials: true });
+
+  LIVE_EVENT_TYPES.forEach((type) => {
+    eventSource.addEventListener(type, (event) => {
+      if (type === "ready") {
+        refreshTried = false;
+      }
+      dispatch(type, JSON.parse(event.data));
+      // the session was logged out on another device - the next API call takes care of the redirect
+      if (type === "session.ended") {
+        closeStream();
+      }
+    });
+  });
+
+  // a 401 (access token expired) closes the stream for good - refresh the session once and open it again
+  eventSource.onerror = async () => {
+    if (eventSource?.readyState !== EventSource.CLOSED || refreshTried) {
+      return;
+    }
+    refreshTried = true;
+    closeStream();
+    try {
+      await refreshSession();
+      if (listeners.size > 0 && !eventSource) {
+        openStream();
+      }
+    } catch {
+      // refresh failed - user is logged out, nothing to stream
+    }
+  };
+};
+
+// function to close the stream
+const closeStream = () => {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+};
+
+/**
+ * Listen to live events - opens the stream for the first listener
+ * @param {Function} listener - Called with (type, data) for every event
+ * @returns {Function} Function that stops listening (closes the stream after the last listener)
+ */
+export const subscribeToLiveEvents = (listener) => {
+  listeners.add(listener);
+  if (!eventSource) {
+    openStream();
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      closeStream();
+    }
+  };
+};
+
+/**
+ * Close the stream and forget all listeners - used on logout
+ */
+export const disconnectLiveEvents = () => {
+  listeners.clear();
+  closeStream();
+  refreshTried = false;
+};
@@ -0,0 +1,21 @@
+/**
+ * Get the text and the page to open for a notification
+ * @param {Object} notification - Notification from the backend (actorId is the populated user)
+ * @returns {{ text: string, link: string }} Text to show and route to open on click
+ */
+export const describeNotification = (notification) => {
+  const name = `${notification.actorId?.firstName || ""} ${notification.actorId?.lastName || ""}`.trim();
+
+  switch (notification.type) {
+    case "connection_request":
+      return { text: `${name} wants to connect with you`, link: "/requests" };
+    case "request_accepted":
+      return { text: `${name} accepted your connection request`, link: "/connections" };
+    case "connection_removed":
+      return { text: `${name} removed you from their connections`, link: "/connections" };
+    case "request_expired":
+      return { text: `Your connection request to ${name} expired`, link: "/requests?tab=sent" };
+    default:
+      return { text: "You have a new notification", link: "/" };
+  }
+};
@@ -0,0 +1,21 @@
+// Dot color and label for every presence state sent by the backend
+// "away" and null (user hides their presence) have no entry, so nothing is shown
+const PRESENCE_STYLES = {
+  online: { color: "bg-success", label: "Online now" },
+  today: { color: "bg-warning", label: "Active today" },
+  week: { color: "bg-base-content/40", label: "Active this week" },
+};
+
+/**
+ * Get the dot color class for a presence state
+ * @param {string} presence - "online", "today", "week", "away" or null
+ * @returns {string} Tailwind background class, or an empty string
+ */
+export const getPresenceColor = (presence) => PRESENCE_STYLES[presence]?.color || "";
+
+/**
+ * Get the text shown next to a user's name for their presence
+ * @param {string} presence - "online", "today", "week", "away" or null
+ * @returns {string} Label like "Online now", or an empty string
+ */
+export const getPresenceLabel = (presence) => PRESENCE_STYLES[presence]?.label || "";
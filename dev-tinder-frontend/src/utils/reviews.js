@@ -0,0 +1,39 @@
+// Languages a review can be tagged with - must match REVIEW_LANGUAGES in the backend CodeReview model
+// prism is the name prism-react-renderer uses for highlighting
+export const REVIEW_LANGUAGES = [
+  { value: "javascript", label: "JavaScript", prism: "javascript" },
+  { value: "typescript", label: "TypeScript", prism: "typescript" },
+  { value: "jsx", label: "JSX", prism: "jsx" },
+  { value: "tsx", label: "TSX", prism: "tsx" },
+  { value: "python", label: "Python", prism: "python" },
+  { value: "go", label: "Go", prism: "go" },
+  { value: "rust", label: "Rust", prism: "rust" },
+  { value: "c", label: "C", prism: "c" },
+  { value: "cpp", label: "C++", prism: "cpp" },
+  { value: "swift", label: "Swift", prism: "swift" },
+  { value: "kotlin", label: "Kotlin", prism: "kotlin" },
+  { value: "sql", label: "SQL", prism: "sql" },
+  { value: "html", label: "HTML", prism: "markup" },
+  { value: "css", label: "CSS", prism: "css" },
+  { value: "json", label: "JSON", prism: "json" },
+  { value: "yaml", label: "YAML", prism: "yaml" },
+  { value: "markdown", label: "Markdown", prism: "markdown" },
+  { value: "graphql", label: "GraphQL", prism: "graphql" },
+  { value: "plaintext", label: "Plain text", prism: "plain" },
+];
+
+/**
+ * Get the display name of a review language
+ * @param {string} language - Language tag from the backend
+ * @returns {string} Label like "JavaScript"
+ */
+export const getLanguageLabel = (language) =>
+  REVIEW_LANGUAGES.find((entry) => entry.value === language)?.label || language;
+
+/**
+ * Get the prism-react-renderer language for a review language
+ * @param {string} language - Language tag from the backend
+ * @returns {string} Prism language name ("plain" when unknown)
+ */
+export const getPrismLanguage = (language) =>
+  REVIEW_LANGUAGES.find((entry) => entry.value === language)?.prism || "plain";
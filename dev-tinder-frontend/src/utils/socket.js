@@ -0,0 +1,53 @@
+// importing socket.io client for the real-time chat connection
+import { io } from "socket.io-client";
+// importing backend URL and refresh helper from api.js
+import { API_BASE_URL, refreshSession } from "./api";
+
+// one shared connection for the whole app - every chat page uses the same socket
+let socket = null;
+// true after we tried refreshing the session for a failed connection, reset when connected
+let refreshTried = false;
+
+// getSocket function - returns the shared socket and connects it if needed
+// the backend checks the same token cookie as for API requests
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(API_BASE_URL, {
+      withCredentials: true, // send the token cookie with the handshake
+      autoConnect: false,
+    });
+
+    socket.on("connect", () => {
+      refreshTried = false;
+    });
+
+    // the access token only lives 15 minutes - if the handshake is rejected,
+    // refresh the session once and try again (same as the axios interceptor does)
+    socket.on("connect_error", async (error) => {
+      if (error.data?.code !== "UNAUTHORIZED" || refreshTried) {
+        return;
+      }
+      refreshTried = true;
+      try {
+        await refreshSession();
+        socket.connect();
+      } catch {
+        // refresh failed - user is logged out, the chat page shows the error
+      }
+    });
+  }
+
+  if (!socket.connected) {
+    socket.connect();
+  }
+  return socket;
+};
+
+// disconnectSocket function - closes the connection, used on logout
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+  refreshTried = false;
+};
@@ -0,0 +1,29 @@
+// formatTimeAgo function - turns a date into a short relative text like "5 minutes ago"
+// date can be a Date object or anything new Date() understands (ISO string from backend)
+export const formatTimeAgo = (date) => {
+  if (!date) {
+    return "";
+  }
+
+  const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+  if (seconds < 60) {
+    return "just now";
+  }
+
+  // going from the biggest unit to the smallest and using the first one that fits
+  const units = [
+    ["year", 365 * 24 * 60 * 60],
+    ["month", 30 * 24 * 60 * 60],
+    ["week", 7 * 24 * 60 * 60],
+    ["day", 24 * 60 * 60],
+    ["hour", 60 * 60],
+    ["minute", 60],
+  ];
+  for (const [unit, unitSeconds] of units) {
+    const value = Math.floor(seconds / unitSeconds);
+    if (value >= 1) {
+      return `${value} ${unit}${value > 1 ? "s" : ""} ago`;
+    }
+  }
+  return "just now";
+};
@@ -3,6 +3,8 @@
 const express = require("express");
 // importing database connection function from config folder
 const { connectDB } = require("./config/database");
+// importing data migrations that update existing documents when a feature changes them
+const { runMigrations } = require("./config/migrations");
 // importing cookie-parser module for handling cookies
 const cookieParser = require("cookie-parser");
 // importing cors module for handling cross-origin requests
@@ -11,22 +13,45 @@ const cors = require("cors");
 // importing all the routers we created for different routes
 const requestsRouter = require("./routes/requestsRouter").requestsRouter;
 const authRouter = require("./routes/authRouter").authRouter;
+const twoFactorRouter = require("./routes/twoFactorRouter").twoFactorRouter;
+const tokensRouter = require("./routes/tokensRouter").tokensRouter;
 const profileRouter = require("./routes/profileRouter").profileRouter;
 const userRouter = require("./routes/userRouter").userRouter;
+const adminRouter = require("./routes/adminRouter").adminRouter;
+const chatRouter = require("./routes/chatRouter").chatRouter;
+const reviewsRouter = require("./routes/reviewsRouter").reviewsRouter;
+const notificationsRouter = require("./routes/notificationsRouter").notificationsRouter;
+const eventsRouter = require("./routes/eventsRouter").eventsRouter;
+const emailRouter = require("./routes/emailRouter").emailRouter;
+// importing the chat socket server that runs next to express
+const { initChatSocket } = require("./sockets/chatSocket");
+// importing the scheduled job that sends daily and weekly email digests
+const { startDigestJob } = require("./jobs/digestJob");
+// importing the scheduled job that expires old pending connection requests
+const { startRequestExpiryJob } = require("./jobs/requestExpiryJob");
 
 // creating express app instance - this is our main application
 const app = express();
 
+// when running behind a proxy (Render, Heroku, nginx...), req.ip would be the proxy's IP
+// TRUST_PROXY tells express how many proxies to trust so rate limiting sees the real client IP
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // getting port from environment variable
 const port = process.env.PORT || 5000;
 
+// list of frontend URLs that are allowed to make requests - used by CORS and the chat socket
+const allowedOrigins = process.env.FRONTEND_URL 
+    ? process.env.FRONTEND_URL.split(',') 
+    : ["http://localhost:5173", "http://localhost:3000", "http://localhost:5174"];
+
 // configuring CORS - this allows our frontend (running on different port) to talk to backend
 // must be before other middleware or it won't work properly
 app.use(cors({
     // list of frontend URLs that are allowed to make requests
-    origin: process.env.FRONTEND_URL 
-        ? process.env.FRONTEND_URL.split(',') 
-        : ["http://localhost:5173", "http://localhost:3000", "http://localhost:5174"],
+    origin: allowedOrigins,
     // allow cookies to be sent with requests - needed for authentication
     credentials: true,
     // which HTTP methods are allowed
@@ -34,7 +59,8 @@ app.use(cors({
     // which headers can be sent
     allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
     // expose Set-Cookie header so frontend knows about cookies
-    exposedHeaders: ["Set-Cookie"]
+    // expose Retry-After so frontend can tell users how long to wait after a 429
+    exposedHeaders: ["Set-Cookie", "Retry-After"]
 }));
 
 // middleware to parse JSON data from request body
@@ -54,12 +80,28 @@ app.get("/health", (req, res) => {
 
 // defining all our routes - these are the endpoints our frontend will call
 app.use("/auth", authRouter);
+// "/auth/2fa" routes go to twoFactorRouter
+app.use("/auth/2fa", twoFactorRouter);
+// "/auth/tokens" routes go to tokensRouter
+app.use("/auth/tokens", tokensRouter);
 // "/profile" routes go to profileRouter
 app.use("/profile", profileRouter);
 // "/request" routes go to requestsRouter
 app.use("/request", requestsRouter);
 // "/user" routes go to userRouter
 app.use("/user", userRouter);
+// "/admin" routes go to adminRouter (moderators and admins only)
+app.use("/admin", adminRouter);
+// "/chat" routes go to chatRouter
+app.use("/chat", chatRouter);
+// "/reviews" routes go to reviewsRouter
+app.use("/reviews", reviewsRouter);
+// "/notifications" routes go to notificationsRouter
+app.use("/notifications", notificationsRouter);
+// "/events" route goes to eventsRouter (Server-Sent Events stream)
+app.use("/events", eventsRouter);
+// "/email" routes go to emailRouter (unsubscribe links in emails)
+app.use("/email", emailRouter);
 
 // logging all registered routes - helpful for debugging
 console.log("Routes registered:");
@@ -67,11 +109,59 @@ console.log("  GET /health");
 console.log("  POST /auth/signup");
 console.log("  POST /auth/login");
 console.log("  POST /auth/logout");
+console.log("  POST /auth/refresh");
+console.log("  GET /auth/verify-email/:token");
+console.log("  POST /auth/resend-verification");
+console.log("  POST /auth/forgot-password");
+console.log("  POST /auth/reset-password");
+console.log("  POST /auth/2fa/setup");
+console.log("  POST /auth/2fa/enable");
+console.log("  POST /auth/2fa/disable");
+console.log("  POST /auth/2fa/verify");
+console.log("  GET /auth/sessions");
+console.log("  DELETE /auth/sessions/:id");
+console.log("  POST /auth/logout-all");
+console.log("  GET /auth/tokens");
+console.log("  POST /auth/tokens");
+console.log("  PUT /auth/tokens/:id");
+console.log("  DELETE /auth/tokens/:id");
 console.log("  GET /profile/view");
 console.log("  PUT /profile/edit");
 console.log("  DELETE /profile/delete");
 console.log("  PUT /profile/updatePassword");
+console.log("  GET /profile/email-preferences");
+console.log("  PUT /profile/email-preferences");
+console.log("  POST /request/review/bulk");
+console.log("  DELETE /request/withdraw/:toUserId");
+console.log("  GET /user/requests/sent");
 console.log("  DELETE /user/deleteconnection/:id");
+console.log("  POST /user/block/:userId");
+console.log("  DELETE /user/block/:userId");
+console.log("  GET /user/blocks");
+console.log("  POST /user/report/:userId");
+console.log("  GET /admin/users");
+console.log("  GET /admin/users/:id");
+console.log("  POST /admin/users/:id/suspend");
+console.log("  POST /admin/users/:id/unsuspend");
+console.log("  POST /admin/users/:id/force-password-reset");
+console.log("  PUT /admin/users/:id/role");
+console.log("  GET /admin/stats");
+console.log("  GET /admin/reports");
+console.log("  PUT /admin/reports/:id");
+console.log("  GET /chat/:userId/messages");
+console.log("  POST /chat/:userId/messages");
+console.log("  POST /reviews/send/:toUserId");
+console.log("  GET /reviews/incoming");
+console.log("  GET /reviews/outgoing");
+console.log("  GET /reviews/:id");
+console.log("  POST /reviews/:id/comments");
+console.log("  POST /reviews/:id/resolve");
+console.log("  GET /notifications");
+console.log("  POST /notifications/read-all");
+console.log("  POST /notifications/:id/read");
+console.log("  GET /events (Server-Sent Events)");
+console.log("  POST /email/unsubscribe");
+console.log("  WebSocket (socket.io) chat:send, chat:message, chat:typing");
 
 // catch-all route - if someone tries to access a route that doesn't exist. this will send a 404 error with helpful message
 app.use((req, res) => {
@@ -81,14 +171,15 @@ app.use((req, res) => {
             "GET /health",
             "POST /auth/signup",
             "POST /auth/login",
-            "POST /auth/logout"
+            "POST /auth/logout",
+            "POST /auth/refresh"
         ]
     });
 });
 
 // starting the server - this makes our backend listen for requests
 // we start server first, then connect to database
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`Server started at port ${port}....`);
     console.log(`Health check available at: http://localhost:${port}/health`);
     
@@ -97,6 +188,13 @@ app.listen(port, () => {
     connectDB()
         .then(() => {
             console.log("Database connection established...");
+            // updating existing documents before anything relies on them
+            return runMigrations();
+        })
+        .then(() => {
+            // the jobs need the database, so they start once it is connected
+            startDigestJob();
+            startRequestExpiryJob();
         })
         .catch((err) => {
             console.error({ message: "Error connecting to the database", error: err });
@@ -104,6 +202,9 @@ app.listen(port, () => {
         });
 });
 
+// attaching the chat socket server to the same HTTP server (same port as the API)
+initChatSocket(server, { origins: allowedOrigins });
+
 // exporting the app - sometimes we need this for testing
 module.exports = {app};
 
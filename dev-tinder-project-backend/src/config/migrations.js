@@ -0,0 +1,49 @@
+// importing User model to update accounts that were created before a feature existed
+const { User } = require("../models/user");
+
+// data migrations - run once the database is connected, before the jobs start
+// every migration only touches documents that still need it, so running them on every start is safe
+
+// accounts created before email verification existed have no emailVerified field at all
+// (new accounts always store it) - they signed up without a verification step, so they count as verified
+// instead of being locked out of the feed and connection requests
+const markExistingUsersVerified = async () => {
+    const result = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`Marked ${result.modifiedCount} existing users as verified...`);
+    }
+};
+
+// accounts saved before the feed filters matched on lowercased copies of skills and gender don't have them yet,
+// so they would never show up in a filtered feed - filling them in from the stored values
+const fillSkillAndGenderKeys = async () => {
+    const result = await User.updateMany(
+        { skillKeys: { $exists: false } },
+        [{
+            $set: {
+                skillKeys: {
+                    $map: { input: { $ifNull: ["$skills", []] }, as: "skill", in: { $toLower: { $trim: { input: "$$skill" } } } },
+                },
+                genderKey: { $cond: [{ $ifNull: ["$gender", false] }, { $toLower: "$gender" }, "$$REMOVE"] },
+            },
+        }],
+        { updatePipeline: true }
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`Filled in skill and gender keys for ${result.modifiedCount} existing users...`);
+    }
+};
+
+// function to run all migrations one after another
+const runMigrations = async () => {
+    await markExistingUsersVerified();
+    await fillSkillAndGenderKeys();
+};
+
+// exporting the function so app.js can run it after connecting to the database
+module.exports = {
+    runMigrations,
+};
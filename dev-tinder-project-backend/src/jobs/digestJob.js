@@ -0,0 +1,139 @@
+// importing models needed to build digests
+const { User, EMAIL_PREFERENCE_KEYS } = require("../models/user");
+const { ConnectionRequest } = require("../models/connectionRequest");
+// importing mailer and the digest template
+const { sendMail } = require("../utils/mailer");
+const { buildFrontendUrl, digestEmail } = require("../utils/emailTemplates");
+// importing email preference helpers and unsubscribe links
+const { getEmailFrequency, emailFrequencyFilter, canReceiveNotificationEmails } = require("../utils/emailNotifications");
+const { buildUnsubscribeLinks } = require("../utils/unsubscribe");
+// importing helper that runs the job every hour
+const { startIntervalJob } = require("./scheduler");
+
+// how often the job looks for users whose digest is due
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+// how long a digest period is - a user gets at most one digest per period and frequency
+const DIGEST_PERIOD_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// how many names a digest lists per section, the rest is a count
+const DIGEST_LIST_LIMIT = 5;
+
+// function to build and send one user's digest for a frequency
+// only events the user chose this frequency for are included, nothing is sent when nothing happened
+// returns true when an email was sent
+const sendDigest = async (user, frequency, now) => {
+    const since = user.digestSentAt?.[frequency] || new Date(now.getTime() - DIGEST_PERIOD_MS[frequency]);
+    let pendingRequests = null;
+    let pendingCount = 0;
+    let newConnections = null;
+    let newConnectionsCount = 0;
+
+    // pending requests - only when new ones arrived since the last digest, then all pending ones are counted
+    if (getEmailFrequency(user, "connectionRequests") === frequency) {
+        const pendingFilter = { toUserId: user._id, status: "interested" };
+        const newRequestsCount = await ConnectionRequest.countDocuments({ ...pendingFilter, createdAt: { $gt: since } });
+        if (newRequestsCount > 0) {
+            pendingCount = await ConnectionRequest.countDocuments(pendingFilter);
+            const requests = await ConnectionRequest.find(pendingFilter)
+                .sort({ createdAt: -1 })
+                .limit(DIGEST_LIST_LIMIT)
+                .populate("fromUserId", "firstName lastName");
+            pendingRequests = requests.filter((request) => request.fromUserId).map((request) => request.fromUserId);
+        }
+    }
+
+    // new connections - users who accepted this user's requests since the last digest
+    if (getEmailFrequency(user, "newConnections") === frequency) {
+        const acceptedFilter = { fromUserId: user._id, status: "accepted", updatedAt: { $gt: since } };
+        newConnectionsCount = await ConnectionRequest.countDocuments(acceptedFilter);
+        if (newConnectionsCount > 0) {
+            const accepted = await ConnectionRequest.find(acceptedFilter)
+                .sort({ updatedAt: -1 })
+                .limit(DIGEST_LIST_LIMIT)
+                .populate("toUserId", "firstName lastName");
+            newConnections = accepted.filter((request) => request.toUserId).map((request) => request.toUserId);
+        }
+    }
+
+    // remembering this digest even when it's empty, so the next one starts from now
+    await User.updateOne({ _id: user._id }, { [`digestSentAt.${frequency}`]: now });
+
+    if (!pendingRequests && !newConnections) {
+        return false;
+    }
+
+    const { unsubscribeUrl, headers } = buildUnsubscribeLinks(user._id);
+    const email = digestEmail({
+        user,
+        frequency,
+        pendingRequests,
+        pendingCount,
+        newConnections,
+        newConnectionsCount,
+        requestsUrl: buildFrontendUrl("/requests"),
+        connectionsUrl: buildFrontendUrl("/connections"),
+        unsubscribeUrl,
+        preferencesUrl: buildFrontendUrl("/profile/notifications"),
+    });
+    await sendMail({ to: user.emailID, ...email, headers });
+    return true;
+};
+
+// function to send every digest that is due - one pass over daily and weekly subscribers
+// returns how many digests were sent per frequency
+const runDigests = async (now = new Date()) => {
+    const sent = { daily: 0, weekly: 0 };
+
+    for (const frequency of Object.keys(DIGEST_PERIOD_MS)) {
+        const dueBefore = new Date(now.getTime() - DIGEST_PERIOD_MS[frequency]);
+        // users with at least one preference on this frequency whose last digest is older than one period
+        const users = User.find({
+            emailVerified: true,
+            suspendedAt: null,
+            $and: [
+                { $or: EMAIL_PREFERENCE_KEYS.map((key) => emailFrequencyFilter(key, frequency)) },
+                { $or: [{ [`digestSentAt.${frequency}`]: null }, { [`digestSentAt.${frequency}`]: { $lte: dueBefore } }] },
+            ],
+        }).cursor();
+
+        // one user at a time - a failing email must not stop the digests of everyone else
+        for await (const user of users) {
+            if (!canReceiveNotificationEmails(user)) {
+                continue;
+            }
+            try {
+                if (await sendDigest(user, frequency, now)) {
+                    sent[frequency] += 1;
+                }
+            } catch (error) {
+                console.error(`Error sending ${frequency} digest to user ${user._id}:`, error);
+            }
+        }
+    }
+    return sent;
+};
+
+// function to start the digest job - app.js calls it once the database is connected
+// set DIGEST_JOB_ENABLED=false to turn it off
+// returns a function that stops the job
+const startDigestJob = () => {
+    return startIntervalJob({
+        name: "Digest",
+        intervalMs: DIGEST_CHECK_INTERVAL_MS,
+        enabledEnv: "DIGEST_JOB_ENABLED",
+        run: async () => {
+            const sent = await runDigests();
+            if (sent.daily > 0 || sent.weekly > 0) {
+                console.log(`Digest job sent ${sent.daily} daily and ${sent.weekly} weekly digests...`);
+            }
+        },
+    });
+};
+
+// exporting the job so app.js can start it (runDigests can be called by scripts and tests)
+module.exports = {
+    startDigestJob,
+    runDigests,
+};
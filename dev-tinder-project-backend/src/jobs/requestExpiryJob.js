@@ -0,0 +1,75 @@
+// importing ConnectionRequest model and the configured expiry
+const { ConnectionRequest, getRequestExpiryDays } = require("../models/connectionRequest");
+// importing notification helpers to tell the sender and to clean up the receiver's notification
+const { notifyUser, deleteNotificationsForRequest } = require("../utils/notifications");
+// importing event bus to update open pages of both users live
+const { publishUserEvent } = require("../utils/eventBus");
+// importing helper that runs the job every hour
+const { startIntervalJob } = require("./scheduler");
+
+// how often the job looks for expired requests
+const REQUEST_EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// function to mark every pending request past its expiry date as "expired"
+// the sender gets a notification and can send a new request, the receiver's notification is removed
+// returns how many requests expired
+const expireStaleRequests = async (now = new Date()) => {
+    // requests created before expiresAt existed have none - they expire by their age
+    const createdBefore = new Date(now.getTime() - getRequestExpiryDays() * 24 * 60 * 60 * 1000);
+    const requests = ConnectionRequest.find({
+        status: "interested",
+        $or: [
+            { expiresAt: { $lte: now } },
+            { expiresAt: null, createdAt: { $lte: createdBefore } },
+        ],
+    }).cursor();
+
+    let expired = 0;
+    // one request at a time - a failing one must not stop the others
+    for await (const request of requests) {
+        try {
+            // only if it's still pending - the receiver may have reviewed it a moment ago
+            const result = await ConnectionRequest.updateOne(
+                { _id: request._id, status: "interested" },
+                { status: "expired", expiresAt: request.expiresAt || now }
+            );
+            if (result.modifiedCount === 0) {
+                continue;
+            }
+
+            // removing the receiver's notification first - the sender's new one is about the same request
+            await deleteNotificationsForRequest(request._id);
+            await notifyUser({ userId: request.fromUserId, actorId: request.toUserId, type: "request_expired", requestId: request._id });
+            // removing the request from the receiver's list and updating the sender's sent list
+            publishUserEvent(request.toUserId, "request.expired", { requestId: request._id, userId: request.fromUserId.toString() });
+            publishUserEvent(request.fromUserId, "request.expired", { requestId: request._id, userId: request.toUserId.toString() });
+            expired += 1;
+        } catch (error) {
+            console.error(`Error expiring connection request ${request._id}:`, error);
+        }
+    }
+    return expired;
+};
+
+// function to start the request expiry job - app.js calls it once the database is connected
+// set REQUEST_EXPIRY_JOB_ENABLED=false to turn it off
+// returns a function that stops the job
+const startRequestExpiryJob = () => {
+    return startIntervalJob({
+        name: "Request expiry",
+        intervalMs: REQUEST_EXPIRY_CHECK_INTERVAL_MS,
+        enabledEnv: "REQUEST_EXPIRY_JOB_ENABLED",
+        run: async () => {
+            const expired = await expireStaleRequests();
+            if (expired > 0) {
+                console.log(`Request expiry job expired ${expired} connection requests...`);
+            }
+        },
+    });
+};
+
+// exporting the job so app.js can start it (expireStaleRequests can be called by scripts and tests)
+module.exports = {
+    startRequestExpiryJob,
+    expireStaleRequests,
+};
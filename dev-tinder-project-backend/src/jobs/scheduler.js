@@ -0,0 +1,39 @@
+// function to run a background job every intervalMs - the jobs in this folder use it
+// the job runs once right away, a slow run never overlaps with the next one,
+// and errors are logged so one failing run doesn't stop the job
+// enabledEnv names an environment variable that turns the job off when set to "false"
+// (e.g. when several server instances run, only one should run the job)
+// returns a function that stops the job
+const startIntervalJob = ({ name, intervalMs, enabledEnv, run }) => {
+    if (enabledEnv && process.env[enabledEnv] === "false") {
+        console.log(`${name} job is disabled...`);
+        return () => {};
+    }
+
+    let running = false;
+    const tick = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await run();
+        } catch (error) {
+            console.error(`Error running ${name} job:`, error);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    const interval = setInterval(tick, intervalMs);
+    // the job alone shouldn't keep the process running
+    interval.unref();
+    console.log(`${name} job started...`);
+    return () => clearInterval(interval);
+};
+
+// exporting the helper so every job is scheduled the same way
+module.exports = {
+    startIntervalJob,
+};
@@ -1,52 +1,206 @@
-
 // importing jsonwebtoken module for verifying JWT tokens
 const jwt = require("jsonwebtoken");
 // importing User model to find user from database
-const User = require("../models/user").User;
+// and the list of roles for requireRole
+const { User, USER_ROLES } = require("../models/user");
+// importing Session model to check if the session behind the token is still alive
+const Session = require("../models/session").Session;
+// importing PersonalAccessToken model to check tokens used by scripts and CLI tools
+const { PersonalAccessToken, TOKEN_SCOPES } = require("../models/personalAccessToken");
+// importing helpers to get the secret used for signing tokens and to recognize and hash personal access tokens
+const { getJwtSecret, hashToken, isPersonalAccessToken } = require("../utils/authTokens");
+// importing presence helper to know when lastActiveAt needs to be written again
+const { shouldUpdateLastActive } = require("../utils/presence");
+
+// personal access tokens record when they were used, but at most once a minute to save database writes
+const TOKEN_LAST_USED_UPDATE_MS = 60 * 1000;
+
+// function to read the token from the request
+// browsers send the token cookie we set during login, scripts and CLI tools send "Authorization: Bearer <token>"
+const getRequestToken = (req) => {
+    const header = req.headers.authorization;
+    if (header) {
+        const [type, value] = header.split(" ");
+        if (type.toLowerCase() === "bearer" && value) {
+            return value.trim();
+        }
+    }
+    return req.cookies.token;
+};
+
+// function to check a JWT access token (from the cookie or the Authorization header)
+// returns { user, session } or { error } with the message for the 401 response
+const authenticateAccessToken = async (token) => {
+    let decoded;
+    try {
+        // verifying the token using our secret key
+        decoded = jwt.verify(token, getJwtSecret());
+    } catch (error) {
+        // if token is invalid or expired, jwt.verify will throw an error
+        return { error: "Unauthorized access - Invalid token" };
+    }
+
+    // checking that the session this token was issued for has not been revoked
+    // tokens from before sessions existed don't have a sessionId and are rejected too
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.userId.toString()) {
+        return { error: "Unauthorized access - Session has been revoked" };
+    }
+
+    // finding the user in database using the userId from token
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+        return { error: "Unauthorized access - User not found" };
+    }
+    return { user, session };
+};
+
+// function to check a personal access token (always sent in the Authorization header)
+// returns { user, personalAccessToken } or { error } with the message for the 401 response
+const authenticatePersonalAccessToken = async (token, req) => {
+    // we only store hashes, so we look the token up by its hash
+    const personalAccessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+    if (!personalAccessToken || !personalAccessToken.isActive()) {
+        return { error: "Unauthorized access - Invalid or expired access token" };
+    }
+
+    const user = await User.findById(personalAccessToken.userId);
+    if (!user) {
+        return { error: "Unauthorized access - User not found" };
+    }
+
+    // recording when and from where the token was last used, so users can spot unused or leaked tokens
+    const lastUsedAt = personalAccessToken.lastUsedAt;
+    if (!lastUsedAt || Date.now() - lastUsedAt.getTime() > TOKEN_LAST_USED_UPDATE_MS) {
+        await PersonalAccessToken.updateOne(
+            { _id: personalAccessToken._id },
+            { lastUsedAt: new Date(), lastUsedIp: req.ip }
+        );
+    }
+    return { user, personalAccessToken };
+};
+
+// function to send the error for suspended accounts - also used by the login route
+const sendAccountSuspended = (res, user) => {
+    const reason = user.suspendedReason ? ` Reason: ${user.suspendedReason}` : "";
+    res.status(403);
+    res.json({ message: `Your account has been suspended.${reason} Please contact support if you think this is a mistake.`, code: "ACCOUNT_SUSPENDED" });
+};
+
+// function to create an authentication middleware
+// scope is the personal access token scope the route needs - without a scope only logged in sessions are accepted
+const createUserAuth = (scope) => async (req, res, next) => {
+    const token = getRequestToken(req);
 
-// middleware function for authentication - checks if user is logged in this function runs before protected routes to verify the user
-const userAuth = async (req, res, next) => {
-    // getting the token from cookies - we stored it there during login
-    const token = req.cookies.token;
-    
     // if no token found, user is not logged in
     if (!token) {
         res.status(401);
         res.json({ message: "Unauthorized access - No token provided" });
         return;
     }
-    
+
     try {
-        // verifying the token using our secret key
-        const jwtSecret = process.env.JWT_SECRET;
-        const decoded = jwt.verify(token, jwtSecret);
-        
-        // finding the user in database using the userId from token
-        const user = await User.findById(decoded.userId);
-        
-        // if user not found in database, token is invalid
-        if (!user) {
+        const isAccessToken = isPersonalAccessToken(token);
+        const result = isAccessToken
+            ? await authenticatePersonalAccessToken(token, req)
+            : await authenticateAccessToken(token);
+
+        if (result.error) {
             res.status(401);
-            res.json({ message: "Unauthorized access - User not found" });
+            res.json({ message: result.error });
             return;
         }
-        
+
+        // suspended users can't do anything, no matter how they authenticate
+        if (result.user.suspendedAt) {
+            sendAccountSuspended(res, result.user);
+            return;
+        }
+
+        // personal access tokens only work on routes that allow them, and only with the right scope
+        if (isAccessToken && !scope) {
+            res.status(403);
+            res.json({ message: "Personal access tokens can't be used for this route. Please log in.", code: "TOKEN_NOT_ALLOWED" });
+            return;
+        }
+        if (isAccessToken && !result.personalAccessToken.hasScope(scope)) {
+            res.status(403);
+            res.json({ message: `This access token is missing the "${scope}" scope.`, code: "INSUFFICIENT_SCOPE", requiredScope: scope });
+            return;
+        }
+
+        // recording that the user is around - only for logged in sessions, a script using
+        // a personal access token doesn't mean the person is online
+        if (!isAccessToken && shouldUpdateLastActive(result.user)) {
+            result.user.lastActiveAt = new Date();
+            await User.updateOne({ _id: result.user._id }, { lastActiveAt: result.user.lastActiveAt });
+        }
+
         // attaching user to request object so route handlers can access it - this way we don't need to find user again in every route
-        req.user = user;
-        
-        // calling next() to proceed to the actual route handler 
+        req.user = result.user;
+        // attaching the session too, so routes can tell which device is making the request (null for access tokens)
+        req.authSession = result.session || null;
+        // attaching the personal access token when the request used one (null for logged in sessions)
+        req.personalAccessToken = result.personalAccessToken || null;
+
+        // calling next() to proceed to the actual route handler
         next();
-    } 
+    }
     catch (error) {
-        // if token is invalid or expired, jwt.verify will throw an error
+        // if something goes wrong (e.g. database is down), we can't tell who the user is
         res.status(401);
         res.json({ message: "Unauthorized access - Invalid token" });
         return;
     }
 }
 
-// exporting the middleware so we can use it in routes
+// middleware function for authentication - checks if user is logged in this function runs before protected routes to verify the user
+// only accepts logged in sessions (cookie or Bearer access token), never personal access tokens
+const userAuth = createUserAuth(null);
+
+// function to create an authentication middleware that also accepts personal access tokens with the given scope
+// e.g. userAuthWithScope("feed:read") lets scripts read the feed with a token
+const userAuthWithScope = (scope) => {
+    if (!TOKEN_SCOPES[scope]) {
+        throw new Error(`Unknown personal access token scope: ${scope}`);
+    }
+    return createUserAuth(scope);
+};
+
+// middleware function to block accounts that haven't verified their email yet
+// must run after userAuth because it needs req.user
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.emailVerified) {
+        res.status(403);
+        res.json({ message: "Please verify your email address first.", code: "EMAIL_NOT_VERIFIED" });
+        return;
+    }
+    next();
+}
+
+// function to create a middleware that only lets users with one of the given roles through
+// must run after userAuth because it needs req.user, e.g. userAuth, requireRole("moderator", "admin")
+const requireRole = (...roles) => {
+    const unknownRoles = roles.filter((role) => !USER_ROLES.includes(role));
+    if (roles.length === 0 || unknownRoles.length > 0) {
+        throw new Error(`requireRole needs valid roles, got: ${roles.join(", ")}`);
+    }
+    return (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+            res.status(403);
+            res.json({ message: "You don't have permission to do this.", code: "FORBIDDEN_ROLE" });
+            return;
+        }
+        next();
+    };
+}
+
+// exporting the middlewares so we can use them in routes (and the token check for the chat socket)
 module.exports = {
     userAuth,
+    userAuthWithScope,
+    requireVerifiedEmail,
+    requireRole,
+    sendAccountSuspended,
+    authenticateAccessToken,
 }
-
@@ -0,0 +1,119 @@
+// rate limiting middleware - limits how many requests a client can make in a time window
+// used on login, signup and connection requests so nobody can guess passwords or spam people
+
+// every store is an object with two functions that return promises:
+//   increment(key, windowMs) -> { count, resetAt } - counts one hit and returns hits in the current window
+//   reset(key)                -> clears the counter (e.g. after a successful login)
+// the default store keeps counters in memory; a Redis (or any shared) store with the same
+// two functions can be plugged in with setDefaultStore() when running several server instances
+
+
+// memory store - counters live in a Map inside this process
+const createMemoryStore = () => {
+    const hits = new Map();
+
+    // removing expired counters once a minute so the Map doesn't grow forever
+    // unref() means this timer doesn't keep the process alive on shutdown
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) {
+                hits.delete(key);
+            }
+        }
+    }, 60 * 1000);
+    cleanup.unref();
+
+    return {
+        name: "memory",
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let entry = hits.get(key);
+            // starting a new window if there is no counter yet or the old window is over
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                hits.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+        reset: async (key) => {
+            hits.delete(key);
+        },
+    };
+};
+
+// the store used by limiters that don't get their own store
+let defaultStore = createMemoryStore();
+
+// function to replace the default store (e.g. with a Redis store)
+const setDefaultStore = (store) => {
+    defaultStore = store;
+};
+
+// function to send a 429 response with a Retry-After header (in seconds)
+// also used by the login route for account lockouts
+const sendTooManyRequests = (res, retryAfterSeconds, message) => {
+    const seconds = Math.max(Math.ceil(retryAfterSeconds), 1);
+    res.set("Retry-After", String(seconds));
+    res.status(429);
+    res.json({ message: message || "Too many requests. Please try again later.", retryAfter: seconds });
+};
+
+// common key generators - decide who is being limited
+// per IP address - limits one client no matter which account it uses
+const keyByIp = (req) => req.ip;
+// per logged in user - must run after userAuth
+const keyByUser = (req) => (req.user ? req.user._id.toString() : null);
+// per email in the request body - limits guesses against one account from many IPs
+const keyByEmail = (req) => {
+    const emailID = req.body && req.body.emailID;
+    return typeof emailID === "string" ? emailID.toLowerCase().trim() : null;
+};
+
+// function to create a rate limiting middleware
+// options:
+//   name         - prefix for keys, so different limiters don't share counters
+//   windowMs     - length of the time window in milliseconds
+//   max          - how many requests are allowed per window
+//   keyGenerator - function(req) returning the key to count, or null to skip limiting
+//   store        - optional store, defaults to the shared default store
+//   message      - optional message for the 429 response
+const rateLimit = ({ name, windowMs, max, keyGenerator = keyByIp, store, message }) => {
+    return async (req, res, next) => {
+        const key = keyGenerator(req);
+        // nothing to count (e.g. no email in body) - let validation in the route handle it
+        if (!key) {
+            next();
+            return;
+        }
+
+        try {
+            const { count, resetAt } = await (store || defaultStore).increment(`${name}:${key}`, windowMs);
+
+            // letting clients know how much of the limit is left
+            res.set("RateLimit-Limit", String(max));
+            res.set("RateLimit-Remaining", String(Math.max(max - count, 0)));
+
+            if (count > max) {
+                sendTooManyRequests(res, (resetAt - Date.now()) / 1000, message);
+                return;
+            }
+        } catch (error) {
+            // if the store is down we don't want to lock everybody out - just log and continue
+            console.error(`Rate limit store error for ${name}:`, error);
+        }
+        next();
+    };
+};
+
+// exporting everything so routes can create limiters and tests can swap stores
+module.exports = {
+    rateLimit,
+    createMemoryStore,
+    setDefaultStore,
+    sendTooManyRequests,
+    keyByIp,
+    keyByUser,
+    keyByEmail,
+};
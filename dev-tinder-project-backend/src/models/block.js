@@ -0,0 +1,53 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// creating block schema - one document per "user A blocked user B" pair
+// a block works both ways: neither user sees the other in feed, requests or connections
+const blockSchema = new mongoose.Schema({
+    blockerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    blockedId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+        index: true, // needed to find users who blocked someone
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// creating index so the same user can't be blocked twice by the same person
+// it also makes "who did I block" queries fast
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+
+// helper to get the IDs of every user hidden from this user - users they blocked and users who blocked them
+blockSchema.statics.getHiddenUserIds = async function (userId) {
+    const blocks = await this.find({ $or: [{ blockerId: userId }, { blockedId: userId }] });
+    return blocks.map((block) =>
+        block.blockerId.toString() === userId.toString() ? block.blockedId : block.blockerId
+    );
+};
+
+// helper to check if either of two users blocked the other
+blockSchema.statics.existsBetween = async function (userId, otherUserId) {
+    const block = await this.exists({
+        $or: [
+            { blockerId: userId, blockedId: otherUserId },
+            { blockerId: otherUserId, blockedId: userId },
+        ],
+    });
+    return Boolean(block);
+};
+
+// creating the Block model from the schema
+const Block = mongoose.model("Block", blockSchema);
+
+// exporting the model so we can use it in other files
+module.exports = {
+    Block,
+}
@@ -0,0 +1,145 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// languages a snippet can be tagged with - the frontend uses the tag for syntax highlighting
+const REVIEW_LANGUAGES = [
+    "javascript", "typescript", "jsx", "tsx", "python", "go", "rust", "c", "cpp",
+    "swift", "kotlin", "sql", "html", "css", "json", "yaml", "markdown", "graphql", "plaintext",
+];
+// open reviews wait for the reviewer, resolved ones are done and can't get new comments
+const REVIEW_STATUSES = ["open", "resolved"];
+// line comments can point into the code snippet or into the diff
+const COMMENT_TARGETS = ["code", "diff"];
+
+// size limits - big enough for a function or a small file, not for a whole project
+const REVIEW_CODE_MAX_LENGTH = 20000;
+const REVIEW_QUESTION_MAX_LENGTH = 2000;
+const REVIEW_COMMENT_MAX_LENGTH = 2000;
+const REVIEW_MAX_COMMENTS = 200;
+
+// schema for one line comment - stored inside the review, a review never has many of them
+const reviewCommentSchema = new mongoose.Schema({
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    target: {
+        type: String,
+        enum: {
+            values: COMMENT_TARGETS,
+            message: "{VALUE} is not a valid comment target",
+        },
+        default: "code",
+    },
+    // line number in the code or diff, starting at 1
+    line: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        minLength: 1,
+        maxLength: REVIEW_COMMENT_MAX_LENGTH,
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// creating code review schema - one document per review request between two connections
+const codeReviewSchema = new mongoose.Schema({
+    // the user asking for a review
+    requesterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    // the connection asked to review the code
+    reviewerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    language: {
+        type: String,
+        required: true,
+        enum: {
+            values: REVIEW_LANGUAGES,
+            message: "{VALUE} is not a supported language",
+        },
+    },
+    code: {
+        type: String,
+        required: true,
+        maxLength: REVIEW_CODE_MAX_LENGTH,
+    },
+    // what the requester wants to know about the code
+    question: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: REVIEW_QUESTION_MAX_LENGTH,
+    },
+    // optional unified diff, e.g. the output of git diff
+    diff: {
+        type: String,
+        maxLength: REVIEW_CODE_MAX_LENGTH,
+        default: "",
+    },
+    status: {
+        type: String,
+        enum: {
+            values: REVIEW_STATUSES,
+            message: "{VALUE} is not a valid review status",
+        },
+        default: "open",
+    },
+    resolvedAt: {
+        type: Date,
+        default: null,
+    },
+    comments: {
+        type: [reviewCommentSchema],
+        default: [],
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// indexes for the incoming and outgoing lists - newest first, optionally filtered by status
+codeReviewSchema.index({ reviewerId: 1, status: 1, createdAt: -1 });
+codeReviewSchema.index({ requesterId: 1, status: 1, createdAt: -1 });
+
+// method to check if a user is the requester or the reviewer of this review
+codeReviewSchema.methods.isParticipant = function (userId) {
+    const id = userId.toString();
+    return this.requesterId.toString() === id || this.reviewerId.toString() === id;
+};
+
+// method to count the lines of the code or the diff - line comments must point to one of them
+codeReviewSchema.methods.countLines = function (target) {
+    const text = target === "diff" ? this.diff : this.code;
+    return text ? text.split("\n").length : 0;
+};
+
+// creating the CodeReview model from the schema
+const CodeReview = mongoose.model("CodeReview", codeReviewSchema);
+
+// exporting the model and the allowed values so we can use them in other files
+module.exports = {
+    CodeReview,
+    REVIEW_LANGUAGES,
+    REVIEW_STATUSES,
+    COMMENT_TARGETS,
+    REVIEW_CODE_MAX_LENGTH,
+    REVIEW_QUESTION_MAX_LENGTH,
+    REVIEW_COMMENT_MAX_LENGTH,
+    REVIEW_MAX_COMMENTS,
+};
@@ -2,6 +2,14 @@
 // importing mongoose module for creating database schemas
 const mongoose = require("mongoose");
 
+// longest note a sender can attach to an "interested" request
+const REQUEST_NOTE_MAX_LENGTH = 300;
+
+// function to get after how many days a pending request expires - REQUEST_EXPIRY_DAYS, default 30
+const getRequestExpiryDays = () => {
+    return parseInt(process.env.REQUEST_EXPIRY_DAYS) || 30;
+};
+
 // creating connection request schema - defines what a connection request document looks like
 const connectionRequestSchema = new mongoose.Schema({
     fromUserId: {
@@ -19,10 +27,23 @@ const connectionRequestSchema = new mongoose.Schema({
         required: true,
         // enum means only these specific values are allowed
         enum: {
-            values: ["interested", "ignored", "accepted", "rejected"],
-            message: "Status must be either interested, ignored, accepted, or rejected",
+            // "expired" is set by the request expiry job when nobody reviewed an interested request in time
+            values: ["interested", "ignored", "accepted", "rejected", "expired"],
+            message: "Status must be either interested, ignored, accepted, rejected or expired",
         },
     },
+    // when an "interested" request expires - null for other statuses
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    // optional personal note from the sender - why they want to connect (only on "interested" requests)
+    note: {
+        type: String,
+        trim: true,
+        maxLength: REQUEST_NOTE_MAX_LENGTH,
+        default: null,
+    },
 }, 
 { 
     // timestamps: true automatically adds createdAt and updatedAt fields
@@ -31,11 +52,60 @@ const connectionRequestSchema = new mongoose.Schema({
 
 // creating index to ensure unique connection requests between two users. this prevents duplicate requests between the same two users. index also makes database queries faster
 connectionRequestSchema.index({ fromUserId: 1, toUserId: 1 }, { unique: true });
+// index for the sent requests list - a user's requests by status, newest first
+connectionRequestSchema.index({ fromUserId: 1, status: 1, createdAt: -1, _id: -1 });
+// index for the request expiry job - pending requests by expiry date
+connectionRequestSchema.index({ status: 1, expiresAt: 1 });
+// indexes for the cursor paginated lists - received requests newest first,
+// and connections (accepted requests in either direction) most recently connected first
+connectionRequestSchema.index({ toUserId: 1, status: 1, createdAt: -1, _id: -1 });
+connectionRequestSchema.index({ fromUserId: 1, status: 1, updatedAt: -1, _id: -1 });
+connectionRequestSchema.index({ toUserId: 1, status: 1, updatedAt: -1, _id: -1 });
+
+// setting the expiry date when an interested request is created
+connectionRequestSchema.pre("save", function () {
+    if (this.isNew && this.status === "interested" && !this.expiresAt) {
+        this.expiresAt = new Date(Date.now() + getRequestExpiryDays() * 24 * 60 * 60 * 1000);
+    }
+});
+
+// helper to check if a request expired - also true when the expiry job hasn't got to it yet
+connectionRequestSchema.methods.isExpired = function (now = new Date()) {
+    if (this.status === "expired") {
+        return true;
+    }
+    return this.status === "interested" && Boolean(this.expiresAt) && this.expiresAt <= now;
+};
+
+// helper to check if two users are connected (one accepted the other's request)
+connectionRequestSchema.statics.areConnected = async function (userId, otherUserId) {
+    const connection = await this.exists({
+        status: "accepted",
+        $or: [
+            { fromUserId: userId, toUserId: otherUserId },
+            { fromUserId: otherUserId, toUserId: userId },
+        ],
+    });
+    return Boolean(connection);
+};
+
+// helper to get the IDs of all connections of a user (the other user of every accepted request)
+connectionRequestSchema.statics.getConnectionIds = async function (userId) {
+    const connections = await this.find(
+        { status: "accepted", $or: [{ fromUserId: userId }, { toUserId: userId }] },
+        "fromUserId toUserId"
+    );
+    return connections.map((connection) =>
+        connection.fromUserId.toString() === userId.toString() ? connection.toUserId : connection.fromUserId
+    );
+};
 
 // creating the ConnectionRequest model from the schema. this is what we use to create, find, update, delete connection requests
 const ConnectionRequest = mongoose.model("ConnectionRequest", connectionRequestSchema);
 
 // exporting the model so we can use it in other files
 module.exports = { 
-    ConnectionRequest
+    ConnectionRequest,
+    REQUEST_NOTE_MAX_LENGTH,
+    getRequestExpiryDays,
 };
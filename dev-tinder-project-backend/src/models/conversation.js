@@ -0,0 +1,67 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// function to build the key for a pair of users - the same no matter who is first
+const buildParticipantsKey = (userId, otherUserId) => {
+    return [userId.toString(), otherUserId.toString()].sort().join(":");
+};
+
+// creating conversation schema - one document per pair of users who chatted
+// messages point to the conversation, the conversation keeps a preview of the last message
+const conversationSchema = new mongoose.Schema({
+    participants: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User", // reference to User model
+        }],
+        index: true, // we look up all conversations of one user
+    },
+    // "smallerId:biggerId" - unique, so two users can never end up with two conversations
+    participantsKey: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // preview of the last message for conversation lists
+    lastMessageText: {
+        type: String,
+        default: "",
+    },
+    lastMessageSenderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+    },
+    lastMessageAt: {
+        type: Date,
+        default: null,
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// helper to find the conversation between two users
+conversationSchema.statics.findBetween = function (userId, otherUserId) {
+    return this.findOne({ participantsKey: buildParticipantsKey(userId, otherUserId) });
+};
+
+// helper to find the conversation between two users or create it if they never chatted
+// upsert makes this safe when both users send their first message at the same moment
+conversationSchema.statics.findOrCreateBetween = function (userId, otherUserId) {
+    const participantsKey = buildParticipantsKey(userId, otherUserId);
+    return this.findOneAndUpdate(
+        { participantsKey },
+        { $setOnInsert: { participantsKey, participants: [userId, otherUserId] } },
+        { upsert: true, new: true }
+    );
+};
+
+// creating the Conversation model from the schema
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+// exporting the model so we can use it in other files
+module.exports = {
+    Conversation,
+}
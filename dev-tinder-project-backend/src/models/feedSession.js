@@ -0,0 +1,48 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// creating feed session schema - one document per time a user opens the feed from the top
+// it stores the order of the whole feed, so paging through it never skips or repeats anybody,
+// even when users become active or change their profile in the meantime
+const feedSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    // every candidate of the feed, fixed when the session starts - most recently active first,
+    // and already ranked by match score up to rankedUntil (the rest is ranked in chunks when paging gets there)
+    candidateIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+    },
+    rankedUntil: {
+        type: Number,
+        default: 0,
+    },
+    // the time every chunk is scored with, so the activity score is the same on every page
+    scoredAt: {
+        type: Date,
+        required: true,
+    },
+    // sessions nobody paged through for a while are removed
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// TTL index - MongoDB automatically removes sessions some time after they expire
+feedSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// creating the FeedSession model from the schema
+const FeedSession = mongoose.model("FeedSession", feedSessionSchema);
+
+// exporting the model so we can use it in other files
+module.exports = {
+    FeedSession,
+}
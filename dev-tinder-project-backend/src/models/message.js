@@ -0,0 +1,47 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// longest chat message we accept
+const MESSAGE_MAX_LENGTH = 2000;
+
+// creating message schema - one document per chat message
+const messageSchema = new mongoose.Schema({
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Conversation", // reference to Conversation model
+        required: true,
+    },
+    senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    recipientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        minLength: 1,
+        maxLength: MESSAGE_MAX_LENGTH,
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// index for loading the history of a conversation page by page (newest first)
+messageSchema.index({ conversationId: 1, _id: -1 });
+
+// creating the Message model from the schema
+const Message = mongoose.model("Message", messageSchema);
+
+// exporting the model so we can use it in other files
+module.exports = {
+    Message,
+    MESSAGE_MAX_LENGTH,
+}
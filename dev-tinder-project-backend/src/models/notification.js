@@ -0,0 +1,65 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// what happened - the frontend picks the text and the link from the type
+// connection_request: someone is interested in you, request_accepted: your request was accepted,
+// connection_removed: a connection removed you, request_expired: your request expired before it was reviewed
+const NOTIFICATION_TYPES = ["connection_request", "request_accepted", "connection_removed", "request_expired"];
+
+// notifications are deleted automatically after this many days
+const NOTIFICATION_TTL_DAYS = 90;
+
+// creating notification schema - one document per event shown in a user's notification center
+const notificationSchema = new mongoose.Schema({
+    // the user who receives the notification
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    // the user who caused it (sent, accepted or removed)
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: {
+            values: NOTIFICATION_TYPES,
+            message: "{VALUE} is not a valid notification type",
+        },
+    },
+    // the connection request the notification is about (not set for removed connections)
+    requestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ConnectionRequest",
+        default: null,
+    },
+    // null while unread
+    readAt: {
+        type: Date,
+        default: null,
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// index for the notification list - a user's notifications, newest first
+notificationSchema.index({ userId: 1, createdAt: -1 });
+// index for counting unread notifications
+notificationSchema.index({ userId: 1, readAt: 1 });
+// TTL index - MongoDB removes old notifications by itself
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * 24 * 60 * 60 });
+
+// creating the Notification model from the schema
+const Notification = mongoose.model("Notification", notificationSchema);
+
+// exporting the model and the types so we can use them in other files
+module.exports = {
+    Notification,
+    NOTIFICATION_TYPES,
+}
@@ -0,0 +1,101 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// scopes a personal access token can have - each one unlocks a group of routes
+// tokens can never manage sessions, passwords, two-factor or other tokens - that needs a real login
+const TOKEN_SCOPES = {
+    "profile:read": "View your profile",
+    "profile:write": "Edit your profile",
+    "feed:read": "View your feed",
+    "requests:read": "View received connection requests",
+    "requests:write": "Send and review connection requests",
+    "connections:read": "View your connections",
+    "connections:write": "Remove connections",
+};
+
+// creating personal access token schema - long lived tokens for scripts and CLI tools
+// the raw token is shown once when it is created, only its sha256 hash is stored
+const personalAccessTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+        index: true, // we often look up all tokens of one user
+    },
+    // name chosen by the user so they can tell their tokens apart (e.g. "deploy script")
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 50,
+    },
+    // sha256 hash of the token - unique so we can find the token from the header value
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // first characters of the token, shown in the token list to recognize it
+    tokenPrefix: {
+        type: String,
+        required: true,
+    },
+    scopes: {
+        type: [String],
+        enum: {
+            values: Object.keys(TOKEN_SCOPES),
+            message: "{VALUE} is not a valid token scope",
+        },
+        validate: {
+            validator: (scopes) => scopes.length > 0,
+            message: "At least one scope is required",
+        },
+    },
+    // updated (at most once a minute) whenever the token is used
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedIp: {
+        type: String,
+        default: null,
+    },
+    // null means the token never expires
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+    // never sending the hash to the frontend
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.tokenHash;
+            return ret;
+        },
+    },
+});
+
+// TTL index - MongoDB automatically removes tokens after they expire (tokens without expiresAt stay)
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// helper method to check if the token can still be used
+personalAccessTokenSchema.methods.isActive = function () {
+    return !this.expiresAt || this.expiresAt > new Date();
+};
+
+// helper method to check if the token is allowed to do something
+personalAccessTokenSchema.methods.hasScope = function (scope) {
+    return this.scopes.includes(scope);
+};
+
+// creating the PersonalAccessToken model from the schema
+const PersonalAccessToken = mongoose.model("PersonalAccessToken", personalAccessTokenSchema);
+
+// exporting the model and scopes so we can use them in other files
+module.exports = {
+    PersonalAccessToken,
+    TOKEN_SCOPES,
+}
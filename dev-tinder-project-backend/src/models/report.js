@@ -0,0 +1,80 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// reasons a user can pick when reporting someone
+const REPORT_CATEGORIES = ["spam", "harassment", "fake_profile", "inappropriate_content", "scam", "other"];
+// open reports wait in the admin moderation queue until a moderator resolves or dismisses them
+const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+
+// creating report schema - one document per report of a user
+const reportSchema = new mongoose.Schema({
+    reporterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+    },
+    reportedUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+        index: true, // moderators look up all reports of one user
+    },
+    category: {
+        type: String,
+        required: true,
+        enum: {
+            values: REPORT_CATEGORIES,
+            message: "{VALUE} is not a valid report category",
+        },
+    },
+    // free text from the reporter explaining what happened
+    details: {
+        type: String,
+        trim: true,
+        maxLength: 1000,
+        default: "",
+    },
+    status: {
+        type: String,
+        enum: {
+            values: REPORT_STATUSES,
+            message: "{VALUE} is not a valid report status",
+        },
+        default: "open",
+    },
+    // filled in by the moderator who handled the report
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+    },
+    reviewedAt: {
+        type: Date,
+        default: null,
+    },
+    resolutionNote: {
+        type: String,
+        trim: true,
+        maxLength: 1000,
+        default: null,
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// index for the moderation queue - reports by status, oldest first
+reportSchema.index({ status: 1, createdAt: 1 });
+// index to find an open report from the same reporter quickly (no duplicate reports)
+reportSchema.index({ reporterId: 1, reportedUserId: 1, status: 1 });
+
+// creating the Report model from the schema
+const Report = mongoose.model("Report", reportSchema);
+
+// exporting the model and the allowed values so we can use them in other files
+module.exports = {
+    Report,
+    REPORT_CATEGORIES,
+    REPORT_STATUSES,
+}
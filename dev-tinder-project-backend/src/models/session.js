@@ -0,0 +1,84 @@
+// importing mongoose module for creating database schemas
+const mongoose = require("mongoose");
+
+// creating session schema - one document per login (a "session family")
+// every refresh rotates the refresh token but keeps the same session document,
+// so revoking this document logs out every token that was ever issued from that login
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // reference to User model
+        required: true,
+        index: true, // we often look up all sessions of one user
+    },
+    // sha256 hash of the current refresh token - we never store the raw token
+    refreshTokenHash: {
+        type: String,
+        required: true,
+    },
+    // hashes of refresh tokens that were already rotated away
+    // if one of these is presented again, somebody is replaying a stolen token
+    previousTokenHashes: {
+        type: [String],
+        default: [],
+    },
+    // when the refresh token was last rotated - used for the concurrent refresh grace window
+    rotatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // information about the device that created the session
+    userAgent: {
+        type: String,
+        default: "",
+    },
+    ipAddress: {
+        type: String,
+        default: "",
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // refresh tokens stop working after this date and the user must log in again
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    // set when the session is logged out or killed because of token reuse
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        default: null,
+    },
+},
+{
+    // timestamps: true automatically adds createdAt and updatedAt fields
+    timestamps: true,
+});
+
+// TTL index - MongoDB automatically removes sessions some time after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// helper method to check if session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// helper method to revoke the session - every token issued from it stops working
+sessionSchema.methods.revoke = async function (reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason || "logout";
+    await this.save();
+};
+
+// creating the Session model from the schema
+const Session = mongoose.model("Session", sessionSchema);
+
+// exporting the model so we can use it in other files
+module.exports = {
+    Session,
+}
@@ -4,6 +4,28 @@ const mongoose = require("mongoose");
 // importing validator module for validating email, password, URLs, etc.
 const validator =  require("validator");
 
+// roles a user can have - moderators can look up and suspend users, admins can do everything
+const USER_ROLES = ["user", "moderator", "admin"];
+
+// how often a user wants emails about an event - right away, in a daily or weekly digest, or never
+const EMAIL_FREQUENCIES = ["instant", "daily", "weekly", "off"];
+// events a user can get emails about - connectionRequests: someone is interested in you,
+// newConnections: someone accepted your request
+const EMAIL_PREFERENCE_KEYS = ["connectionRequests", "newConnections"];
+
+// experience levels a user can prefer in discovery
+const EXPERIENCE_LEVELS = ["junior", "mid", "senior", "lead"];
+
+// schema type for one email preference - off until the user turns emails on
+const emailFrequencyField = {
+    type: String,
+    enum: {
+        values: EMAIL_FREQUENCIES,
+        message: "{VALUE} is not a valid email frequency",
+    },
+    default: "off",
+};
+
 // creating user schema - this defines what fields a user document will have
 // schema is like a blueprint for user data in MongoDB
 const userSchema = new mongoose.Schema({
@@ -71,20 +93,246 @@ const userSchema = new mongoose.Schema({
             }
         }
     },
+    // lowercased copies of skills and gender for the feed filters - they are matched case-insensitively,
+    // and exact matches on these can use an index (a case-insensitive regex can't)
+    // kept up to date by the hooks below, never set them directly
+    skillKeys: {
+        type: [String],
+        default: undefined,
+    },
+    genderKey: {
+        type: String,
+        default: undefined,
+    },
+    // role decides who can use the /admin routes
+    role: {
+        type: String,
+        enum: {
+            values: USER_ROLES,
+            message: "{VALUE} is not a valid role",
+        },
+        default: "user",
+    },
+    // suspension - suspended users can't log in and userAuth rejects their requests
+    suspendedAt: {
+        type: Date,
+        default: null,
+    },
+    suspendedReason: {
+        type: String,
+        default: null,
+    },
+    suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+    },
+    // set when an admin forces a password reset - login is blocked until the password is reset by email
+    passwordResetRequired: {
+        type: Boolean,
+        default: false,
+    },
+    // presence - when the user last used the site (written by userAuth, at most once a minute)
+    lastActiveAt: {
+        type: Date,
+        default: null,
+    },
+    // privacy setting - false hides online / last active from other users
+    showPresence: {
+        type: Boolean,
+        default: true,
+    },
+    // email notification preferences - one frequency per event
+    emailPreferences: {
+        connectionRequests: emailFrequencyField,
+        newConnections: emailFrequencyField,
+    },
+    // discovery preferences - the feed uses them when it's opened without filters
+    // maxDistanceKm and experienceLevel are only stored for now, profiles don't have a location or experience yet
+    preferences: {
+        skills: {
+            type: [String],
+            default: [],
+        },
+        ageMin: {
+            type: Number,
+            min: 18,
+            max: 100,
+            default: null,
+        },
+        ageMax: {
+            type: Number,
+            min: 18,
+            max: 100,
+            default: null,
+        },
+        genders: {
+            type: [String],
+            enum: {
+                values: ["male", "female", "other"],
+                message: "{VALUE} is not a valid gender",
+            },
+            default: [],
+        },
+        maxDistanceKm: {
+            type: Number,
+            min: 1,
+            max: 20000,
+            default: null,
+        },
+        experienceLevel: {
+            type: String,
+            enum: {
+                values: EXPERIENCE_LEVELS,
+                message: "{VALUE} is not a valid experience level",
+            },
+            default: null,
+        },
+    },
+    // when the last daily / weekly digest was sent - the digest job only sends what happened since then
+    digestSentAt: {
+        daily: {
+            type: Date,
+            default: null,
+        },
+        weekly: {
+            type: Date,
+            default: null,
+        },
+    },
+    // email verification - new accounts can't use the feed or send requests until verified
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerificationTokenHash: {
+        type: String,
+        default: null,
+    },
+    emailVerificationExpires: {
+        type: Date,
+        default: null,
+    },
+    // brute-force protection - counts failed logins in a row and locks the account for a while
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+    },
+    lockUntil: {
+        type: Date,
+        default: null,
+    },
+    // two-factor authentication (TOTP) - secret is shared with the user's authenticator app
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: {
+        type: String,
+        default: null,
+    },
+    // secret created by /auth/2fa/setup, becomes twoFactorSecret once the user confirms a code
+    twoFactorPendingSecret: {
+        type: String,
+        default: null,
+    },
+    // sha256 hashes of unused one-time recovery codes
+    twoFactorRecoveryCodes: {
+        type: [String],
+        default: [],
+    },
+    // time step of the last accepted code - the same code can't be used twice
+    twoFactorLastUsedStep: {
+        type: Number,
+        default: null,
+    },
+    // ID of the current login challenge - cleared once it was used, so a challenge token works only once
+    twoFactorChallengeId: {
+        type: String,
+        default: null,
+    },
+    // password reset - we only store a hash of the emailed token, never the token itself
+    passwordResetTokenHash: {
+        type: String,
+        default: null,
+    },
+    passwordResetExpires: {
+        type: Date,
+        default: null,
+    },
 },
 {
     // timestamps: true automatically adds createdAt and updatedAt fields
     timestamps: true,
+    // removing secret fields whenever a user is sent to the frontend with res.json()
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.password;
+            delete ret.passwordResetTokenHash;
+            delete ret.passwordResetExpires;
+            delete ret.emailVerificationTokenHash;
+            delete ret.emailVerificationExpires;
+            delete ret.failedLoginAttempts;
+            delete ret.lockUntil;
+            delete ret.twoFactorSecret;
+            delete ret.twoFactorPendingSecret;
+            delete ret.twoFactorRecoveryCodes;
+            delete ret.twoFactorLastUsedStep;
+            delete ret.twoFactorChallengeId;
+            delete ret.digestSentAt;
+            delete ret.skillKeys;
+            delete ret.genderKey;
+            return ret;
+        },
+    },
 });
 
 // creating index for firstName and lastName combination to be unique
 userSchema.index({ firstName: 1, lastName: 1 }, { unique: true });
+// creating index for lastActiveAt because the feed shows recently active users first
+userSchema.index({ lastActiveAt: -1 });
+// creating indexes for the feed filters - skills (multikey, one entry per skill), age range with gender,
+// and a text index on about for the search box (a collection can only have one text index)
+// the filters match skills and gender case-insensitively, so they go through the lowercased copies
+userSchema.index({ skillKeys: 1 });
+userSchema.index({ age: 1, genderKey: 1 });
+userSchema.index({ about: "text" });
+
+// function to build the lowercased copies of skills and gender the feed filters match on
+const toSkillKeys = (skills) => (skills || []).map((skill) => String(skill).trim().toLowerCase());
+const toGenderKey = (gender) => (gender ? String(gender).toLowerCase() : undefined);
+
+// keeping the copies up to date when a user is created or saved
+userSchema.pre("save", function () {
+    if (this.isNew || this.isModified("skills")) {
+        this.skillKeys = toSkillKeys(this.skills);
+    }
+    if (this.isNew || this.isModified("gender")) {
+        this.genderKey = toGenderKey(this.gender);
+    }
+});
+
+// and when skills or gender are changed with an update query (profile edits use updateOne)
+userSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function () {
+    const update = this.getUpdate() || {};
+    const changes = { ...update, ...(update.$set || {}) };
+    if (changes.skills !== undefined) {
+        this.set("skillKeys", toSkillKeys(changes.skills));
+    }
+    if (changes.gender !== undefined) {
+        this.set("genderKey", toGenderKey(changes.gender));
+    }
+});
 
 // creating the User model from the schema
 const User = mongoose.model("User", userSchema);
 
-// exporting the model so we can use it in other files
+// exporting the model and roles so we can use them in other files
 module.exports = {
     User,
+    USER_ROLES,
+    EMAIL_FREQUENCIES,
+    EMAIL_PREFERENCE_KEYS,
+    EXPERIENCE_LEVELS,
 }
 
@@ -0,0 +1,477 @@
+// importing express module for creating routes
+const express = require('express');
+// importing User model and the list of roles
+const { User, USER_ROLES } = require('../models/user');
+// importing ConnectionRequest model for user details and platform stats
+const { ConnectionRequest } = require('../models/connectionRequest');
+// importing Session and PersonalAccessToken models to show and remove a user's logins
+const { Session } = require('../models/session');
+const { PersonalAccessToken } = require('../models/personalAccessToken');
+// importing Report model for the moderation queue
+const { Report, REPORT_CATEGORIES, REPORT_STATUSES } = require('../models/report');
+// importing userAuth middleware (logged in sessions only) and requireRole middleware (moderator/admin only)
+const { userAuth, requireRole } = require('../middlewares/auth');
+// importing helper to log a user out everywhere
+const { revokeUserSessions } = require('../utils/authTokens');
+// importing helper that creates a reset token and emails the link
+const { sendPasswordResetEmail } = require('../utils/passwordReset');
+
+// creating router instance - handles all /admin routes
+const adminRouter = express.Router();
+
+// middlewares for the two permission levels
+const moderatorOnly = [userAuth, requireRole("moderator", "admin")];
+const adminOnly = [userAuth, requireRole("admin")];
+
+// statuses that mean a request was actually sent ("ignored" is just a pass in the feed)
+const SENT_STATUSES = ["interested", "accepted", "rejected", "expired"];
+
+// function to escape special characters so search text is matched literally in a regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// function to load the user from :id and check that the logged in user may moderate them
+// moderators can only act on normal users, nobody can act on themselves
+// returns the user or null (after sending the error response)
+const findModeratedUser = async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        res.status(404);
+        res.json({ message: "User not found" });
+        return null;
+    }
+    if (user._id.toString() === req.user._id.toString()) {
+        res.status(400);
+        res.json({ message: "You can't do this to your own account." });
+        return null;
+    }
+    if (req.user.role !== "admin" && user.role !== "user") {
+        res.status(403);
+        res.json({ message: "Only admins can moderate other moderators and admins.", code: "FORBIDDEN_ROLE" });
+        return null;
+    }
+    return user;
+};
+
+// function to turn aggregation results like [{ _id: "2024-01-31", count: 3 }] into one entry per day
+// days without documents get count 0, so charts don't have gaps
+const fillDays = (since, days, rows) => {
+    const counts = new Map(rows.map((row) => [row._id, row.count]));
+    return Array.from({ length: days }, (_, index) => {
+        const date = new Date(since.getTime() + index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        return { date, count: counts.get(date) || 0 };
+    });
+};
+
+// function to count documents per day (UTC) created since a date
+const countPerDay = (Model, since, match = {}) => {
+    return Model.aggregate([
+        { $match: { ...match, createdAt: { $gte: since } } },
+        { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, count: { $sum: 1 } } },
+    ]);
+};
+
+
+// list users route - search and filter all users
+// GET /admin/users?search=john&role=user&status=suspended&page=1&limit=20
+// search matches first name, last name and email; status is "active" or "suspended"
+adminRouter.get("/users", moderatorOnly, async (req, res, next) => {
+    const { search, role, status } = req.query;
+
+    // reading page and limit from query parameters, limit is capped so nobody loads every user at once
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    // building the filter from the query parameters
+    const filter = {};
+    if (search) {
+        const regex = new RegExp(escapeRegex(String(search).trim()), "i");
+        filter.$or = [{ firstName: regex }, { lastName: regex }, { emailID: regex }];
+    }
+    if (role) {
+        if (!USER_ROLES.includes(role)) {
+            res.status(400);
+            res.json({ message: `Role must be one of: ${USER_ROLES.join(", ")}.` });
+            return;
+        }
+        // users created before roles existed have no role field - they are normal users
+        filter.role = role === "user" ? { $in: ["user", null] } : role;
+    }
+    if (status) {
+        if (!["active", "suspended"].includes(status)) {
+            res.status(400);
+            res.json({ message: "Status must be either active or suspended." });
+            return;
+        }
+        filter.suspendedAt = status === "suspended" ? { $ne: null } : null;
+    }
+
+    try {
+        const total = await User.countDocuments(filter);
+        const users = await User.find(filter)
+            .sort({ createdAt: -1 }) // newest users first
+            .skip(skip)
+            .limit(limit);
+
+        res.status(200);
+        res.json({
+            message: "Users fetched successfully",
+            users,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+        });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching users", error: error.message });
+    }
+});
+
+
+// user details route - one user plus counts of their activity
+// GET /admin/users/:id
+adminRouter.get("/users/:id", moderatorOnly, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            res.status(404);
+            res.json({ message: "User not found" });
+            return;
+        }
+
+        const [requestsSent, requestsReceived, connections, activeSessions, accessTokens, openReports] = await Promise.all([
+            ConnectionRequest.countDocuments({ fromUserId: user._id, status: { $in: SENT_STATUSES } }),
+            ConnectionRequest.countDocuments({ toUserId: user._id, status: { $in: SENT_STATUSES } }),
+            ConnectionRequest.countDocuments({ $or: [{ fromUserId: user._id }, { toUserId: user._id }], status: "accepted" }),
+            Session.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+            PersonalAccessToken.countDocuments({ userId: user._id }),
+            Report.countDocuments({ reportedUserId: user._id, status: "open" }),
+        ]);
+
+        res.status(200);
+        res.json({
+            message: "User fetched successfully",
+            user,
+            activity: { requestsSent, requestsReceived, connections, activeSessions, accessTokens, openReports },
+        });
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error fetching user", error: error.message });
+    }
+});
+
+
+// suspend route - blocks a user from logging in and using the API
+// POST /admin/users/:id/suspend - body: { reason } (optional, shown to the user)
+// the user is logged out everywhere right away
+adminRouter.post("/users/:id/suspend", moderatorOnly, async (req, res, next) => {
+    const { reason } = req.body;
+
+    if (reason !== undefined && (typeof reason !== "string" || reason.length > 500)) {
+        res.status(400);
+        res.json({ message: "Reason must be text with at most 500 characters." });
+        return;
+    }
+
+    try {
+        const user = await findModeratedUser(req, res);
+        if (!user) {
+            return;
+        }
+        if (user.suspendedAt) {
+            res.status(400);
+            res.json({ message: "User is already suspended." });
+            return;
+        }
+
+        user.suspendedAt = new Date();
+        user.suspendedReason = reason ? reason.trim() : null;
+        user.suspendedBy = req.user._id;
+        await user.save({ validateModifiedOnly: true });
+
+        const revokedSessions = await revokeUserSessions(user._id, "suspended");
+
+        res.status(200);
+        res.json({ message: "User suspended successfully", user, revokedSessions });
+        console.log(`User ${user.emailID} suspended by ${req.user.emailID}...`);
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error suspending user", error: error.message });
+    }
+});
+
+
+// unsuspend route - lets a suspended user log in again
+// POST /admin/users/:id/unsuspend
+adminRouter.post("/users/:id/unsuspend", moderatorOnly, async (req, res, next) => {
+    try {
+        const user = await findModeratedUser(req, res);
+        if (!user) {
+            return;
+        }
+        if (!user.suspendedAt) {
+            res.status(400);
+            res.json({ message: "User is not suspended." });
+            return;
+        }
+
+        user.suspendedAt = null;
+        user.suspendedReason = null;
+        user.suspendedBy = null;
+        await user.save({ validateModifiedOnly: true });
+
+        res.status(200);
+        res.json({ message: "User unsuspended successfully", user });
+        console.log(`User ${user.emailID} unsuspended by ${req.user.emailID}...`);
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error unsuspending user", error: error.message });
+    }
+});
+
+
+// force password reset route - the user must set a new password via email before logging in again
+// POST /admin/users/:id/force-password-reset - admins only
+// logs the user out everywhere and deletes their access tokens, e.g. when the account looks compromised
+adminRouter.post("/users/:id/force-password-reset", adminOnly, async (req, res, next) => {
+    try {
+        const user = await findModeratedUser(req, res);
+        if (!user) {
+            return;
+        }
+
+        await User.updateOne({ _id: user._id }, { passwordResetRequired: true });
+        const revokedSessions = await revokeUserSessions(user._id, "admin-password-reset");
+        await PersonalAccessToken.deleteMany({ userId: user._id });
+
+        // the reset is already in place even if the email fails - the user can use "Forgot password" later
+        let emailSent = true;
+        try {
+            await sendPasswordResetEmail(user, { forcedByAdmin: true });
+        } catch (error) {
+            emailSent = false;
+            console.error(`Error sending forced password reset email to ${user.emailID}:`, error);
+        }
+
+        res.status(200);
+        res.json({ message: "Password reset forced successfully", revokedSessions, emailSent });
+        console.log(`Password reset forced for user ${user.emailID} by ${req.user.emailID}...`);
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error forcing password reset", error: error.message });
+    }
+});
+
+
+// change role route - promotes or demotes a user
+// PUT /admin/users/:id/role - body: { role } - admins only
+adminRouter.put("/users/:id/role", adminOnly, async (req, res, next) => {
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+        res.status(400);
+        res.json({ message: `Role must be one of: ${USER_ROLES.join(", ")}.` });
+        return;
+    }
+
+    try {
+        const user = await findModeratedUser(req, res);
+        if (!user) {
+            return;
+        }
+
+        user.role = role;
+        await user.save({ validateModifiedOnly: true });
+
+        res.status(200);
+        res.json({ message: "Role updated successfully", user });
+        console.log(`Role of user ${user.emailID} changed to ${role} by ${req.user.emailID}...`);
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error updating role", error: error.message });
+    }
+});
+
+
+// moderation queue route - reports sent by users
+// GET /admin/reports?status=open&category=spam&page=1&limit=20
+// open reports are listed oldest first (first come, first served), handled ones newest first
+// every report includes how many open reports exist against the same user, to spot repeat offenders
+adminRouter.get("/reports", moderatorOnly, async (req, res, next) => {
+    const status = req.query.status || "open";
+    const { category } = req.query;
+
+    if (!REPORT_STATUSES.includes(status)) {
+        res.status(400);
+        res.json({ message: `Status must be one of: ${REPORT_STATUSES.join(", ")}.` });
+        return;
+    }
+    if (category && !REPORT_CATEGORIES.includes(category)) {
+        res.status(400);
+        res.json({ message: `Category must be one of: ${REPORT_CATEGORIES.join(", ")}.` });
+        return;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { status };
+    if (category) {
+        filter.category = category;
+    }
+
+    try {
+        const total = await Report.countDocuments(filter);
+        const reports = await Report.find(filter)
+            .sort({ createdAt: status === "open" ? 1 : -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate("reporterId", "firstName lastName emailID photoUrl")
+            .populate("reportedUserId", "firstName lastName emailID photoUrl role suspendedAt")
+            .populate("reviewedBy", "firstName lastName");
+
+        // counting open reports per reported user on this page
+        const reportedIds = reports.filter((report) => report.reportedUserId).map((report) => report.reportedUserId._id);
+        const openCounts = await Report.aggregate([
+            { $match: { reportedUserId: { $in: reportedIds }, status: "open" } },
+            { $group: { _id: "$reportedUserId", count: { $sum: 1 } } },
+        ]);
+        const openCountByUser = new Map(openCounts.map((row) => [row._id.toString(), row.count]));
+
+        const reportList = reports.map((report) => ({
+            ...report.toJSON(),
+            openReportsAgainstUser: report.reportedUserId ? openCountByUser.get(report.reportedUserId._id.toString()) || 0 : 0,
+        }));
+
+        res.status(200);
+        res.json({
+            message: "Reports fetched successfully",
+            reports: reportList,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+        });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching reports", error: error.message });
+    }
+});
+
+
+// review report route - closes a report (or opens it again)
+// PUT /admin/reports/:id - body: { status: "resolved" | "dismissed" | "open", resolutionNote }
+// suspending the reported user is a separate call to POST /admin/users/:id/suspend
+adminRouter.put("/reports/:id", moderatorOnly, async (req, res, next) => {
+    const { status, resolutionNote } = req.body;
+
+    if (!REPORT_STATUSES.includes(status)) {
+        res.status(400);
+        res.json({ message: `Status must be one of: ${REPORT_STATUSES.join(", ")}.` });
+        return;
+    }
+    if (resolutionNote !== undefined && resolutionNote !== null && (typeof resolutionNote !== "string" || resolutionNote.length > 1000)) {
+        res.status(400);
+        res.json({ message: "Resolution note must be text with at most 1000 characters." });
+        return;
+    }
+
+    try {
+        const report = await Report.findById(req.params.id);
+        if (!report) {
+            res.status(404);
+            res.json({ message: "Report not found" });
+            return;
+        }
+
+        // opening a report again clears who handled it
+        const isOpen = status === "open";
+        report.status = status;
+        report.reviewedBy = isOpen ? null : req.user._id;
+        report.reviewedAt = isOpen ? null : new Date();
+        report.resolutionNote = isOpen ? null : resolutionNote || null;
+        await report.save();
+
+        res.status(200);
+        res.json({ message: "Report updated successfully", report });
+        console.log(`Report ${report._id} marked as ${status} by ${req.user.emailID}...`);
+    } catch (error) {
+        // invalid report IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error updating report", error: error.message });
+    }
+});
+
+
+// platform stats route - numbers for the admin dashboard
+// GET /admin/stats?days=30 - signups and requests per day (UTC) for the last `days` days, plus totals
+// acceptance rate = accepted / (accepted + rejected) for requests sent in that period
+adminRouter.get("/stats", moderatorOnly, async (req, res, next) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    // starting at midnight UTC so every day in the result is a full day
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    try {
+        const [totalUsers, verifiedUsers, suspendedUsers, signupsPerDay, requestsPerDay, requestsByStatus, openReports] = await Promise.all([
+            User.countDocuments(),
+            User.countDocuments({ emailVerified: true }),
+            User.countDocuments({ suspendedAt: { $ne: null } }),
+            countPerDay(User, since),
+            countPerDay(ConnectionRequest, since, { status: { $in: SENT_STATUSES } }),
+            ConnectionRequest.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                { $group: { _id: "$status", count: { $sum: 1 } } },
+            ]),
+            Report.countDocuments({ status: "open" }),
+        ]);
+
+        // turning [{ _id: "accepted", count: 3 }, ...] into { accepted: 3, ... }
+        const statusCounts = Object.fromEntries(requestsByStatus.map((row) => [row._id, row.count]));
+        const accepted = statusCounts.accepted || 0;
+        const rejected = statusCounts.rejected || 0;
+        const requestsSent = SENT_STATUSES.reduce((sum, status) => sum + (statusCounts[status] || 0), 0);
+
+        res.status(200);
+        res.json({
+            message: "Stats fetched successfully",
+            days,
+            since,
+            users: { total: totalUsers, verified: verifiedUsers, suspended: suspendedUsers },
+            signupsPerDay: fillDays(since, days, signupsPerDay),
+            requests: {
+                sent: requestsSent,
+                pending: statusCounts.interested || 0,
+                accepted,
+                rejected,
+                ignored: statusCounts.ignored || 0,
+                expired: statusCounts.expired || 0,
+                // null when nothing was reviewed yet, so it isn't confused with a 0% rate
+                acceptanceRate: accepted + rejected > 0 ? Number((accepted / (accepted + rejected)).toFixed(3)) : null,
+            },
+            requestsPerDay: fillDays(since, days, requestsPerDay),
+            openReports,
+        });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching stats", error: error.message });
+    }
+});
+
+// exporting the router so we can use it in app.js
+module.exports = {
+    adminRouter,
+};
@@ -3,12 +3,77 @@
 const express = require('express');
 // importing User model to save and find users in database
 const { User } = require('../models/user');
-// importing validation function to check if signup data is valid
-const { validateSignupData } = require('../utils/validation');
+// importing validation functions to check if signup data and new passwords are valid
+const { validateSignupData, validatePassword } = require('../utils/validation');
 // importing bcrypt module for hashing passwords - never store plain passwords!
 const bcrypt = require('bcrypt');
-// importing jsonwebtoken module for creating authentication tokens
+// importing jsonwebtoken module for reading access tokens on logout
 const jwt = require('jsonwebtoken');
+// importing crypto module for generating email verification tokens
+const crypto = require('crypto');
+// importing session helpers for issuing, rotating and revoking tokens
+const {
+    getJwtSecret,
+    hashToken,
+    setAuthCookies,
+    clearAuthCookies,
+    startSession,
+    signAccessToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserSessions,
+    describeDevice,
+    signTwoFactorChallenge,
+} = require('../utils/authTokens');
+// importing Session model to list and revoke sessions
+const { Session } = require('../models/session');
+// importing PersonalAccessToken model to delete access tokens when the password is reset
+const { PersonalAccessToken } = require('../models/personalAccessToken');
+// importing userAuth middleware to protect session management routes
+// and helper to answer with the account suspended error
+const { userAuth, sendAccountSuspended } = require('../middlewares/auth');
+// importing mailer and email templates for sending verification emails
+const { sendMail } = require('../utils/mailer');
+const { buildFrontendUrl, emailVerificationEmail } = require('../utils/emailTemplates');
+// importing helper that creates a reset token and emails the link
+const { sendPasswordResetEmail } = require('../utils/passwordReset');
+
+// importing rate limit middleware to slow down password guessing and spam
+const { rateLimit, sendTooManyRequests, keyByIp, keyByEmail, keyByUser } = require('../middlewares/rateLimit');
+// importing lockout helpers that count failed logins on the account
+const {
+    LOCKOUT_THRESHOLD,
+    formatWaitTime,
+    getLockoutRemainingMs,
+    registerFailedLogin,
+    clearFailedLogins,
+} = require('../utils/loginLockout');
+
+// email verification links stop working after this many hours
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+// rate limiters for the public auth routes
+// per IP limits stop one client, per email limits stop guessing one account from many IPs
+const loginIpLimiter = rateLimit({ name: "login-ip", windowMs: 15 * 60 * 1000, max: 30, keyGenerator: keyByIp, message: "Too many login attempts from this network. Please try again later." });
+const loginAccountLimiter = rateLimit({ name: "login-account", windowMs: 15 * 60 * 1000, max: 15, keyGenerator: keyByEmail, message: "Too many login attempts for this account. Please try again later." });
+const signupLimiter = rateLimit({ name: "signup-ip", windowMs: 60 * 60 * 1000, max: 10, keyGenerator: keyByIp, message: "Too many accounts created from this network. Please try again later." });
+const passwordResetIpLimiter = rateLimit({ name: "password-reset-ip", windowMs: 15 * 60 * 1000, max: 10, keyGenerator: keyByIp });
+const passwordResetAccountLimiter = rateLimit({ name: "password-reset-account", windowMs: 60 * 60 * 1000, max: 3, keyGenerator: keyByEmail, message: "Too many password reset emails requested. Please try again later." });
+const resendVerificationLimiter = rateLimit({ name: "resend-verification", windowMs: 60 * 60 * 1000, max: 5, keyGenerator: keyByUser, message: "Too many verification emails requested. Please try again later." });
+
+// function to create a new verification token for a user and email the link
+// a new token replaces the previous one, so only the latest link works
+const sendVerificationEmail = async (user) => {
+    const verificationToken = crypto.randomBytes(32).toString("hex");
+    await User.updateOne({ _id: user._id }, {
+        emailVerificationTokenHash: hashToken(verificationToken),
+        emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+    });
+
+    const verifyUrl = buildFrontendUrl(`/verify-email/${verificationToken}`);
+    const email = emailVerificationEmail({ user, verifyUrl, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS });
+    await sendMail({ to: user.emailID, ...email });
+};
 
 // creating router instance - this handles all /auth routes
 const authRouter = express.Router();
@@ -16,7 +81,7 @@ const authRouter = express.Router();
 
 // signup route - creates a new user account
 // POST /auth/signup - frontend sends user data here
-authRouter.post("/signup", async (req, res, next) => {
+authRouter.post("/signup", signupLimiter, async (req, res, next) => {
     // first validate the data - check if email is valid, password is strong, etc.
     if (!validateSignupData(req, res)) {
         return; // if validation fails, stop here
@@ -42,26 +107,20 @@ authRouter.post("/signup", async (req, res, next) => {
     
     // saving the user to database
     try {
-        // creating JWT token for authentication, token contains userId and emailID so we know who is logged in
-        // getting secret from environment variable for security
-        const jwtSecret = process.env.JWT_SECRET;
-        const token = jwt.sign({ userId: user._id, emailID: user.emailID }, jwtSecret, { expiresIn: "1h" });
-        console.log("Generated JWT Token:");
-  
-        // setting the token in a cookie - this is how we remember user is logged in
-        // httpOnly: true means JavaScript can't access this cookie (more secure)
-        // secure: false for localhost, true for HTTPS in production
-        // sameSite: "lax" allows cookie to be sent with cross-site requests
-        // maxAge: 3600000 means cookie expires in 1 hour (in milliseconds)
-        res.cookie("token", token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production", // true in production (HTTPS), false in development
-            sameSite: process.env.NODE_ENV === "production" ? "none" : "lax", // "none" needed for cross-origin in production
-            maxAge: 3600000 // 1 hour
-        });
-        
         // saving user to database - this actually creates the user record
         await user.save();
+
+        // starting a new session - this sets a short-lived access token cookie
+        // and a long-lived refresh token cookie so user stays logged in
+        await startSession(user, req, res);
+
+        // sending the verification link - if the mail fails the account still exists
+        // and the user can ask for a new link from the banner in the app
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error(`Error sending verification email to ${user.emailID}:`, error);
+        }
         
         // sending success response back to frontend
         res.status(201);
@@ -77,7 +136,8 @@ authRouter.post("/signup", async (req, res, next) => {
 
 // login route - checks if email and password are correct
 // POST /auth/login - frontend sends email and password here
-authRouter.post("/login", async (req, res, next) => {
+// rate limited per IP and per email, and accounts get locked after repeated failures
+authRouter.post("/login", loginIpLimiter, loginAccountLimiter, async (req, res, next) => {
     // getting email and password from request body
     const { emailID, password } = req.body;
     
@@ -93,31 +153,70 @@ authRouter.post("/login", async (req, res, next) => {
             return;
         }
         
+        // if account is locked because of too many failed logins, don't even check the password
+        const remainingLockMs = getLockoutRemainingMs(user);
+        if (remainingLockMs > 0) {
+            sendTooManyRequests(res, remainingLockMs / 1000, `Account temporarily locked because of too many failed login attempts. Try again in ${formatWaitTime(remainingLockMs)}.`);
+            console.log(`Login attempt for locked account ${emailID}...`);
+            return;
+        }
+
         // comparing the password user entered with the hashed password in database. bcrypt.compare() hashes the entered password and checks if it matches
         const isPasswordMatch = await bcrypt.compare(password, user.password);
         
         // if passwords don't match, login fails
         if (!isPasswordMatch) {
+            // counting the failed attempt - the account gets locked after too many
+            const { attempts, lockMs } = await registerFailedLogin(user);
+            if (lockMs > 0) {
+                sendTooManyRequests(res, lockMs / 1000, `Too many failed login attempts. Account locked for ${formatWaitTime(lockMs)}.`);
+                console.log(`Account ${emailID} locked for ${formatWaitTime(lockMs)} after ${attempts} failed logins...`);
+                return;
+            }
+
             res.status(401);
-            res.json({ message: "Invalid password" });
+            res.json({ message: "Invalid password", attemptsRemaining: LOCKOUT_THRESHOLD - attempts });
             console.log(`Invalid password for user with emailID ${emailID}...`);
             return;
         }
+
+        // suspended accounts can't log in - checked after the password so guessers don't learn about it
+        if (user.suspendedAt) {
+            sendAccountSuspended(res, user);
+            console.log(`Login attempt for suspended account ${emailID}...`);
+            return;
+        }
+
+        // an admin forced a password reset - the old password is not accepted anymore
+        if (user.passwordResetRequired) {
+            res.status(403);
+            res.json({ message: "You need to reset your password before logging in. Check your email for the reset link or use \"Forgot password\".", code: "PASSWORD_RESET_REQUIRED" });
+            console.log(`Login attempt for account ${emailID} that must reset its password...`);
+            return;
+        }
+
+        // two-factor authentication is on - password alone is not enough
+        // instead of the session cookies we send a short-lived challenge token,
+        // the frontend sends it back with the authenticator code to POST /auth/2fa/verify
+        if (user.twoFactorEnabled) {
+            res.status(200);
+            res.json({
+                message: "Two-factor authentication required",
+                twoFactorRequired: true,
+                challengeToken: await signTwoFactorChallenge(user),
+            });
+            console.log(`User with emailID ${emailID} passed password check, waiting for two-factor code...`);
+            return;
+        }
         
-        // if we reach here, email and password are correct - create token
-        const jwtSecret = process.env.JWT_SECRET || "your_jwt_secret_key";
-        const token = jwt.sign({ userId: user._id, emailID: user.emailID }, jwtSecret, { expiresIn: "1h" });
-        console.log("Generated JWT Token:");
-  
-        // setting token in cookie so user stays logged in
-        res.cookie("token", token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production", // true in production
-            sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-            maxAge: 3600000 // 1 hour
-        })
-        .status(200)
-        .json({ message: "User logged in successfully", user }); 
+        // if we reach here, email and password are correct - forgetting earlier failed attempts and starting a new session
+        // with two-factor on, the attempts are only forgotten after the code was checked, otherwise
+        // logging in again with the password would give a fresh set of code guesses
+        await clearFailedLogins(user);
+        await startSession(user, req, res);
+
+        res.status(200);
+        res.json({ message: "User logged in successfully", user }); 
         console.log(`User with emailID ${emailID} logged in successfully...`);
     } 
     catch (error) {
@@ -128,20 +227,338 @@ authRouter.post("/login", async (req, res, next) => {
 });
 
 
-// logout route - removes the authentication cookie
+// refresh route - exchanges the refresh token cookie for a new access token
+// POST /auth/refresh - frontend calls this automatically when an API call returns 401
+// the refresh token is rotated on every call, so each refresh token can only be used once
+authRouter.post("/refresh", async (req, res, next) => {
+    const refreshToken = req.cookies.refreshToken;
+
+    // if no refresh token found, user has to log in again
+    if (!refreshToken) {
+        res.status(401);
+        res.json({ message: "Unauthorized access - No refresh token provided" });
+        return;
+    }
+
+    try {
+        const rotation = await rotateRefreshToken(refreshToken, req);
+
+        // another tab refreshed this session a moment ago - its cookies are already in the browser
+        if (rotation.result === "already-rotated") {
+            res.status(200);
+            res.json({ message: "Session already refreshed" });
+            return;
+        }
+
+        // an already used refresh token was presented again - whole session was revoked
+        if (rotation.result === "reused") {
+            clearAuthCookies(res);
+            res.status(401);
+            res.json({ message: "Unauthorized access - Refresh token reuse detected, please log in again" });
+            console.log(`Refresh token reuse detected for session ${rotation.session._id}, session revoked...`);
+            return;
+        }
+
+        // token is unknown, expired or its session was revoked
+        if (rotation.result !== "rotated") {
+            clearAuthCookies(res);
+            res.status(401);
+            res.json({ message: "Unauthorized access - Invalid refresh token" });
+            return;
+        }
+
+        // finding the user so the new access token has up to date data
+        const user = await User.findById(rotation.session.userId);
+        if (!user) {
+            await rotation.session.revoke("user-deleted");
+            clearAuthCookies(res);
+            res.status(401);
+            res.json({ message: "Unauthorized access - User not found" });
+            return;
+        }
+
+        setAuthCookies(res, signAccessToken(user, rotation.session), rotation.refreshToken);
+        res.status(200);
+        res.json({ message: "Session refreshed successfully" });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error refreshing session", error });
+    }
+});
+
+
+// logout route - revokes the current session and removes the authentication cookies
 // POST /auth/logout - frontend calls this when user clicks logout
-authRouter.post("/logout", (req, res, next) => {
-    // clearing the token cookie - this logs the user out. must use same settings as when we set the cookie
-    res.clearCookie("token", {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        sameSite: process.env.NODE_ENV === "production" ? "none" : "lax"
-    })
-    .status(200)
-    .json({ message: "User logged out successfully" });
+authRouter.post("/logout", async (req, res, next) => {
+    try {
+        if (req.cookies.refreshToken) {
+            // revoking the session behind the refresh token so it can't be used again
+            await revokeRefreshToken(req.cookies.refreshToken, "logout");
+        } else if (req.cookies.token) {
+            // no refresh token cookie - falling back to the session ID inside the access token
+            const decoded = jwt.verify(req.cookies.token, getJwtSecret());
+            if (decoded.sessionId) {
+                await Session.updateOne(
+                    { _id: decoded.sessionId, revokedAt: null },
+                    { revokedAt: new Date(), revokedReason: "logout" }
+                );
+            }
+        }
+    } catch (error) {
+        // an invalid token can't be revoked anyway - still clear the cookies below
+        console.log("Could not revoke session during logout...");
+    }
+
+    // clearing the cookies - this logs the user out on this device
+    clearAuthCookies(res);
+    res.status(200);
+    res.json({ message: "User logged out successfully" });
     console.log("User logged out successfully...");
 });
 
+// list sessions route - shows every device where the user is currently logged in
+// GET /auth/sessions - frontend calls this on the sessions settings page
+// userAuth middleware ensures only logged in users can see their sessions
+authRouter.get("/sessions", userAuth, async (req, res, next) => {
+    try {
+        // finding all sessions that are not revoked and not expired yet
+        // most recently used sessions first
+        const sessions = await Session.find({
+            userId: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastUsedAt: -1 });
+
+        // only sending safe fields - never the token hashes
+        const sessionList = sessions.map((session) => ({
+            _id: session._id,
+            device: describeDevice(session.userAgent),
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            current: session._id.toString() === req.authSession._id.toString(),
+        }));
+
+        res.status(200);
+        res.json({ message: "Sessions fetched successfully", sessions: sessionList });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching sessions", error: error.message });
+    }
+});
+
+
+// revoke session route - logs out one device
+// DELETE /auth/sessions/:id - frontend calls this when user clicks "log out" next to a session
+// userAuth middleware ensures only logged in users can revoke their sessions
+authRouter.delete("/sessions/:id", userAuth, async (req, res, next) => {
+    const sessionId = req.params.id;
+
+    try {
+        // finding the session - it must belong to the logged in user
+        const session = await Session.findOne({ _id: sessionId, userId: req.user._id, revokedAt: null });
+        if (!session) {
+            res.status(404);
+            res.json({ message: "Session not found" });
+            return;
+        }
+
+        await session.revoke("revoked-by-user");
+
+        // if user revoked the session they are using right now, log them out here too
+        const isCurrent = session._id.toString() === req.authSession._id.toString();
+        if (isCurrent) {
+            clearAuthCookies(res);
+        }
+
+        res.status(200);
+        res.json({ message: "Session revoked successfully", current: isCurrent });
+        console.log(`Session ${sessionId} of user ${req.user.firstName} revoked successfully...`);
+    } catch (error) {
+        // invalid session IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error revoking session", error: error.message });
+    }
+});
+
+
+// logout all route - logs the user out on every device, including this one
+// POST /auth/logout-all - frontend calls this from the sessions settings page
+// userAuth middleware ensures only logged in users can do this
+authRouter.post("/logout-all", userAuth, async (req, res, next) => {
+    try {
+        const revokedCount = await revokeUserSessions(req.user._id, "logout-all");
+
+        clearAuthCookies(res);
+        res.status(200);
+        res.json({ message: "Logged out from all devices successfully", revokedCount });
+        console.log(`User ${req.user.firstName} logged out from all devices...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error logging out from all devices", error: error.message });
+    }
+});
+
+// verify email route - marks the email as verified using the token from the verification email
+// GET /auth/verify-email/:token - frontend verify page calls this with the token from the link
+authRouter.get("/verify-email/:token", async (req, res, next) => {
+    const { token } = req.params;
+
+    try {
+        // finding the user by token hash - the token must not be expired
+        const user = await User.findOne({
+            emailVerificationTokenHash: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() },
+        });
+        if (!user) {
+            res.status(400);
+            res.json({ message: "Verification link is invalid or has expired." });
+            return;
+        }
+
+        // marking email as verified and removing the token so the link can't be used twice
+        await User.updateOne(
+            { _id: user._id },
+            { emailVerified: true, emailVerificationTokenHash: null, emailVerificationExpires: null }
+        );
+
+        res.status(200);
+        res.json({ message: "Email verified successfully" });
+        console.log(`Email ${user.emailID} verified successfully...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error verifying email", error: error.message });
+    }
+});
+
+
+// resend verification route - sends a new verification email to the logged in user
+// POST /auth/resend-verification - frontend calls this from the "verify your email" banner
+// userAuth middleware ensures only logged in users can ask for a new link
+authRouter.post("/resend-verification", userAuth, resendVerificationLimiter, async (req, res, next) => {
+    const user = req.user;
+
+    if (user.emailVerified) {
+        res.status(400);
+        res.json({ message: "Your email is already verified." });
+        return;
+    }
+
+    try {
+        await sendVerificationEmail(user);
+        res.status(200);
+        res.json({ message: `Verification email sent to ${user.emailID}` });
+        console.log(`Verification email resent to ${user.emailID}...`);
+    } catch (error) {
+        // if something goes wrong (like mail server is down), send error
+        console.error("Error resending verification email:", error);
+        res.status(500);
+        res.json({ message: "Error sending verification email" });
+    }
+});
+
+
+// forgot password route - emails a password reset link to the user
+// POST /auth/forgot-password - frontend sends the email address here
+// always answers with the same message, so nobody can find out which emails are registered
+authRouter.post("/forgot-password", passwordResetIpLimiter, passwordResetAccountLimiter, async (req, res, next) => {
+    const { emailID } = req.body;
+    const genericMessage = "If an account with that email exists, a password reset link has been sent.";
+
+    if (!emailID || typeof emailID !== "string") {
+        res.status(400);
+        res.json({ message: "Email ID is required." });
+        return;
+    }
+
+    try {
+        const user = await User.findOne({ emailID: emailID.toLowerCase().trim() });
+        if (!user) {
+            console.log(`Password reset requested for unknown emailID ${emailID}...`);
+            res.status(200);
+            res.json({ message: genericMessage });
+            return;
+        }
+
+        // creating a random token and emailing the reset link
+        await sendPasswordResetEmail(user);
+
+        res.status(200);
+        res.json({ message: genericMessage });
+        console.log(`Password reset email sent to ${user.emailID}...`);
+    } catch (error) {
+        // if something goes wrong (like mail server is down), send error
+        console.error("Error sending password reset email:", error);
+        res.status(500);
+        res.json({ message: "Error sending password reset email" });
+    }
+});
+
+
+// reset password route - sets a new password using the token from the reset email
+// POST /auth/reset-password - frontend sends the token and the new password here
+authRouter.post("/reset-password", passwordResetIpLimiter, async (req, res, next) => {
+    const { token, newPassword } = req.body;
+
+    if (!token || typeof token !== "string") {
+        res.status(400);
+        res.json({ message: "Reset token is required." });
+        return;
+    }
+
+    if (!newPassword || typeof newPassword !== "string") {
+        res.status(400);
+        res.json({ message: "New password is required." });
+        return;
+    }
+
+    // validating the new password - check if it's strong enough
+    if (!validatePassword(newPassword, res)) {
+        return; // if validation fails, stop here
+    }
+
+    try {
+        // hashing the new password first, so the token can be used up in the same update that saves it
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+        // finding the user by token hash (the token must not be expired), saving the new password and
+        // removing the token in one conditional update - two requests with the same link can't both reset the password
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetTokenHash: hashToken(token),
+                passwordResetExpires: { $gt: new Date() },
+            },
+            // also unlocking the account - the owner just proved they control the email
+            // and clearing a reset forced by an admin - this is exactly what they asked for
+            { password: hashedPassword, passwordResetTokenHash: null, passwordResetExpires: null, passwordResetRequired: false, failedLoginAttempts: 0, lockUntil: null },
+            { runValidators: true }
+        );
+        if (!user) {
+            res.status(400);
+            res.json({ message: "Password reset link is invalid or has expired." });
+            return;
+        }
+
+        // logging out every device - whoever had access with the old password loses it
+        await revokeUserSessions(user._id, "password-reset");
+        // and deleting personal access tokens - they could have been created by the same person
+        await PersonalAccessToken.deleteMany({ userId: user._id });
+
+        res.status(200);
+        res.json({ message: "Password has been reset successfully. Please log in with your new password." });
+        console.log(`Password for user ${user.firstName} ${user.lastName} reset successfully...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error resetting password", error: error.message });
+    }
+});
+
 // exporting the router so we can use it in app.js
 module.exports = {
     authRouter,
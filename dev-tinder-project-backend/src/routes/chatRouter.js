@@ -0,0 +1,113 @@
+// importing express module for creating routes
+const express = require('express');
+// importing mongoose to check if the "before" cursor is a valid ID
+const mongoose = require('mongoose');
+// importing userAuth middleware to check if user is logged in
+const { userAuth } = require('../middlewares/auth');
+// importing models needed to read the chat history
+const { User } = require('../models/user');
+const { ConnectionRequest } = require('../models/connectionRequest');
+const { Conversation } = require('../models/conversation');
+const { Message } = require('../models/message');
+// importing helper that validates and saves chat messages
+const { sendChatMessage } = require('../utils/chat');
+// importing socket helper to deliver messages sent over HTTP in real time
+const { emitChatMessage } = require('../sockets/chatSocket');
+
+// creating router instance - handles all /chat routes
+const chatRouter = express.Router();
+
+
+// chat history route - messages between the logged in user and one connection
+// GET /chat/:userId/messages?before=<messageId>&limit=30
+// returns the newest messages first page by page, each page in chronological order (oldest at the top)
+// pass nextBefore from the response as ?before= to load older messages
+chatRouter.get("/:userId/messages", userAuth, async (req, res, next) => {
+    const userId = req.user._id;
+    const otherUserId = req.params.userId;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 100);
+
+    if (before && !mongoose.isValidObjectId(before)) {
+        res.status(400);
+        res.json({ message: "Invalid before cursor." });
+        return;
+    }
+
+    try {
+        // checking if the other user exists in database
+        const withUser = await User.findById(otherUserId, "firstName lastName photoUrl");
+        if (!withUser) {
+            res.status(404);
+            res.json({ message: "User not found" });
+            return;
+        }
+
+        // only accepted connections can chat
+        if (!(await ConnectionRequest.areConnected(userId, withUser._id))) {
+            res.status(403);
+            res.json({ message: "You can only chat with your connections." });
+            return;
+        }
+
+        // no conversation yet - nobody sent a message so far
+        const conversation = await Conversation.findBetween(userId, withUser._id);
+        if (!conversation) {
+            res.status(200);
+            res.json({ message: "No messages yet", withUser, messages: [], hasMore: false, nextBefore: null });
+            return;
+        }
+
+        // fetching one extra message to know if there are older ones
+        const filter = { conversationId: conversation._id };
+        if (before) {
+            filter._id = { $lt: before };
+        }
+        const newestFirst = await Message.find(filter).sort({ _id: -1 }).limit(limit + 1);
+
+        const hasMore = newestFirst.length > limit;
+        const messages = newestFirst.slice(0, limit).reverse();
+
+        res.status(200);
+        res.json({
+            message: "Messages fetched successfully",
+            withUser,
+            messages,
+            hasMore,
+            nextBefore: hasMore ? messages[0]._id : null,
+        });
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error fetching messages", error: error.message });
+    }
+});
+
+
+// send message route - same as the socket "chat:send" event, for clients without a socket
+// POST /chat/:userId/messages - body: { text }
+chatRouter.post("/:userId/messages", userAuth, async (req, res, next) => {
+    try {
+        const result = await sendChatMessage({ senderId: req.user._id, recipientId: req.params.userId, text: req.body.text });
+        if (result.error) {
+            res.status(result.status);
+            res.json({ message: result.error });
+            return;
+        }
+
+        // delivering the message in real time to connected tabs
+        emitChatMessage(result.chatMessage);
+
+        res.status(201);
+        res.json({ message: "Message sent successfully", chatMessage: result.chatMessage });
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error sending message", error: error.message });
+    }
+});
+
+// exporting the router so we can use it in app.js
+module.exports = {
+    chatRouter,
+};
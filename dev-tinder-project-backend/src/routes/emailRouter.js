@@ -0,0 +1,63 @@
+// importing express module for creating routes
+const express = require('express');
+// importing User model to switch off email notifications
+const { User, EMAIL_PREFERENCE_KEYS } = require('../models/user');
+// importing helpers to check unsubscribe tokens
+const { verifyUnsubscribeToken, UNSUBSCRIBE_ALL } = require('../utils/unsubscribe');
+// importing rate limiter so tokens can't be guessed at full speed
+const { rateLimit, keyByIp } = require('../middlewares/rateLimit');
+
+// creating router instance - handles all /email routes
+const emailRouter = express.Router();
+
+// rate limiter for the public unsubscribe route
+const unsubscribeLimiter = rateLimit({ name: "email-unsubscribe", windowMs: 15 * 60 * 1000, max: 30, keyGenerator: keyByIp });
+
+
+// unsubscribe route - switches off email notifications with the signed token from an email
+// POST /email/unsubscribe?token=... - no login needed, the token proves which user it is
+// the frontend /unsubscribe page posts { token }, mail apps post to the List-Unsubscribe link (token in the query)
+emailRouter.post("/unsubscribe", unsubscribeLimiter, async (req, res, next) => {
+    const result = verifyUnsubscribeToken(req.query.token || req.body?.token);
+    if (!result) {
+        res.status(400);
+        res.json({ message: "This unsubscribe link is invalid." });
+        return;
+    }
+
+    // a token for one preference only switches that one off, "all" switches everything off
+    const keys = result.key === UNSUBSCRIBE_ALL ? EMAIL_PREFERENCE_KEYS : [result.key];
+    const update = {};
+    for (const key of keys) {
+        update[`emailPreferences.${key}`] = "off";
+    }
+
+    try {
+        const user = await User.findByIdAndUpdate(result.userId, update, { new: true });
+        if (!user) {
+            res.status(404);
+            res.json({ message: "This account no longer exists." });
+            return;
+        }
+
+        res.status(200);
+        res.json({
+            message: result.key === UNSUBSCRIBE_ALL
+                ? "You won't get any more notification emails."
+                : "You won't get any more emails like this one.",
+            unsubscribed: keys,
+            emailPreferences: user.emailPreferences,
+        });
+        console.log(`User ${user._id} unsubscribed from ${keys.join(", ")} emails`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error unsubscribing", error: error.message });
+        console.error("Error unsubscribing:", error);
+    }
+});
+
+// exporting the router so we can use it in app.js
+module.exports = {
+    emailRouter
+};
@@ -0,0 +1,79 @@
+// importing express module for creating routes
+const express = require('express');
+// importing userAuth middleware to check if user is logged in (uses the token cookie like every other route)
+const { userAuth } = require('../middlewares/auth');
+// importing Session model to close streams of sessions that were logged out
+const { Session } = require('../models/session');
+// importing the event bus the route handlers publish to
+const { subscribeToUser } = require('../utils/eventBus');
+
+// a comment line is sent this often so proxies don't close an idle stream
+// the session is checked at the same time
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// how long the browser waits before reconnecting after the stream dropped
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// creating router instance - handles the /events route
+const eventsRouter = express.Router();
+
+// function to write one server-sent event - the format is "id", "event" and "data" lines, then an empty line
+const writeEvent = (res, id, type, data) => {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+
+// live events route - a Server-Sent Events stream of the logged in user's events
+// GET /events - the frontend opens it with EventSource (withCredentials so the cookie is sent)
+// events: request.received, request.accepted, connection.removed, profile.updated, notification.created
+// the stream ends when the session is logged out, the browser reconnects by itself otherwise
+eventsRouter.get("/", userAuth, async (req, res, next) => {
+    const userId = req.user._id;
+    const sessionId = req.authSession._id;
+    let eventId = 0;
+
+    // SSE headers - keep the response open and never cache or buffer it
+    res.status(200);
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no", // tells nginx not to buffer the stream
+    });
+    res.flushHeaders();
+
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+    // "ready" tells the frontend the stream is open - lists refetch then, to catch up on missed events
+    writeEvent(res, ++eventId, "ready", { userId });
+
+    // forwarding every event published for this user
+    const unsubscribe = subscribeToUser(userId, ({ type, data }) => {
+        writeEvent(res, ++eventId, type, data);
+    });
+
+    // heartbeat - keeps the connection alive and ends it once the session was revoked
+    const heartbeat = setInterval(async () => {
+        try {
+            const session = await Session.findById(sessionId);
+            if (!session || !session.isActive()) {
+                writeEvent(res, ++eventId, "session.ended", {});
+                res.end();
+                return;
+            }
+            res.write(": heartbeat\n\n");
+        } catch (error) {
+            // database hiccup - try again at the next heartbeat
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // cleaning up when the browser goes away (or we ended the stream)
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+    console.log(`${req.user.firstName} opened a live events stream...`);
+});
+
+// exporting the router so we can use it in app.js
+module.exports = {
+    eventsRouter
+};
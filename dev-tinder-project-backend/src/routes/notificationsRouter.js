@@ -0,0 +1,115 @@
+// importing express module for creating routes
+const express = require('express');
+// importing mongoose to check if IDs are valid before querying
+const mongoose = require('mongoose');
+// importing userAuth middleware to check if user is logged in
+const { userAuth } = require('../middlewares/auth');
+// importing Notification model to read and update notifications
+const { Notification } = require('../models/notification');
+
+// creating router instance - handles all /notifications routes
+const notificationsRouter = express.Router();
+
+
+// notifications route - the logged in user's notifications, newest first
+// GET /notifications?page=1&limit=20&unread=true - unread=true leaves out read notifications
+// unreadCount is always the total number of unread notifications (for the bell badge)
+notificationsRouter.get("/", userAuth, async (req, res, next) => {
+    const userId = req.user._id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { userId };
+    if (req.query.unread === "true") {
+        filter.readAt = null;
+    }
+
+    try {
+        const total = await Notification.countDocuments(filter);
+        const unreadCount = await Notification.countDocuments({ userId, readAt: null });
+        const notifications = await Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate("actorId", "firstName lastName photoUrl");
+
+        res.status(200);
+        res.json({
+            message: "Notifications fetched successfully",
+            // leaving out notifications from users who deleted their account
+            notifications: notifications.filter((notification) => notification.actorId),
+            unreadCount,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+        });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching notifications", error: error.message });
+        console.error(`Error fetching notifications for ${req.user.firstName}:`, error);
+    }
+});
+
+
+// read all route - marks every unread notification of the logged in user as read
+// POST /notifications/read-all - registered before /:id/read so "read-all" is never taken as an ID
+notificationsRouter.post("/read-all", userAuth, async (req, res, next) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user._id, readAt: null },
+            { readAt: new Date() }
+        );
+
+        res.status(200);
+        res.json({ message: "All notifications marked as read", updated: result.modifiedCount, unreadCount: 0 });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error marking notifications as read", error: error.message });
+    }
+});
+
+
+// read route - marks one notification as read
+// POST /notifications/:id/read - reading it twice is fine, the first readAt is kept
+notificationsRouter.post("/:id/read", userAuth, async (req, res, next) => {
+    const userId = req.user._id;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        res.json({ message: "Invalid notification ID." });
+        return;
+    }
+
+    try {
+        // userId in the filter makes sure users can only read their own notifications
+        const notification = await Notification.findOne({ _id: req.params.id, userId });
+        if (!notification) {
+            res.status(404);
+            res.json({ message: "Notification not found" });
+            return;
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        const unreadCount = await Notification.countDocuments({ userId, readAt: null });
+
+        res.status(200);
+        res.json({ message: "Notification marked as read", notification, unreadCount });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error marking notification as read", error: error.message });
+    }
+});
+
+// exporting the router so we can use it in app.js
+module.exports = {
+    notificationsRouter
+};
@@ -1,16 +1,50 @@
 
 // importing express module for creating routes
 const express = require('express');
-// importing userAuth middleware to check if user is logged in
-const { userAuth } = require('../middlewares/auth');
+// importing userAuth middlewares to check if user is logged in (or uses an access token with the right scope)
+const { userAuth, userAuthWithScope } = require('../middlewares/auth');
 // importing User model to update user data in database
-const { User } = require('../models/user');
+const { User, EMAIL_PREFERENCE_KEYS } = require('../models/user');
 // importing validation function to check if profile update data is valid
-const { validateUpdateProfileData } = require('../utils/validation');
+const { validateUpdateProfileData, validateEmailPreferencesData, validateDiscoveryPreferencesData } = require('../utils/validation');
+// importing helper to fill in the default for email settings users never changed
+const { getEmailFrequency } = require('../utils/emailNotifications');
+// importing helper to read discovery preferences with their defaults
+const { getDiscoveryPreferences } = require('../utils/discoveryPreferences');
 // importing bcrypt for hashing passwords
 const bcrypt = require('bcrypt');
 // importing password validation function
 const { validatePassword } = require('../utils/validation');
+// importing Session model to remove sessions of deleted accounts
+const { Session } = require('../models/session');
+// importing PersonalAccessToken model to remove access tokens of deleted accounts
+const { PersonalAccessToken } = require('../models/personalAccessToken');
+// importing Block model to remove blocks of deleted accounts
+const { Block } = require('../models/block');
+// importing Notification model to remove notifications when an account is deleted
+const { Notification } = require('../models/notification');
+// importing ConnectionRequest model to find the connections that see profile changes live
+const { ConnectionRequest } = require('../models/connectionRequest');
+// importing event bus and the helper to pick public user fields for live profile updates
+const { publishUserEvent } = require('../utils/eventBus');
+const { toPublicUser } = require('../utils/publicUser');
+// importing helpers to clear the authentication cookies and revoke sessions
+const { clearAuthCookies, revokeUserSessions } = require('../utils/authTokens');
+
+// function to send a changed profile to the user's other tabs and to their connections
+// the user gets their full profile, connections only the public fields
+// errors are only logged - the profile was saved already
+const publishProfileUpdate = async (userId) => {
+    try {
+        const user = await User.findById(userId);
+        publishUserEvent(userId, "profile.updated", { user });
+        const connectionIds = await ConnectionRequest.getConnectionIds(userId);
+        const publicUser = toPublicUser(user);
+        connectionIds.forEach((connectionId) => publishUserEvent(connectionId, "profile.updated", { user: publicUser }));
+    } catch (error) {
+        console.error(`Error publishing profile update of user ${userId}:`, error);
+    }
+};
 
 // creating router instance - handles all /profile routes
 const profileRouter = express.Router();
@@ -18,7 +52,7 @@ const profileRouter = express.Router();
 // get profile route - returns the logged in user's profile data
 // GET /profile/view - frontend calls this to get user's own profile
 // userAuth middleware runs first to make sure user is logged in
-profileRouter.get("/view", userAuth, async (req, res, next) => {
+profileRouter.get("/view", userAuthWithScope("profile:read"), async (req, res, next) => {
     try {
         // userAuth middleware already found the user and attached it to req.user
         // so we can just use it directly
@@ -39,7 +73,7 @@ profileRouter.get("/view", userAuth, async (req, res, next) => {
 // update profile route - allows user to update their profile information
 // PUT /profile/edit - frontend sends updated data here
 // userAuth middleware ensures only logged in users can update their profile
-profileRouter.put("/edit", userAuth, async (req, res, next) => {
+profileRouter.put("/edit", userAuthWithScope("profile:write"), async (req, res, next) => {
     // getting the data to update from request body
     const updateData = req.body;
     // getting user ID from req.user (set by userAuth middleware)
@@ -57,6 +91,8 @@ profileRouter.put("/edit", userAuth, async (req, res, next) => {
         // updateData contains the fields to update
         // { runValidators: true } makes sure updated data follows schema rules
         await User.updateOne({ _id: userId }, updateData, { runValidators: true });
+        // updating open pages live
+        await publishProfileUpdate(userId);
         
         res.status(200);
         res.json({ message: "User profile updated successfully", updateData });
@@ -80,12 +116,17 @@ profileRouter.delete("/delete", userAuth, async (req, res, next) => {
         // deleting the user from database
         await User.deleteOne({ _id: userId });
         
-        // clearing the authentication cookie since account is deleted
-        res.clearCookie("token", {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production",
-            sameSite: process.env.NODE_ENV === "production" ? "none" : "lax"
-        });
+        // removing all sessions of the user so no refresh token keeps working
+        await Session.deleteMany({ userId });
+        // and all personal access tokens, so scripts can't use the account anymore
+        await PersonalAccessToken.deleteMany({ userId });
+        // blocks in both directions are not needed anymore (reports stay for the moderators)
+        await Block.deleteMany({ $or: [{ blockerId: userId }, { blockedId: userId }] });
+        // notifications for and about the user are not needed anymore
+        await Notification.deleteMany({ $or: [{ userId }, { actorId: userId }] });
+        
+        // clearing the authentication cookies since account is deleted
+        clearAuthCookies(res);
         
         res.status(200);
         res.json({ message: "User deleted successfully" });
@@ -130,10 +171,16 @@ profileRouter.put("/updatePassword", userAuth, async (req, res, next) => {
         
         // updating the password in database
         // runValidators: true ensures password follows schema rules
-        await user.updateOne({ _id: user._id }, { password: user.password }, { runValidators: true });
+        await User.updateOne({ _id: user._id }, { password: user.password }, { runValidators: true });
+
+        // logging out every other device - whoever knew the old password loses access
+        // the session making this request stays logged in
+        const revokedCount = await revokeUserSessions(user._id, "password-changed", req.authSession._id);
+        // and deleting personal access tokens, like a password reset does - a leaked token shouldn't outlive the old password
+        const tokensResult = await PersonalAccessToken.deleteMany({ userId: user._id });
         
         res.status(200);
-        res.json({ message: "Password updated successfully" });
+        res.json({ message: "Password updated successfully", revokedSessions: revokedCount, deletedAccessTokens: tokensResult.deletedCount });
         console.log(`Password for user ${user.firstName} ${user.lastName} updated successfully...`);
     } catch (error) {
         // if something goes wrong, send error
@@ -142,6 +189,98 @@ profileRouter.put("/updatePassword", userAuth, async (req, res, next) => {
     }
 });
 
+// function to get all email notification settings of a user, with defaults filled in
+const getEmailPreferences = (user) => {
+    const emailPreferences = {};
+    for (const key of EMAIL_PREFERENCE_KEYS) {
+        emailPreferences[key] = getEmailFrequency(user, key);
+    }
+    return emailPreferences;
+};
+
+
+// get email preferences route - how often the logged in user gets emails about each event
+// GET /profile/email-preferences
+profileRouter.get("/email-preferences", userAuth, async (req, res, next) => {
+    res.status(200);
+    res.json({
+        message: "Email preferences fetched successfully",
+        emailPreferences: getEmailPreferences(req.user),
+        emailVerified: req.user.emailVerified,
+    });
+});
+
+
+// update email preferences route - changes how often the logged in user gets emails
+// PUT /profile/email-preferences - body { connectionRequests?, newConnections? } with instant, daily, weekly or off
+profileRouter.put("/email-preferences", userAuth, async (req, res, next) => {
+    if (!validateEmailPreferencesData(req.body, res)) {
+        return; // if validation fails, stop here
+    }
+
+    const update = {};
+    for (const [key, frequency] of Object.entries(req.body)) {
+        update[`emailPreferences.${key}`] = frequency;
+    }
+
+    try {
+        const user = await User.findByIdAndUpdate(req.user._id, update, { new: true, runValidators: true });
+
+        res.status(200);
+        res.json({ message: "Email preferences updated successfully", emailPreferences: getEmailPreferences(user) });
+        console.log(`Email preferences of user with ID ${user._id} updated successfully...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error updating email preferences", error: error.message });
+        console.error(`Error updating email preferences of ${req.user.firstName}:`, error);
+    }
+});
+
+
+// get discovery preferences route - what the logged in user is looking for in the feed
+// GET /profile/preferences
+profileRouter.get("/preferences", userAuth, async (req, res, next) => {
+    res.status(200);
+    res.json({ message: "Discovery preferences fetched successfully", preferences: getDiscoveryPreferences(req.user) });
+});
+
+
+// update discovery preferences route - the feed uses them when it's opened without filters
+// PUT /profile/preferences - body { skills?, ageMin?, ageMax?, genders?, maxDistanceKm?, experienceLevel? }, null clears a field
+profileRouter.put("/preferences", userAuth, async (req, res, next) => {
+    if (!validateDiscoveryPreferencesData(req.body, getDiscoveryPreferences(req.user), res)) {
+        return; // if validation fails, stop here
+    }
+
+    const update = {};
+    for (const [key, value] of Object.entries(req.body)) {
+        if (key === "skills") {
+            // trimming skills and removing duplicates - "React" and "react " are the same skill
+            const skills = new Map((value || []).map((skill) => [skill.trim().toLowerCase(), skill.trim()]));
+            skills.delete("");
+            update["preferences.skills"] = [...skills.values()];
+        } else if (key === "genders") {
+            update["preferences.genders"] = [...new Set(value || [])];
+        } else {
+            update[`preferences.${key}`] = value;
+        }
+    }
+
+    try {
+        const user = await User.findByIdAndUpdate(req.user._id, update, { new: true, runValidators: true });
+
+        res.status(200);
+        res.json({ message: "Discovery preferences updated successfully", preferences: getDiscoveryPreferences(user) });
+        console.log(`Discovery preferences of user with ID ${user._id} updated successfully...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error updating discovery preferences", error: error.message });
+        console.error(`Error updating discovery preferences of ${req.user.firstName}:`, error);
+    }
+});
+
 // exporting the router so we can use it in app.js
 module.exports = { 
     profileRouter 
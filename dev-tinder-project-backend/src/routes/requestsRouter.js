@@ -1,12 +1,30 @@
 
 // importing express module for creating routes
 const express = require('express');
-// importing userAuth middleware to check if user is logged in
-const { userAuth } = require('../middlewares/auth');
+// importing mongoose to check if IDs are valid before querying
+const mongoose = require('mongoose');
+// importing userAuthWithScope middleware to check if user is logged in (or uses an access token with the right scope)
+// and requireVerifiedEmail middleware to block unverified accounts
+const { userAuthWithScope, requireVerifiedEmail } = require('../middlewares/auth');
 // importing User model to check if user exists
 const { User } = require('../models/user');
 // importing ConnectionRequest model to create and find connection requests
 const { ConnectionRequest } = require('../models/connectionRequest');
+// importing Block model so blocked users can't send each other requests
+const { Block } = require('../models/block');
+// importing rate limit middleware so nobody can spam people with requests
+const { rateLimit, keyByIp, keyByUser } = require('../middlewares/rateLimit');
+// importing validation helpers for the optional note on a request
+const { validateConnectionRequestData, sanitizeText } = require('../utils/validation');
+// importing notification helper to tell users about new and accepted requests
+const { notifyUser, deleteNotificationsForRequest } = require('../utils/notifications');
+// importing event bus to update open pages live, and the helper to pick public user fields
+const { publishUserEvent } = require('../utils/eventBus');
+const { toPublicUser } = require('../utils/publicUser');
+
+// rate limiters for sending requests - per account and per IP (for people with several accounts)
+const sendRequestUserLimiter = rateLimit({ name: "request-send-user", windowMs: 60 * 60 * 1000, max: 100, keyGenerator: keyByUser, message: "You are sending connection requests too quickly. Please slow down." });
+const sendRequestIpLimiter = rateLimit({ name: "request-send-ip", windowMs: 60 * 60 * 1000, max: 300, keyGenerator: keyByIp, message: "Too many connection requests from this network. Please try again later." });
 
 // creating router instance - handles all /request routes
 const requestsRouter = express.Router();
@@ -14,8 +32,11 @@ const requestsRouter = express.Router();
 // send connection request route - allows user to send "interested" or "ignored" request
 // POST /request/send/:status/:toUserId - frontend calls this when user swipes/interacts
 // :status and :toUserId are URL parameters (like /request/send/interested/123)
+// body can have an optional { note } for interested requests - why the user wants to connect
 // userAuth middleware ensures only logged in users can send requests
-requestsRouter.post("/send/:status/:toUserId", userAuth, async (req, res, next) => {
+// requireVerifiedEmail middleware blocks accounts that haven't verified their email
+// rate limiters answer with 429 when someone sends too many requests
+requestsRouter.post("/send/:status/:toUserId", userAuthWithScope("requests:write"), requireVerifiedEmail, sendRequestUserLimiter, sendRequestIpLimiter, async (req, res, next) => {
     // getting logged in user's ID from req.user (set by userAuth middleware)
     const fromUserId = req.user._id;
     // getting target user's ID from URL parameters
@@ -30,6 +51,13 @@ requestsRouter.post("/send/:status/:toUserId", userAuth, async (req, res, next)
         res.json({ message: "Status must be either interested or ignored." });
         return;
     }
+
+    // validating the optional note
+    if (!validateConnectionRequestData(req.body, status, res)) {
+        return; // if validation fails, stop here
+    }
+    // cleaning up the note - an empty note is stored as no note
+    const note = typeof req.body?.note === "string" ? sanitizeText(req.body.note) || null : null;
     
     // checking if the target user exists in database
     const toUser = await User.findById(toUserId);
@@ -46,30 +74,49 @@ requestsRouter.post("/send/:status/:toUserId", userAuth, async (req, res, next)
         return;
     }
     
+    // blocked users (either direction) can't send each other requests
+    if (await Block.existsBetween(fromUserId, toUser._id)) {
+        res.status(403);
+        res.json({ message: "You can't send a connection request to this user." });
+        return;
+    }
+    
     // checking if the other user has already sent a request to us
-    // if they did, we should review it instead of sending a new one
-    const reverseRequest = await ConnectionRequest.findOne({ fromUserId: toUserId, toUserId: fromUserId });
+    // if they did, we should review it instead of sending a new one (expired ones don't count)
+    const reverseRequest = await ConnectionRequest.findOne({ fromUserId: toUserId, toUserId: fromUserId, status: { $ne: "expired" } });
     if (reverseRequest) {
         res.status(400);
-        res.json({ message: "The user has already sent you a connection request. Please review it." });
+        res.json({ message: "The user has already sent you a connection request. Please review it.", code: "REQUEST_EXISTS" });
         return;
     }
     
     // checking if we already sent a request to this user
+    // an expired request can be sent again - the old one is replaced by the new one
     const existingRequest = await ConnectionRequest.findOne({ fromUserId, toUserId });
-    if (existingRequest) {
+    if (existingRequest && existingRequest.status === "expired") {
+        await ConnectionRequest.deleteOne({ _id: existingRequest._id, status: "expired" });
+    } else if (existingRequest) {
         res.status(400);
-        res.json({ message: "A connection request already exists between you and this user." });
+        res.json({ message: "A connection request already exists between you and this user.", code: "REQUEST_EXISTS" });
         return;
     }
     
     // creating the connection request
     try {
         // creating new connection request object
-        const newRequest = new ConnectionRequest({ fromUserId, toUserId, status });
+        const newRequest = new ConnectionRequest({ fromUserId, toUserId, status, note });
         // saving to database
         await newRequest.save();
         
+        // telling the other user someone is interested (ignored users never find out)
+        if (status === "interested") {
+            await notifyUser({ userId: toUser._id, actorId: fromUserId, type: "connection_request", requestId: newRequest._id });
+            // adding the request to the receiver's open requests list - same shape as GET /user/requests
+            publishUserEvent(toUser._id, "request.received", {
+                request: { ...newRequest.toJSON(), fromUserId: toPublicUser(req.user) },
+            });
+        }
+        
         res.status(201);
         res.json({ message: "Connection request sent successfully", request: newRequest });
         console.log(`${req.user.firstName} sent a connection request to ${toUser.firstName} successfully...`);
@@ -81,80 +128,206 @@ requestsRouter.post("/send/:status/:toUserId", userAuth, async (req, res, next)
 });
 
 
-// review connection request route - allows user to accept or reject incoming requests
-// POST /request/review/:status/:fromUserId - frontend calls this when user accepts/rejects
-// :status and :fromUserId are URL parameters (like /request/review/accepted/123)
-// userAuth middleware ensures only logged in users can review requests
-requestsRouter.post("/review/:status/:fromUserId", userAuth, async (req, res, next) => {
-    // getting logged in user's ID from req.user (set by userAuth middleware)
-    // this user is the receiver (toUserId) of the request
-    const toUserId = req.user._id;
-    // getting sender's ID from URL parameters
-    const fromUserId = req.params.fromUserId;
-    // getting status from URL parameters (either "accepted" or "rejected")
-    const status = req.params.status;
+// statuses a receiver can give a request
+const REVIEW_STATUSES = ["accepted", "rejected"];
+// most requests one bulk review can handle
+const BULK_REVIEW_MAX_ITEMS = 50;
+
+// HTTP status for every result of reviewRequest() that isn't a success
+const REVIEW_ERROR_STATUS_CODES = {
+    "invalid": 400,
+    "not-found": 404,
+    "already-reviewed": 400,
+    "expired": 400,
+};
+
+// function to accept or reject one incoming request - used by the single and the bulk review routes
+// reviewer is the logged in user (the receiver of the request)
+// returns { result, message, request? } - result is success, invalid, not-found, already-reviewed or expired
+const reviewRequest = async (reviewer, fromUserId, status) => {
+    const toUserId = reviewer._id;
 
     // validating status - only allow "accepted" or "rejected"
-    const allowedStatuses = ["accepted", "rejected"];
-    if (!allowedStatuses.includes(status)) {
-        res.status(400);
-        res.json({ message: "Status must be either accepted or rejected." });
-        return;
+    if (!REVIEW_STATUSES.includes(status)) {
+        return { result: "invalid", message: "Status must be either accepted or rejected." };
     }
-    
+    // checking the ID looks like a MongoDB ObjectId before querying
+    if (!mongoose.isValidObjectId(fromUserId)) {
+        return { result: "invalid", message: "Invalid user ID." };
+    }
+    // preventing users from reviewing their own requests
+    if (fromUserId.toString() === toUserId.toString()) {
+        return { result: "invalid", message: "You cannot review your own connection request." };
+    }
+
     // checking if the connection request exists in database
     const existingRequest = await ConnectionRequest.findOne({ fromUserId, toUserId });
     if (!existingRequest) {
-        res.status(404);
-        res.json({ message: "No connection request found from this user." });
-        return;
+        return { result: "not-found", message: "No connection request found from this user." };
     }
-    
+
     // checking if the request has already been reviewed
     // once accepted or rejected, can't change it
     if (existingRequest.status === "accepted" || existingRequest.status === "rejected") {
-        res.status(400);
-        res.json({ message: "This connection request has already been reviewed." });
-        return;
+        return { result: "already-reviewed", message: "This connection request has already been reviewed." };
     }
-    
+
+    // expired requests can't be accepted anymore - the sender can send a new one
+    if (existingRequest.isExpired()) {
+        return { result: "expired", message: "This connection request has expired." };
+    }
+
+    // checking if the request status is "interested"
+    // only "interested" requests can be reviewed (not "ignored" ones)
+    if (existingRequest.status !== "interested") {
+        return { result: "not-found", message: "No connection request found from this user." };
+    }
+
     // checking if the sender user still exists
     const fromUser = await User.findById(fromUserId);
     if (!fromUser) {
-        res.status(404);
-        res.json({ message: "The user who sent the connection request does not exist." });
-        return;
+        return { result: "not-found", message: "The user who sent the connection request does not exist." };
     }
-    
-    // preventing users from reviewing their own requests
-    if (fromUserId.toString() === toUserId.toString()) {
+
+    // changing status to "accepted" or "rejected" - only if it's still pending,
+    // another tab (or a bulk review running at the same time) may have reviewed it a moment ago
+    const update = await ConnectionRequest.updateOne({ _id: existingRequest._id, status: "interested" }, { status });
+    if (update.modifiedCount === 0) {
+        return { result: "already-reviewed", message: "This connection request has already been reviewed." };
+    }
+    existingRequest.status = status;
+
+    // telling the sender their request was accepted (rejections stay silent)
+    if (status === "accepted") {
+        await notifyUser({ userId: fromUser._id, actorId: toUserId, type: "request_accepted", requestId: existingRequest._id });
+        // both users get the other one as a new connection
+        publishUserEvent(fromUser._id, "request.accepted", { requestId: existingRequest._id, user: toPublicUser(reviewer) });
+        publishUserEvent(toUserId, "request.accepted", { requestId: existingRequest._id, user: toPublicUser(fromUser) });
+    }
+
+    console.log(`${fromUser.firstName}'s connection request has been ${status} by ${reviewer.firstName} successfully...`);
+    return { result: "success", message: "Connection request reviewed successfully", request: existingRequest };
+};
+
+
+// bulk review route - accepts or rejects many incoming requests at once
+// POST /request/review/bulk - body { reviews: [{ fromUserId, status }, ...] } with at most 50 items
+// every item is reviewed on its own and gets its own result - one failing item doesn't stop the others
+// registered before /review/:status/:fromUserId so it's clear "bulk" is not a status
+requestsRouter.post("/review/bulk", userAuthWithScope("requests:write"), async (req, res, next) => {
+    const reviews = req.body?.reviews;
+
+    if (!Array.isArray(reviews) || reviews.length === 0 || reviews.length > BULK_REVIEW_MAX_ITEMS) {
         res.status(400);
-        res.json({ message: "You cannot review your own connection request." });
+        res.json({ message: `reviews must be a list of 1 to ${BULK_REVIEW_MAX_ITEMS} { fromUserId, status } items.` });
         return;
     }
-    
-    // checking if the request status is "interested"
-    // only "interested" requests can be reviewed (not "ignored" ones)
-    if (existingRequest.status !== "interested") {
+
+    try {
+        // reviewing one after another - the same user may be listed twice, the second one is "already-reviewed"
+        const results = [];
+        for (const item of reviews) {
+            const fromUserId = typeof item?.fromUserId === "string" ? item.fromUserId : "";
+            const status = item?.status;
+            const { result, message } = await reviewRequest(req.user, fromUserId, status);
+            results.push({ fromUserId, status, result, message });
+        }
+
+        // counting the results per kind, e.g. { success: 3, "already-reviewed": 1 }
+        const summary = results.reduce((counts, item) => {
+            counts[item.result] = (counts[item.result] || 0) + 1;
+            return counts;
+        }, {});
+
+        res.status(200);
+        res.json({ message: "Connection requests reviewed", results, summary });
+        console.log(`${req.user.firstName} reviewed ${results.length} connection requests in bulk...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error reviewing connection requests" });
+        console.error(`Error reviewing connection requests of ${req.user.firstName} in bulk:`, error);
+    }
+});
+
+
+// review connection request route - allows user to accept or reject incoming requests
+// POST /request/review/:status/:fromUserId - frontend calls this when user accepts/rejects
+// :status and :fromUserId are URL parameters (like /request/review/accepted/123)
+// userAuth middleware ensures only logged in users can review requests
+requestsRouter.post("/review/:status/:fromUserId", userAuthWithScope("requests:write"), async (req, res, next) => {
+    try {
+        const { result, message, request } = await reviewRequest(req.user, req.params.fromUserId, req.params.status);
+        if (result !== "success") {
+            res.status(REVIEW_ERROR_STATUS_CODES[result]);
+            res.json({ message });
+            return;
+        }
+
+        res.status(200);
+        res.json({ message, request });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error reviewing connection request" });
+    }
+});
+
+// withdraw connection request route - takes back a pending "interested" request the logged in user sent
+// DELETE /request/withdraw/:toUserId - :toUserId is the user the request was sent to
+// requests that were already accepted or rejected can't be withdrawn (use /user/deleteconnections for connections)
+requestsRouter.delete("/withdraw/:toUserId", userAuthWithScope("requests:write"), async (req, res, next) => {
+    // getting logged in user's ID from req.user (set by userAuth middleware)
+    // this user is the sender (fromUserId) of the request
+    const fromUserId = req.user._id;
+    // getting receiver's ID from URL parameters
+    const toUserId = req.params.toUserId;
+
+    // checking the ID looks like a MongoDB ObjectId before querying
+    if (!mongoose.isValidObjectId(toUserId)) {
         res.status(400);
-        res.json({ message: "Only interested connection requests can be reviewed." });
+        res.json({ message: "Invalid user ID." });
         return;
     }
-    
-    // updating the connection request status
+
     try {
-        // changing status to "accepted" or "rejected"
-        existingRequest.status = status;
-        // saving the updated request to database
-        await existingRequest.save();
-        
+        // checking if we sent a request to this user
+        const existingRequest = await ConnectionRequest.findOne({ fromUserId, toUserId });
+        if (!existingRequest) {
+            res.status(404);
+            res.json({ message: "No connection request found to this user." });
+            return;
+        }
+
+        // only pending requests can be withdrawn
+        if (existingRequest.status !== "interested") {
+            res.status(400);
+            res.json({ message: "Only pending connection requests can be withdrawn." });
+            return;
+        }
+
+        // deleting only if it's still pending - the other user may have reviewed it a moment ago
+        const result = await ConnectionRequest.deleteOne({ _id: existingRequest._id, status: "interested" });
+        if (result.deletedCount === 0) {
+            res.status(400);
+            res.json({ message: "This connection request has already been reviewed." });
+            return;
+        }
+
+        // the receiver shouldn't keep a notification about a request that is gone
+        await deleteNotificationsForRequest(existingRequest._id);
+        // removing the request from the open pages of both users
+        publishUserEvent(toUserId, "request.withdrawn", { requestId: existingRequest._id, userId: fromUserId.toString() });
+        publishUserEvent(fromUserId, "request.withdrawn", { requestId: existingRequest._id, userId: toUserId.toString() });
+
         res.status(200);
-        res.json({ message: "Connection request reviewed successfully", request: existingRequest });
-        console.log(`${fromUser.firstName}'s connection request has been ${status} by ${req.user.firstName} successfully...`);
+        res.json({ message: "Connection request withdrawn successfully", requestId: existingRequest._id });
+        console.log(`${req.user.firstName} withdrew the connection request to user ${toUserId} successfully...`);
     } catch (error) {
         // if something goes wrong, send error
         res.status(500);
-        res.json({ message: "Error reviewing connection request" });
+        res.json({ message: "Error withdrawing connection request" });
+        console.error(`Error withdrawing connection request of ${req.user.firstName}:`, error);
     }
 });
 
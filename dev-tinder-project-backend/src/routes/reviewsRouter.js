@@ -0,0 +1,294 @@
+// importing express module for creating routes
+const express = require('express');
+// importing mongoose to check if IDs are valid before querying
+const mongoose = require('mongoose');
+// importing userAuth middleware to check if user is logged in
+const { userAuth } = require('../middlewares/auth');
+// importing models needed for code reviews
+const { User } = require('../models/user');
+const { ConnectionRequest } = require('../models/connectionRequest');
+const { CodeReview, REVIEW_STATUSES, COMMENT_TARGETS, REVIEW_COMMENT_MAX_LENGTH, REVIEW_MAX_COMMENTS } = require('../models/codeReview');
+// importing validation helper for new review requests
+const { validateCodeReviewData } = require('../utils/validation');
+// importing rate limit middleware so nobody can flood their connections with review requests
+const { rateLimit, keyByUser } = require('../middlewares/rateLimit');
+
+// rate limiter for new review requests - per account
+const reviewLimiter = rateLimit({ name: "code-review", windowMs: 60 * 60 * 1000, max: 20, keyGenerator: keyByUser, message: "You are sending too many review requests. Please try again later." });
+
+// user fields shown next to reviews and comments
+const REVIEW_USER_FIELDS = "firstName lastName photoUrl";
+
+// creating router instance - handles all /reviews routes
+const reviewsRouter = express.Router();
+
+// function to list the reviews of the logged in user - box is "incoming" (asked to review) or "outgoing" (asked for a review)
+// the list leaves out code, diff and comments to stay small, the detail route sends them
+const listReviews = (box) => async (req, res, next) => {
+    const userId = req.user._id;
+    const { status } = req.query;
+
+    if (status && !REVIEW_STATUSES.includes(status)) {
+        res.status(400);
+        res.json({ message: `Status must be one of: ${REVIEW_STATUSES.join(", ")}.` });
+        return;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = box === "incoming" ? { reviewerId: userId } : { requesterId: userId };
+    if (status) {
+        filter.status = status;
+    }
+
+    try {
+        const total = await CodeReview.countDocuments(filter);
+        const reviews = await CodeReview.find(filter, "-code -diff")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate("requesterId reviewerId", REVIEW_USER_FIELDS);
+
+        // replacing the comments with their count
+        const reviewList = reviews.map((review) => {
+            const { comments, ...summary } = review.toJSON();
+            return { ...summary, commentCount: comments.length };
+        });
+
+        res.status(200);
+        res.json({
+            message: "Reviews fetched successfully",
+            reviews: reviewList,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+        });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching reviews", error: error.message });
+        console.error(`Error fetching ${box} reviews for ${req.user.firstName}:`, error);
+    }
+};
+
+// function to find a review the logged in user takes part in
+// sends 404 (also for reviews of other users, so IDs can't be probed) and returns null when not found
+// requireConnection is for changing the review - both users must still be connected (disconnecting or blocking ends that)
+// and sends 403 otherwise, reading a review stays possible
+const findParticipantReview = async (req, res, { requireConnection = false } = {}) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400);
+        res.json({ message: "Invalid review ID." });
+        return null;
+    }
+
+    const review = await CodeReview.findById(req.params.id);
+    if (!review || !review.isParticipant(req.user._id)) {
+        res.status(404);
+        res.json({ message: "Review not found" });
+        return null;
+    }
+
+    if (requireConnection && !(await ConnectionRequest.areConnected(review.requesterId, review.reviewerId))) {
+        res.status(403);
+        res.json({ message: "You are no longer connected with this user, so the review can't be changed." });
+        return null;
+    }
+    return review;
+};
+
+
+// send review request route - asks a connection to look at some code
+// POST /reviews/send/:toUserId - body: { language, code, question, diff? }
+// only accepted connections can be asked for a review
+reviewsRouter.post("/send/:toUserId", userAuth, reviewLimiter, async (req, res, next) => {
+    const requesterId = req.user._id;
+    const { toUserId } = req.params;
+
+    if (!validateCodeReviewData(req.body, res)) {
+        return; // if validation fails, stop here
+    }
+    if (requesterId.toString() === toUserId) {
+        res.status(400);
+        res.json({ message: "You cannot ask yourself for a review." });
+        return;
+    }
+
+    try {
+        // checking if the reviewer exists in database
+        const reviewer = await User.findById(toUserId, REVIEW_USER_FIELDS);
+        if (!reviewer) {
+            res.status(404);
+            res.json({ message: "User not found" });
+            return;
+        }
+
+        // only accepted connections - strangers can't be asked to review code
+        if (!(await ConnectionRequest.areConnected(requesterId, reviewer._id))) {
+            res.status(403);
+            res.json({ message: "You can only ask your connections for a review." });
+            return;
+        }
+
+        const { language, code, question, diff = "" } = req.body;
+        const review = await CodeReview.create({
+            requesterId,
+            reviewerId: reviewer._id,
+            language,
+            code,
+            question: question.trim(),
+            diff,
+        });
+
+        res.status(201);
+        res.json({ message: `Review request sent to ${reviewer.firstName}`, review });
+        console.log(`${req.user.firstName} asked ${reviewer.firstName} for a code review...`);
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error sending review request", error: error.message });
+    }
+});
+
+
+// incoming reviews route - reviews other users asked the logged in user for
+// GET /reviews/incoming?status=open&page=1&limit=20
+reviewsRouter.get("/incoming", userAuth, listReviews("incoming"));
+
+
+// outgoing reviews route - reviews the logged in user asked for
+// GET /reviews/outgoing?status=open&page=1&limit=20
+reviewsRouter.get("/outgoing", userAuth, listReviews("outgoing"));
+
+
+// review details route - code, diff and all line comments
+// GET /reviews/:id - only the requester and the reviewer can see it
+reviewsRouter.get("/:id", userAuth, async (req, res, next) => {
+    try {
+        const review = await findParticipantReview(req, res);
+        if (!review) {
+            return;
+        }
+
+        await review.populate([
+            { path: "requesterId reviewerId", select: REVIEW_USER_FIELDS },
+            { path: "comments.authorId", select: REVIEW_USER_FIELDS },
+        ]);
+
+        res.status(200);
+        res.json({ message: "Review fetched successfully", review });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching review", error: error.message });
+    }
+});
+
+
+// add comment route - the reviewer comments on one line of the code or the diff
+// POST /reviews/:id/comments - body: { line, text, target? } - target is "code" (default) or "diff"
+reviewsRouter.post("/:id/comments", userAuth, async (req, res, next) => {
+    const { line, text, target = "code" } = req.body;
+
+    // validating the comment data
+    if (!COMMENT_TARGETS.includes(target)) {
+        res.status(400);
+        res.json({ message: `Target must be one of: ${COMMENT_TARGETS.join(", ")}.` });
+        return;
+    }
+    if (typeof text !== "string" || text.trim().length === 0 || text.trim().length > REVIEW_COMMENT_MAX_LENGTH) {
+        res.status(400);
+        res.json({ message: `Comment is required and should be at most ${REVIEW_COMMENT_MAX_LENGTH} characters long.` });
+        return;
+    }
+
+    try {
+        const review = await findParticipantReview(req, res, { requireConnection: true });
+        if (!review) {
+            return;
+        }
+
+        // only the user who was asked for the review writes comments
+        if (review.reviewerId.toString() !== req.user._id.toString()) {
+            res.status(403);
+            res.json({ message: "Only the reviewer can comment on this review." });
+            return;
+        }
+        if (review.status === "resolved") {
+            res.status(400);
+            res.json({ message: "This review is already resolved." });
+            return;
+        }
+        if (review.comments.length >= REVIEW_MAX_COMMENTS) {
+            res.status(400);
+            res.json({ message: `A review can have at most ${REVIEW_MAX_COMMENTS} comments.` });
+            return;
+        }
+
+        // the line must exist in the code or diff the comment points to
+        const lineCount = review.countLines(target);
+        if (!Number.isInteger(line) || line < 1 || line > lineCount) {
+            res.status(400);
+            res.json({ message: lineCount > 0 ? `Line must be a number between 1 and ${lineCount}.` : `This review has no ${target}.` });
+            return;
+        }
+
+        review.comments.push({ authorId: req.user._id, target, line, text: text.trim() });
+        await review.save();
+
+        // sending back the new comment with the author filled in
+        await review.populate({ path: "comments.authorId", select: REVIEW_USER_FIELDS });
+        const comment = review.comments[review.comments.length - 1];
+
+        res.status(201);
+        res.json({ message: "Comment added successfully", comment });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error adding comment", error: error.message });
+    }
+});
+
+
+// resolve review route - the reviewer marks the review as done
+// POST /reviews/:id/resolve - no more comments can be added afterwards
+reviewsRouter.post("/:id/resolve", userAuth, async (req, res, next) => {
+    try {
+        const review = await findParticipantReview(req, res, { requireConnection: true });
+        if (!review) {
+            return;
+        }
+
+        if (review.reviewerId.toString() !== req.user._id.toString()) {
+            res.status(403);
+            res.json({ message: "Only the reviewer can resolve this review." });
+            return;
+        }
+        if (review.status === "resolved") {
+            res.status(400);
+            res.json({ message: "This review is already resolved." });
+            return;
+        }
+
+        review.status = "resolved";
+        review.resolvedAt = new Date();
+        await review.save();
+
+        res.status(200);
+        res.json({ message: "Review resolved successfully", status: review.status, resolvedAt: review.resolvedAt });
+        console.log(`${req.user.firstName} resolved code review ${review._id}...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error resolving review", error: error.message });
+    }
+});
+
+// exporting the router so we can use it in app.js
+module.exports = {
+    reviewsRouter
+};
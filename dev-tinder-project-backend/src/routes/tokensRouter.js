@@ -0,0 +1,152 @@
+// importing express module for creating routes
+const express = require('express');
+// importing PersonalAccessToken model and the list of scopes a token can have
+const { PersonalAccessToken, TOKEN_SCOPES } = require('../models/personalAccessToken');
+// importing userAuth middleware - tokens can only be managed from a logged in session, never with another token
+const { userAuth } = require('../middlewares/auth');
+// importing helper to create new random tokens
+const { generatePersonalAccessToken } = require('../utils/authTokens');
+// importing validation function to check token name, scopes and expiry
+const { validateAccessTokenData } = require('../utils/validation');
+
+// creating router instance - handles all /auth/tokens routes
+const tokensRouter = express.Router();
+
+// how many personal access tokens one user can have at the same time
+const MAX_TOKENS_PER_USER = 20;
+
+// function to remove duplicate scopes (e.g. ["feed:read", "feed:read"])
+const uniqueScopes = (scopes) => [...new Set(scopes)];
+
+
+// list tokens route - shows every personal access token of the user
+// GET /auth/tokens - returns the tokens (without hashes) and the scopes that can be chosen
+tokensRouter.get("/", userAuth, async (req, res, next) => {
+    try {
+        // newest tokens first, expired tokens are left out (MongoDB removes them a bit later)
+        const tokens = await PersonalAccessToken.find({
+            userId: req.user._id,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        }).sort({ createdAt: -1 });
+
+        res.status(200);
+        res.json({ message: "Access tokens fetched successfully", tokens, availableScopes: TOKEN_SCOPES });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching access tokens", error: error.message });
+    }
+});
+
+
+// create token route - creates a new personal access token
+// POST /auth/tokens - body: { name, scopes, expiresInDays }
+// the raw token is only returned here, the user has to copy it now
+tokensRouter.post("/", userAuth, async (req, res, next) => {
+    // validating the data - check if name, scopes and expiry are valid
+    if (!validateAccessTokenData(req.body, Object.keys(TOKEN_SCOPES), res)) {
+        return; // if validation fails, stop here
+    }
+    const { name, scopes, expiresInDays } = req.body;
+
+    try {
+        // only tokens that still work count towards the limit - expired ones stay in the list but don't block new tokens
+        const tokenCount = await PersonalAccessToken.countDocuments({
+            userId: req.user._id,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        });
+        if (tokenCount >= MAX_TOKENS_PER_USER) {
+            res.status(400);
+            res.json({ message: `You can have at most ${MAX_TOKENS_PER_USER} access tokens. Please delete one first.` });
+            return;
+        }
+
+        const { token, tokenHash, tokenPrefix } = generatePersonalAccessToken();
+        const personalAccessToken = new PersonalAccessToken({
+            userId: req.user._id,
+            name: name.trim(),
+            tokenHash,
+            tokenPrefix,
+            scopes: uniqueScopes(scopes),
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+        });
+        await personalAccessToken.save();
+
+        res.status(201);
+        res.json({
+            message: "Access token created successfully. Copy it now - it won't be shown again.",
+            token,
+            accessToken: personalAccessToken,
+        });
+        console.log(`Access token "${personalAccessToken.name}" created for user ${req.user.firstName}...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error creating access token", error: error.message });
+    }
+});
+
+
+// update token route - renames a token or changes its scopes
+// PUT /auth/tokens/:id - body: { name, scopes } (both optional)
+tokensRouter.put("/:id", userAuth, async (req, res, next) => {
+    // validating the data - only the sent fields are checked
+    if (!validateAccessTokenData(req.body, Object.keys(TOKEN_SCOPES), res, true)) {
+        return; // if validation fails, stop here
+    }
+    const { name, scopes } = req.body;
+
+    try {
+        // finding the token - it must belong to the logged in user
+        const personalAccessToken = await PersonalAccessToken.findOne({ _id: req.params.id, userId: req.user._id });
+        if (!personalAccessToken || !personalAccessToken.isActive()) {
+            res.status(404);
+            res.json({ message: "Access token not found" });
+            return;
+        }
+
+        if (name !== undefined) {
+            personalAccessToken.name = name.trim();
+        }
+        if (scopes !== undefined) {
+            personalAccessToken.scopes = uniqueScopes(scopes);
+        }
+        await personalAccessToken.save();
+
+        res.status(200);
+        res.json({ message: "Access token updated successfully", accessToken: personalAccessToken });
+        console.log(`Access token ${personalAccessToken._id} of user ${req.user.firstName} updated successfully...`);
+    } catch (error) {
+        // invalid token IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error updating access token", error: error.message });
+    }
+});
+
+
+// delete token route - revokes a token, scripts using it stop working immediately
+// DELETE /auth/tokens/:id
+tokensRouter.delete("/:id", userAuth, async (req, res, next) => {
+    try {
+        // deleting the token - it must belong to the logged in user
+        const result = await PersonalAccessToken.deleteOne({ _id: req.params.id, userId: req.user._id });
+        if (result.deletedCount === 0) {
+            res.status(404);
+            res.json({ message: "Access token not found" });
+            return;
+        }
+
+        res.status(200);
+        res.json({ message: "Access token deleted successfully" });
+        console.log(`Access token ${req.params.id} of user ${req.user.firstName} deleted successfully...`);
+    } catch (error) {
+        // invalid token IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error deleting access token", error: error.message });
+    }
+});
+
+// exporting the router so we can use it in app.js
+module.exports = {
+    tokensRouter,
+};
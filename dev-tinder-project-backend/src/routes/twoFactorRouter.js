@@ -0,0 +1,308 @@
+// importing express module for creating routes
+const express = require('express');
+// importing crypto module for generating recovery codes
+const crypto = require('crypto');
+// importing bcrypt module for checking the password before disabling two-factor
+const bcrypt = require('bcrypt');
+// importing qrcode module to turn the otpauth URI into a QR code image
+const QRCode = require('qrcode');
+// importing User model to save two-factor settings
+const { User } = require('../models/user');
+// importing userAuth middleware to check if user is logged in, and the response for suspended accounts
+const { userAuth, sendAccountSuspended } = require('../middlewares/auth');
+// importing TOTP helpers for creating secrets and checking codes
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+// importing session helpers for finishing the login and hashing recovery codes
+const { hashToken, startSession, verifyTwoFactorChallenge, consumeTwoFactorChallenge } = require('../utils/authTokens');
+// importing lockout helpers - wrong codes count as failed logins
+const {
+    formatWaitTime,
+    getLockoutRemainingMs,
+    registerFailedLogin,
+    clearFailedLogins,
+} = require('../utils/loginLockout');
+// importing rate limit middleware to slow down code guessing
+const { rateLimit, sendTooManyRequests, keyByIp } = require('../middlewares/rateLimit');
+
+// creating router instance - handles all /auth/2fa routes
+const twoFactorRouter = express.Router();
+
+// name shown in authenticator apps next to the account
+const TOTP_ISSUER = "DevTinder";
+// how many recovery codes a user gets when enabling two-factor
+const RECOVERY_CODE_COUNT = 10;
+
+// rate limiter for the second login step
+const verifyLimiter = rateLimit({ name: "2fa-verify-ip", windowMs: 15 * 60 * 1000, max: 30, keyGenerator: keyByIp, message: "Too many two-factor attempts from this network. Please try again later." });
+
+// function to create new recovery codes - returns the plain codes (shown once) and their hashes (stored)
+// codes look like "a1b2c-3d4e5" so they are easy to type
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+// function to normalize a recovery code typed by the user before hashing it
+const normalizeRecoveryCode = (code) => {
+    const cleaned = String(code || "").toLowerCase().replace(/[^a-f0-9]/g, "");
+    return cleaned.length === 10 ? `${cleaned.slice(0, 5)}-${cleaned.slice(5)}` : null;
+};
+
+// function to check an authenticator code during login and mark its time step as used
+// a code that was already used (same or older step) is rejected, so a sniffed code can't be replayed
+const consumeTotpCode = async (user, code) => {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) {
+        return false;
+    }
+    // the condition in the filter makes this atomic - two parallel requests can't both use the step
+    const result = await User.updateOne(
+        { _id: user._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+        { twoFactorLastUsedStep: step }
+    );
+    return result.modifiedCount === 1;
+};
+
+// function to check a recovery code during login and remove it so it can't be used again
+const consumeRecoveryCode = async (user, recoveryCode) => {
+    const normalized = normalizeRecoveryCode(recoveryCode);
+    if (!normalized) {
+        return false;
+    }
+    // $pull only modifies the user if the hash was still in the list
+    const codeHash = hashToken(normalized);
+    const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } }
+    );
+    return result.modifiedCount === 1;
+};
+
+
+// two-factor status route - tells the settings page if two-factor is on
+// GET /auth/2fa/status - frontend calls this on the two-factor settings page
+// userAuth middleware ensures only logged in users can see this
+twoFactorRouter.get("/status", userAuth, async (req, res, next) => {
+    res.status(200);
+    res.json({
+        message: "Two-factor status fetched successfully",
+        enabled: req.user.twoFactorEnabled,
+        recoveryCodesRemaining: req.user.twoFactorEnabled ? req.user.twoFactorRecoveryCodes.length : 0,
+    });
+});
+
+
+// setup route - creates a new secret and returns it as an otpauth URI and QR code
+// POST /auth/2fa/setup - frontend shows the QR code so the user can scan it with an authenticator app
+// two-factor is NOT enabled yet - the user has to confirm a code with /auth/2fa/enable first
+twoFactorRouter.post("/setup", userAuth, async (req, res, next) => {
+    const user = req.user;
+
+    if (user.twoFactorEnabled) {
+        res.status(400);
+        res.json({ message: "Two-factor authentication is already enabled." });
+        return;
+    }
+
+    try {
+        // saving the new secret as pending - calling setup again simply replaces it
+        const secret = generateSecret();
+        await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: secret });
+
+        const otpauthUri = buildOtpauthUri({ secret, accountName: user.emailID, issuer: TOTP_ISSUER });
+        const qrCodeDataUrl = await QRCode.toDataURL(otpauthUri);
+
+        res.status(200);
+        res.json({ message: "Scan the QR code with your authenticator app", otpauthUri, qrCodeDataUrl, secret });
+        console.log(`Two-factor setup started for user ${user.firstName}...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error setting up two-factor authentication", error: error.message });
+    }
+});
+
+
+// enable route - confirms the first code from the authenticator app and turns two-factor on
+// POST /auth/2fa/enable - frontend sends { code } here
+// returns the recovery codes - this is the only time they are shown
+twoFactorRouter.post("/enable", userAuth, async (req, res, next) => {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (user.twoFactorEnabled) {
+        res.status(400);
+        res.json({ message: "Two-factor authentication is already enabled." });
+        return;
+    }
+    if (!user.twoFactorPendingSecret) {
+        res.status(400);
+        res.json({ message: "Start two-factor setup first." });
+        return;
+    }
+
+    // checking the code against the pending secret - proves the app was set up correctly
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+        res.status(400);
+        res.json({ message: "Invalid authentication code. Please try again." });
+        return;
+    }
+
+    try {
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, {
+            twoFactorEnabled: true,
+            twoFactorSecret: user.twoFactorPendingSecret,
+            twoFactorPendingSecret: null,
+            twoFactorRecoveryCodes: hashes,
+            twoFactorLastUsedStep: step,
+        });
+
+        res.status(200);
+        res.json({ message: "Two-factor authentication enabled successfully", recoveryCodes: codes });
+        console.log(`Two-factor authentication enabled for user ${user.firstName}...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error enabling two-factor authentication", error: error.message });
+    }
+});
+
+
+// disable route - turns two-factor off, requires the account password
+// POST /auth/2fa/disable - frontend sends { password } here
+twoFactorRouter.post("/disable", userAuth, async (req, res, next) => {
+    const user = req.user;
+    const { password } = req.body;
+
+    if (!user.twoFactorEnabled) {
+        res.status(400);
+        res.json({ message: "Two-factor authentication is not enabled." });
+        return;
+    }
+    if (!password) {
+        res.status(400);
+        res.json({ message: "Password is required to disable two-factor authentication." });
+        return;
+    }
+
+    try {
+        // checking the password - a stolen session alone must not be enough to turn off 2FA
+        const isPasswordMatch = await bcrypt.compare(password, user.password);
+        if (!isPasswordMatch) {
+            res.status(401);
+            res.json({ message: "Invalid password" });
+            return;
+        }
+
+        await User.updateOne({ _id: user._id }, {
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorPendingSecret: null,
+            twoFactorRecoveryCodes: [],
+            twoFactorLastUsedStep: null,
+        });
+
+        res.status(200);
+        res.json({ message: "Two-factor authentication disabled successfully" });
+        console.log(`Two-factor authentication disabled for user ${user.firstName}...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error disabling two-factor authentication", error: error.message });
+    }
+});
+
+
+// verify route - second login step, exchanges the challenge token + code for a session
+// POST /auth/2fa/verify - frontend sends { challengeToken, code } or { challengeToken, recoveryCode }
+// wrong codes count as failed logins, so the account lockout applies here too
+twoFactorRouter.post("/verify", verifyLimiter, async (req, res, next) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    // challenge token proves the password was already checked a few minutes ago
+    const challenge = verifyTwoFactorChallenge(challengeToken);
+    if (!challenge) {
+        res.status(401);
+        res.json({ message: "Login challenge is invalid or has expired. Please log in again." });
+        return;
+    }
+
+    try {
+        // the challenge must still be the user's current one - used or replaced challenges don't work
+        const user = await User.findById(challenge.userId);
+        if (!user || !user.twoFactorEnabled || user.twoFactorChallengeId !== challenge.challengeId) {
+            res.status(401);
+            res.json({ message: "Login challenge is invalid or has expired. Please log in again." });
+            return;
+        }
+
+        // if account is locked because of too many failed attempts, don't check the code
+        const remainingLockMs = getLockoutRemainingMs(user);
+        if (remainingLockMs > 0) {
+            sendTooManyRequests(res, remainingLockMs / 1000, `Account temporarily locked because of too many failed login attempts. Try again in ${formatWaitTime(remainingLockMs)}.`);
+            return;
+        }
+
+        // checking the recovery code or the authenticator code
+        const usedRecoveryCode = Boolean(recoveryCode);
+        const isValid = usedRecoveryCode
+            ? await consumeRecoveryCode(user, recoveryCode)
+            : await consumeTotpCode(user, code);
+
+        // wrong code - counting it as a failed login, the account gets locked after too many
+        if (!isValid) {
+            const { lockMs } = await registerFailedLogin(user);
+            if (lockMs > 0) {
+                sendTooManyRequests(res, lockMs / 1000, `Too many failed login attempts. Account locked for ${formatWaitTime(lockMs)}.`);
+                return;
+            }
+            res.status(401);
+            res.json({ message: usedRecoveryCode ? "Invalid recovery code" : "Invalid authentication code" });
+            return;
+        }
+
+        // using up the challenge - a parallel request with the same challenge token can't get a second session
+        if (!(await consumeTwoFactorChallenge(user._id, challenge.challengeId))) {
+            res.status(401);
+            res.json({ message: "Login challenge is invalid or has expired. Please log in again." });
+            return;
+        }
+
+        // the account could have been suspended or forced to reset its password since the password check
+        if (user.suspendedAt) {
+            sendAccountSuspended(res, user);
+            return;
+        }
+        if (user.passwordResetRequired) {
+            res.status(403);
+            res.json({ message: "You need to reset your password before logging in. Check your email for the reset link or use \"Forgot password\".", code: "PASSWORD_RESET_REQUIRED" });
+            return;
+        }
+
+        // both factors checked - forgetting failed attempts and starting the session just like a normal login
+        await clearFailedLogins(user);
+        await startSession(user, req, res);
+
+        const response = { message: "User logged in successfully", user };
+        if (usedRecoveryCode) {
+            response.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length - 1;
+        }
+        res.status(200);
+        res.json(response);
+        console.log(`User with emailID ${user.emailID} logged in with two-factor successfully...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error verifying two-factor code", error: error.message });
+    }
+});
+
+// exporting the router so we can use it in app.js
+module.exports = {
+    twoFactorRouter,
+};
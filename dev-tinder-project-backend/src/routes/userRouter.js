@@ -1,60 +1,213 @@
 
 // importing express module for creating routes
 const express = require('express');
-// importing userAuth middleware to check if user is logged in
-const { userAuth } = require('../middlewares/auth');
+// importing userAuth middlewares to check if user is logged in (or uses an access token with the right scope)
+// and requireVerifiedEmail middleware to block unverified accounts
+const { userAuth, userAuthWithScope, requireVerifiedEmail } = require('../middlewares/auth');
 // importing User model to find users in database
 const { User } = require('../models/user');
 // importing ConnectionRequest model to find connection requests
 const { ConnectionRequest } = require('../models/connectionRequest');
+// importing Block model to hide blocked users everywhere
+const { Block } = require('../models/block');
+// importing FeedSession model to keep the order of the feed while paging through it
+const { FeedSession } = require('../models/feedSession');
+// importing Report model and the allowed categories for reporting users
+const { Report, REPORT_CATEGORIES } = require('../models/report');
+// importing rate limit middleware so nobody can flood the moderation queue
+const { rateLimit, keyByUser } = require('../middlewares/rateLimit');
+// importing presence helper to show if other users are online / recently active
+const { withPresence } = require('../utils/presence');
+// importing the user fields other users may see, and a helper to pick them for live events
+const { PUBLIC_USER_FIELDS, toPublicUser } = require('../utils/publicUser');
+// importing notification helpers to tell users when a connection removes them
+const { notifyUser, deleteNotificationsBetween } = require('../utils/notifications');
+// importing event bus to update open pages of both users live
+const { publishUserEvent } = require('../utils/eventBus');
+// importing match scoring to rank the feed
+const { rankCandidates, scoreCandidate } = require('../utils/matchScoring');
+// importing feed filter validation
+const { validateFeedFilters, FEED_FILTER_KEYS } = require('../utils/validation');
+// importing cursor helpers to paginate the feed, requests and connections
+const { readCursorParams, olderThanCursorQuery, dateCursor, encodeCursor } = require('../utils/cursor');
+// importing discovery preferences helpers - the default filters of the feed
+const { getDiscoveryPreferences, preferencesToFeedFilters, toScoringPreferences } = require('../utils/discoveryPreferences');
+
+// how many candidates the feed scores at once - scoring happens in memory, so the feed is ranked in chunks
+// of the most recently active users (the first chunk is the 500 most recently active ones, and so on)
+const FEED_CANDIDATE_POOL_SIZE = 500;
+// how many candidates one feed session holds at most
+const FEED_SESSION_MAX_USERS = 10000;
+// feed sessions are removed when nobody loaded a page of them for this long
+const FEED_SESSION_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// user fields the feed needs - for showing the user and for scoring
+const FEED_USER_FIELDS = {
+    firstName: 1,
+    lastName: 1,
+    age: 1,
+    gender: 1,
+    about: 1,
+    skills: 1,
+    photoUrl: 1,
+    lastActiveAt: 1,
+    showPresence: 1,
+};
+
+// function to turn validated feed filters into a MongoDB query
+// skills and gender are matched case-insensitively ("rust" finds "Rust") through the lowercased copies on the user,
+// so the filters are exact matches the skillKeys and age/genderKey indexes can serve - the search uses the text index on about
+const buildFeedFilterQuery = (filters) => {
+    const query = {};
+    const toKey = (value) => value.trim().toLowerCase();
+
+    if (filters.skills) {
+        query.skillKeys = { $all: filters.skills.map(toKey) };
+    }
+    if (filters.anySkills) {
+        // both skill filters can be used together, so $and keeps them from overwriting each other
+        query.$and = [{ skillKeys: { $in: filters.anySkills.map(toKey) } }];
+    }
+    if (filters.ageMin || filters.ageMax) {
+        query.age = {};
+        if (filters.ageMin) {
+            query.age.$gte = filters.ageMin;
+        }
+        if (filters.ageMax) {
+            query.age.$lte = filters.ageMax;
+        }
+    }
+    if (filters.genders) {
+        query.genderKey = { $in: filters.genders.map(toKey) };
+    }
+    if (filters.search) {
+        query.$text = { $search: filters.search };
+    }
+    return query;
+};
+
+// statuses of sent requests the sender can see - "ignored" is left out
+const SENT_REQUEST_STATUSES = ["interested", "accepted", "rejected", "expired"];
+
+// rate limiter for reports - per account
+const reportLimiter = rateLimit({ name: "report-user", windowMs: 60 * 60 * 1000, max: 10, keyGenerator: keyByUser, message: "You are sending too many reports. Please try again later." });
+
+// function to block a user - removes every connection request between the two users
+// returns { alreadyBlocked, removedRequests }
+const blockUser = async (blockerId, blockedId) => {
+    const existingBlock = await Block.findOne({ blockerId, blockedId });
+    if (existingBlock) {
+        return { alreadyBlocked: true, removedRequests: 0 };
+    }
+
+    await Block.create({ blockerId, blockedId });
+    // removing old notifications between the two users - blocking never creates a notification,
+    // the blocked user shouldn't find out
+    await deleteNotificationsBetween(blockerId, blockedId);
+    // deleting requests in both directions - pending, accepted (connections) and ignored ones
+    const result = await ConnectionRequest.deleteMany({
+        $or: [
+            { fromUserId: blockerId, toUserId: blockedId },
+            { fromUserId: blockedId, toUserId: blockerId },
+        ],
+    });
+    // updating the blocker's other open pages - the blocked user gets no live event, they shouldn't find out
+    publishUserEvent(blockerId, "connection.removed", { userId: blockedId.toString() });
+    return { alreadyBlocked: false, removedRequests: result.deletedCount };
+};
+
+// function to make sure a feed session is ranked up to the given position
+// the candidates are ranked one chunk at a time, when paging gets there - a ranked chunk is saved and never changes,
+// so every page continues exactly where the last one stopped
+// returns the updated session, or null if it was removed in the meantime
+const rankFeedSessionUntil = async (session, viewer, preferences, until) => {
+    let current = session;
+    while (current && current.rankedUntil < Math.min(until, current.candidateIds.length)) {
+        const start = current.rankedUntil;
+        const chunkIds = current.candidateIds.slice(start, start + FEED_CANDIDATE_POOL_SIZE);
+        // deleted users are not found, so they drop out of the feed here
+        const chunkUsers = await User.find({ _id: { $in: chunkIds } }, FEED_USER_FIELDS);
+        const rankedIds = rankCandidates(viewer, chunkUsers, { preferences, now: current.scoredAt.getTime() })
+            .map(({ candidate }) => candidate._id);
+        const candidateIds = [
+            ...current.candidateIds.slice(0, start),
+            ...rankedIds,
+            ...current.candidateIds.slice(start + chunkIds.length),
+        ];
+
+        // the rankedUntil condition makes this safe when two pages are loaded at once - only one of them saves the chunk
+        const result = await FeedSession.updateOne(
+            { _id: current._id, rankedUntil: start },
+            { candidateIds, rankedUntil: start + rankedIds.length }
+        );
+        current = result.modifiedCount === 1
+            ? { ...current, candidateIds, rankedUntil: start + rankedIds.length }
+            : await FeedSession.findById(current._id).lean();
+    }
+    return current;
+};
 
 // creating router instance - handles all /user routes
 const userRouter = express.Router();
 
-// get connection requests route - shows all requests received by logged in user
-// GET /user/requests - frontend calls this to show pending requests
+// get connection requests route - shows the pending requests received by logged in user
+// GET /user/requests?limit=20&cursor=... - newest first, nextCursor is null on the last page
 // userAuth middleware ensures only logged in users can see their requests
-userRouter.get("/requests", userAuth, async (req, res, next) => {
+userRouter.get("/requests", userAuthWithScope("requests:read"), async (req, res, next) => {
     // getting user ID from req.user (set by userAuth middleware)
     const userId = req.user._id;
-    
+
+    // reading cursor and limit - readCursorParams sends the 400 response for a broken cursor
+    const pagination = readCursorParams(req.query, res);
+    if (!pagination) {
+        return;
+    }
+    const { cursor, limit } = pagination;
+    const afterCursor = cursor ? olderThanCursorQuery("createdAt", cursor) : null;
+    if (cursor && !afterCursor) {
+        res.status(400);
+        res.json({ message: "Invalid cursor. Start again without a cursor." });
+        return;
+    }
+
     try {
-        // finding all connection requests where this user is the receiver (toUserId)
+        // users hidden because of a block (either direction) - blocking deletes requests, this is just a safety net
+        const hiddenUserIds = await Block.getHiddenUserIds(userId);
+
+        // finding the pending requests where this user is the receiver (toUserId)
+        // we only show requests that haven't been accepted, rejected or expired yet
+        // requests older than the expiry job's last run are left out here too
+        const conditions = [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }];
+        if (afterCursor) {
+            conditions.push(afterCursor);
+        }
         // populate() fills in the fromUserId field with actual user data
         // second parameter specifies which fields to include from the user
-        const requests = await ConnectionRequest.find({ toUserId: userId })
-            .populate("fromUserId", "firstName lastName age gender about skills photoUrl");
-        
-        // if no requests found at all
-        if (requests.length === 0) {
-            res.status(200);
-            res.json({ message: "No connection requests found." });
-            console.log(`No connection requests found for user ${req.user.firstName}...`);
-            return;
-        }
-        
-        // filtering to get only pending requests (status = "interested")
-        // we only show requests that haven't been accepted or rejected yet
-        const pendingRequests = requests.filter(request => request.status === "interested");
-        
-        // if no pending requests found
-        if (pendingRequests.length === 0) {
-            res.status(200);
-            res.json({ message: "No pending connection requests found." });
-            console.log(`No pending connection requests found for user ${req.user.firstName}...`);
-            return;
-        }
-        
-        // sending pending requests back to frontend
-        try {
-            res.status(200);
-            res.json({ message: "Connection requests fetched successfully", requests: pendingRequests });
-            console.log(`Connection requests for user ${req.user.firstName} fetched successfully...`);
-        } catch (error) {
-            res.status(500);
-            res.json({ message: "Error fetching connection requests", error: error.message });
-            console.error(`Error fetching connection requests for user ${req.user.firstName}:`, error);
-        }
+        // one more than the limit is loaded to know if there is a next page
+        const requests = await ConnectionRequest.find({
+            toUserId: userId,
+            fromUserId: { $nin: hiddenUserIds },
+            status: "interested",
+            $and: conditions,
+        })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate("fromUserId", PUBLIC_USER_FIELDS);
+
+        const hasNextPage = requests.length > limit;
+        const pageRequests = requests.slice(0, limit);
+        // withPresence() adds the sender's presence and removes the raw lastActiveAt
+        const pendingRequests = pageRequests.map(request => ({ ...request.toJSON(), fromUserId: withPresence(request.fromUserId) }));
+
+        res.status(200);
+        res.json({
+            message: pendingRequests.length > 0 || cursor ? "Connection requests fetched successfully" : "No pending connection requests found.",
+            requests: pendingRequests,
+            limit,
+            hasNextPage,
+            nextCursor: hasNextPage ? dateCursor("createdAt", pageRequests[pageRequests.length - 1]) : null,
+        });
+        console.log(`Connection requests for user ${req.user.firstName} fetched successfully...`);
     } catch (error) {
         // if something goes wrong, send error
         res.status(500);
@@ -65,55 +218,146 @@ userRouter.get("/requests", userAuth, async (req, res, next) => {
 
 
 
-// get connections route - shows all users that are connected (accepted requests)
-// GET /user/connections - frontend calls this to show all connections
+// get sent requests route - shows the requests the logged in user sent and what happened to them
+// GET /user/requests/sent?status=interested&limit=20&cursor=... - newest first, nextCursor is null on the last page
+// status is interested (pending), accepted, rejected or expired - without it all of them are returned
+// "ignored" is not a request the other user ever sees, so it's never listed here
+userRouter.get("/requests/sent", userAuthWithScope("requests:read"), async (req, res, next) => {
+    const userId = req.user._id;
+    const { status } = req.query;
+
+    if (status && !SENT_REQUEST_STATUSES.includes(status)) {
+        res.status(400);
+        res.json({ message: `Status must be one of: ${SENT_REQUEST_STATUSES.join(", ")}.` });
+        return;
+    }
+
+    // reading cursor and limit - readCursorParams sends the 400 response for a broken cursor
+    const pagination = readCursorParams(req.query, res);
+    if (!pagination) {
+        return;
+    }
+    const { cursor, limit } = pagination;
+    const afterCursor = cursor ? olderThanCursorQuery("createdAt", cursor) : null;
+    if (cursor && !afterCursor) {
+        res.status(400);
+        res.json({ message: "Invalid cursor. Start again without a cursor." });
+        return;
+    }
+
+    try {
+        // users hidden because of a block (either direction) - blocking deletes requests, this is just a safety net
+        const hiddenUserIds = await Block.getHiddenUserIds(userId);
+
+        // requests where this user is the sender
+        const filter = {
+            fromUserId: userId,
+            status: status || { $in: SENT_REQUEST_STATUSES },
+            toUserId: { $nin: hiddenUserIds },
+            ...afterCursor,
+        };
+        // populate() fills in the receiver's public fields
+        // one more than the limit is loaded to know if there is a next page
+        const requests = await ConnectionRequest.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate("toUserId", PUBLIC_USER_FIELDS);
+
+        const hasNextPage = requests.length > limit;
+        const pageRequests = requests.slice(0, limit);
+        // leaving out requests to deleted accounts, adding the receiver's presence
+        const sentRequests = pageRequests
+            .filter(request => request.toUserId)
+            .map(request => ({ ...request.toJSON(), toUserId: withPresence(request.toUserId) }));
+
+        res.status(200);
+        res.json({
+            message: "Sent connection requests fetched successfully",
+            requests: sentRequests,
+            limit,
+            hasNextPage,
+            // the cursor comes from the last loaded request, even if its receiver was deleted and it's left out
+            nextCursor: hasNextPage ? dateCursor("createdAt", pageRequests[pageRequests.length - 1]) : null,
+        });
+        console.log(`Sent connection requests of user ${req.user.firstName} fetched successfully...`);
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching sent connection requests", error: error.message });
+        console.error(`Error fetching sent connection requests for user ${req.user.firstName}:`, error);
+    }
+});
+
+
+
+// get connections route - shows the users that are connected (accepted requests)
+// GET /user/connections?limit=20&cursor=... - most recently connected first, nextCursor is null on the last page
 // userAuth middleware ensures only logged in users can see their connections
-userRouter.get("/connections", userAuth, async (req, res, next) => {
+userRouter.get("/connections", userAuthWithScope("connections:read"), async (req, res, next) => {
     // getting user ID from req.user (set by userAuth middleware)
     const userId = req.user._id;
-    
+
+    // reading cursor and limit - readCursorParams sends the 400 response for a broken cursor
+    const pagination = readCursorParams(req.query, res);
+    if (!pagination) {
+        return;
+    }
+    const { cursor, limit } = pagination;
+    // accepting a request is the last change to it, so updatedAt is when the users connected
+    const afterCursor = cursor ? olderThanCursorQuery("updatedAt", cursor) : null;
+    if (cursor && !afterCursor) {
+        res.status(400);
+        res.json({ message: "Invalid cursor. Start again without a cursor." });
+        return;
+    }
+
     try {
-        // finding all accepted connection requests where this user is involved
+        // finding accepted connection requests where this user is involved
         // $or means "either condition can be true"
         // we check if user is the sender (fromUserId) OR receiver (toUserId)
         // and status must be "accepted"
-        const acceptedRequests = await ConnectionRequest.find({ 
+        // users hidden because of a block are left out
+        const hiddenUserIds = await Block.getHiddenUserIds(userId);
+        const conditions = [{
             $or: [
-                { fromUserId: userId, status: "accepted" },
-                { toUserId: userId, status: "accepted" }
+                { fromUserId: userId, toUserId: { $nin: hiddenUserIds }, status: "accepted" },
+                { toUserId: userId, fromUserId: { $nin: hiddenUserIds }, status: "accepted" }
             ]
-        }).populate("fromUserId toUserId", "firstName lastName age gender about skills photoUrl");
-        
+        }];
+        if (afterCursor) {
+            conditions.push(afterCursor);
+        }
+        // one more than the limit is loaded to know if there is a next page
+        const acceptedRequests = await ConnectionRequest.find({ $and: conditions })
+            .sort({ updatedAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate("fromUserId toUserId", PUBLIC_USER_FIELDS);
+
+        const hasNextPage = acceptedRequests.length > limit;
+        const pageRequests = acceptedRequests.slice(0, limit);
+
         // creating array of connected users
         // we need to figure out which user is the "other" user (not the logged in user)
-        const connections = acceptedRequests.map(request => {
+        const connections = pageRequests.map(request => {
             // if logged in user is the sender, return the receiver
             if (request.fromUserId._id.toString() === userId.toString()) {
-                return request.toUserId;
+                return withPresence(request.toUserId);
             } else {
                 // if logged in user is the receiver, return the sender
-                return request.fromUserId;
+                return withPresence(request.fromUserId);
             }
         });
-        
-        // if no connections found
-        if (connections.length === 0) {
-            res.status(200);
-            res.json({ message: "No connected users found." });
-            console.log(`No connected users found for ${req.user.firstName}...`);
-            return;
-        }
-        
+
         // sending connections back to frontend
-        try {
-            res.status(200);
-            res.json({ message: "Connected users fetched successfully", connections });
-            console.log(`Connected users for ${req.user.firstName} fetched successfully...`);
-        } catch (error) {
-            res.status(500);
-            res.json({ message: "Error fetching connected users", error: error.message });
-            console.error(`Error fetching connected users for ${req.user.firstName}:`, error);
-        }
+        res.status(200);
+        res.json({
+            message: connections.length > 0 || cursor ? "Connected users fetched successfully" : "No connected users found.",
+            connections,
+            limit,
+            hasNextPage,
+            nextCursor: hasNextPage ? dateCursor("updatedAt", pageRequests[pageRequests.length - 1]) : null,
+        });
+        console.log(`Connected users for ${req.user.firstName} fetched successfully...`);
     } catch (error) {
         // if something goes wrong, send error
         res.status(500);
@@ -125,27 +369,52 @@ userRouter.get("/connections", userAuth, async (req, res, next) => {
 
 
 // get user feed route - shows potential connections (users you haven't interacted with)
-// GET /user/feed?page=1&limit=10 - frontend calls this to show discovery feed
+// GET /user/feed?limit=10&cursor=... - frontend calls this to show discovery feed, nextCursor is null on the last page
+// users are ranked by match score (utils/matchScoring.js), every user comes with match: { score, reasons }
+// optional filters: skills, anySkills, ageMin, ageMax, gender, q (see validateFeedFilters)
+// without filters the user's saved discovery preferences are used, ?preferences=off shows everyone
 // userAuth middleware ensures only logged in users can see the feed
-// pagination allows loading users in batches (better performance)
-userRouter.get("/feed", userAuth, async (req, res) => {
+// requireVerifiedEmail middleware blocks accounts that haven't verified their email
+// cursor pagination allows loading users in batches - users you swipe away don't shift the next page
+userRouter.get("/feed", userAuthWithScope("feed:read"), requireVerifiedEmail, async (req, res) => {
   // getting user ID from req.user (set by userAuth middleware)
   const userId = req.user._id;
 
-  // reading page and limit from query parameters (URL parameters)
-  // if not provided, use defaults: page=1, limit=10
-  // Math.max() ensures values are at least 1 (can't be 0 or negative)
-  const page  = Math.max(parseInt(req.query.page)  || 1, 1);
-  const limit = Math.max(parseInt(req.query.limit) || 10, 1);
-  // calculating how many users to skip (for pagination)
-  // page 1: skip 0, page 2: skip 10, page 3: skip 20, etc.
-  const skip  = (page - 1) * limit;
+  // reading cursor and limit (default 10, at most 50) - readCursorParams sends the 400 response for a broken cursor
+  // the feed cursor is { session, offset } - the feed session stores the order of the whole feed,
+  // the offset is how far the client paged through it
+  const pagination = readCursorParams(req.query, res, 10, 50);
+  if (!pagination) {
+    return;
+  }
+  const { cursor, limit } = pagination;
+  if (cursor && !(typeof cursor.session === "string" && /^[a-f0-9]{24}$/i.test(cursor.session) && Number.isInteger(cursor.offset) && cursor.offset >= 0)) {
+    res.status(400);
+    res.json({ message: "Invalid cursor. Start again without a cursor." });
+    return;
+  }
+  const offset = cursor ? cursor.offset : 0;
+
+  // reading the filters - validateFeedFilters sends the 400 response itself
+  // filters in the URL win over the saved preferences, even when only one filter is set
+  const preferences = getDiscoveryPreferences(req.user);
+  const hasQueryFilters = FEED_FILTER_KEYS.some((key) => req.query[key] !== undefined);
+  const usingPreferences = !hasQueryFilters && req.query.preferences !== "off";
+  const filters = usingPreferences ? preferencesToFeedFilters(preferences) : validateFeedFilters(req.query, res);
+  if (!filters) {
+    return;
+  }
+  const filterQuery = buildFeedFilterQuery(filters);
+  // the preferred age range and genders also count in the match score
+  const scoringPreferences = toScoringPreferences(preferences);
 
   try {
     // step 1: find all connection requests involving the logged-in user
     // this includes requests they sent, received, accepted, rejected, ignored
+    // expired requests don't count - both users can send a new request
     const excludedRequests = await ConnectionRequest.find({
       $or: [{ fromUserId: userId }, { toUserId: userId }],
+      status: { $ne: "expired" },
     });
 
     // step 2: build a list of user IDs to exclude from feed
@@ -158,55 +427,82 @@ userRouter.get("/feed", userAuth, async (req, res) => {
     }, new Set());
     // also exclude ourselves (can't connect with yourself!)
     excludedUserIds.add(userId.toString());
+    // and users we blocked or who blocked us
+    const hiddenUserIds = await Block.getHiddenUserIds(userId);
+    hiddenUserIds.forEach((id) => excludedUserIds.add(id.toString()));
 
     // converting Set to Array because MongoDB needs an array
     const excludedIdsArray = Array.from(excludedUserIds);
 
-    // step 3: count total users available for feed (for pagination info)
-    // $nin means "not in" - find users whose ID is NOT in excludedIdsArray
-    const totalUsers = await User.countDocuments({
-      _id: { $nin: excludedIdsArray },
-    });
+    // step 3: find the feed session - the first page starts a new one with every candidate,
+    // later pages continue the session from the cursor
+    let session;
+    if (cursor) {
+      session = await FeedSession.findOne({ _id: cursor.session, userId }).lean();
+    } else {
+      // the candidates are the users we haven't interacted with, most recently active first
+      // $nin means "not in" - excludes users we've already interacted with
+      // suspended users are hidden from the feed, filters narrow the candidates down before ranking
+      // only the IDs are loaded here, the users are loaded chunk by chunk when they are ranked
+      const candidates = await User.find(
+        { _id: { $nin: excludedIdsArray }, suspendedAt: null, ...filterQuery },
+        { _id: 1 }
+      )
+        .sort({ lastActiveAt: -1, _id: 1 }) // recently active users first, people who left the site last
+        .limit(FEED_SESSION_MAX_USERS);
+      session = (await FeedSession.create({
+        userId,
+        candidateIds: candidates.map((candidate) => candidate._id),
+        scoredAt: new Date(),
+        expiresAt: new Date(Date.now() + FEED_SESSION_TTL_MS),
+      })).toObject();
+    }
 
-    // step 4: fetch users for the current page
-    // $nin excludes users we've already interacted with
-    // second parameter specifies which fields to return (we don't need password)
-    const feedUsers = await User.find(
-      { _id: { $nin: excludedIdsArray } },
-      {
-        firstName: 1,
-        lastName: 1,
-        age: 1,
-        gender: 1,
-        about: 1,
-        skills: 1,
-        photoUrl: 1,
-      }
-    )
-      .skip(skip)  // skip users from previous pages
-      .limit(limit); // only get 'limit' number of users
-
-    // if no users found for this page
-    if (feedUsers.length === 0) {
-      return res.status(200).json({
-        message: "No users found for feed.",
-        feed: [],
-        page,
-        limit,
-        total: totalUsers,
-        totalPages: Math.ceil(totalUsers / limit),
-      });
+    // step 4: rank the session far enough for this page, by match score
+    session = session && await rankFeedSessionUntil(session, req.user, scoringPreferences, offset + limit);
+    if (!session) {
+      res.status(400);
+      res.json({ message: "This feed has expired. Start again without a cursor." });
+      return;
     }
+    // keeping the session alive while the user pages through it
+    await FeedSession.updateOne({ _id: session._id }, { expiresAt: new Date(Date.now() + FEED_SESSION_TTL_MS) });
+
+    // step 5: load the users of this page in the saved order
+    // users we interacted with since the session started (swiped, blocked), suspended users and users who
+    // no longer match the filters are left out - the page can be shorter than the limit, or even empty
+    const pageIds = session.candidateIds.slice(offset, offset + limit);
+    const pageUsers = await User.find(
+      { _id: { $in: pageIds, $nin: excludedIdsArray }, suspendedAt: null, ...filterQuery },
+      FEED_USER_FIELDS
+    );
+    const usersById = new Map(pageUsers.map((user) => [user._id.toString(), user]));
+    const scoringContext = { preferences: scoringPreferences, now: session.scoredAt.getTime() };
+    const feedUsers = pageIds
+      .filter((id) => usersById.has(id.toString()))
+      .map((id) => {
+        const candidate = usersById.get(id.toString());
+        const match = scoreCandidate(req.user, candidate, scoringContext);
+        return {
+          ...withPresence(candidate), // adding presence, hiding the raw lastActiveAt
+          match: { score: match.score, reasons: match.reasons },
+        };
+      });
+
+    const nextOffset = offset + pageIds.length;
+    const hasNextPage = nextOffset < session.candidateIds.length;
+    const nextCursor = hasNextPage ? encodeCursor({ session: session._id.toString(), offset: nextOffset }) : null;
 
     // sending feed users back to frontend with pagination info
+    // an empty page doesn't mean the feed is over - only nextCursor being null does
     res.status(200).json({
-      message: "User feed fetched successfully",
+      message: feedUsers.length > 0 ? "User feed fetched successfully" : "No users found for feed.",
       feed: feedUsers,
-      page,
+      filters, // the filters that were applied, after cleaning up
+      usingPreferences, // true when the filters came from the saved discovery preferences
       limit,
-      total: totalUsers,
-      totalPages: Math.ceil(totalUsers / limit),
-      hasNextPage: page * limit < totalUsers, // true if there are more pages
+      hasNextPage, // true if there are more users
+      nextCursor, // send it back as ?cursor= to get the next users
     });
   } catch (error) {
     // if something goes wrong, send error
@@ -222,7 +518,7 @@ userRouter.get("/feed", userAuth, async (req, res) => {
 // delete connection route - removes a connection between two users
 // DELETE /user/deleteconnections/:userId - frontend calls this to remove a connection
 // userAuth middleware ensures only logged in users can delete connections
-userRouter.delete("/deleteconnections/:userId", userAuth, async (req, res) => {
+userRouter.delete("/deleteconnections/:userId", userAuthWithScope("connections:write"), async (req, res) => {
   // getting logged in user's ID from req.user (set by userAuth middleware)
   const loggedInUserId = req.user._id;
   // getting the other user's ID from URL parameters
@@ -254,6 +550,12 @@ userRouter.delete("/deleteconnections/:userId", userAuth, async (req, res) => {
     
     // deleting the connection from database
     await ConnectionRequest.deleteOne({ _id: connection._id });
+
+    // telling the other user the connection is gone
+    await notifyUser({ userId, actorId: loggedInUserId, type: "connection_removed" });
+    // removing the connection from open connection lists of both users
+    publishUserEvent(userId, "connection.removed", { userId: loggedInUserId.toString() });
+    publishUserEvent(loggedInUserId, "connection.removed", { userId });
     
     return res.status(200).json({
       message: "Connection deleted successfully",
@@ -269,6 +571,159 @@ userRouter.delete("/deleteconnections/:userId", userAuth, async (req, res) => {
   }
 });
 
+// block user route - hides two users from each other
+// POST /user/block/:userId - frontend calls this from the block action on user and connection cards
+// removes every connection request between the two users (including an accepted connection)
+userRouter.post("/block/:userId", userAuth, async (req, res, next) => {
+    const blockerId = req.user._id;
+    const blockedId = req.params.userId;
+
+    // preventing users from blocking themselves
+    if (blockerId.toString() === blockedId) {
+        res.status(400);
+        res.json({ message: "You cannot block yourself." });
+        return;
+    }
+
+    try {
+        // checking if the user exists in database
+        const blockedUser = await User.findById(blockedId);
+        if (!blockedUser) {
+            res.status(404);
+            res.json({ message: "User not found" });
+            return;
+        }
+
+        const { alreadyBlocked, removedRequests } = await blockUser(blockerId, blockedUser._id);
+        if (alreadyBlocked) {
+            res.status(400);
+            res.json({ message: "You have already blocked this user." });
+            return;
+        }
+
+        res.status(201);
+        res.json({ message: "User blocked successfully", removedRequests });
+        console.log(`${req.user.firstName} blocked ${blockedUser.firstName}...`);
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error blocking user", error: error.message });
+    }
+});
+
+
+// unblock user route - the users can find each other in the feed again
+// DELETE /user/block/:userId - removed connection requests are not restored
+userRouter.delete("/block/:userId", userAuth, async (req, res, next) => {
+    try {
+        const result = await Block.deleteOne({ blockerId: req.user._id, blockedId: req.params.userId });
+        if (result.deletedCount === 0) {
+            res.status(404);
+            res.json({ message: "You have not blocked this user." });
+            return;
+        }
+
+        res.status(200);
+        res.json({ message: "User unblocked successfully" });
+        console.log(`${req.user.firstName} unblocked user ${req.params.userId}...`);
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error unblocking user", error: error.message });
+    }
+});
+
+
+// blocked users route - lists the users the logged in user blocked
+// GET /user/blocks - frontend shows this list so users can unblock people
+userRouter.get("/blocks", userAuth, async (req, res, next) => {
+    try {
+        const blocks = await Block.find({ blockerId: req.user._id })
+            .sort({ createdAt: -1 })
+            .populate("blockedId", "firstName lastName photoUrl");
+
+        // sending the blocked users with the date they were blocked
+        const blockedUsers = blocks
+            .filter((block) => block.blockedId) // user may have deleted their account
+            .map((block) => ({ user: block.blockedId, blockedAt: block.createdAt }));
+
+        res.status(200);
+        res.json({ message: "Blocked users fetched successfully", blockedUsers });
+    } catch (error) {
+        // if something goes wrong, send error
+        res.status(500);
+        res.json({ message: "Error fetching blocked users", error: error.message });
+    }
+});
+
+
+// report user route - sends a user to the admin moderation queue
+// POST /user/report/:userId - body: { category, details, block }
+// category is one of REPORT_CATEGORIES, details is free text (required for "other")
+// block: true also blocks the user in the same step
+userRouter.post("/report/:userId", userAuth, reportLimiter, async (req, res, next) => {
+    const reporterId = req.user._id;
+    const reportedUserId = req.params.userId;
+    const { category, details = "", block = false } = req.body;
+
+    // validating the report data
+    if (!REPORT_CATEGORIES.includes(category)) {
+        res.status(400);
+        res.json({ message: `Category must be one of: ${REPORT_CATEGORIES.join(", ")}.` });
+        return;
+    }
+    if (typeof details !== "string" || details.length > 1000) {
+        res.status(400);
+        res.json({ message: "Details must be text with at most 1000 characters." });
+        return;
+    }
+    if (category === "other" && details.trim().length === 0) {
+        res.status(400);
+        res.json({ message: "Please describe the problem when choosing \"other\"." });
+        return;
+    }
+    if (reporterId.toString() === reportedUserId) {
+        res.status(400);
+        res.json({ message: "You cannot report yourself." });
+        return;
+    }
+
+    try {
+        // checking if the user exists in database
+        const reportedUser = await User.findById(reportedUserId);
+        if (!reportedUser) {
+            res.status(404);
+            res.json({ message: "User not found" });
+            return;
+        }
+
+        // one open report per reporter and user is enough - moderators will look at it
+        const openReport = await Report.findOne({ reporterId, reportedUserId: reportedUser._id, status: "open" });
+        if (openReport) {
+            res.status(400);
+            res.json({ message: "You have already reported this user. Our moderators will review it." });
+            return;
+        }
+
+        const report = await Report.create({ reporterId, reportedUserId: reportedUser._id, category, details });
+
+        // blocking in the same step if the user asked for it
+        let blocked = false;
+        if (block === true) {
+            await blockUser(reporterId, reportedUser._id);
+            blocked = true;
+        }
+
+        res.status(201);
+        res.json({ message: "Report submitted successfully. Thank you for keeping DevTinder safe.", reportId: report._id, blocked });
+        console.log(`${req.user.firstName} reported ${reportedUser.firstName} for ${category}...`);
+    } catch (error) {
+        // invalid user IDs end up here as well
+        res.status(400);
+        res.json({ message: "Error reporting user", error: error.message });
+    }
+});
+
 // exporting the router so we can use it in app.js
 module.exports = {
     userRouter
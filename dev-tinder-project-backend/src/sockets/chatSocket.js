@@ -0,0 +1,186 @@
+// importing socket.io Server class for the WebSocket server
+const { Server } = require("socket.io");
+// importing the same token check userAuth uses, so sockets are authenticated exactly like HTTP requests
+const { authenticateAccessToken } = require("../middlewares/auth");
+// importing Session model to check the session is still alive before every message
+const { Session } = require("../models/session");
+// importing ConnectionRequest model to check connections for typing indicators
+const { ConnectionRequest } = require("../models/connectionRequest");
+// importing helper that validates and saves chat messages
+const { sendChatMessage } = require("../utils/chat");
+// importing memory store to limit how fast a socket can send messages
+const { createMemoryStore } = require("../middlewares/rateLimit");
+
+// every user joins this room on connect - emitting to it reaches all their tabs and devices
+const userRoom = (userId) => `user:${userId}`;
+
+// at most this many messages per user in the time window
+const MESSAGE_RATE_LIMIT = 30;
+const MESSAGE_RATE_WINDOW_MS = 10 * 1000;
+const messageRateStore = createMemoryStore();
+
+// the socket.io server and the origins allowed to connect, set by initChatSocket()
+let io = null;
+let allowedOrigins = [];
+
+// function to read one cookie from the raw Cookie header of the handshake
+const readCookie = (cookieHeader, name) => {
+    if (!cookieHeader) {
+        return null;
+    }
+    for (const part of cookieHeader.split(";")) {
+        const [key, ...value] = part.trim().split("=");
+        if (key === name) {
+            return decodeURIComponent(value.join("="));
+        }
+    }
+    return null;
+};
+
+// function to create an error for a failed handshake - the client receives it in "connect_error"
+const handshakeError = (message, code) => {
+    const error = new Error(message);
+    error.data = { code };
+    return error;
+};
+
+// function to check the Origin header of a handshake request against the allowed origins
+// scripts and CLI tools don't send an Origin at all - browsers always do for cross-origin and WebSocket requests
+const isAllowedOrigin = (origin) => {
+    return allowedOrigins.includes(origin);
+};
+
+// socket.io allowRequest hook - runs before the connection is opened
+// the cors option only matters for polling requests, browsers open WebSockets to any site without asking,
+// so a page on another site could connect with the user's cookie (cross-site WebSocket hijacking)
+const allowSocketRequest = (req, callback) => {
+    const origin = req.headers.origin;
+    callback(null, !origin || isAllowedOrigin(origin));
+};
+
+// socket middleware - runs once per connection, like userAuth does for every HTTP request
+// browsers send the token cookie, scripts can pass { auth: { token } } when connecting
+const authenticateSocket = async (socket, next) => {
+    const cookieToken = readCookie(socket.handshake.headers.cookie, "token");
+    const token = socket.handshake.auth?.token || cookieToken;
+    if (!token) {
+        next(handshakeError("Unauthorized access - No token provided", "UNAUTHORIZED"));
+        return;
+    }
+    // the cookie is sent by the browser no matter which site opened the socket - only trust it from our frontend
+    if (token === cookieToken && !isAllowedOrigin(socket.handshake.headers.origin)) {
+        next(handshakeError("Unauthorized access - Origin not allowed", "UNAUTHORIZED"));
+        return;
+    }
+
+    try {
+        const result = await authenticateAccessToken(token);
+        if (result.error) {
+            next(handshakeError(result.error, "UNAUTHORIZED"));
+            return;
+        }
+        if (result.user.suspendedAt) {
+            next(handshakeError("Your account has been suspended.", "ACCOUNT_SUSPENDED"));
+            return;
+        }
+
+        // remembering who is connected - socket.data lives as long as the connection
+        socket.data.userId = result.user._id.toString();
+        socket.data.sessionId = result.session._id.toString();
+        next();
+    } catch (error) {
+        next(handshakeError("Unauthorized access - Invalid token", "UNAUTHORIZED"));
+    }
+};
+
+// function to check the session of a connected socket is still active
+// the handshake only happens once, so a logout on another device must be noticed here
+const isSocketSessionActive = async (socket) => {
+    const session = await Session.findById(socket.data.sessionId);
+    return Boolean(session && session.isActive());
+};
+
+// function to handle a new connection - registers all chat events for this socket
+const handleConnection = (socket) => {
+    const userId = socket.data.userId;
+    socket.join(userRoom(userId));
+
+    // send message event - client sends { toUserId, text } and gets { ok, message | error } back
+    socket.on("chat:send", async (payload, ack) => {
+        const reply = typeof ack === "function" ? ack : () => {};
+        const { toUserId, text } = payload || {};
+
+        try {
+            if (!(await isSocketSessionActive(socket))) {
+                reply({ ok: false, error: "Your session has ended. Please log in again." });
+                socket.disconnect(true);
+                return;
+            }
+
+            const { count } = await messageRateStore.increment(userId, MESSAGE_RATE_WINDOW_MS);
+            if (count > MESSAGE_RATE_LIMIT) {
+                reply({ ok: false, error: "You are sending messages too quickly. Please slow down." });
+                return;
+            }
+
+            const result = await sendChatMessage({ senderId: userId, recipientId: toUserId, text });
+            if (result.error) {
+                reply({ ok: false, error: result.error });
+                return;
+            }
+
+            // delivering to the recipient and to the sender's other tabs
+            emitChatMessage(result.chatMessage);
+            reply({ ok: true, message: result.chatMessage });
+        } catch (error) {
+            console.error(`Error sending chat message from user ${userId}:`, error);
+            reply({ ok: false, error: "Error sending message" });
+        }
+    });
+
+    // typing event - client sends { toUserId } while the user types, we forward it to the other user
+    socket.on("chat:typing", async (payload) => {
+        const { toUserId } = payload || {};
+        try {
+            if (toUserId && (await ConnectionRequest.areConnected(userId, toUserId))) {
+                io.to(userRoom(toUserId)).emit("chat:typing", { fromUserId: userId });
+            }
+        } catch (error) {
+            // invalid user IDs end up here - typing indicators are not important enough to report
+        }
+    });
+};
+
+// function to attach the socket.io server to the HTTP server started in app.js
+// origins must be the same list CORS allows, so the browser can send the cookie
+// requests from any other origin are refused, because cors alone doesn't stop WebSocket connections
+const initChatSocket = (server, { origins }) => {
+    allowedOrigins = origins;
+    io = new Server(server, {
+        cors: { origin: origins, credentials: true },
+        allowRequest: allowSocketRequest,
+    });
+    io.use(authenticateSocket);
+    io.on("connection", handleConnection);
+    return io;
+};
+
+// function to send an event to every connected tab of a user (does nothing before initChatSocket)
+const emitToUser = (userId, event, payload) => {
+    if (io) {
+        io.to(userRoom(userId.toString())).emit(event, payload);
+    }
+};
+
+// function to deliver a saved chat message to both users
+const emitChatMessage = (chatMessage) => {
+    emitToUser(chatMessage.recipientId, "chat:message", chatMessage);
+    emitToUser(chatMessage.senderId, "chat:message", chatMessage);
+};
+
+// exporting the helpers so app.js can start the socket server and routes can push messages
+module.exports = {
+    initChatSocket,
+    emitToUser,
+    emitChatMessage,
+};
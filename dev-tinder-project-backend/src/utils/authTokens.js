@@ -0,0 +1,294 @@
+// importing crypto module for generating random refresh tokens and hashing them
+const crypto = require("crypto");
+// importing jsonwebtoken module for creating short-lived access tokens
+const jwt = require("jsonwebtoken");
+// importing Session model to store refresh tokens in database
+const { Session } = require("../models/session");
+// importing User model to remember the current two-factor login challenge
+const { User } = require("../models/user");
+
+// access tokens are short-lived - if one leaks it is only useful for a few minutes
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+// refresh tokens live longer and are rotated on every use
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+// if two tabs refresh at the same moment, the slower one presents the token that was just rotated
+// inside this window we don't treat it as theft, we just tell it the session is already refreshed
+const REFRESH_GRACE_PERIOD_MS = 30 * 1000; // 30 seconds
+// how many rotated token hashes we remember per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+// function to get the secret used for signing JWT tokens
+const getJwtSecret = () => {
+    return process.env.JWT_SECRET;
+};
+
+// function to hash a token before storing or comparing it
+// sha256 is enough here because refresh tokens are long random strings (not passwords)
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// function to build cookie options - must be the same when setting and clearing cookies
+// httpOnly: true means JavaScript can't access this cookie (more secure)
+// secure: true in production (HTTPS), false for localhost
+// sameSite: "none" needed for cross-origin in production, "lax" for localhost
+const getCookieOptions = (extra) => {
+    return {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+        ...extra,
+    };
+};
+
+// refresh token cookie is only sent to /auth routes, so it is not attached to every API call
+const REFRESH_COOKIE_PATH = "/auth";
+
+// function to create a signed access token for a user and session
+const signAccessToken = (user, session) => {
+    return jwt.sign(
+        { userId: user._id, emailID: user.emailID, sessionId: session._id },
+        getJwtSecret(),
+        { expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000) }
+    );
+};
+
+// two-factor login challenges are valid for a few minutes - enough to open the authenticator app
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// function to create the challenge token returned by /auth/login when two-factor is enabled
+// "purpose" makes sure it can't be used as an access token (those carry a sessionId instead)
+// the random challenge ID (jti) is stored on the user - only the newest challenge works, and only once
+const signTwoFactorChallenge = async (user) => {
+    const challengeId = crypto.randomBytes(16).toString("hex");
+    await User.updateOne({ _id: user._id }, { twoFactorChallengeId: challengeId });
+    return jwt.sign(
+        { userId: user._id, purpose: "2fa-login" },
+        getJwtSecret(),
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS, jwtid: challengeId }
+    );
+};
+
+// function to check a challenge token - returns { userId, challengeId } or null if invalid/expired
+// it doesn't check if the challenge was already used, consumeTwoFactorChallenge does that
+const verifyTwoFactorChallenge = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(challengeToken, getJwtSecret());
+        if (decoded.purpose !== "2fa-login" || !decoded.jti) {
+            return null;
+        }
+        return { userId: decoded.userId, challengeId: decoded.jti };
+    } catch (error) {
+        return null;
+    }
+};
+
+// function to use up a challenge once the second factor was checked - returns false if it was already used
+// the condition in the filter makes this atomic - two parallel requests can't both use the challenge
+const consumeTwoFactorChallenge = async (userId, challengeId) => {
+    const result = await User.updateOne(
+        { _id: userId, twoFactorChallengeId: challengeId },
+        { twoFactorChallengeId: null }
+    );
+    return result.modifiedCount === 1;
+};
+
+// function to create a new random refresh token for a session
+// format is "<sessionId>.<random secret>" so we can find the session without a lookup by hash
+const generateRefreshToken = (session) => {
+    const secret = crypto.randomBytes(48).toString("hex");
+    return `${session._id}.${secret}`;
+};
+
+// function to split a refresh token into session ID and secret part
+const parseRefreshToken = (refreshToken) => {
+    if (!refreshToken || typeof refreshToken !== "string") {
+        return null;
+    }
+    const [sessionId, secret] = refreshToken.split(".");
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+        return null;
+    }
+    return { sessionId };
+};
+
+// function to set both authentication cookies on the response
+const setAuthCookies = (res, accessToken, refreshToken) => {
+    res.cookie("token", accessToken, getCookieOptions({ maxAge: ACCESS_TOKEN_TTL_MS }));
+    res.cookie("refreshToken", refreshToken, getCookieOptions({ maxAge: REFRESH_TOKEN_TTL_MS, path: REFRESH_COOKIE_PATH }));
+};
+
+// function to clear both authentication cookies - used on logout and account deletion
+const clearAuthCookies = (res) => {
+    res.clearCookie("token", getCookieOptions());
+    res.clearCookie("refreshToken", getCookieOptions({ path: REFRESH_COOKIE_PATH }));
+};
+
+// function to start a new session for a user after signup or login
+// creates the Session document and sets the access + refresh cookies
+const startSession = async (user, req, res) => {
+    const session = new Session({
+        userId: user._id,
+        refreshTokenHash: "pending", // replaced below once we know the session ID
+        userAgent: req.get("user-agent") || "",
+        ipAddress: req.ip || "",
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+    const refreshToken = generateRefreshToken(session);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    setAuthCookies(res, signAccessToken(user, session), refreshToken);
+    return session;
+};
+
+// function to rotate a refresh token - returns an object describing what happened
+// result is one of: "rotated", "already-rotated", "reused", "invalid"
+const rotateRefreshToken = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return { result: "invalid" };
+    }
+
+    let session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) {
+        return { result: "invalid" };
+    }
+
+    const presentedHash = hashToken(refreshToken);
+
+    if (presentedHash === session.refreshTokenHash) {
+        // issuing a new refresh token and remembering the old one for reuse detection
+        // this is one conditional update - it only matches while the presented token is still the current one,
+        // so two parallel refreshes with the same token can't both rotate it and end up with two valid tokens
+        const newRefreshToken = generateRefreshToken(session);
+        const now = new Date();
+        const rotatedSession = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+            {
+                $set: {
+                    refreshTokenHash: hashToken(newRefreshToken),
+                    rotatedAt: now,
+                    lastUsedAt: now,
+                    ipAddress: req.ip || session.ipAddress,
+                },
+                $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } },
+            },
+            { new: true }
+        );
+        if (rotatedSession) {
+            return { result: "rotated", session: rotatedSession, refreshToken: newRefreshToken };
+        }
+
+        // another request rotated (or revoked) the session in between - checking the token again below
+        session = await Session.findById(parsed.sessionId);
+        if (!session || !session.isActive()) {
+            return { result: "invalid" };
+        }
+    }
+
+    // token is not the current one - check if it is an old rotated token
+    if (!session.previousTokenHashes.includes(presentedHash)) {
+        return { result: "invalid" };
+    }
+
+    // the token that was rotated a moment ago - probably a parallel request from another tab
+    const lastRotatedHash = session.previousTokenHashes[session.previousTokenHashes.length - 1];
+    const rotatedRecently = Date.now() - session.rotatedAt.getTime() < REFRESH_GRACE_PERIOD_MS;
+    if (presentedHash === lastRotatedHash && rotatedRecently) {
+        return { result: "already-rotated", session };
+    }
+
+    // an old token was replayed - someone else has it, so kill the whole session family
+    await session.revoke("refresh-token-reuse");
+    return { result: "reused", session };
+};
+
+// function to revoke the session that belongs to a refresh token (used on logout)
+const revokeRefreshToken = async (refreshToken, reason) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return;
+    }
+    const session = await Session.findById(parsed.sessionId);
+    if (session && !session.revokedAt && session.refreshTokenHash === hashToken(refreshToken)) {
+        await session.revoke(reason);
+    }
+};
+
+// function to revoke every active session of a user
+// exceptSessionId keeps one session alive (e.g. the device that changed the password)
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+};
+
+// function to turn a user agent string into a short readable device name like "Chrome on Windows"
+// we only need a rough description for the sessions list, so a few simple checks are enough
+const describeDevice = (userAgent) => {
+    if (!userAgent) {
+        return "Unknown device";
+    }
+
+    // order matters - Edge and Opera user agents also contain "Chrome", Chrome contains "Safari"
+    const browsers = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Firefox/", "Firefox"], ["Chrome/", "Chrome"], ["Safari/", "Safari"]];
+    const systems = [["iPhone", "iPhone"], ["iPad", "iPad"], ["Android", "Android"], ["Windows", "Windows"], ["Mac OS", "macOS"], ["Linux", "Linux"]];
+
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+
+    if (!browser && !system) {
+        // probably a script or CLI tool - showing the first part of the user agent
+        return userAgent.split(" ")[0].slice(0, 50);
+    }
+    if (!browser) {
+        return system[1];
+    }
+    return system ? `${browser[1]} on ${system[1]}` : browser[1];
+};
+
+// personal access tokens start with this prefix, so userAuth can tell them apart from JWTs
+// (and secret scanners can recognize a leaked token)
+const PERSONAL_ACCESS_TOKEN_PREFIX = "dtp_";
+
+// function to create a new personal access token
+// returns the raw token (shown to the user once), its hash (stored) and a short prefix (shown in lists)
+const generatePersonalAccessToken = () => {
+    const token = PERSONAL_ACCESS_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+    return {
+        token,
+        tokenHash: hashToken(token),
+        tokenPrefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+    };
+};
+
+// function to check if a bearer token is a personal access token (and not a JWT access token)
+const isPersonalAccessToken = (token) => {
+    return typeof token === "string" && token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+};
+
+// exporting the helpers so routes and middlewares can use them
+module.exports = {
+    ACCESS_TOKEN_TTL_MS,
+    REFRESH_TOKEN_TTL_MS,
+    getJwtSecret,
+    hashToken,
+    getCookieOptions,
+    signAccessToken,
+    setAuthCookies,
+    clearAuthCookies,
+    startSession,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserSessions,
+    describeDevice,
+    signTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    consumeTwoFactorChallenge,
+    generatePersonalAccessToken,
+    isPersonalAccessToken,
+};
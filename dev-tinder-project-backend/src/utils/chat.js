@@ -0,0 +1,50 @@
+// importing models needed to store chat messages
+const { Conversation } = require("../models/conversation");
+const { Message, MESSAGE_MAX_LENGTH } = require("../models/message");
+const { ConnectionRequest } = require("../models/connectionRequest");
+const { User } = require("../models/user");
+
+// function to save a chat message from one user to another
+// used by the socket "chat:send" event and by POST /chat/:userId/messages
+// returns { chatMessage } or { status, error } when the message can't be sent
+const sendChatMessage = async ({ senderId, recipientId, text }) => {
+    const trimmedText = typeof text === "string" ? text.trim() : "";
+    if (!trimmedText || trimmedText.length > MESSAGE_MAX_LENGTH) {
+        return { status: 400, error: `Message must be between 1 and ${MESSAGE_MAX_LENGTH} characters.` };
+    }
+    if (senderId.toString() === String(recipientId)) {
+        return { status: 400, error: "You cannot send a message to yourself." };
+    }
+
+    const recipient = await User.findById(recipientId);
+    if (!recipient || recipient.suspendedAt) {
+        return { status: 404, error: "User not found" };
+    }
+
+    // only accepted connections can chat (blocking removes the connection, so blocked users can't either)
+    if (!(await ConnectionRequest.areConnected(senderId, recipient._id))) {
+        return { status: 403, error: "You can only chat with your connections." };
+    }
+
+    const conversation = await Conversation.findOrCreateBetween(senderId, recipient._id);
+    const chatMessage = await Message.create({
+        conversationId: conversation._id,
+        senderId,
+        recipientId: recipient._id,
+        text: trimmedText,
+    });
+
+    // updating the preview shown in conversation lists
+    await Conversation.updateOne({ _id: conversation._id }, {
+        lastMessageText: trimmedText.slice(0, 200),
+        lastMessageSenderId: senderId,
+        lastMessageAt: chatMessage.createdAt,
+    });
+
+    return { chatMessage };
+};
+
+// exporting the helper so routes and sockets can send messages
+module.exports = {
+    sendChatMessage,
+};
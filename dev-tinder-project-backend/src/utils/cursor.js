@@ -0,0 +1,78 @@
+// cursor pagination - lists return nextCursor, the client sends it back as ?cursor= to get the next page
+// a cursor is the sort values of the last item of a page, as base64url JSON - clients should treat it as opaque
+// unlike ?page=, items that disappear or show up between two requests don't shift the next page
+
+// importing mongoose to check and convert the ObjectIds stored in cursors
+const mongoose = require("mongoose");
+
+// longest cursor we try to decode - a real one is well below this
+const MAX_CURSOR_LENGTH = 512;
+
+// function to turn the sort values of the last item into a cursor string
+const encodeCursor = (values) => {
+    return Buffer.from(JSON.stringify(values)).toString("base64url");
+};
+
+// function to read a cursor string back - returns null when it's not a cursor we created
+const decodeCursor = (cursor) => {
+    if (typeof cursor !== "string" || cursor.length === 0 || cursor.length > MAX_CURSOR_LENGTH) {
+        return null;
+    }
+    try {
+        const values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (!values || typeof values !== "object" || Array.isArray(values)) {
+            return null;
+        }
+        return values;
+    } catch (error) {
+        return null;
+    }
+};
+
+// function to read ?cursor= and ?limit= from the query string
+// returns { cursor (null on the first page), limit }, or null after sending a 400 response for a broken cursor
+const readCursorParams = (query, res, defaultLimit = 20, maxLimit = 100) => {
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    if (query.cursor === undefined || query.cursor === "") {
+        return { cursor: null, limit };
+    }
+
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+        res.status(400);
+        res.json({ message: "Invalid cursor. Start again without a cursor." });
+        return null;
+    }
+    return { cursor, limit };
+};
+
+// function to build the "comes after the cursor" query for lists sorted by a date field and _id, newest first
+// cursor is { date: milliseconds, id } - _id breaks ties between items with the same date
+// returns null when the cursor doesn't have the expected values
+const olderThanCursorQuery = (field, cursor) => {
+    const date = new Date(cursor.date);
+    if (!Number.isFinite(cursor.date) || !mongoose.Types.ObjectId.isValid(cursor.id)) {
+        return null;
+    }
+    const id = new mongoose.Types.ObjectId(cursor.id);
+    return {
+        $or: [
+            { [field]: { $lt: date } },
+            { [field]: date, _id: { $lt: id } },
+        ],
+    };
+};
+
+// function to create the cursor for an item of a list sorted by a date field and _id
+const dateCursor = (field, item) => {
+    return encodeCursor({ date: new Date(item[field]).getTime(), id: item._id.toString() });
+};
+
+// exporting the cursor helpers so list routes can paginate the same way
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    readCursorParams,
+    olderThanCursorQuery,
+    dateCursor,
+};
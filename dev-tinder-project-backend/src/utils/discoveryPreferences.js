@@ -0,0 +1,51 @@
+// discovery preferences - what a user is looking for in the feed (stored in user.preferences)
+// the feed applies them when it's opened without filters, and match scoring uses the age range and genders
+
+// function to read the discovery preferences of a user, with defaults for users who never saved them
+const getDiscoveryPreferences = (user) => {
+    const preferences = user.preferences || {};
+    return {
+        skills: [...(preferences.skills || [])],
+        ageMin: preferences.ageMin ?? null,
+        ageMax: preferences.ageMax ?? null,
+        genders: [...(preferences.genders || [])],
+        maxDistanceKm: preferences.maxDistanceKm ?? null,
+        experienceLevel: preferences.experienceLevel ?? null,
+    };
+};
+
+// function to turn discovery preferences into feed filters (the format validateFeedFilters returns)
+// preferred skills are "any of" - a preference shouldn't hide everyone who misses one skill
+// maxDistanceKm and experienceLevel are left out, profiles have nothing to compare them with yet
+const preferencesToFeedFilters = (preferences) => {
+    const filters = {};
+    if (preferences.skills.length > 0) {
+        filters.anySkills = preferences.skills;
+    }
+    if (preferences.ageMin) {
+        filters.ageMin = preferences.ageMin;
+    }
+    if (preferences.ageMax) {
+        filters.ageMax = preferences.ageMax;
+    }
+    if (preferences.genders.length > 0) {
+        filters.genders = preferences.genders;
+    }
+    return filters;
+};
+
+// function to pick the preferences match scoring understands - { ageMin, ageMax, genders }
+const toScoringPreferences = (preferences) => {
+    return {
+        ageMin: preferences.ageMin,
+        ageMax: preferences.ageMax,
+        genders: preferences.genders,
+    };
+};
+
+// exporting the helpers so the profile and feed routes can use them
+module.exports = {
+    getDiscoveryPreferences,
+    preferencesToFeedFilters,
+    toScoringPreferences,
+};
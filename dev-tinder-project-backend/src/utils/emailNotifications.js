@@ -0,0 +1,79 @@
+// importing User model to read the recipient's email preferences
+const { User } = require("../models/user");
+// importing ConnectionRequest model to add the sender's note to request emails
+const { ConnectionRequest } = require("../models/connectionRequest");
+// importing mailer and email templates for the notification emails
+const { sendMail } = require("./mailer");
+const { buildFrontendUrl, connectionRequestEmail, newConnectionEmail } = require("./emailTemplates");
+// importing helper for the unsubscribe links every notification email carries
+const { buildUnsubscribeLinks } = require("./unsubscribe");
+
+// which email preference decides about each notification type
+// connection_removed has no email - nobody wants an email about that
+const NOTIFICATION_EMAIL_PREFERENCES = {
+    connection_request: "connectionRequests",
+    request_accepted: "newConnections",
+};
+
+// the frequency users get when they never changed their settings
+// emails are opt-in - nobody gets notification emails or digests they didn't ask for
+const DEFAULT_EMAIL_FREQUENCY = "off";
+
+// function to get how often a user wants emails about one event
+const getEmailFrequency = (user, key) => {
+    return user.emailPreferences?.[key] || DEFAULT_EMAIL_FREQUENCY;
+};
+
+// function to build a database filter for users with a frequency for one preference
+// users created before preferences existed have no value stored, they count as the default
+const emailFrequencyFilter = (key, frequency) => {
+    const field = `emailPreferences.${key}`;
+    return frequency === DEFAULT_EMAIL_FREQUENCY
+        ? { [field]: { $in: [frequency, null] } }
+        : { [field]: frequency };
+};
+
+// function to check if a user can get notification emails at all
+// unverified addresses may not belong to the user, suspended users shouldn't be nudged back
+const canReceiveNotificationEmails = (user) => {
+    return Boolean(user && user.emailVerified && !user.suspendedAt);
+};
+
+// function to email a notification right away - only for users who chose "instant" for it
+// called by notifyUser() for every new notification
+const sendInstantNotificationEmail = async (notification) => {
+    const key = NOTIFICATION_EMAIL_PREFERENCES[notification.type];
+    if (!key) {
+        return;
+    }
+
+    const user = await User.findById(notification.userId);
+    if (!canReceiveNotificationEmails(user) || getEmailFrequency(user, key) !== "instant") {
+        return;
+    }
+    const actor = await User.findById(notification.actorId, "firstName lastName");
+    if (!actor) {
+        return;
+    }
+
+    const { unsubscribeUrl, headers } = buildUnsubscribeLinks(user._id, key);
+    const preferencesUrl = buildFrontendUrl("/profile/notifications");
+    let email;
+    if (notification.type === "connection_request") {
+        const request = notification.requestId ? await ConnectionRequest.findById(notification.requestId, "note") : null;
+        email = connectionRequestEmail({ user, fromUser: actor, note: request?.note, requestsUrl: buildFrontendUrl("/requests"), unsubscribeUrl, preferencesUrl });
+    } else {
+        email = newConnectionEmail({ user, connection: actor, connectionsUrl: buildFrontendUrl("/connections"), unsubscribeUrl, preferencesUrl });
+    }
+
+    await sendMail({ to: user.emailID, ...email, headers });
+};
+
+// exporting the helpers so notifications and the digest job can use them
+module.exports = {
+    DEFAULT_EMAIL_FREQUENCY,
+    getEmailFrequency,
+    emailFrequencyFilter,
+    canReceiveNotificationEmails,
+    sendInstantNotificationEmail,
+};
@@ -0,0 +1,199 @@
+// function to build a link to a page of the frontend app
+// FRONTEND_URL can contain several comma separated URLs (for CORS), the first one is used for links
+const buildFrontendUrl = (pathname) => {
+    const frontendUrl = (process.env.FRONTEND_URL || "http://localhost:5173").split(",")[0].trim();
+    return `${frontendUrl.replace(/\/$/, "")}${pathname}`;
+};
+
+// function to escape text before putting it into HTML emails
+const escapeHtml = (value) => {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+};
+
+// function to wrap email content in a simple HTML layout shared by all emails
+const renderLayout = (title, bodyHtml) => {
+    return `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; background: #f4f4f5; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 24px;">
+      <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="color: #71717a; font-size: 12px; margin-top: 32px;">DevTinder</p>
+    </div>
+  </body>
+</html>`;
+};
+
+// function to render a call-to-action button
+const renderButton = (url, label) => {
+    return `<p><a href="${escapeHtml(url)}" style="display: inline-block; background: #605dff; color: #ffffff; padding: 10px 18px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+};
+
+// password reset email - sent from POST /auth/forgot-password and when an admin forces a reset
+const passwordResetEmail = ({ user, resetUrl, expiresInMinutes, forcedByAdmin = false }) => {
+    const subject = "Reset your DevTinder password";
+    // admin forced resets can't be ignored - the old password doesn't work anymore
+    const intro = forcedByAdmin
+        ? "For your security, an administrator has required a password reset on your DevTinder account. You need to choose a new password before you can log in again."
+        : "We received a request to reset your DevTinder password.";
+    const outro = forcedByAdmin
+        ? "If the link has expired, request a new one from the \"Forgot password\" page."
+        : "If you didn't ask for this, you can ignore this email - your password stays the same.";
+    const text = [
+        `Hi ${user.firstName},`,
+        "",
+        intro,
+        `Open this link to choose a new password (valid for ${expiresInMinutes} minutes):`,
+        resetUrl,
+        "",
+        outro,
+    ].join("\n");
+    const html = renderLayout(subject, `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>${intro} The link is valid for ${expiresInMinutes} minutes.</p>
+      ${renderButton(resetUrl, "Reset password")}
+      <p>${escapeHtml(outro)}</p>
+    `);
+    return { subject, text, html };
+};
+
+// email verification email - sent after signup and from POST /auth/resend-verification
+const emailVerificationEmail = ({ user, verifyUrl, expiresInHours }) => {
+    const subject = "Verify your DevTinder email";
+    const text = [
+        `Hi ${user.firstName},`,
+        "",
+        "Welcome to DevTinder! Please confirm your email address to start discovering developers.",
+        `Open this link to verify your email (valid for ${expiresInHours} hours):`,
+        verifyUrl,
+        "",
+        "If you didn't create a DevTinder account, you can ignore this email.",
+    ].join("\n");
+    const html = renderLayout(subject, `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Welcome to DevTinder! Please confirm your email address to start discovering developers. The link is valid for ${expiresInHours} hours.</p>
+      ${renderButton(verifyUrl, "Verify email")}
+      <p>If you didn't create a DevTinder account, you can ignore this email.</p>
+    `);
+    return { subject, text, html };
+};
+
+// function to render the footer of notification emails - how to change settings or stop the emails
+const renderNotificationFooter = ({ unsubscribeUrl, preferencesUrl }) => {
+    return `<p style="color: #71717a; font-size: 12px; margin-top: 24px;">
+        You get this email because of your <a href="${escapeHtml(preferencesUrl)}">email notification settings</a>.
+        <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>
+      </p>`;
+};
+
+// function to build the text version of the same footer
+const notificationFooterText = ({ unsubscribeUrl, preferencesUrl }) => {
+    return [
+        "",
+        "--",
+        `Change your email notification settings: ${preferencesUrl}`,
+        `Unsubscribe: ${unsubscribeUrl}`,
+    ];
+};
+
+// function to get a user's full name for emails
+const fullName = (user) => `${user.firstName} ${user.lastName || ""}`.trim();
+
+// instant connection request email - sent when someone is interested in the user
+// note is the sender's optional personal note
+const connectionRequestEmail = ({ user, fromUser, note, requestsUrl, unsubscribeUrl, preferencesUrl }) => {
+    const subject = `${fullName(fromUser)} wants to connect with you on DevTinder`;
+    const text = [
+        `Hi ${user.firstName},`,
+        "",
+        `${fullName(fromUser)} is interested in connecting with you.`,
+        ...(note ? ["", `"${note}"`, ""] : []),
+        `Review the request: ${requestsUrl}`,
+        ...notificationFooterText({ unsubscribeUrl, preferencesUrl }),
+    ].join("\n");
+    const html = renderLayout(subject, `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p><strong>${escapeHtml(fullName(fromUser))}</strong> is interested in connecting with you.</p>
+      ${note ? `<blockquote style="margin: 16px 0; padding: 8px 16px; border-left: 4px solid #d4d4d8; color: #3f3f46; white-space: pre-line;">${escapeHtml(note)}</blockquote>` : ""}
+      ${renderButton(requestsUrl, "Review request")}
+      ${renderNotificationFooter({ unsubscribeUrl, preferencesUrl })}
+    `);
+    return { subject, text, html };
+};
+
+// instant new connection email - sent when someone accepted the user's request
+const newConnectionEmail = ({ user, connection, connectionsUrl, unsubscribeUrl, preferencesUrl }) => {
+    const subject = `${fullName(connection)} accepted your connection request`;
+    const text = [
+        `Hi ${user.firstName},`,
+        "",
+        `${fullName(connection)} accepted your connection request. Say hi!`,
+        `See your connections: ${connectionsUrl}`,
+        ...notificationFooterText({ unsubscribeUrl, preferencesUrl }),
+    ].join("\n");
+    const html = renderLayout(subject, `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p><strong>${escapeHtml(fullName(connection))}</strong> accepted your connection request. Say hi!</p>
+      ${renderButton(connectionsUrl, "See connections")}
+      ${renderNotificationFooter({ unsubscribeUrl, preferencesUrl })}
+    `);
+    return { subject, text, html };
+};
+
+// digest email - daily or weekly summary of pending requests and new connections
+// pendingRequests and newConnections are lists of users (at most a few), the counts are the totals
+// a section is left out when it's null (the user doesn't get that event in this digest)
+const digestEmail = ({ user, frequency, pendingRequests, pendingCount, newConnections, newConnectionsCount, requestsUrl, connectionsUrl, unsubscribeUrl, preferencesUrl }) => {
+    const period = frequency === "weekly" ? "this week" : "today";
+    const subject = `Your ${frequency} DevTinder summary`;
+
+    const textLines = [`Hi ${user.firstName},`, "", `Here's what happened on DevTinder ${period}.`];
+    let sectionsHtml = "";
+
+    if (pendingRequests) {
+        const names = pendingRequests.map(fullName);
+        const more = pendingCount > names.length ? ` and ${pendingCount - names.length} more` : "";
+        textLines.push("", `${pendingCount} connection request${pendingCount === 1 ? " is" : "s are"} waiting for you: ${names.join(", ")}${more}`, `Review them: ${requestsUrl}`);
+        sectionsHtml += `
+      <h3>${pendingCount} pending connection request${pendingCount === 1 ? "" : "s"}</h3>
+      <ul>${names.map((name) => `<li>${escapeHtml(name)}</li>`).join("")}</ul>
+      ${more ? `<p>...${escapeHtml(more)}</p>` : ""}
+      ${renderButton(requestsUrl, "Review requests")}`;
+    }
+
+    if (newConnections) {
+        const names = newConnections.map(fullName);
+        const more = newConnectionsCount > names.length ? ` and ${newConnectionsCount - names.length} more` : "";
+        textLines.push("", `${newConnectionsCount} new connection${newConnectionsCount === 1 ? "" : "s"}: ${names.join(", ")}${more}`, `See your connections: ${connectionsUrl}`);
+        sectionsHtml += `
+      <h3>${newConnectionsCount} new connection${newConnectionsCount === 1 ? "" : "s"}</h3>
+      <ul>${names.map((name) => `<li>${escapeHtml(name)}</li>`).join("")}</ul>
+      ${more ? `<p>...${escapeHtml(more)}</p>` : ""}
+      ${renderButton(connectionsUrl, "See connections")}`;
+    }
+
+    textLines.push(...notificationFooterText({ unsubscribeUrl, preferencesUrl }));
+    const html = renderLayout(subject, `
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>Here's what happened on DevTinder ${period}.</p>
+      ${sectionsHtml}
+      ${renderNotificationFooter({ unsubscribeUrl, preferencesUrl })}
+    `);
+    return { subject, text: textLines.join("\n"), html };
+};
+
+// exporting the templates so routes can use them
+module.exports = {
+    buildFrontendUrl,
+    escapeHtml,
+    passwordResetEmail,
+    emailVerificationEmail,
+    connectionRequestEmail,
+    newConnectionEmail,
+    digestEmail,
+};
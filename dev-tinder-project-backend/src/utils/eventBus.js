@@ -0,0 +1,45 @@
+// importing EventEmitter from node - the event bus lives in this process only
+// running several server processes would need a shared bus (e.g. Redis pub/sub) instead
+const { EventEmitter } = require("events");
+
+// live event types sent to the browser over GET /events
+const LIVE_EVENT_TYPES = [
+    "request.received",     // someone is interested in you
+    "request.accepted",     // a request between you and someone was accepted - they are a connection now
+    "request.withdrawn",    // a pending request between you and someone was taken back by its sender
+    "request.expired",      // a pending request between you and someone expired
+    "connection.removed",   // a connection between you and someone is gone
+    "profile.updated",      // you or one of your connections changed their profile
+    "notification.created", // a new notification for the bell
+];
+
+const bus = new EventEmitter();
+// one listener per open /events stream - there is no sensible maximum
+bus.setMaxListeners(0);
+
+// every user has their own channel, so a stream only receives its user's events
+const userChannel = (userId) => `user:${userId.toString()}`;
+
+// function to send an event to every open stream of a user
+// route handlers call this after the database change went through
+const publishUserEvent = (userId, type, data = {}) => {
+    if (!LIVE_EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown live event type: ${type}`);
+    }
+    bus.emit(userChannel(userId), { type, data });
+};
+
+// function to listen to a user's events - listener gets { type, data }
+// returns a function that stops listening (call it when the stream closes)
+const subscribeToUser = (userId, listener) => {
+    const channel = userChannel(userId);
+    bus.on(channel, listener);
+    return () => bus.off(channel, listener);
+};
+
+// exporting the bus helpers so routes can publish and the events route can subscribe
+module.exports = {
+    LIVE_EVENT_TYPES,
+    publishUserEvent,
+    subscribeToUser,
+};
@@ -0,0 +1,58 @@
+// importing User model to count failed logins on the account
+const { User } = require("../models/user");
+
+// progressive lockout - after this many failed logins in a row the account gets locked
+const LOCKOUT_THRESHOLD = 5;
+// first lockout lasts 1 minute, every further failure doubles it, up to 1 hour
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// function to describe a lockout time in words for error messages
+const formatWaitTime = (ms) => {
+    const minutes = Math.ceil(ms / 60000);
+    return minutes <= 1 ? "1 minute" : `${minutes} minutes`;
+};
+
+// function to get how many milliseconds the account is still locked (0 if not locked)
+const getLockoutRemainingMs = (user) => {
+    if (!user.lockUntil) {
+        return 0;
+    }
+    return Math.max(user.lockUntil.getTime() - Date.now(), 0);
+};
+
+// function to count a failed login (wrong password or wrong two-factor code)
+// returns { attempts, lockMs } - lockMs is 0 if the account did not get locked
+const registerFailedLogin = async (user) => {
+    // $inc is atomic, so parallel guesses are all counted
+    const updatedUser = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    );
+    const attempts = updatedUser.failedLoginAttempts;
+
+    // locking the account once the threshold is reached, longer with every further failure
+    if (attempts >= LOCKOUT_THRESHOLD) {
+        const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (attempts - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+        await User.updateOne({ _id: user._id }, { lockUntil: new Date(Date.now() + lockMs) });
+        return { attempts, lockMs };
+    }
+    return { attempts, lockMs: 0 };
+};
+
+// function to forget earlier failed attempts after a successful login
+const clearFailedLogins = async (user) => {
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+        await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockUntil: null });
+    }
+};
+
+// exporting the helpers so login routes can use them
+module.exports = {
+    LOCKOUT_THRESHOLD,
+    formatWaitTime,
+    getLockoutRemainingMs,
+    registerFailedLogin,
+    clearFailedLogins,
+};
@@ -0,0 +1,120 @@
+// importing fs and path modules for the file transport (writes emails to disk)
+const fs = require("fs");
+const path = require("path");
+
+// every transport is an object with a send(mail) function that returns a promise
+// mail looks like: { to, subject, text, html, headers }
+// this way routes don't care if emails go to a real SMTP server, a folder or an array in memory
+
+
+// smtp transport - used in production, sends real emails through nodemailer
+// configured with SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS environment variables
+const createSmtpTransport = () => {
+    // requiring nodemailer only when SMTP is used, so local development works without SMTP settings
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true", // true for port 465, false for other ports
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+
+    return {
+        name: "smtp",
+        send: async (mail) => {
+            await transporter.sendMail({ from: process.env.MAIL_FROM, ...mail });
+        },
+    };
+};
+
+// file transport - for local development, writes every email as a JSON file into a folder
+// open the file to copy the reset/verification link, no mail server needed
+const createFileTransport = (outputDir) => {
+    const directory = outputDir || process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), "tmp", "mails");
+
+    return {
+        name: "file",
+        send: async (mail) => {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const fileName = `${Date.now()}-${mail.to.replace(/[^a-z0-9@.]/gi, "_")}.json`;
+            const filePath = path.join(directory, fileName);
+            await fs.promises.writeFile(filePath, JSON.stringify({ from: process.env.MAIL_FROM, ...mail, sentAt: new Date() }, null, 2));
+            console.log(`Email "${mail.subject}" to ${mail.to} written to ${filePath}`);
+        },
+    };
+};
+
+// console transport - prints emails to the terminal, handy when running the server locally
+const createConsoleTransport = () => {
+    return {
+        name: "console",
+        send: async (mail) => {
+            console.log("---------------- Email ----------------");
+            console.log(`To: ${mail.to}`);
+            console.log(`Subject: ${mail.subject}`);
+            console.log(mail.text);
+            console.log("---------------------------------------");
+        },
+    };
+};
+
+// memory transport - keeps emails in an array, used by tests to read what was sent
+const createMemoryTransport = () => {
+    const sent = [];
+    return {
+        name: "memory",
+        sent,
+        send: async (mail) => {
+            sent.push({ ...mail, sentAt: new Date() });
+        },
+    };
+};
+
+// function to pick a transport from the MAIL_TRANSPORT environment variable
+// defaults to smtp in production and console everywhere else
+const createTransportFromEnv = () => {
+    const transportName = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "console");
+    switch (transportName) {
+        case "smtp":
+            return createSmtpTransport();
+        case "file":
+            return createFileTransport();
+        case "memory":
+            return createMemoryTransport();
+        default:
+            return createConsoleTransport();
+    }
+};
+
+// the transport used by sendMail - created lazily on first email
+let activeTransport = null;
+
+// function to replace the transport (e.g. tests can plug in a memory transport)
+const setMailTransport = (transport) => {
+    activeTransport = transport;
+};
+
+// function to get the transport that is currently used
+const getMailTransport = () => {
+    if (!activeTransport) {
+        activeTransport = createTransportFromEnv();
+    }
+    return activeTransport;
+};
+
+// function to send an email through the active transport
+// mail should contain: to, subject, text and html
+const sendMail = async (mail) => {
+    await getMailTransport().send(mail);
+};
+
+// exporting the functions so routes can send emails
+module.exports = {
+    sendMail,
+    setMailTransport,
+    getMailTransport,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    createMemoryTransport,
+};
@@ -0,0 +1,244 @@
+// match scoring - ranks feed candidates for a viewer and explains why they matched
+// every scorer looks at one thing (shared skills, activity, ...) and returns a value between 0 and 1
+// the final score is the weighted average of all scorers, as a number from 0 to 100
+//
+// to tune the feed, change DEFAULT_WEIGHTS below or set MATCH_SCORING_WEIGHTS in .env,
+// e.g. MATCH_SCORING_WEIGHTS={"skillOverlap":4,"activity":0} - a weight of 0 turns a scorer off
+// to add a new signal, add a scorer to SCORERS (or call registerScorer() from another file)
+
+// how much every scorer counts - relative to each other, they don't have to add up to anything
+const DEFAULT_WEIGHTS = {
+    skillOverlap: 3,
+    skillComplement: 2,
+    profileCompleteness: 1,
+    activity: 2,
+    agePreference: 1,
+    genderPreference: 1,
+};
+
+// how many reasons a match shows at most
+const MAX_REASONS = 3;
+// a scorer must reach this value for its reason to be shown
+const REASON_THRESHOLD = 0.5;
+
+// function to normalize skills for comparing - "React " and "react" are the same skill
+const normalizeSkills = (skills) => {
+    return new Map((skills || []).map((skill) => [String(skill).trim().toLowerCase(), String(skill).trim()]));
+};
+
+// function to turn a list of skills into readable text - "React, Node.js and Go"
+const listSkills = (skills) => {
+    if (skills.length <= 1) {
+        return skills.join("");
+    }
+    return `${skills.slice(0, -1).join(", ")} and ${skills[skills.length - 1]}`;
+};
+
+// shared skills - the more of the viewer's skills the candidate also has, the better
+const skillOverlap = (viewer, candidate) => {
+    const viewerSkills = normalizeSkills(viewer.skills);
+    const candidateSkills = normalizeSkills(candidate.skills);
+    if (viewerSkills.size === 0 || candidateSkills.size === 0) {
+        return { value: 0 };
+    }
+
+    const shared = [...candidateSkills.keys()].filter((skill) => viewerSkills.has(skill));
+    // dividing by the smaller list - a candidate with 2 skills can't share 5
+    const value = shared.length / Math.min(viewerSkills.size, candidateSkills.size);
+    return {
+        value,
+        reason: shared.length > 0 ? `You both know ${listSkills(shared.map((skill) => viewerSkills.get(skill)))}` : null,
+    };
+};
+
+// complementary skills - skills the candidate brings that the viewer doesn't have
+// counts most when there is also some common ground, two people with nothing in common rarely click
+const skillComplement = (viewer, candidate) => {
+    const viewerSkills = normalizeSkills(viewer.skills);
+    const candidateSkills = normalizeSkills(candidate.skills);
+    if (viewerSkills.size === 0 || candidateSkills.size === 0) {
+        return { value: 0 };
+    }
+
+    const newSkills = [...candidateSkills.keys()].filter((skill) => !viewerSkills.has(skill));
+    const hasCommonGround = newSkills.length < candidateSkills.size;
+    // up to 3 new skills count, more don't make a better match
+    const value = (Math.min(newSkills.length, 3) / 3) * (hasCommonGround ? 1 : 0.5);
+    return {
+        value,
+        reason: newSkills.length > 0 ? `Knows ${listSkills(newSkills.slice(0, 3).map((skill) => candidateSkills.get(skill)))}` : null,
+    };
+};
+
+// profile completeness - people who filled in their profile are easier to decide about
+const profileCompleteness = (viewer, candidate) => {
+    const filled = [
+        Boolean(candidate.photoUrl),
+        Boolean(candidate.about),
+        (candidate.skills || []).length > 0,
+        Boolean(candidate.age),
+        Boolean(candidate.gender),
+    ];
+    const value = filled.filter(Boolean).length / filled.length;
+    return { value, reason: value === 1 ? "Complete profile" : null };
+};
+
+// activity - recently active people are more likely to answer
+// the reason is left out for users who hide their presence, the score alone reveals nothing exact
+const activity = (viewer, candidate, { now }) => {
+    if (!candidate.lastActiveAt) {
+        return { value: 0 };
+    }
+    const inactiveDays = (now - new Date(candidate.lastActiveAt).getTime()) / (24 * 60 * 60 * 1000);
+    // 1 when active today, going down to 0 after 30 days
+    const value = Math.max(0, 1 - Math.max(inactiveDays - 1, 0) / 29);
+    const showReason = candidate.showPresence !== false && inactiveDays <= 1;
+    return { value, reason: showReason ? "Active today" : null };
+};
+
+// age preference - inside the viewer's preferred range (when set), otherwise close to the viewer's own age
+// returns null (not counted) when the candidate's or viewer's age is unknown
+const agePreference = (viewer, candidate, { preferences }) => {
+    if (!candidate.age) {
+        return null;
+    }
+
+    const { ageMin, ageMax } = preferences;
+    if (ageMin || ageMax) {
+        const min = ageMin || 0;
+        const max = ageMax || Infinity;
+        if (candidate.age >= min && candidate.age <= max) {
+            return { value: 1, reason: "In your preferred age range" };
+        }
+        // losing 0.2 per year outside the range
+        const yearsOutside = candidate.age < min ? min - candidate.age : candidate.age - max;
+        return { value: Math.max(0, 1 - yearsOutside * 0.2) };
+    }
+
+    if (!viewer.age) {
+        return null;
+    }
+    // 1 within 3 years, 0 at 15 years apart
+    const difference = Math.abs(candidate.age - viewer.age);
+    return { value: Math.max(0, Math.min(1, 1 - (difference - 3) / 12)) };
+};
+
+// gender preference - only counted when the viewer chose preferred genders
+// stored genders can be capitalized ("Male"), so they are compared in lowercase like the feed filter does
+const genderPreference = (viewer, candidate, { preferences }) => {
+    const genders = (preferences.genders || []).map((gender) => gender.toLowerCase());
+    if (genders.length === 0) {
+        return null;
+    }
+    return { value: genders.includes(candidate.gender?.toLowerCase()) ? 1 : 0 };
+};
+
+// every scorer by name - the names are the keys of the weights
+const SCORERS = {
+    skillOverlap,
+    skillComplement,
+    profileCompleteness,
+    activity,
+    agePreference,
+    genderPreference,
+};
+
+// function to add or replace a scorer - scorer(viewer, candidate, context) returns { value, reason? } or null
+const registerScorer = (name, scorer, weight = 1) => {
+    SCORERS[name] = scorer;
+    if (DEFAULT_WEIGHTS[name] === undefined) {
+        DEFAULT_WEIGHTS[name] = weight;
+    }
+};
+
+// function to get the weights - the defaults with the ones from MATCH_SCORING_WEIGHTS on top
+// a broken MATCH_SCORING_WEIGHTS is ignored (and logged) so a typo can't take the feed down
+const getMatchWeights = () => {
+    if (!process.env.MATCH_SCORING_WEIGHTS) {
+        return { ...DEFAULT_WEIGHTS };
+    }
+    try {
+        const overrides = JSON.parse(process.env.MATCH_SCORING_WEIGHTS);
+        const weights = { ...DEFAULT_WEIGHTS };
+        for (const [name, weight] of Object.entries(overrides)) {
+            if (typeof weight === "number" && weight >= 0) {
+                weights[name] = weight;
+            }
+        }
+        return weights;
+    } catch (error) {
+        console.error("Invalid MATCH_SCORING_WEIGHTS, using the default weights:", error.message);
+        return { ...DEFAULT_WEIGHTS };
+    }
+};
+
+// function to score one candidate for a viewer
+// context is { preferences: { ageMin, ageMax, genders }, now, weights }
+// returns { score (0-100), reasons (best first), breakdown ({ scorer: 0-1 }) }
+const scoreCandidate = (viewer, candidate, context = {}) => {
+    const weights = context.weights || getMatchWeights();
+    const scorerContext = { preferences: context.preferences || {}, now: context.now || Date.now() };
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    const breakdown = {};
+    const reasons = [];
+
+    for (const [name, scorer] of Object.entries(SCORERS)) {
+        const weight = weights[name] || 0;
+        if (weight === 0) {
+            continue;
+        }
+        const result = scorer(viewer, candidate, scorerContext);
+        // null means the scorer has nothing to say about this pair - it doesn't count at all
+        if (!result) {
+            continue;
+        }
+        const value = Math.max(0, Math.min(1, result.value || 0));
+        breakdown[name] = Number(value.toFixed(2));
+        weightedSum += value * weight;
+        totalWeight += weight;
+        if (result.reason && value >= REASON_THRESHOLD) {
+            reasons.push({ text: result.reason, impact: value * weight });
+        }
+    }
+
+    return {
+        score: totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 100) : 0,
+        // the reasons that added the most to the score first
+        reasons: reasons
+            .sort((a, b) => b.impact - a.impact)
+            .slice(0, MAX_REASONS)
+            .map((reason) => reason.text),
+        breakdown,
+    };
+};
+
+// function to rank candidates for a viewer - best match first
+// ties go to the more recently active user, then to the older account (stable order between pages)
+// returns [{ candidate, match }]
+const rankCandidates = (viewer, candidates, context = {}) => {
+    const rankContext = { ...context, weights: context.weights || getMatchWeights(), now: context.now || Date.now() };
+    return candidates
+        .map((candidate) => ({ candidate, match: scoreCandidate(viewer, candidate, rankContext) }))
+        .sort((a, b) => {
+            if (b.match.score !== a.match.score) {
+                return b.match.score - a.match.score;
+            }
+            const activeA = a.candidate.lastActiveAt ? new Date(a.candidate.lastActiveAt).getTime() : 0;
+            const activeB = b.candidate.lastActiveAt ? new Date(b.candidate.lastActiveAt).getTime() : 0;
+            if (activeB !== activeA) {
+                return activeB - activeA;
+            }
+            return String(a.candidate._id).localeCompare(String(b.candidate._id));
+        });
+};
+
+// exporting the scoring helpers so the feed can rank users
+module.exports = {
+    DEFAULT_WEIGHTS,
+    getMatchWeights,
+    registerScorer,
+    scoreCandidate,
+    rankCandidates,
+};
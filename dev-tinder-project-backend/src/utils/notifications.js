@@ -0,0 +1,46 @@
+// importing Notification model to store notifications
+const { Notification } = require("../models/notification");
+// importing event bus so the notification bell updates live
+const { publishUserEvent } = require("./eventBus");
+// importing helper to email notifications to users who want them right away
+const { sendInstantNotificationEmail } = require("./emailNotifications");
+
+// function to create a notification for a user - called by the routes where something happens
+// a failing notification must never break the request that caused it, so errors are only logged
+// returns the notification, or null if it couldn't be saved
+const notifyUser = async ({ userId, actorId, type, requestId = null }) => {
+    try {
+        const notification = await Notification.create({ userId, actorId, type, requestId });
+        publishUserEvent(userId, "notification.created", { notificationId: notification._id, type });
+        // not waiting for the email - the request that caused the notification shouldn't wait for the mail server
+        sendInstantNotificationEmail(notification).catch((error) => {
+            console.error(`Error emailing ${type} notification to user ${userId}:`, error);
+        });
+        return notification;
+    } catch (error) {
+        console.error(`Error creating ${type} notification for user ${userId}:`, error);
+        return null;
+    }
+};
+
+// function to delete the notifications two users caused each other - used when one blocks the other
+const deleteNotificationsBetween = async (userId, otherUserId) => {
+    await Notification.deleteMany({
+        $or: [
+            { userId, actorId: otherUserId },
+            { userId: otherUserId, actorId: userId },
+        ],
+    });
+};
+
+// function to delete the notifications about one connection request - used when the sender withdraws it
+const deleteNotificationsForRequest = async (requestId) => {
+    await Notification.deleteMany({ requestId });
+};
+
+// exporting the helpers so routes can create notifications
+module.exports = {
+    notifyUser,
+    deleteNotificationsBetween,
+    deleteNotificationsForRequest,
+};
@@ -0,0 +1,34 @@
+// importing crypto module for generating password reset tokens
+const crypto = require("crypto");
+// importing User model to store the reset token hash
+const { User } = require("../models/user");
+// importing helper to hash the token before storing it
+const { hashToken } = require("./authTokens");
+// importing mailer and email templates for sending the reset link
+const { sendMail } = require("./mailer");
+const { buildFrontendUrl, passwordResetEmail } = require("./emailTemplates");
+
+// password reset links stop working after this many minutes
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// function to create a new password reset token for a user and email the link
+// used by POST /auth/forgot-password and by admins forcing a reset
+// the raw token only goes into the email, database gets the hash
+// requesting a new link replaces the old token, so only the latest link works
+const sendPasswordResetEmail = async (user, { forcedByAdmin = false } = {}) => {
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    await User.updateOne({ _id: user._id }, {
+        passwordResetTokenHash: hashToken(resetToken),
+        passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+    });
+
+    const resetUrl = buildFrontendUrl(`/reset-password?token=${resetToken}`);
+    const email = passwordResetEmail({ user, resetUrl, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES, forcedByAdmin });
+    await sendMail({ to: user.emailID, ...email });
+};
+
+// exporting the helper so routes can send reset emails
+module.exports = {
+    PASSWORD_RESET_TTL_MINUTES,
+    sendPasswordResetEmail,
+};
@@ -0,0 +1,63 @@
+// presence - turns a user's lastActiveAt into "online", "today", "week" or "away"
+// userAuth records lastActiveAt (at most once a minute), so "online" means active in the last few minutes
+
+// lastActiveAt is written at most this often per user, to save database writes
+const LAST_ACTIVE_UPDATE_MS = 60 * 1000;
+
+// how recent the last activity must be for each presence state
+// online has to be longer than LAST_ACTIVE_UPDATE_MS, otherwise active users would flicker offline
+const ONLINE_WINDOW_MS = 5 * 60 * 1000;
+const TODAY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const WEEK_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// fields routes must select from User so getPresence() can work
+const PRESENCE_FIELDS = "lastActiveAt showPresence";
+
+// function to get the presence of a user
+// returns "online", "today", "week", "away" (longer ago or never), or null if the user hides their presence
+const getPresence = (user, now = Date.now()) => {
+    if (!user || user.showPresence === false) {
+        return null;
+    }
+    if (!user.lastActiveAt) {
+        return "away";
+    }
+
+    const inactiveFor = now - new Date(user.lastActiveAt).getTime();
+    if (inactiveFor <= ONLINE_WINDOW_MS) {
+        return "online";
+    }
+    if (inactiveFor <= TODAY_WINDOW_MS) {
+        return "today";
+    }
+    if (inactiveFor <= WEEK_WINDOW_MS) {
+        return "week";
+    }
+    return "away";
+};
+
+// function to prepare another user for a response - adds presence and removes the raw activity fields
+// the exact lastActiveAt is never sent, only the rough presence state
+const withPresence = (user) => {
+    if (!user) {
+        return user;
+    }
+    const publicUser = typeof user.toJSON === "function" ? user.toJSON() : { ...user };
+    publicUser.presence = getPresence(user);
+    delete publicUser.lastActiveAt;
+    delete publicUser.showPresence;
+    return publicUser;
+};
+
+// function to check if lastActiveAt is old enough to be written again
+const shouldUpdateLastActive = (user, now = Date.now()) => {
+    return !user.lastActiveAt || now - user.lastActiveAt.getTime() > LAST_ACTIVE_UPDATE_MS;
+};
+
+// exporting presence helpers so userAuth and the user routes can use them
+module.exports = {
+    PRESENCE_FIELDS,
+    getPresence,
+    withPresence,
+    shouldUpdateLastActive,
+};
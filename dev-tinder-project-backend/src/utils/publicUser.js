@@ -0,0 +1,21 @@
+// importing presence helpers - public user data always carries presence instead of lastActiveAt
+const { PRESENCE_FIELDS, withPresence } = require("./presence");
+
+// user fields other users may see in requests, connections and live events
+const PUBLIC_USER_FIELDS = `firstName lastName age gender about skills photoUrl ${PRESENCE_FIELDS}`;
+
+// function to turn a full user document into the data other users may see
+// used where the user wasn't loaded with PUBLIC_USER_FIELDS, e.g. req.user in live events
+const toPublicUser = (user) => {
+    const publicUser = { _id: user._id };
+    for (const field of PUBLIC_USER_FIELDS.split(" ")) {
+        publicUser[field] = user[field];
+    }
+    return withPresence(publicUser);
+};
+
+// exporting the helpers so routes and live events send the same user data
+module.exports = {
+    PUBLIC_USER_FIELDS,
+    toPublicUser,
+};
@@ -0,0 +1,114 @@
+// importing crypto module for HMAC and random secrets
+const crypto = require("crypto");
+
+// TOTP (time-based one-time password, RFC 6238) - the 6 digit codes shown by authenticator apps
+// both the server and the app know a shared secret; the code is an HMAC of the current 30 second step
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// base32 alphabet used by authenticator apps for secrets
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// function to encode bytes as base32 (the format authenticator apps expect)
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+// function to decode a base32 secret back to bytes
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character in secret");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// function to create a new random secret (160 bits, as recommended by RFC 4226)
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+// function to get the time step number for a date
+const getTimeStep = (date = Date.now()) => {
+    return Math.floor(date / 1000 / TOTP_STEP_SECONDS);
+};
+
+// function to calculate the code for a secret and time step (HOTP algorithm from RFC 4226)
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+
+    // dynamic truncation - last nibble says where to read 4 bytes from
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+// function to check a code entered by the user
+// window allows codes from neighbouring steps, because phone clocks are never exactly right
+// returns the matched time step (so callers can refuse reusing it) or null if code is wrong
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+    const currentStep = getTimeStep();
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = generateCode(secret, step);
+        // timingSafeEqual so the comparison time doesn't leak how many digits matched
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// function to build the otpauth:// URI that authenticator apps read from the QR code
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// exporting the helpers for the two-factor routes
+module.exports = {
+    generateSecret,
+    generateCode,
+    getTimeStep,
+    verifyCode,
+    buildOtpauthUri,
+};
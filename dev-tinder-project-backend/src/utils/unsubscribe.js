@@ -0,0 +1,73 @@
+// importing crypto module for signing unsubscribe tokens
+const crypto = require("crypto");
+// importing the secret the server already has - tokens are signed with a key derived from it
+const { getJwtSecret } = require("./authTokens");
+// importing the preference keys a token can switch off
+const { EMAIL_PREFERENCE_KEYS } = require("../models/user");
+// importing helper to build links to the frontend unsubscribe page
+const { buildFrontendUrl } = require("./emailTemplates");
+
+// "all" switches off every email notification, otherwise the token names one preference key
+const UNSUBSCRIBE_ALL = "all";
+
+// function to build the base URL of this API for links that point to the backend (List-Unsubscribe header)
+const buildApiUrl = (pathname) => {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${apiUrl.replace(/\/$/, "")}${pathname}`;
+};
+
+// function to sign a user ID and preference key
+// "unsubscribe:" in front keeps these signatures apart from anything else signed with the same secret
+const sign = (userId, key) => {
+    return crypto
+        .createHmac("sha256", getJwtSecret())
+        .update(`unsubscribe:${userId}:${key}`)
+        .digest("base64url");
+};
+
+// function to create an unsubscribe token - "<userId>.<key>.<signature>"
+// tokens don't expire, an unsubscribe link in an old email must still work
+const createUnsubscribeToken = (userId, key = UNSUBSCRIBE_ALL) => {
+    return `${userId.toString()}.${key}.${sign(userId.toString(), key)}`;
+};
+
+// function to check an unsubscribe token
+// returns { userId, key } or null if the token was changed or is broken
+const verifyUnsubscribeToken = (token) => {
+    if (typeof token !== "string") {
+        return null;
+    }
+    const [userId, key, signature] = token.split(".");
+    if (!userId || !signature || (key !== UNSUBSCRIBE_ALL && !EMAIL_PREFERENCE_KEYS.includes(key))) {
+        return null;
+    }
+
+    // comparing in constant time so the signature can't be guessed byte by byte
+    const expected = Buffer.from(sign(userId, key));
+    const presented = Buffer.from(signature);
+    if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+        return null;
+    }
+    return { userId, key };
+};
+
+// function to build the links and headers every notification email carries
+// unsubscribeUrl opens the frontend page, the List-Unsubscribe headers let mail apps unsubscribe in one click (RFC 8058)
+const buildUnsubscribeLinks = (userId, key) => {
+    const token = createUnsubscribeToken(userId, key);
+    return {
+        unsubscribeUrl: buildFrontendUrl(`/unsubscribe?token=${encodeURIComponent(token)}`),
+        headers: {
+            "List-Unsubscribe": `<${buildApiUrl(`/email/unsubscribe?token=${encodeURIComponent(token)}`)}>`,
+            "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        },
+    };
+};
+
+// exporting the helpers so emails can carry unsubscribe links and the email route can check them
+module.exports = {
+    UNSUBSCRIBE_ALL,
+    createUnsubscribeToken,
+    verifyUnsubscribeToken,
+    buildUnsubscribeLinks,
+};
@@ -1,6 +1,16 @@
 
 // importing validator module for validating email, password, URLs, etc.
 const validate = require("validator");
+// importing the allowed languages and size limits for code review requests
+const {
+    REVIEW_LANGUAGES,
+    REVIEW_CODE_MAX_LENGTH,
+    REVIEW_QUESTION_MAX_LENGTH,
+} = require("../models/codeReview");
+// importing the longest note that can be attached to a connection request
+const { REQUEST_NOTE_MAX_LENGTH } = require("../models/connectionRequest");
+// importing the email notification settings users can change
+const { EMAIL_PREFERENCE_KEYS, EMAIL_FREQUENCIES, EXPERIENCE_LEVELS } = require("../models/user");
 
 // function to validate signup data - checks if all fields are valid before creating user
 const validateSignupData = (req, res) => {
@@ -76,13 +86,19 @@ const validateSignupData = (req, res) => {
 
 // function to validate profile update data - checks if fields being updated are allowed
 const validateUpdateProfileData = (updateData, res) => {
-    const ALLOWED_UPDATES = [ "photoUrl", "about", "skills", "gender", "age", "firstName", "lastName" ];
+    const ALLOWED_UPDATES = [ "photoUrl", "about", "skills", "gender", "age", "firstName", "lastName", "showPresence" ];
     const isUpdateAllowed = Object.keys(updateData).every((update) =>
          ALLOWED_UPDATES.includes(update)
     );
     if (!isUpdateAllowed) {
         res.status(400);
-        res.json({ message: "Invalid updates! Only photoUrl, about, skills, gender, age can be updated." });
+        res.json({ message: "Invalid updates! Only photoUrl, about, skills, gender, age, showPresence can be updated." });
+        return false;
+    }
+    // showPresence is the privacy setting for online / last active, it must be true or false
+    if ("showPresence" in updateData && typeof updateData.showPresence !== "boolean") {
+        res.status(400);
+        res.json({ message: "showPresence must be true or false." });
         return false;
     }
     return true;
@@ -98,10 +114,323 @@ const validatePassword = (password, res) => {
     return true;
 }
 
+// function to validate personal access token data - used when creating and updating tokens
+// isUpdate: true means fields are optional (only the sent fields are changed) and expiry can't be changed
+const validateAccessTokenData = (data, allowedScopes, res, isUpdate = false) => {
+    const ALLOWED_FIELDS = isUpdate ? [ "name", "scopes" ] : [ "name", "scopes", "expiresInDays" ];
+    const isValidOperation = Object.keys(data).every((field) =>
+        ALLOWED_FIELDS.includes(field)
+    );
+    if (!isValidOperation) {
+        res.status(400);
+        res.json({ message: `Invalid fields in request body! Only ${ALLOWED_FIELDS.join(", ")} can be sent.` });
+        return false;
+    }
+
+    const { name, scopes, expiresInDays } = data;
+
+    if ((!isUpdate || name !== undefined) && (typeof name !== "string" || name.trim().length < 1 || name.trim().length > 50)) {
+        res.status(400);
+        res.json({ message: "Token name is required and should be at most 50 characters long." });
+        return false;
+    }
+    if ((!isUpdate || scopes !== undefined) && (!Array.isArray(scopes) || scopes.length < 1)) {
+        res.status(400);
+        res.json({ message: "Scopes must be an array with at least one scope." });
+        return false;
+    }
+    if (scopes !== undefined) {
+        const invalidScopes = scopes.filter((scope) => !allowedScopes.includes(scope));
+        if (invalidScopes.length > 0) {
+            res.status(400);
+            res.json({ message: `Invalid scopes: ${invalidScopes.join(", ")}. Allowed scopes are: ${allowedScopes.join(", ")}.` });
+            return false;
+        }
+    }
+    // null (or not sent) means the token never expires
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365) {
+            res.status(400);
+            res.json({ message: "expiresInDays must be a whole number between 1 and 365, or null for no expiry." });
+            return false;
+        }
+    }
+    return true;
+}
+
+// function to validate a new code review request - { language, code, question, diff? }
+const validateCodeReviewData = (data, res) => {
+    const ALLOWED_FIELDS = [ "language", "code", "question", "diff" ];
+    const isValidOperation = Object.keys(data).every((field) =>
+        ALLOWED_FIELDS.includes(field)
+    );
+    if (!isValidOperation) {
+        res.status(400);
+        res.json({ message: `Invalid fields in request body! Only ${ALLOWED_FIELDS.join(", ")} can be sent.` });
+        return false;
+    }
+
+    const { language, code, question, diff } = data;
+
+    if (!REVIEW_LANGUAGES.includes(language)) {
+        res.status(400);
+        res.json({ message: `Language must be one of: ${REVIEW_LANGUAGES.join(", ")}.` });
+        return false;
+    }
+    if (typeof code !== "string" || code.trim().length === 0 || code.length > REVIEW_CODE_MAX_LENGTH) {
+        res.status(400);
+        res.json({ message: `Code is required and should be at most ${REVIEW_CODE_MAX_LENGTH} characters long.` });
+        return false;
+    }
+    if (typeof question !== "string" || question.trim().length === 0 || question.trim().length > REVIEW_QUESTION_MAX_LENGTH) {
+        res.status(400);
+        res.json({ message: `Question is required and should be at most ${REVIEW_QUESTION_MAX_LENGTH} characters long.` });
+        return false;
+    }
+    if (diff !== undefined && (typeof diff !== "string" || diff.length > REVIEW_CODE_MAX_LENGTH)) {
+        res.status(400);
+        res.json({ message: `Diff must be text with at most ${REVIEW_CODE_MAX_LENGTH} characters.` });
+        return false;
+    }
+    return true;
+}
+
+// function to validate email notification settings - { connectionRequests?, newConnections? }
+// each value is how often to email about it: instant, daily, weekly or off
+const validateEmailPreferencesData = (data, res) => {
+    const fields = Object.keys(data || {});
+    if (fields.length === 0 || !fields.every((field) => EMAIL_PREFERENCE_KEYS.includes(field))) {
+        res.status(400);
+        res.json({ message: `Invalid fields in request body! Only ${EMAIL_PREFERENCE_KEYS.join(", ")} can be sent.` });
+        return false;
+    }
+    for (const field of fields) {
+        if (!EMAIL_FREQUENCIES.includes(data[field])) {
+            res.status(400);
+            res.json({ message: `${field} must be one of: ${EMAIL_FREQUENCIES.join(", ")}.` });
+            return false;
+        }
+    }
+    return true;
+}
+
+// function to clean up free text written by users before it's stored
+// removes invisible control characters (keeps line breaks and tabs), trailing spaces on lines,
+// more than one empty line in a row and whitespace around the text
+// HTML is not escaped here - React and the email templates escape everything they show
+const sanitizeText = (text) => {
+    return text
+        .replace(/\r\n?/g, "\n")
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2066-\u2069]/g, "")
+        .replace(/[ \t]+\n/g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+// function to validate the body of a connection request - { note? }
+// a note is only allowed on "interested" requests, ignoring someone sends nothing to them
+const validateConnectionRequestData = (data, status, res) => {
+    const fields = Object.keys(data || {});
+    if (!fields.every((field) => field === "note")) {
+        res.status(400);
+        res.json({ message: "Invalid fields in request body! Only note can be sent." });
+        return false;
+    }
+
+    const note = data?.note;
+    if (note === undefined || note === null || note === "") {
+        return true;
+    }
+    if (typeof note !== "string") {
+        res.status(400);
+        res.json({ message: "Note must be text." });
+        return false;
+    }
+    if (status !== "interested") {
+        res.status(400);
+        res.json({ message: "A note can only be sent with an interested request." });
+        return false;
+    }
+    if (sanitizeText(note).length > REQUEST_NOTE_MAX_LENGTH) {
+        res.status(400);
+        res.json({ message: `Note should be at most ${REQUEST_NOTE_MAX_LENGTH} characters long.` });
+        return false;
+    }
+    return true;
+}
+
+// query parameters the feed understands as filters
+const FEED_FILTER_KEYS = ["skills", "anySkills", "ageMin", "ageMax", "gender", "q"];
+
+// limits for the feed filters
+const FEED_FILTER_MAX_SKILLS = 10;
+const FEED_FILTER_MAX_SKILL_LENGTH = 50;
+const FEED_FILTER_MAX_SEARCH_LENGTH = 100;
+
+// function to split a comma separated query parameter - "Rust, Go" and ["Rust", "Go"] both become ["Rust", "Go"]
+const splitQueryList = (value) => {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap((item) => String(item).split(","))
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+// function to validate the feed filters in the query string
+// ?skills=Rust,Go (must have all) &anySkills=React,Vue (must have one) &ageMin=25&ageMax=35 &gender=male,female &q=open source
+// returns the parsed filters ({} when none are set), or null after sending a 400 response
+const validateFeedFilters = (query, res) => {
+    const filters = {};
+
+    for (const field of ["skills", "anySkills"]) {
+        if (query[field] === undefined) {
+            continue;
+        }
+        const skills = [...new Set(splitQueryList(query[field]))];
+        if (skills.length > FEED_FILTER_MAX_SKILLS) {
+            res.status(400);
+            res.json({ message: `${field} can have at most ${FEED_FILTER_MAX_SKILLS} skills.` });
+            return null;
+        }
+        if (skills.some((skill) => skill.length > FEED_FILTER_MAX_SKILL_LENGTH)) {
+            res.status(400);
+            res.json({ message: `Skills in ${field} should be at most ${FEED_FILTER_MAX_SKILL_LENGTH} characters long.` });
+            return null;
+        }
+        if (skills.length > 0) {
+            filters[field] = skills;
+        }
+    }
+
+    for (const field of ["ageMin", "ageMax"]) {
+        if (query[field] === undefined || query[field] === "") {
+            continue;
+        }
+        const age = Number(query[field]);
+        if (!Number.isInteger(age) || age < 18 || age > 100) {
+            res.status(400);
+            res.json({ message: `${field} must be a whole number between 18 and 100.` });
+            return null;
+        }
+        filters[field] = age;
+    }
+    if (filters.ageMin && filters.ageMax && filters.ageMin > filters.ageMax) {
+        res.status(400);
+        res.json({ message: "ageMin can't be greater than ageMax." });
+        return null;
+    }
+
+    if (query.gender !== undefined) {
+        const allowedGenders = ["male", "female", "other"];
+        const genders = [...new Set(splitQueryList(query.gender).map((gender) => gender.toLowerCase()))];
+        if (!genders.every((gender) => allowedGenders.includes(gender))) {
+            res.status(400);
+            res.json({ message: "Gender must be either male, female, or other." });
+            return null;
+        }
+        if (genders.length > 0) {
+            filters.genders = genders;
+        }
+    }
+
+    if (query.q !== undefined) {
+        if (typeof query.q !== "string") {
+            res.status(400);
+            res.json({ message: "Search text must be text." });
+            return null;
+        }
+        const search = sanitizeText(query.q).replace(/\s+/g, " ");
+        if (search.length > FEED_FILTER_MAX_SEARCH_LENGTH) {
+            res.status(400);
+            res.json({ message: `Search text should be at most ${FEED_FILTER_MAX_SEARCH_LENGTH} characters long.` });
+            return null;
+        }
+        if (search) {
+            filters.search = search;
+        }
+    }
+
+    return filters;
+}
+
+// fields of the discovery preferences that can be updated
+const DISCOVERY_PREFERENCE_KEYS = ["skills", "ageMin", "ageMax", "genders", "maxDistanceKm", "experienceLevel"];
+
+// function to validate a discovery preferences update - every field is optional, null clears it
+// current is the saved preferences, so an update of only ageMin is still checked against the saved ageMax
+const validateDiscoveryPreferencesData = (data, current, res) => {
+    const fields = Object.keys(data || {});
+    if (fields.length === 0 || !fields.every((field) => DISCOVERY_PREFERENCE_KEYS.includes(field))) {
+        res.status(400);
+        res.json({ message: `Invalid fields in request body! Only ${DISCOVERY_PREFERENCE_KEYS.join(", ")} can be sent.` });
+        return false;
+    }
+
+    const { skills, genders, maxDistanceKm, experienceLevel } = data;
+    if (skills !== undefined && skills !== null) {
+        if (!Array.isArray(skills) || skills.length > FEED_FILTER_MAX_SKILLS || !skills.every((skill) => typeof skill === "string")) {
+            res.status(400);
+            res.json({ message: `Skills must be a list of at most ${FEED_FILTER_MAX_SKILLS} skills.` });
+            return false;
+        }
+        if (skills.some((skill) => skill.trim().length > FEED_FILTER_MAX_SKILL_LENGTH)) {
+            res.status(400);
+            res.json({ message: `Skills should be at most ${FEED_FILTER_MAX_SKILL_LENGTH} characters long.` });
+            return false;
+        }
+    }
+
+    for (const field of ["ageMin", "ageMax"]) {
+        const age = data[field];
+        if (age !== undefined && age !== null && (!Number.isInteger(age) || age < 18 || age > 100)) {
+            res.status(400);
+            res.json({ message: `${field} must be a whole number between 18 and 100.` });
+            return false;
+        }
+    }
+    const ageMin = data.ageMin !== undefined ? data.ageMin : current.ageMin;
+    const ageMax = data.ageMax !== undefined ? data.ageMax : current.ageMax;
+    if (ageMin && ageMax && ageMin > ageMax) {
+        res.status(400);
+        res.json({ message: "ageMin can't be greater than ageMax." });
+        return false;
+    }
+
+    if (genders !== undefined && genders !== null) {
+        const allowedGenders = ["male", "female", "other"];
+        if (!Array.isArray(genders) || !genders.every((gender) => allowedGenders.includes(gender))) {
+            res.status(400);
+            res.json({ message: "Genders must be a list of male, female or other." });
+            return false;
+        }
+    }
+
+    if (maxDistanceKm !== undefined && maxDistanceKm !== null && (!Number.isInteger(maxDistanceKm) || maxDistanceKm < 1 || maxDistanceKm > 20000)) {
+        res.status(400);
+        res.json({ message: "maxDistanceKm must be a whole number between 1 and 20000." });
+        return false;
+    }
+
+    if (experienceLevel !== undefined && experienceLevel !== null && !EXPERIENCE_LEVELS.includes(experienceLevel)) {
+        res.status(400);
+        res.json({ message: `experienceLevel must be one of: ${EXPERIENCE_LEVELS.join(", ")}.` });
+        return false;
+    }
+    return true;
+}
+
 
 module.exports = {
     validateSignupData,
     validateUpdateProfileData,
     validatePassword,
+    validateAccessTokenData,
+    validateCodeReviewData,
+    validateEmailPreferencesData,
+    validateConnectionRequestData,
+    validateFeedFilters,
+    validateDiscoveryPreferencesData,
+    sanitizeText,
+    FEED_FILTER_KEYS,
 };
 